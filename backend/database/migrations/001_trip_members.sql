@@ -0,0 +1,19 @@
+-- Trip members: co-planners invited to a trip by email
+-- The trip creator (trips.user_id) is always an implicit owner and has no row here.
+
+CREATE TABLE IF NOT EXISTS trip_members (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  trip_id INT NOT NULL,
+  user_id INT NULL,
+  email VARCHAR(255) NOT NULL,
+  role ENUM('viewer', 'editor', 'owner') NOT NULL DEFAULT 'viewer',
+  status ENUM('pending', 'accepted', 'declined') NOT NULL DEFAULT 'pending',
+  invited_by INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  responded_at TIMESTAMP NULL,
+  UNIQUE KEY uq_trip_members_trip_email (trip_id, email),
+  KEY idx_trip_members_user (user_id, status),
+  CONSTRAINT fk_trip_members_trip FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+  CONSTRAINT fk_trip_members_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  CONSTRAINT fk_trip_members_inviter FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE CASCADE
+);
@@ -0,0 +1,9 @@
+-- Row versions for optimistic concurrency on trips and itinerary items
+-- Every successful update increments `version`; clients send the version they
+-- last saw (If-Match header or `version` field) and get a 409 when it is stale.
+
+ALTER TABLE trips
+  ADD COLUMN version INT NOT NULL DEFAULT 1;
+
+ALTER TABLE itinerary_items
+  ADD COLUMN version INT NOT NULL DEFAULT 1;
@@ -0,0 +1,21 @@
+-- Password reset tokens
+-- Only a SHA-256 hash of each token is stored; the raw token is emailed to the user.
+-- A token is valid until it expires or is used, whichever comes first.
+
+CREATE TABLE IF NOT EXISTS password_resets (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  requested_ip VARCHAR(45) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_password_resets_token (token_hash),
+  KEY idx_password_resets_user (user_id),
+  CONSTRAINT fk_password_resets_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Tokens issued before this moment are rejected, which signs out every
+-- existing session once the password changes
+ALTER TABLE users
+  ADD COLUMN password_changed_at TIMESTAMP NULL;
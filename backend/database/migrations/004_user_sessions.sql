@@ -0,0 +1,20 @@
+-- User sessions backing rotating refresh tokens
+-- Each login creates a session. Refreshing swaps the session's token for a new
+-- one; the previous hash is kept so a replayed (stolen) token revokes the session.
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  refresh_token_hash CHAR(64) NOT NULL,
+  previous_token_hash CHAR(64) NULL,
+  user_agent VARCHAR(255) NULL,
+  ip_address VARCHAR(45) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL,
+  UNIQUE KEY uq_user_sessions_token (refresh_token_hash),
+  KEY idx_user_sessions_previous (previous_token_hash),
+  KEY idx_user_sessions_user (user_id, revoked_at),
+  CONSTRAINT fk_user_sessions_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
@@ -0,0 +1,22 @@
+-- Trip share links: named, revocable public links to a trip
+-- Tokens are generated from crypto.randomBytes. The old trips.public_url slugs
+-- came from Math.random() and are intentionally not carried over.
+
+CREATE TABLE IF NOT EXISTS trip_share_links (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  trip_id INT NOT NULL,
+  created_by INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  token VARCHAR(64) NOT NULL,
+  permission ENUM('view', 'comment') NOT NULL DEFAULT 'view',
+  password_hash VARCHAR(255) NULL,
+  expires_at DATETIME NULL,
+  revoked_at DATETIME NULL,
+  access_count INT NOT NULL DEFAULT 0,
+  last_accessed_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_trip_share_links_token (token),
+  KEY idx_trip_share_links_trip (trip_id, revoked_at),
+  CONSTRAINT fk_trip_share_links_trip FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+  CONSTRAINT fk_trip_share_links_creator FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
+);
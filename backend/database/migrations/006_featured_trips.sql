@@ -0,0 +1,7 @@
+-- Featured trips: curated by admins (PUT /api/admin/trips/:id/feature) and
+-- listed publicly so other travellers can copy them.
+
+ALTER TABLE trips
+  ADD COLUMN featured BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX idx_trips_featured ON trips (featured);
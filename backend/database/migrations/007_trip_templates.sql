@@ -0,0 +1,56 @@
+-- Trip templates: reusable itineraries stored with day offsets instead of dates
+-- Day offsets count from the first day of the trip (day 0). Templates created
+-- by admins are public; templates saved by users are private to them.
+
+CREATE TABLE IF NOT EXISTS trip_templates (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  created_by INT NOT NULL,
+  source_trip_id INT NULL,
+  title VARCHAR(255) NOT NULL,
+  description TEXT NULL,
+  country VARCHAR(100) NULL,
+  duration_days INT NOT NULL DEFAULT 1,
+  base_budget DECIMAL(10, 2) NULL,
+  cover_photo_path VARCHAR(500) NULL,
+  is_public BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_trip_templates_browse (is_public, country, duration_days),
+  KEY idx_trip_templates_creator (created_by),
+  CONSTRAINT fk_trip_templates_creator FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE,
+  CONSTRAINT fk_trip_templates_source FOREIGN KEY (source_trip_id) REFERENCES trips(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS trip_template_cities (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  template_id INT NOT NULL,
+  city_id INT NOT NULL,
+  arrival_day INT NULL,
+  departure_day INT NULL,
+  order_index INT NOT NULL DEFAULT 0,
+  KEY idx_trip_template_cities_city (city_id),
+  CONSTRAINT fk_trip_template_cities_template FOREIGN KEY (template_id) REFERENCES trip_templates(id) ON DELETE CASCADE,
+  CONSTRAINT fk_trip_template_cities_city FOREIGN KEY (city_id) REFERENCES cities(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS trip_template_items (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  template_id INT NOT NULL,
+  city_id INT NULL,
+  activity_id INT NULL,
+  title VARCHAR(255) NOT NULL,
+  description TEXT NULL,
+  location VARCHAR(255) NULL,
+  category VARCHAR(50) NOT NULL DEFAULT 'other',
+  start_day INT NULL,
+  start_clock TIME NULL,
+  end_day INT NULL,
+  end_clock TIME NULL,
+  cost DECIMAL(10, 2) NULL,
+  notes TEXT NULL,
+  order_index INT NOT NULL DEFAULT 0,
+  KEY idx_trip_template_items_template (template_id, start_day),
+  CONSTRAINT fk_trip_template_items_template FOREIGN KEY (template_id) REFERENCES trip_templates(id) ON DELETE CASCADE,
+  CONSTRAINT fk_trip_template_items_city FOREIGN KEY (city_id) REFERENCES cities(id) ON DELETE SET NULL,
+  CONSTRAINT fk_trip_template_items_activity FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE SET NULL
+);
@@ -0,0 +1,16 @@
+-- Calendar feeds: secret per-user URLs that calendar apps poll for a trip's itinerary
+-- The token is the only credential, so it can be reset (revoking the old one) at any time.
+
+CREATE TABLE IF NOT EXISTS trip_calendar_feeds (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  trip_id INT NOT NULL,
+  user_id INT NOT NULL,
+  token VARCHAR(64) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_accessed_at DATETIME NULL,
+  revoked_at DATETIME NULL,
+  UNIQUE KEY uq_trip_calendar_feeds_token (token),
+  KEY idx_trip_calendar_feeds_trip_user (trip_id, user_id, revoked_at),
+  CONSTRAINT fk_trip_calendar_feeds_trip FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+  CONSTRAINT fk_trip_calendar_feeds_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
@@ -0,0 +1,29 @@
+-- Currencies: trips, itinerary items and templates record which currency their
+-- amounts are in, and users pick a home currency for the dashboard.
+-- An item with no currency of its own is in its trip's currency.
+-- Totals are converted with the rates in exchange_rates, stored as units of
+-- each currency per 1 USD and refreshed from an admin CSV upload or a provider.
+
+ALTER TABLE trips
+  ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'INR';
+
+ALTER TABLE itinerary_items
+  ADD COLUMN currency CHAR(3) NULL;
+
+ALTER TABLE users
+  ADD COLUMN home_currency CHAR(3) NOT NULL DEFAULT 'INR';
+
+ALTER TABLE trip_templates
+  ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'INR';
+
+ALTER TABLE trip_template_items
+  ADD COLUMN currency CHAR(3) NULL;
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  currency CHAR(3) PRIMARY KEY,
+  rate DECIMAL(20, 10) NOT NULL,
+  source VARCHAR(50) NOT NULL DEFAULT 'manual',
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+INSERT IGNORE INTO exchange_rates (currency, rate, source) VALUES ('USD', 1, 'manual');
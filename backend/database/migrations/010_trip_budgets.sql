@@ -0,0 +1,15 @@
+-- Budget envelopes: spending limits for a trip, either for one category over
+-- the whole trip or for everything on one day. Exactly one of category and
+-- budget_date is set. Amounts are in the trip's currency.
+
+CREATE TABLE IF NOT EXISTS trip_budgets (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  trip_id INT NOT NULL,
+  category VARCHAR(50) NULL,
+  budget_date DATE NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_trip_budgets_trip (trip_id),
+  CONSTRAINT fk_trip_budgets_trip FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE
+);
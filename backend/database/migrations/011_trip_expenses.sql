@@ -0,0 +1,23 @@
+-- Expenses: what was actually spent on a trip, kept apart from the planned
+-- cost on itinerary items so plan and reality can be compared. An expense may
+-- point at the itinerary item it paid for and have a receipt image.
+
+CREATE TABLE IF NOT EXISTS trip_expenses (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  trip_id INT NOT NULL,
+  created_by INT NOT NULL,
+  itinerary_item_id INT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  currency CHAR(3) NOT NULL,
+  category VARCHAR(50) NOT NULL DEFAULT 'other',
+  expense_date DATE NOT NULL,
+  description VARCHAR(255) NULL,
+  receipt_path VARCHAR(500) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_trip_expenses_trip (trip_id, expense_date),
+  KEY idx_trip_expenses_item (itinerary_item_id),
+  CONSTRAINT fk_trip_expenses_trip FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+  CONSTRAINT fk_trip_expenses_creator FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE,
+  CONSTRAINT fk_trip_expenses_item FOREIGN KEY (itinerary_item_id) REFERENCES itinerary_items(id) ON DELETE SET NULL
+);
@@ -0,0 +1,22 @@
+-- Expense splitting: who paid for an expense and how it is shared between
+-- the people on the trip (the owner and accepted members).
+-- split_mode NULL means the expense is not shared. Each split row records the
+-- participant's input (share count, exact amount or percentage; NULL for an
+-- equal split) and the amount they owe, in the expense's currency.
+
+ALTER TABLE trip_expenses
+  ADD COLUMN paid_by INT NULL AFTER created_by,
+  ADD COLUMN split_mode ENUM('equal', 'shares', 'exact', 'percent') NULL AFTER receipt_path,
+  ADD CONSTRAINT fk_trip_expenses_payer FOREIGN KEY (paid_by) REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS trip_expense_splits (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  expense_id INT NOT NULL,
+  user_id INT NOT NULL,
+  share DECIMAL(12, 4) NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  UNIQUE KEY uq_trip_expense_splits_user (expense_id, user_id),
+  KEY idx_trip_expense_splits_user (user_id),
+  CONSTRAINT fk_trip_expense_splits_expense FOREIGN KEY (expense_id) REFERENCES trip_expenses(id) ON DELETE CASCADE,
+  CONSTRAINT fk_trip_expense_splits_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
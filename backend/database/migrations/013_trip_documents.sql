@@ -0,0 +1,22 @@
+-- Trip documents: tickets, visas, insurance papers and receipts uploaded to a
+-- trip or one of its itinerary items. Files live in a private directory
+-- (DOCUMENT_DIR) and are only served through signed, expiring URLs.
+
+CREATE TABLE IF NOT EXISTS trip_documents (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  trip_id INT NOT NULL,
+  itinerary_item_id INT NULL,
+  uploaded_by INT NOT NULL,
+  kind ENUM('ticket', 'visa', 'insurance', 'receipt', 'other') NOT NULL DEFAULT 'other',
+  original_name VARCHAR(255) NOT NULL,
+  stored_name VARCHAR(255) NOT NULL,
+  thumbnail_name VARCHAR(255) NULL,
+  mime_type VARCHAR(100) NOT NULL,
+  size_bytes INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_trip_documents_trip (trip_id, created_at),
+  KEY idx_trip_documents_item (itinerary_item_id),
+  CONSTRAINT fk_trip_documents_trip FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+  CONSTRAINT fk_trip_documents_item FOREIGN KEY (itinerary_item_id) REFERENCES itinerary_items(id) ON DELETE SET NULL,
+  CONSTRAINT fk_trip_documents_uploader FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE CASCADE
+);
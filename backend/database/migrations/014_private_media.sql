@@ -0,0 +1,21 @@
+-- Uploaded files are no longer served from the public /uploads directory.
+-- Avatars, cover photos and receipts are served by the access-checked /media
+-- route, so point the stored paths there. The files themselves stay where they
+-- are (UPLOAD_DIR). Trip documents move from DOCUMENT_DIR to
+-- UPLOAD_DIR/documents; copy existing files across when applying this.
+
+UPDATE users
+SET avatar_path = REPLACE(avatar_path, '/uploads/', '/media/')
+WHERE avatar_path LIKE '/uploads/%';
+
+UPDATE trips
+SET cover_photo_path = REPLACE(cover_photo_path, '/uploads/', '/media/')
+WHERE cover_photo_path LIKE '/uploads/%';
+
+UPDATE trip_templates
+SET cover_photo_path = REPLACE(cover_photo_path, '/uploads/', '/media/')
+WHERE cover_photo_path LIKE '/uploads/%';
+
+UPDATE trip_expenses
+SET receipt_path = REPLACE(receipt_path, '/uploads/', '/media/')
+WHERE receipt_path LIKE '/uploads/%';
@@ -0,0 +1,7 @@
+-- Opening hours for activities, used by the auto-scheduler when packing a
+-- wish-list of activities into days. NULL means open all day; a closing time
+-- earlier than the opening time is not supported (no overnight venues).
+
+ALTER TABLE activities
+  ADD COLUMN opens_at TIME NULL,
+  ADD COLUMN closes_at TIME NULL;
@@ -0,0 +1,24 @@
+-- Travel legs: how the trip gets from one stop (trip_cities row) to the next.
+-- Costs count towards the budget (flights as "flight", everything else as
+-- "transport"); distances and estimates are worked out from city coordinates.
+
+CREATE TABLE IF NOT EXISTS trip_travel_legs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  trip_id INT NOT NULL,
+  from_trip_city_id INT NOT NULL,
+  to_trip_city_id INT NOT NULL,
+  mode ENUM('flight', 'train', 'bus', 'car', 'ferry') NOT NULL,
+  departure_time DATETIME NULL,
+  arrival_time DATETIME NULL,
+  cost DECIMAL(10, 2) NULL,
+  currency CHAR(3) NULL,
+  booking_reference VARCHAR(100) NULL,
+  notes TEXT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_trip_travel_legs_stops (from_trip_city_id, to_trip_city_id),
+  KEY idx_trip_travel_legs_trip (trip_id),
+  CONSTRAINT fk_trip_travel_legs_trip FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+  CONSTRAINT fk_trip_travel_legs_from FOREIGN KEY (from_trip_city_id) REFERENCES trip_cities(id) ON DELETE CASCADE,
+  CONSTRAINT fk_trip_travel_legs_to FOREIGN KEY (to_trip_city_id) REFERENCES trip_cities(id) ON DELETE CASCADE
+);
@@ -0,0 +1,11 @@
+-- Time zones for itinerary times. Cities get an IANA time zone (e.g.
+-- "Asia/Tokyo"); itinerary items store start_time/end_time in UTC together
+-- with the zone they are local to, which defaults to their city's.
+-- Existing items keep a NULL zone and stay "floating": their stored times are
+-- read as local times, exactly as before.
+
+ALTER TABLE cities
+  ADD COLUMN time_zone VARCHAR(64) NULL;
+
+ALTER TABLE itinerary_items
+  ADD COLUMN time_zone VARCHAR(64) NULL;
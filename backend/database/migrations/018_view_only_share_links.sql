@@ -0,0 +1,5 @@
+-- Share links are view-only: nothing ever read the 'comment' permission, so
+-- links created with it behaved exactly like view links. The enum value is
+-- kept for when shared trips can take comments.
+
+UPDATE trip_share_links SET permission = 'view' WHERE permission = 'comment';
@@ -0,0 +1,15 @@
+-- Comments left on a shared trip through a share link with the 'comment'
+-- permission. Visitors aren't signed in, so each comment carries the name
+-- they gave. Links turned into view links by 018 stay view-only.
+
+CREATE TABLE IF NOT EXISTS trip_share_comments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  trip_id INT NOT NULL,
+  share_link_id INT NOT NULL,
+  author_name VARCHAR(100) NOT NULL,
+  body TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_trip_share_comments_trip (trip_id, created_at),
+  CONSTRAINT fk_trip_share_comments_trip FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+  CONSTRAINT fk_trip_share_comments_link FOREIGN KEY (share_link_id) REFERENCES trip_share_links(id) ON DELETE CASCADE
+);
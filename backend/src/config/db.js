@@ -3,6 +3,15 @@ const mysql = require('mysql2/promise');
 // Determine if we're in production
 const isProd = process.env.NODE_ENV === 'production';
 
+/**
+ * Query options that read DATETIME columns as written ("2025-05-02 10:30:00")
+ * Itinerary times are UTC wall-clock values; as Dates in the server's zone
+ * they would shift across DST gaps. Use with db.execute(wallClockQuery(sql), params).
+ * @param {string} sql - SQL statement
+ * @returns {Object} mysql2 query options
+ */
+const wallClockQuery = (sql) => ({ sql, dateStrings: ['DATETIME'] });
+
 // Check if MySQL configuration is available
 if (!process.env.DB_HOST && !process.env.DATABASE_URL) {
   console.log('  MySQL not configured. Database features will be disabled.');
@@ -14,6 +23,7 @@ if (!process.env.DB_HOST && !process.env.DATABASE_URL) {
     query: () => Promise.reject(new Error('Database not configured')),
     execute: () => Promise.reject(new Error('Database not configured')),
     getConnection: () => Promise.reject(new Error('Database not configured')),
+    wallClockQuery,
   };
   return;
 }
@@ -76,4 +86,5 @@ module.exports = {
   // For compatibility with existing code
   execute: pool.execute.bind(pool),
   getConnection: pool.getConnection.bind(pool),
+  wallClockQuery,
 };
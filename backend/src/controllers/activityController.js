@@ -1,5 +1,6 @@
 const ActivityModel = require('../models/activityModel');
 const ItineraryModel = require('../models/itineraryModel');
+const { emitTripEvent } = require('../services/socketService');
 
 /**
  * Activity Controller
@@ -220,8 +221,6 @@ class ActivityController {
         });
       }
 
-      // TODO: Verify that the user owns the trip
-
       const scheduleData = {
         start_time: startTime,
         end_time: endTime,
@@ -235,6 +234,11 @@ class ActivityController {
         scheduleData
       );
 
+      // Notify everyone viewing the trip
+      emitTripEvent(req, tripId, 'itinerary-item-created', {
+        item: itineraryItem
+      });
+
       res.status(201).json({
         message: 'Activity added to trip successfully',
         itineraryItem
@@ -318,7 +322,9 @@ class ActivityController {
         costMax,
         rating,
         imageUrl,
-        websiteUrl
+        websiteUrl,
+        opensAt,
+        closesAt
       } = req.body;
 
       // Input validation
@@ -339,7 +345,9 @@ class ActivityController {
         cost_max: costMax ? parseFloat(costMax) : null,
         rating: rating ? parseFloat(rating) : null,
         image_url: imageUrl,
-        website_url: websiteUrl
+        website_url: websiteUrl,
+        opens_at: opensAt || null,
+        closes_at: closesAt || null
       };
 
       const activity = await ActivityModel.createActivity(activityData);
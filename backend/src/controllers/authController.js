@@ -1,7 +1,50 @@
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const UserModel = require('../models/userModel');
-const { generateToken } = require('../middleware/auth');
+const PasswordResetModel = require('../models/passwordResetModel');
+const { sendMail } = require('../services/mailer');
+const emailTemplates = require('../services/emailTemplates');
+const UserSessionModel = require('../models/userSessionModel');
+const { startSession, refreshSession, findSessionByRefreshToken } = require('../services/sessionService');
 const { validateEmail, validatePassword } = require('../utils/validation');
+const { DEFAULT_CURRENCY, normalizeCurrency } = require('../services/currency');
+const { saveMedia, signMediaPath } = require('../services/media');
+
+/**
+ * Reset tokens are stored hashed so a database leak can't be used to reset passwords
+ * @param {string} token - Raw reset token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create a reset token for a user and email them the link
+ * Runs after the response is sent, so failures are only logged.
+ * @param {Object} user - User requesting the reset
+ * @param {string} requestedIp - IP the request came from
+ */
+const sendPasswordReset = async (user, requestedIp) => {
+  // Only the most recent link should work
+  await PasswordResetModel.invalidateForUser(user.id);
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+  await PasswordResetModel.createReset({
+    user_id: user.id,
+    token_hash: hashResetToken(token),
+    expires_at: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+    requested_ip: requestedIp
+  });
+
+  const appUrl = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:5173';
+  const resetUrl = `${appUrl}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    ...emailTemplates.passwordReset({ name: user.full_name, resetUrl, expiresInMinutes })
+  });
+};
 
 /**
  * Authentication Controller
@@ -53,7 +96,7 @@ class AuthController {
       const password_hash = await bcrypt.hash(password, saltRounds);
 
       // Handle avatar upload
-      const avatar_path = req.file ? `/uploads/${req.file.filename}` : null;
+      const avatar_path = req.file ? await saveMedia(req.file, 'avatar') : null;
 
       // Create user
       const user = await UserModel.createUser({
@@ -63,8 +106,8 @@ class AuthController {
         avatar_path
       });
 
-      // Generate token
-      const token = generateToken(user);
+      // Start a session (access token + refresh token)
+      const { token, refreshToken } = await startSession(user, req);
 
       // Return success response (exclude sensitive data)
       res.status(201).json({
@@ -73,10 +116,13 @@ class AuthController {
           id: user.id,
           fullName: user.full_name,
           email: user.email,
-          avatarPath: user.avatar_path,
+          role: user.role || 'user',
+          avatarPath: signMediaPath(user.avatar_path),
+          homeCurrency: user.home_currency || DEFAULT_CURRENCY,
           createdAt: user.created_at
         },
-        token
+        token,
+        refreshToken
       });
 
     } catch (error) {
@@ -144,8 +190,8 @@ class AuthController {
         });
       }
 
-      // Generate token
-      const token = generateToken(user);
+      // Start a session (access token + refresh token)
+      const { token, refreshToken } = await startSession(user, req);
 
       // Return success response
       res.json({
@@ -154,9 +200,12 @@ class AuthController {
           id: user.id,
           fullName: user.full_name,
           email: user.email,
-          avatarPath: user.avatar_path
+          role: user.role || 'user',
+          avatarPath: signMediaPath(user.avatar_path),
+          homeCurrency: user.home_currency || DEFAULT_CURRENCY
         },
-        token
+        token,
+        refreshToken
       });
 
     } catch (error) {
@@ -197,7 +246,9 @@ class AuthController {
           id: user.id,
           fullName: user.full_name,
           email: user.email,
-          avatarPath: user.avatar_path,
+          role: user.role || 'user',
+          avatarPath: signMediaPath(user.avatar_path),
+          homeCurrency: user.home_currency || DEFAULT_CURRENCY,
           createdAt: user.created_at
         }
       });
@@ -212,7 +263,47 @@ class AuthController {
   }
 
   /**
-   * Forgot password endpoint (placeholder)
+   * Update the current user's preferences
+   * PUT /api/auth/preferences
+   */
+  static async updatePreferences(req, res) {
+    try {
+      const homeCurrency = normalizeCurrency(req.body.homeCurrency);
+
+      if (!homeCurrency) {
+        return res.status(400).json({
+          message: 'Home currency must be a 3-letter currency code',
+          error: 'INVALID_CURRENCY'
+        });
+      }
+
+      const user = await UserModel.updateHomeCurrency(req.user.id, homeCurrency);
+
+      res.json({
+        message: 'Preferences updated successfully',
+        user: {
+          id: user.id,
+          fullName: user.full_name,
+          email: user.email,
+          role: user.role || 'user',
+          avatarPath: signMediaPath(user.avatar_path),
+          homeCurrency: user.home_currency,
+          createdAt: user.created_at
+        }
+      });
+    } catch (error) {
+      console.error('Update preferences error:', error);
+      res.status(500).json({
+        message: 'Failed to update preferences',
+        error: 'UPDATE_PREFERENCES_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Forgot password endpoint
+   * Emails a single-use reset link. Always gives the same answer so the
+   * endpoint can't be used to discover which emails have accounts.
    * POST /api/auth/forgot-password
    */
   static async forgotPassword(req, res) {
@@ -226,17 +317,19 @@ class AuthController {
         });
       }
 
-      // TODO: Implement password reset logic
-      // 1. Generate reset token
-      // 2. Save token to database with expiration
-      // 3. Send email with reset link
-      
-      // For now, return a placeholder response
+      const user = await UserModel.findByEmail(email.trim().toLowerCase());
+
       res.json({
-        message: 'If an account with that email exists, we\'ve sent password reset instructions.',
-        note: 'Password reset functionality coming soon!'
+        message: 'If an account with that email exists, we\'ve sent password reset instructions.'
       });
 
+      // Answer before doing the work so response times don't reveal which emails have accounts
+      if (user) {
+        sendPasswordReset(user, req.ip).catch(error => {
+          console.error('Send password reset error:', error);
+        });
+      }
+
     } catch (error) {
       console.error('Forgot password error:', error);
       res.status(500).json({
@@ -248,32 +341,29 @@ class AuthController {
 
   /**
    * Reset password endpoint
+   * Consumes a reset token from the emailed link and signs out existing sessions
    * POST /api/auth/reset-password
    */
   static async resetPassword(req, res) {
     try {
-      const { email, newPassword } = req.body;
+      const { token, newPassword } = req.body;
 
-      if (!email || !validateEmail(email)) {
-        return res.status(400).json({
-          message: 'Please provide a valid email address',
-          error: 'INVALID_EMAIL'
-        });
-      }
-
-      if (!newPassword || newPassword.length < 6) {
+      if (!newPassword || !validatePassword(newPassword)) {
         return res.status(400).json({
           message: 'Password must be at least 6 characters long',
           error: 'INVALID_PASSWORD'
         });
       }
 
-      // Check if user exists
-      const user = await UserModel.findByEmail(email);
-      if (!user) {
-        return res.status(404).json({
-          message: 'No account found with that email address',
-          error: 'USER_NOT_FOUND'
+      const reset = token
+        ? await PasswordResetModel.findValidByTokenHash(hashResetToken(token))
+        : null;
+
+      // markUsed only succeeds once, so a token can't be replayed concurrently
+      if (!reset || !(await PasswordResetModel.markUsed(reset.id))) {
+        return res.status(400).json({
+          message: 'This reset link is invalid or has expired. Please request a new one.',
+          error: 'INVALID_RESET_TOKEN'
         });
       }
 
@@ -281,10 +371,19 @@ class AuthController {
       const saltRounds = 12;
       const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
 
-      // Update the user's password
-      await UserModel.updatePassword(user.id, hashedPassword);
+      // Updating the password also revokes every token issued before now
+      const user = await UserModel.updatePassword(reset.user_id, hashedPassword);
+      await PasswordResetModel.invalidateForUser(reset.user_id);
+      await UserSessionModel.revokeAllForUser(reset.user_id);
 
-      console.log(`Password reset successful for user: ${email}`);
+      try {
+        await sendMail({
+          to: user.email,
+          ...emailTemplates.passwordChanged({ name: user.full_name })
+        });
+      } catch (mailError) {
+        console.error('Failed to send password changed email:', mailError);
+      }
 
       res.json({
         message: 'Password reset successful! You can now login with your new password.',
@@ -299,6 +398,157 @@ class AuthController {
       });
     }
   }
+
+  /**
+   * Exchange a refresh token for a new access/refresh token pair
+   * POST /api/auth/refresh
+   */
+  static async refresh(req, res) {
+    try {
+      const { refreshToken } = req.body;
+
+      if (!refreshToken) {
+        return res.status(400).json({
+          message: 'Refresh token is required',
+          error: 'MISSING_REFRESH_TOKEN'
+        });
+      }
+
+      const { token, refreshToken: newRefreshToken } = await refreshSession(refreshToken, req);
+
+      res.json({
+        message: 'Token refreshed successfully',
+        token,
+        refreshToken: newRefreshToken
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          message: error.message,
+          error: error.code
+        });
+      }
+
+      console.error('Refresh token error:', error);
+      res.status(500).json({
+        message: 'Failed to refresh token',
+        error: 'REFRESH_TOKEN_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Log out the current session
+   * Works with either the access token or the refresh token, so a client
+   * whose access token already expired can still end its session.
+   * POST /api/auth/logout
+   */
+  static async logout(req, res) {
+    try {
+      const { refreshToken } = req.body || {};
+      let sessionId = req.sessionId;
+
+      if (!sessionId && refreshToken) {
+        const session = await findSessionByRefreshToken(refreshToken);
+        sessionId = session ? session.id : null;
+      }
+
+      if (sessionId) {
+        await UserSessionModel.revokeSession(sessionId);
+      }
+
+      res.json({
+        message: 'Logged out successfully'
+      });
+    } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json({
+        message: 'Failed to log out',
+        error: 'LOGOUT_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Log out every session for the current user
+   * POST /api/auth/logout-all
+   */
+  static async logoutAll(req, res) {
+    try {
+      const revoked = await UserSessionModel.revokeAllForUser(req.user.id);
+
+      res.json({
+        message: 'Logged out of all sessions',
+        revoked
+      });
+    } catch (error) {
+      console.error('Logout all error:', error);
+      res.status(500).json({
+        message: 'Failed to log out of all sessions',
+        error: 'LOGOUT_ALL_ERROR'
+      });
+    }
+  }
+
+  /**
+   * List active sessions for the current user
+   * GET /api/auth/sessions
+   */
+  static async getSessions(req, res) {
+    try {
+      const sessions = await UserSessionModel.getActiveSessionsForUser(req.user.id);
+
+      res.json({
+        sessions: sessions.map(session => ({
+          id: session.id,
+          userAgent: session.user_agent,
+          ipAddress: session.ip_address,
+          createdAt: session.created_at,
+          lastSeenAt: session.last_seen_at,
+          expiresAt: session.expires_at,
+          current: session.id === req.sessionId
+        }))
+      });
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      res.status(500).json({
+        message: 'Failed to get sessions',
+        error: 'GET_SESSIONS_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Revoke one of the current user's sessions
+   * DELETE /api/auth/sessions/:id
+   */
+  static async revokeSession(req, res) {
+    try {
+      const { id } = req.params;
+
+      const session = await UserSessionModel.findById(id);
+
+      if (!session || session.user_id !== req.user.id || session.revoked_at) {
+        return res.status(404).json({
+          message: 'Session not found',
+          error: 'SESSION_NOT_FOUND'
+        });
+      }
+
+      await UserSessionModel.revokeSession(session.id);
+
+      res.json({
+        message: 'Session revoked successfully',
+        current: session.id === req.sessionId
+      });
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      res.status(500).json({
+        message: 'Failed to revoke session',
+        error: 'REVOKE_SESSION_ERROR'
+      });
+    }
+  }
 }
 
 module.exports = AuthController;
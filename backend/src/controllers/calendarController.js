@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const TripModel = require('../models/tripModel');
+const CityModel = require('../models/cityModel');
+const ItineraryModel = require('../models/itineraryModel');
+const CalendarFeedModel = require('../models/calendarFeedModel');
+const { getTripRole } = require('../middleware/tripAccess');
+const { buildTripCalendar, calendarFileName } = require('../services/icalendar');
+
+/**
+ * Render a trip's calendar and send it
+ */
+const sendTripCalendar = async (res, trip, disposition) => {
+  const [cities, items] = await Promise.all([
+    CityModel.getCitiesForTrip(trip.id),
+    ItineraryModel.getItemsForTrip(trip.id)
+  ]);
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `${disposition}; filename="${calendarFileName(trip)}"`,
+    'Cache-Control': 'no-cache'
+  });
+  res.send(buildTripCalendar({ trip, cities, items }));
+};
+
+/**
+ * Shape a feed for the API, with its subscription URLs
+ */
+const formatFeed = (req, feed) => {
+  const feedUrl = `${req.protocol}://${req.get('host')}/api/trips/calendar/${feed.token}.ics`;
+
+  return {
+    feedUrl,
+    webcalUrl: feedUrl.replace(/^https?:/, 'webcal:'),
+    createdAt: feed.created_at,
+    lastAccessedAt: feed.last_accessed_at
+  };
+};
+
+const generateFeedToken = () => crypto.randomBytes(24).toString('base64url');
+
+/**
+ * Calendar Controller
+ * Handles iCalendar export and subscription feeds for trips
+ */
+class CalendarController {
+  /**
+   * Download a trip's itinerary as an .ics file
+   * GET /api/trips/:tripId/itinerary.ics
+   */
+  static async exportTripCalendar(req, res) {
+    try {
+      await sendTripCalendar(res, req.trip, 'attachment');
+    } catch (error) {
+      console.error('Export trip calendar error:', error);
+      res.status(500).json({
+        message: 'Failed to export calendar',
+        error: 'EXPORT_CALENDAR_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Get (creating if needed) the current user's subscription feed for a trip
+   * GET /api/trips/:tripId/calendar-feed
+   */
+  static async getCalendarFeed(req, res) {
+    try {
+      const { tripId } = req.params;
+
+      const feed = await CalendarFeedModel.findActive(tripId, req.user.id)
+        || await CalendarFeedModel.createFeed(tripId, req.user.id, generateFeedToken());
+
+      res.json({
+        feed: formatFeed(req, feed)
+      });
+    } catch (error) {
+      console.error('Get calendar feed error:', error);
+      res.status(500).json({
+        message: 'Failed to get calendar feed',
+        error: 'GET_CALENDAR_FEED_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Replace the current user's feed URL, revoking the old one
+   * POST /api/trips/:tripId/calendar-feed/reset
+   */
+  static async resetCalendarFeed(req, res) {
+    try {
+      const { tripId } = req.params;
+
+      await CalendarFeedModel.revokeForUser(tripId, req.user.id);
+      const feed = await CalendarFeedModel.createFeed(tripId, req.user.id, generateFeedToken());
+
+      res.json({
+        message: 'Calendar feed URL reset successfully',
+        feed: formatFeed(req, feed)
+      });
+    } catch (error) {
+      console.error('Reset calendar feed error:', error);
+      res.status(500).json({
+        message: 'Failed to reset calendar feed',
+        error: 'RESET_CALENDAR_FEED_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Turn off the current user's feed for a trip
+   * DELETE /api/trips/:tripId/calendar-feed
+   */
+  static async revokeCalendarFeed(req, res) {
+    try {
+      await CalendarFeedModel.revokeForUser(req.params.tripId, req.user.id);
+
+      res.json({
+        message: 'Calendar feed revoked successfully'
+      });
+    } catch (error) {
+      console.error('Revoke calendar feed error:', error);
+      res.status(500).json({
+        message: 'Failed to revoke calendar feed',
+        error: 'REVOKE_CALENDAR_FEED_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Serve a subscription feed (the token is the credential)
+   * Feeds stop working once their owner loses access to the trip.
+   * GET /api/trips/calendar/:token.ics
+   */
+  static async getFeedCalendar(req, res) {
+    try {
+      const feed = await CalendarFeedModel.findActiveByToken(req.params.token);
+      const trip = feed ? await TripModel.findById(feed.trip_id) : null;
+
+      if (!trip || !(await getTripRole(trip, feed.user_id))) {
+        return res.status(404).json({
+          message: 'Calendar feed not found',
+          error: 'CALENDAR_FEED_NOT_FOUND'
+        });
+      }
+
+      await CalendarFeedModel.recordAccess(feed.id);
+      await sendTripCalendar(res, trip, 'inline');
+    } catch (error) {
+      console.error('Get calendar feed error:', error);
+      res.status(500).json({
+        message: 'Failed to get calendar feed',
+        error: 'GET_CALENDAR_FEED_ERROR'
+      });
+    }
+  }
+}
+
+module.exports = CalendarController;
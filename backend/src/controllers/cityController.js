@@ -1,5 +1,6 @@
 const CityModel = require('../models/cityModel');
 const ActivityModel = require('../models/activityModel');
+const { isTimeZone } = require('../services/timeZones');
 
 /**
  * City Controller
@@ -130,9 +131,6 @@ class CityController {
         });
       }
 
-      // TODO: Verify that the user owns the trip
-      // This would require importing TripModel and checking ownership
-
       const cityData = {
         arrival_date: arrivalDate,
         departure_date: departureDate,
@@ -171,8 +169,6 @@ class CityController {
       const { id: cityId, tripId } = req.params;
       const userId = req.user.id;
 
-      // TODO: Verify that the user owns the trip
-
       const removed = await CityModel.removeCityFromTrip(tripId, cityId);
 
       if (!removed) {
@@ -203,8 +199,6 @@ class CityController {
       const { tripId } = req.params;
       const userId = req.user.id;
 
-      // TODO: Verify that the user owns the trip
-
       const cities = await CityModel.getCitiesForTrip(tripId);
 
       res.json({
@@ -229,8 +223,6 @@ class CityController {
       const updateData = req.body;
       const userId = req.user.id;
 
-      // TODO: Verify that the user owns the trip
-
       // Find the trip city relationship
       const cities = await CityModel.getCitiesForTrip(tripId);
       const tripCity = cities.find(c => c.city_id == cityId);
@@ -292,7 +284,8 @@ class CityController {
         costIndex,
         popularityScore,
         description,
-        imageUrl
+        imageUrl,
+        timeZone
       } = req.body;
 
       // Input validation
@@ -303,6 +296,13 @@ class CityController {
         });
       }
 
+      if (timeZone && !isTimeZone(timeZone)) {
+        return res.status(400).json({
+          message: 'Time zone must be an IANA time zone such as Asia/Tokyo',
+          error: 'INVALID_TIME_ZONE'
+        });
+      }
+
       const cityData = {
         name,
         country,
@@ -312,7 +312,8 @@ class CityController {
         cost_index: costIndex ? parseFloat(costIndex) : null,
         popularity_score: popularityScore ? parseInt(popularityScore) : 0,
         description,
-        image_url: imageUrl
+        image_url: imageUrl,
+        time_zone: timeZone || null
       };
 
       const city = await CityModel.createCity(cityData);
@@ -0,0 +1,103 @@
+const ExchangeRateModel = require('../models/exchangeRateModel');
+const { BASE_CURRENCY } = require('../services/currency');
+const { parseRatesCsv, fetchProviderRates } = require('../services/exchangeRates');
+
+/**
+ * Send the stored rates
+ */
+const sendRates = (res, rates, message) => {
+  res.json({
+    ...(message && { message }),
+    base: BASE_CURRENCY,
+    rates
+  });
+};
+
+/**
+ * Exchange Rate Controller
+ * Handles stored exchange rates and their refresh
+ */
+class ExchangeRateController {
+  /**
+   * Get stored exchange rates (units per 1 USD)
+   * GET /api/exchange-rates
+   */
+  static async getRates(req, res) {
+    try {
+      sendRates(res, await ExchangeRateModel.getAll());
+    } catch (error) {
+      console.error('Get exchange rates error:', error);
+      res.status(500).json({
+        message: 'Failed to get exchange rates',
+        error: 'GET_EXCHANGE_RATES_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Update rates from an uploaded CSV of "currency,rate" lines
+   * POST /api/admin/exchange-rates/upload
+   */
+  static async uploadRates(req, res) {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          message: 'Rates CSV file is required',
+          error: 'MISSING_FILE'
+        });
+      }
+
+      const rates = parseRatesCsv(req.file.buffer.toString('utf8'));
+      const stored = await ExchangeRateModel.upsertRates(rates, 'csv');
+
+      sendRates(res, stored, `Updated ${Object.keys(rates).length} exchange rates`);
+    } catch (error) {
+      console.error('Upload exchange rates error:', error);
+
+      if (error.status) {
+        return res.status(error.status).json({
+          message: error.message,
+          error: error.code,
+          details: error.details
+        });
+      }
+
+      res.status(500).json({
+        message: 'Failed to update exchange rates',
+        error: 'UPLOAD_EXCHANGE_RATES_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Update rates from the configured provider
+   * POST /api/admin/exchange-rates/refresh
+   */
+  static async refreshRates(req, res) {
+    let source;
+
+    try {
+      const result = await fetchProviderRates();
+      source = result.source;
+
+      const stored = await ExchangeRateModel.upsertRates(result.rates, source);
+      sendRates(res, stored, `Updated ${Object.keys(result.rates).length} exchange rates from ${source}`);
+    } catch (error) {
+      console.error('Refresh exchange rates error:', error);
+
+      if (!source) {
+        return res.status(502).json({
+          message: `Could not fetch exchange rates: ${error.message}`,
+          error: 'EXCHANGE_RATE_PROVIDER_ERROR'
+        });
+      }
+
+      res.status(500).json({
+        message: 'Failed to update exchange rates',
+        error: 'REFRESH_EXCHANGE_RATES_ERROR'
+      });
+    }
+  }
+}
+
+module.exports = ExchangeRateController;
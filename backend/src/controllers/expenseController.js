@@ -0,0 +1,366 @@
+const ExpenseModel = require('../models/expenseModel');
+const ItineraryModel = require('../models/itineraryModel');
+const TripMemberModel = require('../models/tripMemberModel');
+const ExchangeRateModel = require('../models/exchangeRateModel');
+const { CATEGORIES } = require('../services/itineraryImport');
+const { emitTripEvent } = require('../services/socketService');
+const { normalizeCurrency } = require('../services/currency');
+const { splitExpense, computeBalances, settleUp } = require('../services/settlement');
+const { saveMedia, removeMedia, withSignedMedia } = require('../services/media');
+const { validateDate } = require('../utils/validation');
+
+// Receipts are served through signed media URLs
+const toExpenseResponse = (expense) => withSignedMedia(expense, ['receipt_path']);
+
+const badRequest = (message, code) => {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = code;
+  return err;
+};
+
+/**
+ * Check the expense fields in a request body
+ * Only fields present in the body are returned, so it serves both create and update.
+ * @param {Object} body - Request body (camelCase)
+ * @param {Object} trip - Trip the expense belongs to
+ * @returns {Object} Expense fields (snake_case)
+ * @throws {Error} 400 with a code naming the first invalid field
+ */
+const parseExpenseFields = async (body, trip) => {
+  const fields = {};
+
+  if (body.amount !== undefined) {
+    const amount = parseFloat(body.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw badRequest('Amount must be a number greater than 0', 'INVALID_AMOUNT');
+    }
+    fields.amount = Math.round(amount * 100) / 100;
+  }
+
+  if (body.currency !== undefined) {
+    fields.currency = body.currency ? normalizeCurrency(body.currency) : trip.currency;
+    if (!fields.currency) {
+      throw badRequest('Currency must be a 3-letter currency code', 'INVALID_CURRENCY');
+    }
+  }
+
+  if (body.category !== undefined) {
+    if (!CATEGORIES.includes(body.category)) {
+      throw badRequest(`Category must be one of: ${CATEGORIES.join(', ')}`, 'INVALID_CATEGORY');
+    }
+    fields.category = body.category;
+  }
+
+  if (body.date !== undefined) {
+    if (!validateDate(body.date)) {
+      throw badRequest('Date must be in YYYY-MM-DD format', 'INVALID_DATE');
+    }
+    fields.expense_date = body.date;
+  }
+
+  if (body.description !== undefined) {
+    fields.description = body.description ? String(body.description).slice(0, 255) : null;
+  }
+
+  // An empty item ID unlinks the expense
+  if (body.itineraryItemId !== undefined) {
+    if (body.itineraryItemId) {
+      const item = await ItineraryModel.findById(body.itineraryItemId);
+      if (!item || String(item.trip_id) !== String(trip.id)) {
+        throw badRequest('Itinerary item is not on this trip', 'INVALID_ITINERARY_ITEM');
+      }
+      fields.itinerary_item_id = item.id;
+      fields.linked_item = item;
+    } else {
+      fields.itinerary_item_id = null;
+    }
+  }
+
+  return fields;
+};
+
+/**
+ * Work out who paid for and who shares an expense
+ * Participants arrive as [{userId, share}] (a JSON string in multipart bodies).
+ * An empty splitMode stops sharing the expense. When only the amount changes,
+ * the existing split is recalculated with the same participants.
+ * @param {Object} body - Request body (camelCase)
+ * @param {Object} trip - Trip the expense belongs to
+ * @param {number} amount - Expense amount after the update
+ * @param {Object} existing - Expense being updated, or null when creating
+ * @returns {Object} {fields, splits}; splits is undefined when unchanged, null when cleared
+ * @throws {Error} 400 when the payer or a participant is not on the trip, or the split doesn't add up
+ */
+const parseSplit = async (body, trip, amount, existing = null) => {
+  const fields = {};
+  let mode = body.splitMode;
+  let participants = body.participants;
+  let members = null;
+  const recalculating = mode === undefined;
+
+  const isMember = async (userId) => {
+    members = members || await TripMemberModel.getParticipants(trip.id);
+    return members.some(member => String(member.user_id) === String(userId));
+  };
+
+  if (body.paidBy !== undefined && body.paidBy !== '') {
+    if (!await isMember(body.paidBy)) {
+      throw badRequest('The payer is not on this trip', 'INVALID_PAYER');
+    }
+    fields.paid_by = Number(body.paidBy);
+  }
+
+  if (mode === undefined) {
+    if (!existing || !existing.split_mode || amount === existing.amount) {
+      return { fields, splits: existing ? undefined : null };
+    }
+    mode = existing.split_mode;
+    participants = existing.splits.map(split => ({ userId: split.user_id, share: split.share }));
+  }
+
+  if (!mode) {
+    return { fields: { ...fields, split_mode: null }, splits: null };
+  }
+
+  if (typeof participants === 'string') {
+    try {
+      participants = JSON.parse(participants);
+    } catch (error) {
+      throw badRequest('Participants must be a JSON array', 'INVALID_PARTICIPANTS');
+    }
+  }
+
+  if (!Array.isArray(participants)) {
+    throw badRequest('Participants must be a JSON array', 'INVALID_PARTICIPANTS');
+  }
+
+  for (const participant of participants) {
+    // People who have since left keep their part of an expense being recalculated
+    if (!participant || (!recalculating && !await isMember(participant.userId))) {
+      throw badRequest('Every participant must be on this trip', 'INVALID_PARTICIPANTS');
+    }
+  }
+
+  fields.split_mode = mode;
+  const splits = splitExpense(amount, mode, participants.map(participant => ({
+    user_id: Number(participant.userId),
+    share: participant.share
+  })));
+
+  return { fields, splits };
+};
+
+const sendError = (res, error, message, code) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      message: error.message,
+      error: error.code
+    });
+  }
+
+  res.status(500).json({ message, error: code });
+};
+
+/**
+ * Expense Controller
+ * Handles actual spending logged against a trip
+ */
+class ExpenseController {
+  /**
+   * Get a trip's expenses
+   * GET /api/trips/:tripId/expenses?category=&date=
+   */
+  static async getExpenses(req, res) {
+    try {
+      const { tripId } = req.params;
+      const { category, date } = req.query;
+
+      const [expenses, actual] = await Promise.all([
+        ExpenseModel.getForTrip(tripId, { category, date }),
+        ExpenseModel.getActualCosts(tripId, req.trip.currency)
+      ]);
+
+      res.json({
+        expenses: expenses.map(toExpenseResponse),
+        totals: actual
+      });
+    } catch (error) {
+      console.error('Get expenses error:', error);
+      res.status(500).json({
+        message: 'Failed to get expenses',
+        error: 'GET_EXPENSES_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Get who owes whom across the trip's shared expenses, in the trip's currency
+   * GET /api/trips/:tripId/balances
+   */
+  static async getBalances(req, res) {
+    try {
+      const { tripId } = req.params;
+      const currency = req.trip.currency;
+
+      const [participants, expenses, rates] = await Promise.all([
+        TripMemberModel.getParticipants(tripId),
+        ExpenseModel.getForTrip(tripId),
+        ExchangeRateModel.getRateMap()
+      ]);
+
+      const sharedExpenses = expenses.filter(expense => expense.split_mode);
+      const { balances, unconverted_currencies } = computeBalances(sharedExpenses, participants, currency, rates);
+
+      res.json({
+        currency,
+        participants: participants.map(participant => withSignedMedia(participant, ['avatar_path'])),
+        balances,
+        transfers: settleUp(balances),
+        expenses: sharedExpenses.map(toExpenseResponse),
+        unconverted_currencies
+      });
+    } catch (error) {
+      console.error('Get balances error:', error);
+      res.status(500).json({
+        message: 'Failed to get balances',
+        error: 'GET_BALANCES_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Log an expense, with an optional receipt image (field "receipt")
+   * POST /api/trips/:tripId/expenses
+   */
+  static async createExpense(req, res) {
+    let receiptPath = null;
+
+    try {
+      const { tripId } = req.params;
+
+      if (req.body.amount === undefined) {
+        throw badRequest('Amount is required', 'MISSING_AMOUNT');
+      }
+
+      const { linked_item: linkedItem, ...fields } = await parseExpenseFields({
+        currency: '',
+        date: new Date().toISOString().slice(0, 10),
+        ...req.body
+      }, req.trip);
+
+      const split = await parseSplit(req.body, req.trip, fields.amount);
+
+      if (req.file) {
+        receiptPath = await saveMedia(req.file, 'receipt');
+      }
+
+      const expense = toExpenseResponse(await ExpenseModel.create({
+        ...fields,
+        ...split.fields,
+        // An expense for an itinerary item defaults to the item's category
+        category: fields.category || (linkedItem && linkedItem.category) || 'other',
+        trip_id: tripId,
+        created_by: req.user.id,
+        receipt_path: receiptPath
+      }, split.splits));
+
+      // Notify everyone viewing the trip
+      emitTripEvent(req, tripId, 'expense-created', { expense });
+
+      res.status(201).json({
+        message: 'Expense logged successfully',
+        expense
+      });
+    } catch (error) {
+      console.error('Create expense error:', error);
+      removeMedia(receiptPath);
+      sendError(res, error, 'Failed to log expense', 'CREATE_EXPENSE_ERROR');
+    }
+  }
+
+  /**
+   * Update an expense; a new receipt replaces the old one, removeReceipt=true drops it
+   * PUT /api/trips/:tripId/expenses/:expenseId
+   */
+  static async updateExpense(req, res) {
+    let receiptPath = null;
+
+    try {
+      const { tripId, expenseId } = req.params;
+
+      const existing = await ExpenseModel.findById(expenseId);
+      if (!existing || String(existing.trip_id) !== String(tripId)) {
+        return res.status(404).json({
+          message: 'Expense not found',
+          error: 'EXPENSE_NOT_FOUND'
+        });
+      }
+
+      const { linked_item: linkedItem, ...fields } = await parseExpenseFields(req.body, req.trip);
+      const split = await parseSplit(req.body, req.trip, fields.amount ?? existing.amount, existing);
+      Object.assign(fields, split.fields);
+
+      if (req.file) {
+        receiptPath = await saveMedia(req.file, 'receipt');
+        fields.receipt_path = receiptPath;
+      } else if (req.body.removeReceipt === 'true' || req.body.removeReceipt === true) {
+        fields.receipt_path = null;
+      }
+
+      const expense = toExpenseResponse(await ExpenseModel.update(expenseId, fields, split.splits));
+
+      if (fields.receipt_path !== undefined && existing.receipt_path) {
+        removeMedia(existing.receipt_path);
+      }
+
+      // Notify everyone viewing the trip
+      emitTripEvent(req, tripId, 'expense-updated', { expense });
+
+      res.json({
+        message: 'Expense updated successfully',
+        expense
+      });
+    } catch (error) {
+      console.error('Update expense error:', error);
+      removeMedia(receiptPath);
+      sendError(res, error, 'Failed to update expense', 'UPDATE_EXPENSE_ERROR');
+    }
+  }
+
+  /**
+   * Delete an expense and its receipt
+   * DELETE /api/trips/:tripId/expenses/:expenseId
+   */
+  static async deleteExpense(req, res) {
+    try {
+      const { tripId, expenseId } = req.params;
+
+      const expense = await ExpenseModel.findById(expenseId);
+      if (!expense || String(expense.trip_id) !== String(tripId)) {
+        return res.status(404).json({
+          message: 'Expense not found',
+          error: 'EXPENSE_NOT_FOUND'
+        });
+      }
+
+      await ExpenseModel.delete(expenseId);
+      removeMedia(expense.receipt_path);
+
+      // Notify everyone viewing the trip
+      emitTripEvent(req, tripId, 'expense-deleted', { expenseId: expense.id });
+
+      res.json({
+        message: 'Expense deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete expense error:', error);
+      res.status(500).json({
+        message: 'Failed to delete expense',
+        error: 'DELETE_EXPENSE_ERROR'
+      });
+    }
+  }
+}
+
+module.exports = ExpenseController;
@@ -1,4 +1,65 @@
 const ItineraryModel = require('../models/itineraryModel');
+const CityModel = require('../models/cityModel');
+const ActivityModel = require('../models/activityModel');
+const { parseCalendar } = require('../services/icalendar');
+const { CATEGORIES, buildImportPreview, planNewCities } = require('../services/itineraryImport');
+const { emitTripEvent } = require('../services/socketService');
+const { setETag, sendVersionConflict } = require('../middleware/concurrency');
+const { normalizeCurrency } = require('../services/currency');
+const { withBudgetAlerts } = require('../services/budgetAlerts');
+const { findConflicts, conflictsForItem, endsBeforeStart } = require('../services/scheduleConflicts');
+const { planDays } = require('../services/autoScheduler');
+const { optimizeCities, optimizeDays } = require('../services/routeOptimizer');
+const { toPoint } = require('../services/geo');
+const { isTimeZone, instantToLocal } = require('../services/timeZones');
+
+// Largest number of items accepted in a single import
+const MAX_IMPORT_ITEMS = 200;
+
+// Largest wish-list the auto-scheduler plans in one go
+const MAX_SCHEDULE_ACTIVITIES = 50;
+
+/**
+ * Check a trip's whole itinerary for schedule conflicts
+ * @param {Object} trip - Trip row
+ * @returns {Array} Conflicts (see scheduleConflicts.findConflicts)
+ */
+const loadConflicts = async (trip) => {
+  const [cities, items] = await Promise.all([
+    CityModel.getCitiesForTrip(trip.id),
+    ItineraryModel.getItemsForTrip(trip.id)
+  ]);
+
+  return findConflicts({ trip, cities, items });
+};
+
+/**
+ * Conflicts a saved item is part of. A failed check never fails the change.
+ */
+const itemConflicts = async (trip, itemId) => {
+  try {
+    return conflictsForItem(await loadConflicts(trip), itemId);
+  } catch (error) {
+    console.error('Schedule conflict check error:', error);
+    return [];
+  }
+};
+
+const invalidTimeRange = (res) => res.status(400).json({
+  message: 'End time must be after the start time',
+  error: 'INVALID_TIME_RANGE'
+});
+
+const invalidTimeZone = (res) => res.status(400).json({
+  message: 'Time zone must be an IANA time zone such as Europe/Paris',
+  error: 'INVALID_TIME_ZONE'
+});
+
+/**
+ * Local time of an imported calendar event in the zone it is filed under
+ * Events without a zone keep the server's local time, as before items had zones.
+ */
+const toImportTime = (value, timeZone) => (timeZone ? instantToLocal(value, timeZone) : new Date(value));
 
 /**
  * Itinerary Controller
@@ -15,8 +76,6 @@ class ItineraryController {
       const { groupByDate = 'false', category } = req.query;
       const userId = req.user.id;
 
-      // TODO: Verify that the user owns the trip
-
       const options = {
         groupByDate: groupByDate === 'true',
         category
@@ -36,6 +95,64 @@ class ItineraryController {
     }
   }
 
+  /**
+   * Check a trip's itinerary for overlaps, items outside the trip's dates,
+   * items in a city on the wrong day and impossible travel between cities
+   * GET /api/trips/:tripId/itinerary/conflicts
+   */
+  static async getItineraryConflicts(req, res) {
+    try {
+      const conflicts = await loadConflicts(req.trip);
+
+      res.json({
+        conflicts,
+        counts: {
+          errors: conflicts.filter(entry => entry.severity === 'error').length,
+          warnings: conflicts.filter(entry => entry.severity === 'warning').length
+        }
+      });
+    } catch (error) {
+      console.error('Get itinerary conflicts error:', error);
+      res.status(500).json({
+        message: 'Failed to check itinerary conflicts',
+        error: 'GET_ITINERARY_CONFLICTS_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Suggest shorter visiting orders for the trip's cities and each day's stops
+   * Apply them with PUT /cities/:cityId (order_index) and PUT /itinerary/reorder.
+   * GET /api/trips/:tripId/itinerary/route-suggestions
+   */
+  static async getRouteSuggestions(req, res) {
+    try {
+      const { tripId } = req.params;
+
+      const [cities, items] = await Promise.all([
+        CityModel.getCitiesForTrip(tripId),
+        ItineraryModel.getItemsForTrip(tripId)
+      ]);
+
+      const activityIds = [...new Set(items.filter(item => item.activity_id).map(item => item.activity_id))];
+      const activities = await ActivityModel.findByIds(activityIds);
+      const pointsByActivity = new Map(activities
+        .filter(activity => toPoint(activity))
+        .map(activity => [String(activity.id), toPoint(activity)]));
+
+      res.json({
+        cities: optimizeCities(cities),
+        days: optimizeDays(items, pointsByActivity)
+      });
+    } catch (error) {
+      console.error('Get route suggestions error:', error);
+      res.status(500).json({
+        message: 'Failed to suggest a route',
+        error: 'GET_ROUTE_SUGGESTIONS_ERROR'
+      });
+    }
+  }
+
   /**
    * Create itinerary item
    * POST /api/trips/:tripId/itinerary
@@ -51,7 +168,9 @@ class ItineraryController {
         location,
         startTime,
         endTime,
+        timeZone,
         cost,
+        currency,
         category,
         bookingReference,
         notes,
@@ -67,7 +186,22 @@ class ItineraryController {
         });
       }
 
-      // TODO: Verify that the user owns the trip
+      if (endsBeforeStart(startTime, endTime)) {
+        return invalidTimeRange(res);
+      }
+
+      // Times are local to the item's zone; without one, its city's
+      if (timeZone && !isTimeZone(timeZone)) {
+        return invalidTimeZone(res);
+      }
+
+      // Items without a currency of their own use the trip's
+      if (currency && !normalizeCurrency(currency)) {
+        return res.status(400).json({
+          message: 'Currency must be a 3-letter currency code',
+          error: 'INVALID_CURRENCY'
+        });
+      }
 
       const itemData = {
         trip_id: tripId,
@@ -78,18 +212,29 @@ class ItineraryController {
         location,
         start_time: startTime,
         end_time: endTime,
+        ...(timeZone !== undefined && { time_zone: timeZone || null }),
         cost: cost ? parseFloat(cost) : null,
+        currency: currency ? normalizeCurrency(currency) : null,
         category: category || 'other',
         booking_reference: bookingReference,
         notes,
         order_index: orderIndex || 0
       };
 
-      const itineraryItem = await ItineraryModel.createItem(itemData);
+      const { result: itineraryItem, budgetAlerts } = await withBudgetAlerts(req, () => (
+        ItineraryModel.createItem(itemData)
+      ));
+
+      // Notify everyone viewing the trip
+      emitTripEvent(req, tripId, 'itinerary-item-created', {
+        item: itineraryItem
+      });
 
       res.status(201).json({
         message: 'Itinerary item created successfully',
-        itineraryItem
+        itineraryItem,
+        budgetAlerts,
+        conflicts: await itemConflicts(req.trip, itineraryItem.id)
       });
     } catch (error) {
       console.error('Create itinerary item error:', error);
@@ -118,8 +263,7 @@ class ItineraryController {
         });
       }
 
-      // TODO: Verify that the user owns the trip that this item belongs to
-
+      setETag(res, itineraryItem);
       res.json({
         itineraryItem
       });
@@ -132,90 +276,6 @@ class ItineraryController {
     }
   }
 
-  /**
-   * Update itinerary item
-   * PUT /api/itinerary/:id
-   */
-  static async updateItineraryItem(req, res) {
-    try {
-      const { id } = req.params;
-      const updateData = req.body;
-      const userId = req.user.id;
-
-      // Check if itinerary item exists
-      const existingItem = await ItineraryModel.findById(id);
-      
-      if (!existingItem) {
-        return res.status(404).json({
-          message: 'Itinerary item not found',
-          error: 'ITINERARY_ITEM_NOT_FOUND'
-        });
-      }
-
-      // TODO: Verify that the user owns the trip that this item belongs to
-
-      // Parse cost if provided
-      if (updateData.cost) {
-        updateData.cost = parseFloat(updateData.cost);
-      }
-
-      const updatedItem = await ItineraryModel.updateItem(id, updateData);
-
-      res.json({
-        message: 'Itinerary item updated successfully',
-        itineraryItem: updatedItem
-      });
-    } catch (error) {
-      console.error('Update itinerary item error:', error);
-      res.status(500).json({
-        message: 'Failed to update itinerary item',
-        error: 'UPDATE_ITINERARY_ITEM_ERROR'
-      });
-    }
-  }
-
-  /**
-   * Delete itinerary item
-   * DELETE /api/itinerary/:id
-   */
-  static async deleteItineraryItem(req, res) {
-    try {
-      const { id } = req.params;
-      const userId = req.user.id;
-
-      // Check if itinerary item exists
-      const item = await ItineraryModel.findById(id);
-      
-      if (!item) {
-        return res.status(404).json({
-          message: 'Itinerary item not found',
-          error: 'ITINERARY_ITEM_NOT_FOUND'
-        });
-      }
-
-      // TODO: Verify that the user owns the trip that this item belongs to
-
-      const deleted = await ItineraryModel.deleteItem(id);
-
-      if (!deleted) {
-        return res.status(500).json({
-          message: 'Failed to delete itinerary item',
-          error: 'DELETE_ITINERARY_ITEM_ERROR'
-        });
-      }
-
-      res.json({
-        message: 'Itinerary item deleted successfully'
-      });
-    } catch (error) {
-      console.error('Delete itinerary item error:', error);
-      res.status(500).json({
-        message: 'Failed to delete itinerary item',
-        error: 'DELETE_ITINERARY_ITEM_ERROR'
-      });
-    }
-  }
-
   /**
    * Get trip summary
    * GET /api/trips/:tripId/summary
@@ -225,8 +285,6 @@ class ItineraryController {
       const { tripId } = req.params;
       const userId = req.user.id;
 
-      // TODO: Verify that the user owns the trip
-
       const summary = await ItineraryModel.getTripSummary(tripId);
 
       res.json({
@@ -250,8 +308,6 @@ class ItineraryController {
       const { tripId } = req.params;
       const userId = req.user.id;
 
-      // TODO: Verify that the user owns the trip
-
       const costBreakdown = await ItineraryModel.getCostBreakdown(tripId);
 
       res.json({
@@ -284,31 +340,69 @@ class ItineraryController {
         });
       }
 
-      // TODO: Verify that the user owns the trip
-
-      // Update order_index for each item
-      const updatePromises = items.map((item, index) =>
-        ItineraryModel.updateItem(item.id, { order_index: index })
-      );
+      if (items.some(item => !item.id || item.version === undefined)) {
+        return res.status(428).json({
+          message: 'Every item needs an id and the version it was loaded at',
+          error: 'VERSION_REQUIRED'
+        });
+      }
 
-      await Promise.all(updatePromises);
+      // Items may also move to new times (route suggestions re-time a day's stops)
+      const invalidTime = items.find(item => (
+        (item.startTime !== undefined && isNaN(new Date(item.startTime)))
+          || (item.endTime && isNaN(new Date(item.endTime)))
+          || (item.endTime && item.startTime === undefined)
+      ));
 
-      // Emit Socket.IO event for real-time updates
-      const io = req.app.get('io');
-      if (io) {
-        io.to(`user-${userId}`).emit('itinerary-update', {
-          type: 'items-reordered',
-          tripId,
-          items
+      if (invalidTime) {
+        return res.status(400).json({
+          message: 'New times must be valid, and an end time needs a start time',
+          error: 'INVALID_ITEM_TIME'
         });
       }
 
+      if (items.some(item => endsBeforeStart(item.startTime, item.endTime))) {
+        return invalidTimeRange(res);
+      }
+
+      const itemOrders = items.map((item, index) => ({
+        id: item.id,
+        order_index: index,
+        version: parseInt(item.version, 10),
+        ...(item.startTime !== undefined && {
+          start_time: new Date(item.startTime),
+          end_time: item.endTime ? new Date(item.endTime) : null
+        })
+      }));
+
+      const updatedItems = await ItineraryModel.reorderItems(tripId, itemOrders);
+
+      // Notify everyone viewing the trip
+      emitTripEvent(req, tripId, 'itinerary-item-reordered', {
+        items: updatedItems.map(item => ({
+          id: item.id,
+          order_index: item.order_index,
+          start_time: item.start_time,
+          end_time: item.end_time,
+          start_time_utc: item.start_time_utc,
+          end_time_utc: item.end_time_utc,
+          time_zone: item.time_zone,
+          version: item.version
+        }))
+      });
+
       res.json({
         message: 'Items reordered successfully',
-        items
+        items: updatedItems
       });
     } catch (error) {
       console.error('Reorder itinerary items error:', error);
+
+      if (error.message === 'Version conflict') {
+        const currentItems = await ItineraryModel.getItemsForTrip(req.params.tripId);
+        return sendVersionConflict(res, currentItems);
+      }
+
       res.status(500).json({
         message: 'Failed to reorder itinerary items',
         error: 'REORDER_ITINERARY_ITEMS_ERROR'
@@ -336,31 +430,61 @@ class ItineraryController {
         });
       }
 
-      // TODO: Verify that the user owns the trip that this item belongs to
+      const startTime = updateData.start_time !== undefined ? updateData.start_time : existingItem.start_time;
+      const endTime = updateData.end_time !== undefined ? updateData.end_time : existingItem.end_time;
+      if (endsBeforeStart(startTime, endTime)) {
+        return invalidTimeRange(res);
+      }
+
+      // An empty time zone leaves the item's times floating
+      if (updateData.time_zone !== undefined) {
+        if (updateData.time_zone && !isTimeZone(updateData.time_zone)) {
+          return invalidTimeZone(res);
+        }
+        updateData.time_zone = updateData.time_zone || null;
+      }
 
       // Parse cost if provided
       if (updateData.cost) {
         updateData.cost = parseFloat(updateData.cost);
       }
 
-      const updatedItem = await ItineraryModel.updateItem(id, updateData);
-
-      // Emit Socket.IO event for real-time updates
-      const io = req.app.get('io');
-      if (io) {
-        io.to(`user-${userId}`).emit('itinerary-update', {
-          type: 'item-updated',
-          tripId: existingItem.trip_id,
-          item: updatedItem
-        });
+      // An empty currency puts the item back on the trip's currency
+      if (updateData.currency !== undefined) {
+        const currency = updateData.currency ? normalizeCurrency(updateData.currency) : null;
+        if (updateData.currency && !currency) {
+          return res.status(400).json({
+            message: 'Currency must be a 3-letter currency code',
+            error: 'INVALID_CURRENCY'
+          });
+        }
+        updateData.currency = currency;
       }
 
+      const { result: updatedItem, budgetAlerts } = await withBudgetAlerts(req, () => (
+        ItineraryModel.updateItem(id, updateData, req.expectedVersion)
+      ));
+
+      // Notify everyone viewing the trip
+      emitTripEvent(req, existingItem.trip_id, 'itinerary-item-updated', {
+        item: updatedItem
+      });
+
+      setETag(res, updatedItem);
       res.json({
         message: 'Itinerary item updated successfully',
-        item: updatedItem
+        item: updatedItem,
+        budgetAlerts,
+        conflicts: await itemConflicts(req.trip, updatedItem.id)
       });
     } catch (error) {
       console.error('Update itinerary item error:', error);
+
+      if (error.message === 'Version conflict') {
+        const currentItem = await ItineraryModel.findById(req.params.id);
+        return sendVersionConflict(res, currentItem);
+      }
+
       res.status(500).json({
         message: 'Failed to update itinerary item',
         error: 'UPDATE_ITINERARY_ITEM_ERROR'
@@ -387,8 +511,6 @@ class ItineraryController {
         });
       }
 
-      // TODO: Verify that the user owns the trip that this item belongs to
-
       const deleted = await ItineraryModel.deleteItem(id);
 
       if (!deleted) {
@@ -398,15 +520,10 @@ class ItineraryController {
         });
       }
 
-      // Emit Socket.IO event for real-time updates
-      const io = req.app.get('io');
-      if (io) {
-        io.to(`user-${userId}`).emit('itinerary-update', {
-          type: 'item-deleted',
-          tripId: item.trip_id,
-          itemId: id
-        });
-      }
+      // Notify everyone viewing the trip
+      emitTripEvent(req, item.trip_id, 'itinerary-item-deleted', {
+        itemId: item.id
+      });
 
       res.json({
         message: 'Itinerary item deleted successfully'
@@ -438,7 +555,9 @@ class ItineraryController {
         });
       }
 
-      // TODO: Verify that the user owns the trip
+      if (endsBeforeStart(startTime, endTime)) {
+        return invalidTimeRange(res);
+      }
 
       const scheduleData = {
         start_time: startTime,
@@ -447,15 +566,20 @@ class ItineraryController {
         notes
       };
 
-      const itineraryItem = await ItineraryModel.addActivityToTrip(
-        tripId, 
-        activityId, 
-        scheduleData
-      );
+      const { result: itineraryItem, budgetAlerts } = await withBudgetAlerts(req, () => (
+        ItineraryModel.addActivityToTrip(tripId, activityId, scheduleData)
+      ));
+
+      // Notify everyone viewing the trip
+      emitTripEvent(req, tripId, 'itinerary-item-created', {
+        item: itineraryItem
+      });
 
       res.status(201).json({
         message: 'Activity added to itinerary successfully',
-        itineraryItem
+        itineraryItem,
+        budgetAlerts,
+        conflicts: await itemConflicts(req.trip, itineraryItem.id)
       });
     } catch (error) {
       console.error('Add activity to itinerary error:', error);
@@ -465,6 +589,337 @@ class ItineraryController {
       });
     }
   }
+  /**
+   * Preview importing an uploaded .ics file into the itinerary
+   * Nothing is saved; the client confirms (and may edit) the items it wants.
+   * POST /api/trips/:tripId/itinerary/import/preview
+   */
+  static async previewCalendarImport(req, res) {
+    try {
+      const { tripId } = req.params;
+
+      if (!req.file) {
+        return res.status(400).json({
+          message: 'An .ics file is required',
+          error: 'MISSING_CALENDAR_FILE'
+        });
+      }
+
+      const events = parseCalendar(req.file.buffer.toString('utf8'));
+
+      if (events.length === 0) {
+        return res.status(400).json({
+          message: 'No events found in the calendar file',
+          error: 'EMPTY_CALENDAR'
+        });
+      }
+
+      if (events.length > MAX_IMPORT_ITEMS) {
+        return res.status(400).json({
+          message: `Calendar files can contain at most ${MAX_IMPORT_ITEMS} events`,
+          error: 'TOO_MANY_EVENTS'
+        });
+      }
+
+      const [tripCities, existingItems] = await Promise.all([
+        CityModel.getCitiesForTrip(tripId),
+        ItineraryModel.getItemsForTrip(tripId)
+      ]);
+
+      const preview = await buildImportPreview(events, {
+        tripCities,
+        existingItems,
+        findCities: (text) => CityModel.findCitiesInText(text)
+      });
+
+      res.json({
+        preview
+      });
+    } catch (error) {
+      console.error('Preview calendar import error:', error);
+      if (error.status) {
+        return res.status(error.status).json({
+          message: error.message,
+          error: error.code
+        });
+      }
+      res.status(500).json({
+        message: 'Failed to read calendar file',
+        error: 'PREVIEW_CALENDAR_IMPORT_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Save confirmed items from an import preview
+   * Cities the items belong to are added to the trip if they aren't on it yet.
+   * POST /api/trips/:tripId/itinerary/import
+   */
+  static async importCalendarItems(req, res) {
+    try {
+      const { tripId } = req.params;
+      const { items } = req.body;
+
+      if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({
+          message: 'Items array is required',
+          error: 'MISSING_ITEMS'
+        });
+      }
+
+      if (items.length > MAX_IMPORT_ITEMS) {
+        return res.status(400).json({
+          message: `At most ${MAX_IMPORT_ITEMS} items can be imported at once`,
+          error: 'TOO_MANY_ITEMS'
+        });
+      }
+
+      const invalid = items.find(item => (
+        !item || !item.title || !item.startTime || isNaN(new Date(item.startTime))
+          || (item.endTime && isNaN(new Date(item.endTime)))
+      ));
+
+      if (invalid) {
+        return res.status(400).json({
+          message: 'Every item needs a title and a valid start time',
+          error: 'INVALID_IMPORT_ITEM'
+        });
+      }
+
+      const tripCities = await CityModel.getCitiesForTrip(tripId);
+
+      // Events and new stops are dated in their city's time zone
+      const zones = new Map(tripCities.map(city => [Number(city.city_id), city.time_zone || null]));
+      const cityIds = new Set(items.filter(item => item.cityId).map(item => Number(item.cityId)));
+
+      for (const cityId of cityIds) {
+        if (zones.has(cityId)) {
+          continue;
+        }
+
+        const row = await CityModel.findById(cityId);
+        if (!row) {
+          return res.status(400).json({
+            message: `City ${cityId} does not exist`,
+            error: 'INVALID_CITY'
+          });
+        }
+        zones.set(cityId, row.time_zone || null);
+      }
+
+      const newCities = planNewCities(items, tripCities, zones);
+
+      const itemRows = items.map(item => {
+        const timeZone = (item.cityId && zones.get(Number(item.cityId))) || null;
+        return {
+          city_id: item.cityId || null,
+          title: String(item.title).slice(0, 255),
+          description: item.description || null,
+          location: item.location || null,
+          start_time: toImportTime(item.startTime, timeZone),
+          end_time: item.endTime ? toImportTime(item.endTime, timeZone) : null,
+          time_zone: timeZone,
+          cost: item.cost ? parseFloat(item.cost) : null,
+          currency: normalizeCurrency(item.currency),
+          category: CATEGORIES.includes(item.category) ? item.category : 'other',
+          booking_reference: item.bookingReference || null,
+          notes: item.notes || null
+        };
+      });
+      const tripStops = newCities.map(city => ({
+        city_id: city.cityId,
+        arrival_date: city.arrivalDate,
+        departure_date: city.departureDate
+      }));
+
+      const { result: itineraryItems, budgetAlerts } = await withBudgetAlerts(req, () => (
+        ItineraryModel.importItems(tripId, itemRows, tripStops)
+      ));
+
+      // Notify everyone viewing the trip
+      itineraryItems.forEach(item => {
+        emitTripEvent(req, tripId, 'itinerary-item-created', {
+          item
+        });
+      });
+
+      res.status(201).json({
+        message: `Imported ${itineraryItems.length} itinerary ${itineraryItems.length === 1 ? 'item' : 'items'}`,
+        itineraryItems,
+        addedCities: newCities,
+        budgetAlerts
+      });
+    } catch (error) {
+      console.error('Import calendar items error:', error);
+      res.status(500).json({
+        message: 'Failed to import itinerary items',
+        error: 'IMPORT_CALENDAR_ITEMS_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Preview packing a wish-list of activities into the trip's days
+   * Nothing is saved; the client confirms the planned items it wants.
+   * POST /api/trips/:tripId/itinerary/auto-schedule/preview
+   */
+  static async previewAutoSchedule(req, res) {
+    try {
+      const { tripId } = req.params;
+      const { activityIds, dayStart, dayEnd, mealBreaks } = req.body;
+
+      if (!Array.isArray(activityIds) || activityIds.length === 0) {
+        return res.status(400).json({
+          message: 'Choose at least one activity',
+          error: 'MISSING_ACTIVITY_IDS'
+        });
+      }
+
+      if (activityIds.length > MAX_SCHEDULE_ACTIVITIES) {
+        return res.status(400).json({
+          message: `At most ${MAX_SCHEDULE_ACTIVITIES} activities can be planned at once`,
+          error: 'TOO_MANY_ACTIVITIES'
+        });
+      }
+
+      if (mealBreaks !== undefined && !Array.isArray(mealBreaks)) {
+        return res.status(400).json({
+          message: 'Meal breaks must be an array',
+          error: 'INVALID_SCHEDULE_OPTIONS'
+        });
+      }
+
+      const ids = [...new Set(activityIds.map(id => parseInt(id)))];
+      const [activities, stays, existingItems] = await Promise.all([
+        ActivityModel.findByIds(ids),
+        CityModel.getCitiesForTrip(tripId),
+        ItineraryModel.getItemsForTrip(tripId)
+      ]);
+
+      if (ids.some(id => isNaN(id)) || activities.length !== ids.length) {
+        return res.status(400).json({
+          message: 'One or more activities do not exist',
+          error: 'INVALID_ACTIVITY'
+        });
+      }
+
+      const plan = planDays({
+        stays,
+        activities,
+        existingItems,
+        options: { dayStart, dayEnd, mealBreaks }
+      });
+
+      res.json({
+        plan
+      });
+    } catch (error) {
+      console.error('Preview auto-schedule error:', error);
+      if (error.status) {
+        return res.status(error.status).json({
+          message: error.message,
+          error: error.code
+        });
+      }
+      res.status(500).json({
+        message: 'Failed to plan activities',
+        error: 'PREVIEW_AUTO_SCHEDULE_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Save confirmed items from an auto-schedule preview
+   * POST /api/trips/:tripId/itinerary/auto-schedule
+   */
+  static async applyAutoSchedule(req, res) {
+    try {
+      const { tripId } = req.params;
+      const { items } = req.body;
+
+      if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({
+          message: 'Items array is required',
+          error: 'MISSING_ITEMS'
+        });
+      }
+
+      if (items.length > MAX_IMPORT_ITEMS) {
+        return res.status(400).json({
+          message: `At most ${MAX_IMPORT_ITEMS} items can be scheduled at once`,
+          error: 'TOO_MANY_ITEMS'
+        });
+      }
+
+      const invalid = items.find(item => (
+        !item || !item.activityId || !item.startTime || !item.endTime
+          || isNaN(new Date(item.startTime)) || isNaN(new Date(item.endTime))
+      ));
+
+      if (invalid) {
+        return res.status(400).json({
+          message: 'Every item needs an activity and valid start and end times',
+          error: 'INVALID_SCHEDULE_ITEM'
+        });
+      }
+
+      if (items.some(item => endsBeforeStart(item.startTime, item.endTime))) {
+        return invalidTimeRange(res);
+      }
+
+      const activities = await ActivityModel.findByIds([...new Set(items.map(item => parseInt(item.activityId)))]);
+      const activitiesById = new Map(activities.map(activity => [String(activity.id), activity]));
+
+      if (items.some(item => !activitiesById.has(String(parseInt(item.activityId))))) {
+        return res.status(400).json({
+          message: 'One or more activities do not exist',
+          error: 'INVALID_ACTIVITY'
+        });
+      }
+
+      const itemRows = items.map(item => {
+        const activity = activitiesById.get(String(parseInt(item.activityId)));
+        return {
+          city_id: activity.city_id,
+          activity_id: activity.id,
+          title: activity.name,
+          description: activity.description || null,
+          location: `${activity.city_name}, ${activity.country}`,
+          start_time: new Date(item.startTime),
+          end_time: new Date(item.endTime),
+          cost: activity.cost_min,
+          currency: null,
+          category: 'activity',
+          booking_reference: null,
+          notes: null
+        };
+      });
+
+      const { result: itineraryItems, budgetAlerts } = await withBudgetAlerts(req, () => (
+        ItineraryModel.importItems(tripId, itemRows, [])
+      ));
+
+      // Notify everyone viewing the trip
+      itineraryItems.forEach(item => {
+        emitTripEvent(req, tripId, 'itinerary-item-created', {
+          item
+        });
+      });
+
+      res.status(201).json({
+        message: `Scheduled ${itineraryItems.length} ${itineraryItems.length === 1 ? 'activity' : 'activities'}`,
+        itineraryItems,
+        budgetAlerts
+      });
+    } catch (error) {
+      console.error('Apply auto-schedule error:', error);
+      res.status(500).json({
+        message: 'Failed to schedule activities',
+        error: 'APPLY_AUTO_SCHEDULE_ERROR'
+      });
+    }
+  }
+
   /**
    * Get itinerary items for a trip (alias for getTripItinerary)
    */
@@ -0,0 +1,92 @@
+const path = require('path');
+const MediaModel = require('../models/mediaModel');
+const TripModel = require('../models/tripModel');
+const { getTripRole, hasTripRole } = require('../middleware/tripAccess');
+const { getFile } = require('../services/storage');
+const { verifySignedPath } = require('../services/signedUrls');
+const { MEDIA_PATH } = require('../services/media');
+
+/**
+ * Check whether a signed-in user may see a file through one of its references
+ * Avatars are visible to any signed-in user; covers and receipts to people on the trip.
+ */
+const canSee = async (user, references) => {
+  for (const reference of references) {
+    if (reference.kind === 'avatar' || String(reference.user_id) === String(user.id)) {
+      return true;
+    }
+
+    if (reference.trip_id) {
+      const trip = await TripModel.findById(reference.trip_id);
+      if (trip && hasTripRole(await getTripRole(trip, user.id), 'viewer')) {
+        return true;
+      }
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Media Controller
+ * Serves avatars, trip cover photos and receipts from storage
+ */
+class MediaController {
+  /**
+   * Send a media file to someone allowed to see it: anyone for public trip and
+   * template covers, holders of a signed URL, or a signed-in user with access
+   * GET /media/:fileName?expires=&signature=
+   */
+  static async getMedia(req, res) {
+    try {
+      const { fileName } = req.params;
+      const notFound = () => res.status(404).json({
+        message: 'File not found',
+        error: 'MEDIA_NOT_FOUND'
+      });
+
+      if (!/^[\w.-]+$/.test(fileName)) {
+        return notFound();
+      }
+
+      const storedPath = `${MEDIA_PATH}/${fileName}`;
+      let cacheControl = 'private, max-age=3600';
+
+      if (!verifySignedPath(storedPath, req.query.expires, req.query.signature)) {
+        const references = await MediaModel.getReferences(storedPath);
+
+        if (references.some(reference => reference.is_public)) {
+          cacheControl = 'public, max-age=86400';
+        } else if (!req.user || !await canSee(req.user, references)) {
+          // Private files look missing rather than forbidden
+          return notFound();
+        }
+      }
+
+      const file = await getFile(fileName);
+      if (!file) {
+        return notFound();
+      }
+
+      res.set('Cache-Control', cacheControl);
+      res.type(file.contentType || path.extname(fileName));
+      if (file.size) {
+        res.set('Content-Length', String(file.size));
+      }
+
+      file.body.on('error', (error) => {
+        console.error('Stream media error:', error);
+        res.destroy(error);
+      });
+      file.body.pipe(res);
+    } catch (error) {
+      console.error('Get media error:', error);
+      res.status(500).json({
+        message: 'Failed to get file',
+        error: 'GET_MEDIA_ERROR'
+      });
+    }
+  }
+}
+
+module.exports = MediaController;
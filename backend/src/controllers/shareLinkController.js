@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const TripShareLinkModel = require('../models/tripShareLinkModel');
+const TripShareCommentModel = require('../models/tripShareCommentModel');
+const { validatePassword } = require('../utils/validation');
+
+const SHARE_PERMISSIONS = ['view', 'comment'];
+
+/**
+ * Build the frontend URL for a share token
+ */
+const shareUrlFor = (token) => {
+  const appUrl = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:5173';
+  return `${appUrl}/shared/${token}`;
+};
+
+/**
+ * Shape a share link row for the trip owner (never exposes the password hash)
+ */
+const formatShareLink = (link) => {
+  const { password_hash, ...rest } = link;
+
+  return {
+    ...rest,
+    has_password: Boolean(password_hash),
+    is_expired: Boolean(link.expires_at) && new Date(link.expires_at) <= new Date(),
+    share_url: shareUrlFor(link.token)
+  };
+};
+
+/**
+ * Share Link Controller
+ * Handles named, revocable public links to a trip and the comments left through them
+ */
+class ShareLinkController {
+  /**
+   * Create a share link
+   * POST /api/trips/:tripId/share-links
+   */
+  static async createShareLink(req, res) {
+    try {
+      const { tripId } = req.params;
+      const {
+        name,
+        permission = 'view',
+        expiresAt = null,
+        password = null
+      } = req.body || {};
+
+      if (!SHARE_PERMISSIONS.includes(permission)) {
+        return res.status(400).json({
+          message: 'Permission must be one of view or comment',
+          error: 'INVALID_PERMISSION'
+        });
+      }
+
+      if (name && (typeof name !== 'string' || name.trim().length > 100)) {
+        return res.status(400).json({
+          message: 'Link name must be at most 100 characters',
+          error: 'INVALID_NAME'
+        });
+      }
+
+      let expiresAtDate = null;
+      if (expiresAt) {
+        expiresAtDate = new Date(expiresAt);
+
+        if (isNaN(expiresAtDate.getTime()) || expiresAtDate <= new Date()) {
+          return res.status(400).json({
+            message: 'Expiry must be a date in the future',
+            error: 'INVALID_EXPIRY'
+          });
+        }
+      }
+
+      if (password && !validatePassword(password)) {
+        return res.status(400).json({
+          message: 'Link password must be at least 6 characters long',
+          error: 'INVALID_PASSWORD'
+        });
+      }
+
+      const token = crypto.randomBytes(24).toString('base64url');
+
+      const link = await TripShareLinkModel.createLink({
+        trip_id: tripId,
+        created_by: req.user.id,
+        name: (name && name.trim()) || 'Share link',
+        token,
+        permission,
+        password_hash: password ? await bcrypt.hash(password, 12) : null,
+        expires_at: expiresAtDate
+      });
+
+      res.status(201).json({
+        message: 'Share link created successfully',
+        shareLink: formatShareLink(link),
+        publicUrl: token,
+        shareUrl: shareUrlFor(token)
+      });
+    } catch (error) {
+      console.error('Create share link error:', error);
+      res.status(500).json({
+        message: 'Failed to create share link',
+        error: 'CREATE_SHARE_LINK_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Get active share links for a trip
+   * GET /api/trips/:tripId/share-links
+   */
+  static async getShareLinks(req, res) {
+    try {
+      const { tripId } = req.params;
+
+      const links = await TripShareLinkModel.getLinksForTrip(tripId);
+
+      res.json({
+        shareLinks: links.map(formatShareLink)
+      });
+    } catch (error) {
+      console.error('Get share links error:', error);
+      res.status(500).json({
+        message: 'Failed to get share links',
+        error: 'GET_SHARE_LINKS_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Revoke a share link
+   * DELETE /api/trips/:tripId/share-links/:linkId
+   */
+  static async revokeShareLink(req, res) {
+    try {
+      const { tripId, linkId } = req.params;
+
+      const link = await TripShareLinkModel.findById(linkId);
+
+      if (!link || link.trip_id != tripId || link.revoked_at) {
+        return res.status(404).json({
+          message: 'Share link not found',
+          error: 'SHARE_LINK_NOT_FOUND'
+        });
+      }
+
+      await TripShareLinkModel.revokeLink(linkId);
+
+      res.json({
+        message: 'Share link revoked successfully'
+      });
+    } catch (error) {
+      console.error('Revoke share link error:', error);
+      res.status(500).json({
+        message: 'Failed to revoke share link',
+        error: 'REVOKE_SHARE_LINK_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Get comments left through a trip's share links
+   * GET /api/trips/:tripId/share-comments
+   */
+  static async getShareComments(req, res) {
+    try {
+      const { tripId } = req.params;
+
+      const comments = await TripShareCommentModel.getCommentsForTrip(tripId);
+
+      res.json({
+        comments
+      });
+    } catch (error) {
+      console.error('Get share comments error:', error);
+      res.status(500).json({
+        message: 'Failed to get comments',
+        error: 'GET_SHARE_COMMENTS_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Delete a comment left through a share link
+   * DELETE /api/trips/:tripId/share-comments/:commentId
+   */
+  static async deleteShareComment(req, res) {
+    try {
+      const { tripId, commentId } = req.params;
+
+      const comment = await TripShareCommentModel.findById(commentId);
+
+      if (!comment || comment.trip_id != tripId) {
+        return res.status(404).json({
+          message: 'Comment not found',
+          error: 'COMMENT_NOT_FOUND'
+        });
+      }
+
+      await TripShareCommentModel.deleteComment(commentId);
+
+      res.json({
+        message: 'Comment deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete share comment error:', error);
+      res.status(500).json({
+        message: 'Failed to delete comment',
+        error: 'DELETE_SHARE_COMMENT_ERROR'
+      });
+    }
+  }
+}
+
+module.exports = ShareLinkController;
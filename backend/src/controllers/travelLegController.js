@@ -0,0 +1,245 @@
+const TravelLegModel = require('../models/travelLegModel');
+const CityModel = require('../models/cityModel');
+const ExchangeRateModel = require('../models/exchangeRateModel');
+const { TRAVEL_MODES, buildLegs } = require('../services/travelLegs');
+const { withBudgetAlerts } = require('../services/budgetAlerts');
+const { endsBeforeStart } = require('../services/scheduleConflicts');
+const { emitTripEvent } = require('../services/socketService');
+const { normalizeCurrency } = require('../services/currency');
+
+const badRequest = (message, code) => {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = code;
+  return err;
+};
+
+/**
+ * Check the travel leg fields in a request body
+ * Only fields present in the body are returned, so it serves both create and update.
+ * @param {Object} body - Request body (camelCase)
+ * @returns {Object} Travel leg fields (snake_case)
+ * @throws {Error} 400 with a code naming the first invalid field
+ */
+const parseLegFields = (body) => {
+  const fields = {};
+
+  if (body.mode !== undefined) {
+    if (!TRAVEL_MODES.includes(body.mode)) {
+      throw badRequest(`Mode must be one of: ${TRAVEL_MODES.join(', ')}`, 'INVALID_MODE');
+    }
+    fields.mode = body.mode;
+  }
+
+  ['departureTime', 'arrivalTime'].forEach(key => {
+    if (body[key] === undefined) return;
+    if (body[key] && isNaN(new Date(body[key]))) {
+      throw badRequest('Departure and arrival must be valid times', 'INVALID_TIME');
+    }
+    fields[key === 'departureTime' ? 'departure_time' : 'arrival_time'] = body[key] ? new Date(body[key]) : null;
+  });
+
+  // An empty cost clears it
+  if (body.cost !== undefined) {
+    const cost = body.cost === '' || body.cost === null ? null : parseFloat(body.cost);
+    if (cost !== null && (!Number.isFinite(cost) || cost < 0)) {
+      throw badRequest('Cost must be a number of at least 0', 'INVALID_COST');
+    }
+    fields.cost = cost === null ? null : Math.round(cost * 100) / 100;
+  }
+
+  if (body.currency !== undefined) {
+    fields.currency = body.currency ? normalizeCurrency(body.currency) : null;
+    if (body.currency && !fields.currency) {
+      throw badRequest('Currency must be a 3-letter currency code', 'INVALID_CURRENCY');
+    }
+  }
+
+  if (body.bookingReference !== undefined) {
+    fields.booking_reference = body.bookingReference ? String(body.bookingReference).slice(0, 100) : null;
+  }
+
+  if (body.notes !== undefined) {
+    fields.notes = body.notes || null;
+  }
+
+  return fields;
+};
+
+const sendError = (res, error, message, code) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      message: error.message,
+      error: error.code
+    });
+  }
+
+  res.status(500).json({ message, error: code });
+};
+
+/**
+ * Travel Leg Controller
+ * Handles how a trip gets from one stop to the next
+ */
+class TravelLegController {
+  /**
+   * Get the legs between a trip's consecutive stops, with distance and
+   * per-mode estimates, plus any saved legs whose stops are no longer next to each other
+   * GET /api/trips/:tripId/travel-legs
+   */
+  static async getTravelLegs(req, res) {
+    try {
+      const { tripId } = req.params;
+
+      const [cities, savedLegs, rates] = await Promise.all([
+        CityModel.getCitiesForTrip(tripId),
+        TravelLegModel.getForTrip(tripId),
+        ExchangeRateModel.getRateMap()
+      ]);
+
+      const { legs, otherLegs } = buildLegs(cities, savedLegs, { currency: req.trip.currency, rates });
+
+      res.json({
+        currency: req.trip.currency,
+        legs,
+        otherLegs
+      });
+    } catch (error) {
+      console.error('Get travel legs error:', error);
+      res.status(500).json({
+        message: 'Failed to get travel legs',
+        error: 'GET_TRAVEL_LEGS_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Add the leg between two consecutive stops
+   * POST /api/trips/:tripId/travel-legs
+   */
+  static async createTravelLeg(req, res) {
+    try {
+      const { tripId } = req.params;
+      const { fromTripCityId, toTripCityId } = req.body;
+
+      if (!req.body.mode) {
+        throw badRequest('Mode is required', 'MISSING_MODE');
+      }
+
+      const fields = parseLegFields(req.body);
+
+      if (endsBeforeStart(fields.departure_time, fields.arrival_time)) {
+        throw badRequest('Arrival must be after departure', 'INVALID_TIME_RANGE');
+      }
+
+      const cities = await CityModel.getCitiesForTrip(tripId);
+      const fromIndex = cities.findIndex(city => String(city.id) === String(fromTripCityId));
+      const to = cities[fromIndex + 1];
+
+      if (fromIndex === -1 || !to || String(to.id) !== String(toTripCityId)) {
+        throw badRequest('A travel leg must join two consecutive stops on this trip', 'INVALID_STOPS');
+      }
+
+      if (await TravelLegModel.findByStops(cities[fromIndex].id, to.id)) {
+        return res.status(409).json({
+          message: `There is already a travel leg from ${cities[fromIndex].name} to ${to.name}`,
+          error: 'TRAVEL_LEG_EXISTS'
+        });
+      }
+
+      const { result: travelLeg, budgetAlerts } = await withBudgetAlerts(req, () => (
+        TravelLegModel.create({
+          ...fields,
+          trip_id: tripId,
+          from_trip_city_id: cities[fromIndex].id,
+          to_trip_city_id: to.id
+        })
+      ));
+
+      emitTripEvent(req, tripId, 'travel-leg-created', { travelLeg });
+
+      res.status(201).json({
+        message: 'Travel leg added successfully',
+        travelLeg,
+        budgetAlerts
+      });
+    } catch (error) {
+      console.error('Create travel leg error:', error);
+      sendError(res, error, 'Failed to add travel leg', 'CREATE_TRAVEL_LEG_ERROR');
+    }
+  }
+
+  /**
+   * Update a travel leg
+   * PUT /api/trips/:tripId/travel-legs/:legId
+   */
+  static async updateTravelLeg(req, res) {
+    try {
+      const { tripId, legId } = req.params;
+
+      const existing = await TravelLegModel.findById(tripId, legId);
+      if (!existing) {
+        return res.status(404).json({
+          message: 'Travel leg not found',
+          error: 'TRAVEL_LEG_NOT_FOUND'
+        });
+      }
+
+      const fields = parseLegFields(req.body);
+      const departure = fields.departure_time !== undefined ? fields.departure_time : existing.departure_time;
+      const arrival = fields.arrival_time !== undefined ? fields.arrival_time : existing.arrival_time;
+
+      if (endsBeforeStart(departure, arrival)) {
+        throw badRequest('Arrival must be after departure', 'INVALID_TIME_RANGE');
+      }
+
+      const { result: travelLeg, budgetAlerts } = await withBudgetAlerts(req, () => (
+        TravelLegModel.update(tripId, legId, fields)
+      ));
+
+      emitTripEvent(req, tripId, 'travel-leg-updated', { travelLeg });
+
+      res.json({
+        message: 'Travel leg updated successfully',
+        travelLeg,
+        budgetAlerts
+      });
+    } catch (error) {
+      console.error('Update travel leg error:', error);
+      sendError(res, error, 'Failed to update travel leg', 'UPDATE_TRAVEL_LEG_ERROR');
+    }
+  }
+
+  /**
+   * Remove a travel leg
+   * DELETE /api/trips/:tripId/travel-legs/:legId
+   */
+  static async deleteTravelLeg(req, res) {
+    try {
+      const { tripId, legId } = req.params;
+
+      const deleted = await TravelLegModel.delete(tripId, legId);
+
+      if (!deleted) {
+        return res.status(404).json({
+          message: 'Travel leg not found',
+          error: 'TRAVEL_LEG_NOT_FOUND'
+        });
+      }
+
+      emitTripEvent(req, tripId, 'travel-leg-deleted', { travelLegId: Number(legId) });
+
+      res.json({
+        message: 'Travel leg deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete travel leg error:', error);
+      res.status(500).json({
+        message: 'Failed to delete travel leg',
+        error: 'DELETE_TRAVEL_LEG_ERROR'
+      });
+    }
+  }
+}
+
+module.exports = TravelLegController;
@@ -0,0 +1,174 @@
+const TripModel = require('../models/tripModel');
+const CityModel = require('../models/cityModel');
+const ItineraryModel = require('../models/itineraryModel');
+const ActivityModel = require('../models/activityModel');
+const {
+  readCoverImage,
+  serializeTrip,
+  createArchive,
+  validateArchive,
+  saveCoverImage,
+  removeCoverImage,
+  resolveTripReferences
+} = require('../services/tripArchive');
+
+/**
+ * Load everything an archive needs for one trip
+ */
+const loadTripForArchive = async (trip) => {
+  const [cities, items, coverImage] = await Promise.all([
+    CityModel.getCitiesForTrip(trip.id),
+    ItineraryModel.getItemsForTrip(trip.id),
+    readCoverImage(trip.cover_photo_path)
+  ]);
+
+  return serializeTrip({ trip, cities, items, coverImage });
+};
+
+/**
+ * Send an archive as a downloadable JSON file
+ */
+const sendArchive = (res, archive, fileName) => {
+  res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.json(archive);
+};
+
+/**
+ * Trip Archive Controller
+ * Handles JSON backup and restore of trips
+ */
+class TripArchiveController {
+  /**
+   * Export one trip as a JSON archive
+   * GET /api/trips/:id/export.json
+   */
+  static async exportTrip(req, res) {
+    try {
+      const archive = createArchive([await loadTripForArchive(req.trip)]);
+      const slug = String(req.trip.title || 'trip').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+      sendArchive(res, archive, `${slug || 'trip'}.json`);
+    } catch (error) {
+      console.error('Export trip archive error:', error);
+      res.status(500).json({
+        message: 'Failed to export trip',
+        error: 'EXPORT_TRIP_ARCHIVE_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Export every trip the current user owns as one JSON archive
+   * GET /api/trips/export.json
+   */
+  static async exportAllTrips(req, res) {
+    try {
+      const trips = (await TripModel.findByUserId(req.user.id, { limit: 1000 }))
+        .filter(trip => trip.role === 'owner');
+
+      const entries = [];
+      for (const trip of trips) {
+        entries.push(await loadTripForArchive(trip));
+      }
+
+      sendArchive(res, createArchive(entries), 'globetrotter-trips.json');
+    } catch (error) {
+      console.error('Export all trips error:', error);
+      res.status(500).json({
+        message: 'Failed to export trips',
+        error: 'EXPORT_TRIPS_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Restore trips from a JSON archive (uploaded as `archive` or sent as the body)
+   * Each trip is created for the current user. Cities and activities that don't
+   * exist here are listed in `unmatched` instead of failing the import.
+   * POST /api/trips/import
+   */
+  static async importTrips(req, res) {
+    try {
+      let data = req.body;
+
+      if (req.file) {
+        try {
+          data = JSON.parse(req.file.buffer.toString('utf8'));
+        } catch (error) {
+          return res.status(400).json({
+            message: 'Archive file is not valid JSON',
+            error: 'INVALID_ARCHIVE'
+          });
+        }
+      }
+
+      const archive = validateArchive(data);
+      const results = [];
+
+      for (const archivedTrip of archive.trips) {
+        let coverPhotoPath = null;
+
+        try {
+          const { cities, items, unmatched } = await resolveTripReferences(archivedTrip, {
+            findCity: (name, country) => CityModel.findByNameAndCountry(name, country),
+            findActivity: (cityId, name) => ActivityModel.findByName(cityId, name)
+          });
+
+          coverPhotoPath = await saveCoverImage(archivedTrip.coverImage);
+
+          const trip = await TripModel.importTrip(req.user.id, {
+            trip: {
+              title: archivedTrip.title,
+              description: archivedTrip.description || null,
+              start_date: archivedTrip.startDate,
+              end_date: archivedTrip.endDate,
+              cover_photo_path: coverPhotoPath,
+              budget: archivedTrip.budget,
+              currency: archivedTrip.currency,
+              status: archivedTrip.status === 'completed' ? 'completed' : 'planning'
+            },
+            cities,
+            items
+          });
+
+          results.push({
+            title: archivedTrip.title,
+            trip: { id: trip.id, title: trip.title },
+            imported: { cities: cities.length, items: items.length },
+            unmatched
+          });
+        } catch (error) {
+          console.error('Import archived trip error:', error);
+          await removeCoverImage(coverPhotoPath);
+          results.push({
+            title: archivedTrip.title,
+            trip: null,
+            error: 'Failed to import this trip'
+          });
+        }
+      }
+
+      const importedCount = results.filter(result => result.trip).length;
+
+      res.status(importedCount > 0 ? 201 : 500).json({
+        message: `Imported ${importedCount} of ${results.length} ${results.length === 1 ? 'trip' : 'trips'}`,
+        results
+      });
+    } catch (error) {
+      console.error('Import trips error:', error);
+      if (error.status) {
+        return res.status(error.status).json({
+          message: error.message,
+          error: error.code,
+          details: error.details
+        });
+      }
+      res.status(500).json({
+        message: 'Failed to import trips',
+        error: 'IMPORT_TRIPS_ERROR'
+      });
+    }
+  }
+}
+
+module.exports = TripArchiveController;
@@ -0,0 +1,177 @@
+const TripBudgetModel = require('../models/tripBudgetModel');
+const { CATEGORIES } = require('../services/itineraryImport');
+const { validateDate } = require('../utils/validation');
+
+/**
+ * Check an envelope amount
+ * @returns {number|null} The amount, or null if it isn't a non-negative number
+ */
+const parseAmount = (value) => {
+  const amount = parseFloat(value);
+  return Number.isFinite(amount) && amount >= 0 ? Math.round(amount * 100) / 100 : null;
+};
+
+/**
+ * Trip Budget Controller
+ * Handles per-category and per-day budget envelopes and their variance
+ */
+class TripBudgetController {
+  /**
+   * Get a trip's envelopes and how spending compares with them
+   * GET /api/trips/:tripId/budget
+   */
+  static async getBudget(req, res) {
+    try {
+      const { tripId } = req.params;
+
+      const budgets = await TripBudgetModel.getForTrip(tripId);
+      const variance = await TripBudgetModel.getVariance(tripId, req.trip.currency, budgets);
+
+      res.json({
+        currency: req.trip.currency,
+        totalBudget: req.trip.budget ? Number(req.trip.budget) : null,
+        budgets,
+        variance
+      });
+    } catch (error) {
+      console.error('Get trip budget error:', error);
+      res.status(500).json({
+        message: 'Failed to get trip budget',
+        error: 'GET_TRIP_BUDGET_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Add an envelope for a category or a day
+   * POST /api/trips/:tripId/budget
+   */
+  static async createBudget(req, res) {
+    try {
+      const { tripId } = req.params;
+      const { category, date } = req.body;
+      const amount = parseAmount(req.body.amount);
+
+      if (!category === !date) {
+        return res.status(400).json({
+          message: 'A budget needs either a category or a date',
+          error: 'INVALID_BUDGET_SCOPE'
+        });
+      }
+
+      if (category && !CATEGORIES.includes(category)) {
+        return res.status(400).json({
+          message: `Category must be one of: ${CATEGORIES.join(', ')}`,
+          error: 'INVALID_CATEGORY'
+        });
+      }
+
+      if (date && !validateDate(date)) {
+        return res.status(400).json({
+          message: 'Date must be in YYYY-MM-DD format',
+          error: 'INVALID_DATE'
+        });
+      }
+
+      if (amount === null) {
+        return res.status(400).json({
+          message: 'Amount must be a number of at least 0',
+          error: 'INVALID_AMOUNT'
+        });
+      }
+
+      const scope = category ? { category } : { budget_date: date };
+
+      if (await TripBudgetModel.findByScope(tripId, scope)) {
+        return res.status(409).json({
+          message: category
+            ? `There is already a budget for ${category}`
+            : `There is already a budget for ${date}`,
+          error: 'BUDGET_EXISTS'
+        });
+      }
+
+      const budget = await TripBudgetModel.create(tripId, { ...scope, amount });
+
+      res.status(201).json({
+        message: 'Budget created successfully',
+        budget
+      });
+    } catch (error) {
+      console.error('Create trip budget error:', error);
+      res.status(500).json({
+        message: 'Failed to create budget',
+        error: 'CREATE_TRIP_BUDGET_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Change an envelope's amount
+   * PUT /api/trips/:tripId/budget/:budgetId
+   */
+  static async updateBudget(req, res) {
+    try {
+      const { tripId, budgetId } = req.params;
+      const amount = parseAmount(req.body.amount);
+
+      if (amount === null) {
+        return res.status(400).json({
+          message: 'Amount must be a number of at least 0',
+          error: 'INVALID_AMOUNT'
+        });
+      }
+
+      const budget = await TripBudgetModel.updateAmount(tripId, budgetId, amount);
+
+      if (!budget) {
+        return res.status(404).json({
+          message: 'Budget not found',
+          error: 'BUDGET_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        message: 'Budget updated successfully',
+        budget
+      });
+    } catch (error) {
+      console.error('Update trip budget error:', error);
+      res.status(500).json({
+        message: 'Failed to update budget',
+        error: 'UPDATE_TRIP_BUDGET_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Remove an envelope
+   * DELETE /api/trips/:tripId/budget/:budgetId
+   */
+  static async deleteBudget(req, res) {
+    try {
+      const { tripId, budgetId } = req.params;
+
+      const deleted = await TripBudgetModel.delete(tripId, budgetId);
+
+      if (!deleted) {
+        return res.status(404).json({
+          message: 'Budget not found',
+          error: 'BUDGET_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        message: 'Budget deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete trip budget error:', error);
+      res.status(500).json({
+        message: 'Failed to delete budget',
+        error: 'DELETE_TRIP_BUDGET_ERROR'
+      });
+    }
+  }
+}
+
+module.exports = TripBudgetController;
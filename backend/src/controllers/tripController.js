@@ -1,6 +1,168 @@
+const bcrypt = require('bcrypt');
 const TripModel = require('../models/tripModel');
 const CityModel = require('../models/cityModel');
 const ItineraryModel = require('../models/itineraryModel');
+const ExpenseModel = require('../models/expenseModel');
+const TripShareLinkModel = require('../models/tripShareLinkModel');
+const TripShareCommentModel = require('../models/tripShareCommentModel');
+const TravelLegModel = require('../models/travelLegModel');
+const ExchangeRateModel = require('../models/exchangeRateModel');
+const { setETag, sendVersionConflict } = require('../middleware/concurrency');
+const { getTripRole } = require('../middleware/tripAccess');
+const { renderTripBooklet } = require('../services/tripBooklet');
+const { DEFAULT_CURRENCY, normalizeCurrency } = require('../services/currency');
+const { comparePlanToActual } = require('../services/budget');
+const { buildLegs } = require('../services/travelLegs');
+const { readFile } = require('../services/storage');
+const { mediaKey, saveMedia, removeMedia, withSignedMedia } = require('../services/media');
+const { emitTripEvent } = require('../services/socketService');
+
+// Trip fields that are safe to show on a public share page
+const PUBLIC_TRIP_FIELDS = [
+  'id', 'title', 'description', 'start_date', 'end_date',
+  'cover_photo_path', 'budget', 'currency', 'status', 'user_name', 'created_at'
+];
+
+/**
+ * Strip owner contact details from a trip shown to anonymous viewers
+ */
+const toPublicTrip = (trip) => withSignedMedia(Object.fromEntries(
+  PUBLIC_TRIP_FIELDS.map(field => [field, trip[field]])
+));
+
+/**
+ * Strip booking references from an itinerary item or travel leg shown to anonymous viewers
+ */
+const toPublicItem = ({ booking_reference, ...item }) => item;
+
+// Longest comment a share link visitor can leave
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Shape a share comment for the public trip page
+ */
+const toPublicComment = ({ id, author_name, body, created_at }) => ({ id, author_name, body, created_at });
+
+/**
+ * Build an error that the public trip handlers turn into an HTTP response
+ */
+const publicTripError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+};
+
+/**
+ * Resolve a share token to its trip, enforcing revocation, expiry and password
+ * @param {string} publicUrl - Share link token
+ * @param {string|undefined} password - Password from the X-Share-Password header
+ * @returns {Object} { link, trip }
+ */
+const resolveShareLink = async (publicUrl, password) => {
+  const link = await TripShareLinkModel.findByToken(publicUrl);
+
+  if (!link || link.revoked_at) {
+    throw publicTripError(404, 'Shared trip not found', 'SHARED_TRIP_NOT_FOUND');
+  }
+
+  if (link.expires_at && new Date(link.expires_at) <= new Date()) {
+    throw publicTripError(410, 'This share link has expired', 'SHARE_LINK_EXPIRED');
+  }
+
+  if (link.password_hash) {
+    if (!password) {
+      throw publicTripError(403, 'This shared trip is password protected', 'SHARE_PASSWORD_REQUIRED');
+    }
+
+    if (!(await bcrypt.compare(password, link.password_hash))) {
+      throw publicTripError(403, 'Incorrect password', 'INVALID_SHARE_PASSWORD');
+    }
+  }
+
+  const trip = await TripModel.findById(link.trip_id);
+
+  if (!trip) {
+    throw publicTripError(404, 'Shared trip not found', 'SHARED_TRIP_NOT_FOUND');
+  }
+
+  return { link, trip };
+};
+
+/**
+ * Load everything the public trip page shows, without private fields
+ * @param {Object} trip - Trip row
+ * @returns {Object} Public trip with cities, travel legs, day-by-day itinerary, summary and cost breakdown
+ */
+const buildPublicTrip = async (trip) => {
+  const [cities, itinerary, summary, costBreakdown, savedLegs, rates] = await Promise.all([
+    CityModel.getCitiesForTrip(trip.id),
+    ItineraryModel.getItemsForTrip(trip.id, { groupByDate: true }),
+    ItineraryModel.getTripSummary(trip.id),
+    ItineraryModel.getCostBreakdown(trip.id),
+    TravelLegModel.getForTrip(trip.id),
+    ExchangeRateModel.getRateMap()
+  ]);
+
+  const { legs } = buildLegs(cities, savedLegs, { currency: trip.currency, rates });
+
+  return {
+    ...toPublicTrip(trip),
+    cities,
+    travelLegs: legs.map(entry => ({ ...entry, leg: entry.leg && toPublicItem(entry.leg) })),
+    itinerary: Object.fromEntries(
+      Object.entries(itinerary).map(([date, items]) => [date, items.map(toPublicItem)])
+    ),
+    summary,
+    costBreakdown
+  };
+};
+
+/**
+ * Format a DATE column value as YYYY-MM-DD
+ */
+const toDateString = (value) => {
+  if (value instanceof Date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value).slice(0, 10);
+};
+
+/**
+ * Copy a trip into the current user's account using the options in the request body
+ * Booking references are only kept for members of the source trip; copies made
+ * through a share link or of a featured trip never include them, as the public
+ * view hides them too (see toPublicItem).
+ * @param {Object} req - Express request (body: startDate, title, resetBookings, resetCosts)
+ * @param {Object} trip - Source trip row
+ * @returns {Object} Created trip
+ */
+const copyTripForUser = async (req, trip) => {
+  const { startDate, title, resetBookings = true, resetCosts = false } = req.body || {};
+
+  if (startDate && (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || isNaN(Date.parse(startDate)))) {
+    throw publicTripError(400, 'Start date must be a valid YYYY-MM-DD date', 'INVALID_START_DATE');
+  }
+
+  if (title !== undefined && (typeof title !== 'string' || !title.trim() || title.trim().length > 255)) {
+    throw publicTripError(400, 'Title must be between 1 and 255 characters', 'INVALID_TITLE');
+  }
+
+  // Shift every date by the distance between the old and new start dates
+  const dayOffset = startDate && trip.start_date
+    ? Math.round((Date.parse(startDate) - Date.parse(toDateString(trip.start_date))) / (24 * 60 * 60 * 1000))
+    : 0;
+
+  const role = await getTripRole(trip, req.user.id);
+
+  return TripModel.cloneTrip(trip.id, req.user.id, {
+    title: title ? title.trim() : trip.user_id === req.user.id ? `${trip.title} (copy)` : trip.title,
+    dayOffset,
+    resetBookings: role ? Boolean(resetBookings) : true,
+    resetCosts: Boolean(resetCosts)
+  });
+};
 
 /**
  * Trip Controller
@@ -13,7 +175,7 @@ class TripController {
    */
   static async createTrip(req, res) {
     try {
-      const { title, description, startDate, endDate, budget } = req.body;
+      const { title, description, startDate, endDate, budget, currency } = req.body;
       const userId = req.user.id;
 
       // Input validation
@@ -35,8 +197,17 @@ class TripController {
         });
       }
 
+      // Trips default to the owner's home currency
+      const tripCurrency = currency ? normalizeCurrency(currency) : req.user.home_currency || DEFAULT_CURRENCY;
+      if (!tripCurrency) {
+        return res.status(400).json({
+          message: 'Currency must be a 3-letter currency code',
+          error: 'INVALID_CURRENCY'
+        });
+      }
+
       // Handle cover photo upload
-      const coverPhotoPath = req.file ? `/uploads/${req.file.filename}` : null;
+      const coverPhotoPath = req.file ? await saveMedia(req.file, 'trip-cover') : null;
 
       const tripData = {
         user_id: userId,
@@ -45,10 +216,11 @@ class TripController {
         start_date: startDate,
         end_date: endDate,
         cover_photo_path: coverPhotoPath,
-        budget: budget ? parseFloat(budget) : null
+        budget: budget ? parseFloat(budget) : null,
+        currency: tripCurrency
       };
 
-      const trip = await TripModel.createTrip(tripData);
+      const trip = withSignedMedia(await TripModel.createTrip(tripData));
 
       // Emit Socket.IO event for real-time updates
       const io = req.app.get('io');
@@ -84,10 +256,11 @@ class TripController {
       const options = {
         limit: parseInt(limit),
         offset: parseInt(offset),
-        status
+        status,
+        homeCurrency: req.user.home_currency
       };
 
-      const trips = await TripModel.findByUserId(userId, options);
+      const trips = (await TripModel.findByUserId(userId, options)).map(trip => withSignedMedia(trip));
 
       res.json({
         trips,
@@ -113,24 +286,7 @@ class TripController {
   static async getTripById(req, res) {
     try {
       const { id } = req.params;
-      const userId = req.user.id;
-
-      const trip = await TripModel.findById(id);
-
-      if (!trip) {
-        return res.status(404).json({
-          message: 'Trip not found',
-          error: 'TRIP_NOT_FOUND'
-        });
-      }
-
-      // Check if user owns the trip
-      if (trip.user_id !== userId) {
-        return res.status(403).json({
-          message: 'Access denied',
-          error: 'ACCESS_DENIED'
-        });
-      }
+      const trip = req.trip;
 
       // Get additional trip data
       const [cities, stats, summary] = await Promise.all([
@@ -139,12 +295,14 @@ class TripController {
         ItineraryModel.getTripSummary(id)
       ]);
 
+      setETag(res, trip);
       res.json({
         trip: {
-          ...trip,
+          ...withSignedMedia(trip),
           cities,
           stats,
-          summary
+          summary,
+          role: req.tripRole
         }
       });
     } catch (error) {
@@ -161,32 +319,30 @@ class TripController {
    * PUT /api/trips/:id
    */
   static async updateTrip(req, res) {
+    let coverPath = null;
+
     try {
       const { id } = req.params;
-      const userId = req.user.id;
       const updateData = req.body;
 
-      // Check if trip exists and user owns it
-      const existingTrip = await TripModel.findById(id);
-      
-      if (!existingTrip) {
-        return res.status(404).json({
-          message: 'Trip not found',
-          error: 'TRIP_NOT_FOUND'
-        });
+      // Only owners can change the trip's visibility; featuring is admin-only
+      if (req.tripRole !== 'owner') {
+        delete updateData.is_public;
       }
+      delete updateData.featured;
 
-      if (existingTrip.user_id !== userId) {
-        return res.status(403).json({
-          message: 'Access denied',
-          error: 'ACCESS_DENIED'
-        });
+      if (updateData.currency !== undefined) {
+        updateData.currency = normalizeCurrency(updateData.currency);
+        if (!updateData.currency) {
+          return res.status(400).json({
+            message: 'Currency must be a 3-letter currency code',
+            error: 'INVALID_CURRENCY'
+          });
+        }
       }
 
-      // Handle cover photo upload
-      if (req.file) {
-        updateData.cover_photo_path = `/uploads/${req.file.filename}`;
-      }
+      // The stored cover path can't be set directly
+      delete updateData.cover_photo_path;
 
       // Validate dates if provided
       if (updateData.start_date && updateData.end_date) {
@@ -201,23 +357,48 @@ class TripController {
         }
       }
 
-      const updatedTrip = await TripModel.updateTrip(id, updateData);
+      // Save the upload last; it is removed again if the update fails
+      if (req.file) {
+        coverPath = await saveMedia(req.file, 'trip-cover');
+        updateData.cover_photo_path = coverPath;
+      }
 
-      // Emit Socket.IO event for real-time updates
+      const updatedTrip = withSignedMedia(await TripModel.updateTrip(id, updateData, req.expectedVersion));
+
+      // Notify everyone viewing the trip, and the owner's trip list
+      emitTripEvent(req, id, 'trip-update', {
+        type: 'updated',
+        trip: updatedTrip
+      });
       const io = req.app.get('io');
       if (io) {
-        io.to(`user-${userId}`).emit('trip-update', {
+        io.to(`user-${req.trip.user_id}`).emit('trip-update', {
           type: 'updated',
           trip: updatedTrip
         });
       }
 
+      setETag(res, updatedTrip);
       res.json({
         message: 'Trip updated successfully',
         trip: updatedTrip
       });
     } catch (error) {
       console.error('Update trip error:', error);
+      removeMedia(coverPath);
+
+      if (error.message === 'Version conflict') {
+        const currentTrip = await TripModel.findById(req.params.id);
+        return sendVersionConflict(res, currentTrip);
+      }
+
+      if (error.message === 'No valid fields to update') {
+        return res.status(400).json({
+          message: 'No valid fields to update',
+          error: 'NO_FIELDS'
+        });
+      }
+
       res.status(500).json({
         message: 'Failed to update trip',
         error: 'UPDATE_TRIP_ERROR'
@@ -232,24 +413,6 @@ class TripController {
   static async deleteTrip(req, res) {
     try {
       const { id } = req.params;
-      const userId = req.user.id;
-
-      // Check if trip exists and user owns it
-      const trip = await TripModel.findById(id);
-      
-      if (!trip) {
-        return res.status(404).json({
-          message: 'Trip not found',
-          error: 'TRIP_NOT_FOUND'
-        });
-      }
-
-      if (trip.user_id !== userId) {
-        return res.status(403).json({
-          message: 'Access denied',
-          error: 'ACCESS_DENIED'
-        });
-      }
 
       const deleted = await TripModel.deleteTrip(id);
 
@@ -263,7 +426,7 @@ class TripController {
       // Emit Socket.IO event for real-time updates
       const io = req.app.get('io');
       if (io) {
-        io.to(`user-${userId}`).emit('trip-update', {
+        io.to(`user-${req.trip.user_id}`).emit('trip-update', {
           type: 'deleted',
           tripId: id
         });
@@ -282,124 +445,243 @@ class TripController {
   }
 
   /**
-   * Generate public URL for trip sharing
-   * POST /api/trips/:id/share
+   * Get public trip by share link token
+   * Password-protected links expect the password in the X-Share-Password header.
+   * GET /api/trips/shared/:publicUrl
    */
-  static async shareTrip(req, res) {
+  static async getSharedTrip(req, res) {
     try {
-      const { id } = req.params;
-      const userId = req.user.id;
+      const { link, trip } = await resolveShareLink(req.params.publicUrl, req.get('X-Share-Password'));
 
-      // Check if trip exists and user owns it
-      const trip = await TripModel.findById(id);
-      
-      if (!trip) {
-        return res.status(404).json({
-          message: 'Trip not found',
-          error: 'TRIP_NOT_FOUND'
+      const canComment = link.permission === 'comment';
+
+      const [publicTrip, comments] = await Promise.all([
+        buildPublicTrip(trip),
+        canComment ? TripShareCommentModel.getCommentsForTrip(trip.id) : [],
+        TripShareLinkModel.recordAccess(link.id)
+      ]);
+
+      res.json({
+        trip: publicTrip,
+        share: {
+          name: link.name,
+          permission: link.permission,
+          expires_at: link.expires_at
+        },
+        ...(canComment && { comments: comments.map(toPublicComment) })
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          message: error.message,
+          error: error.code
         });
       }
 
-      if (trip.user_id !== userId) {
+      console.error('Get shared trip error:', error);
+      res.status(500).json({
+        message: 'Failed to get shared trip',
+        error: 'GET_SHARED_TRIP_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Comment on a shared trip through a comment link
+   * POST /api/trips/shared/:publicUrl/comments
+   */
+  static async addSharedTripComment(req, res) {
+    try {
+      const { link, trip } = await resolveShareLink(req.params.publicUrl, req.get('X-Share-Password'));
+
+      if (link.permission !== 'comment') {
         return res.status(403).json({
-          message: 'Access denied',
-          error: 'ACCESS_DENIED'
+          message: 'This share link does not allow comments',
+          error: 'COMMENTS_NOT_ALLOWED'
         });
       }
 
-      const publicUrl = await TripModel.generatePublicUrl(id);
+      const { authorName, body } = req.body || {};
+      const name = typeof authorName === 'string' ? authorName.trim() : '';
+      const text = typeof body === 'string' ? body.trim() : '';
 
-      res.json({
-        message: 'Trip shared successfully',
-        publicUrl,
-        shareUrl: `${req.protocol}://${req.get('host')}/shared/${publicUrl}`
+      if (!name || name.length > 100) {
+        return res.status(400).json({
+          message: 'Name is required and must be at most 100 characters',
+          error: 'INVALID_AUTHOR_NAME'
+        });
+      }
+
+      if (!text || text.length > MAX_COMMENT_LENGTH) {
+        return res.status(400).json({
+          message: `Comment is required and must be at most ${MAX_COMMENT_LENGTH} characters`,
+          error: 'INVALID_COMMENT'
+        });
+      }
+
+      const comment = await TripShareCommentModel.createComment({
+        trip_id: trip.id,
+        share_link_id: link.id,
+        author_name: name,
+        body: text
+      });
+
+      res.status(201).json({
+        message: 'Comment added successfully',
+        comment: toPublicComment(comment)
       });
     } catch (error) {
-      console.error('Share trip error:', error);
+      if (error.status) {
+        return res.status(error.status).json({
+          message: error.message,
+          error: error.code
+        });
+      }
+
+      console.error('Add shared trip comment error:', error);
       res.status(500).json({
-        message: 'Failed to share trip',
-        error: 'SHARE_TRIP_ERROR'
+        message: 'Failed to add comment',
+        error: 'ADD_COMMENT_ERROR'
       });
     }
   }
 
   /**
-   * Get public trip by URL
-   * GET /api/trips/shared/:publicUrl
+   * Copy a shared trip into the current user's account
+   * POST /api/trips/shared/:publicUrl/clone
    */
-  static async getSharedTrip(req, res) {
+  static async cloneSharedTrip(req, res) {
     try {
-      const { publicUrl } = req.params;
+      const { trip } = await resolveShareLink(req.params.publicUrl, req.get('X-Share-Password'));
 
-      const trip = await TripModel.findByPublicUrl(publicUrl);
+      const newTrip = withSignedMedia(await copyTripForUser(req, trip));
 
-      if (!trip) {
-        return res.status(404).json({
-          message: 'Shared trip not found',
-          error: 'SHARED_TRIP_NOT_FOUND'
+      res.status(201).json({
+        message: 'Trip copied successfully',
+        trip: newTrip
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          message: error.message,
+          error: error.code
         });
       }
 
-      // Get additional trip data
-      const [cities, itinerary, summary] = await Promise.all([
-        CityModel.getCitiesForTrip(trip.id),
-        ItineraryModel.getItemsForTrip(trip.id, { groupByDate: true }),
-        ItineraryModel.getTripSummary(trip.id)
-      ]);
-
-      res.json({
-        trip: {
-          ...trip,
-          cities,
-          itinerary,
-          summary
-        }
-      });
-    } catch (error) {
-      console.error('Get shared trip error:', error);
+      console.error('Clone shared trip error:', error);
       res.status(500).json({
-        message: 'Failed to get shared trip',
-        error: 'GET_SHARED_TRIP_ERROR'
+        message: 'Failed to copy trip',
+        error: 'CLONE_TRIP_ERROR'
       });
     }
   }
 
   /**
-   * Get trip statistics
-   * GET /api/trips/:id/stats
+   * Copy a trip the user can see (their own, one shared with them, or a featured one)
+   * POST /api/trips/:id/clone
    */
-  static async getTripStats(req, res) {
+  static async cloneTrip(req, res) {
     try {
-      const { id } = req.params;
-      const userId = req.user.id;
+      const trip = await TripModel.findById(req.params.id);
 
-      // Check if trip exists and user owns it
-      const trip = await TripModel.findById(id);
-      
-      if (!trip) {
+      if (!trip || !(trip.featured || await getTripRole(trip, req.user.id))) {
         return res.status(404).json({
           message: 'Trip not found',
           error: 'TRIP_NOT_FOUND'
         });
       }
 
-      if (trip.user_id !== userId) {
-        return res.status(403).json({
-          message: 'Access denied',
-          error: 'ACCESS_DENIED'
+      const newTrip = withSignedMedia(await copyTripForUser(req, trip));
+
+      res.status(201).json({
+        message: 'Trip copied successfully',
+        trip: newTrip
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          message: error.message,
+          error: error.code
         });
       }
 
-      const [stats, summary, costBreakdown] = await Promise.all([
+      console.error('Clone trip error:', error);
+      res.status(500).json({
+        message: 'Failed to copy trip',
+        error: 'CLONE_TRIP_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Get featured trips
+   * GET /api/trips/featured
+   */
+  static async getFeaturedTrips(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 12, 50);
+
+      const trips = (await TripModel.getFeaturedTrips(limit)).map(trip => withSignedMedia(trip));
+
+      res.json({ trips });
+    } catch (error) {
+      console.error('Get featured trips error:', error);
+      res.status(500).json({
+        message: 'Failed to get featured trips',
+        error: 'GET_FEATURED_TRIPS_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Get a featured trip for the public trip page
+   * GET /api/trips/featured/:id
+   */
+  static async getFeaturedTrip(req, res) {
+    try {
+      const trip = await TripModel.findById(req.params.id);
+
+      if (!trip || !trip.featured) {
+        return res.status(404).json({
+          message: 'Featured trip not found',
+          error: 'FEATURED_TRIP_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        trip: await buildPublicTrip(trip)
+      });
+    } catch (error) {
+      console.error('Get featured trip error:', error);
+      res.status(500).json({
+        message: 'Failed to get featured trip',
+        error: 'GET_FEATURED_TRIP_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Get trip statistics, including planned vs. actual spending per category and day
+   * GET /api/trips/:id/stats
+   */
+  static async getTripStats(req, res) {
+    try {
+      const { id } = req.params;
+      const currency = req.trip.currency;
+
+      const [stats, summary, costBreakdown, dailyCosts, actual] = await Promise.all([
         TripModel.getTripStats(id),
         ItineraryModel.getTripSummary(id),
-        ItineraryModel.getCostBreakdown(id)
+        ItineraryModel.getCostBreakdown(id),
+        ItineraryModel.getDailyCosts(id),
+        ExpenseModel.getActualCosts(id, currency)
       ]);
 
       res.json({
         stats,
         summary,
-        costBreakdown
+        costBreakdown,
+        planVsActual: comparePlanToActual(costBreakdown, dailyCosts, actual, currency)
       });
     } catch (error) {
       console.error('Get trip stats error:', error);
@@ -409,6 +691,46 @@ class TripController {
       });
     }
   }
+
+  /**
+   * Download a printable PDF booklet of the trip
+   * GET /api/trips/:id/export.pdf
+   */
+  static async exportTripPdf(req, res) {
+    try {
+      const { id } = req.params;
+      const trip = req.trip;
+
+      const [cities, items, costBreakdown, coverPhoto] = await Promise.all([
+        CityModel.getCitiesForTrip(id),
+        ItineraryModel.getItemsForTrip(id),
+        ItineraryModel.getCostBreakdown(id),
+        readFile(mediaKey(trip.cover_photo_path))
+      ]);
+
+      const doc = renderTripBooklet({
+        trip,
+        cities,
+        items,
+        itinerary: ItineraryModel.groupItemsByDate(items),
+        costBreakdown,
+        coverPhoto
+      });
+
+      const slug = String(trip.title || 'trip').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${slug || 'trip'}.pdf"`
+      });
+      doc.pipe(res);
+    } catch (error) {
+      console.error('Export trip PDF error:', error);
+      res.status(500).json({
+        message: 'Failed to export trip',
+        error: 'EXPORT_TRIP_PDF_ERROR'
+      });
+    }
+  }
 }
 
 module.exports = TripController;
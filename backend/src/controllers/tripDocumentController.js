@@ -0,0 +1,234 @@
+const TripDocumentModel = require('../models/tripDocumentModel');
+const ItineraryModel = require('../models/itineraryModel');
+const { emitTripEvent } = require('../services/socketService');
+const { signPath } = require('../services/signedUrls');
+const {
+  DOCUMENT_KINDS,
+  DOCUMENT_UPLOAD_RULES,
+  saveDocumentFile,
+  createThumbnail,
+  getDocumentFile,
+  removeDocumentFiles
+} = require('../services/documents');
+const { validateFileUpload } = require('../utils/validation');
+
+const badRequest = (message, code) => {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = code;
+  return err;
+};
+
+/**
+ * Shape a document for the API
+ * Stored file names stay private; the file and thumbnail are reachable only
+ * through signed, expiring URLs.
+ */
+const toDocumentResponse = (document) => {
+  const { stored_name, thumbnail_name, ...fields } = document;
+  const basePath = `/api/trips/${document.trip_id}/documents/${document.id}`;
+
+  return {
+    ...fields,
+    download_url: signPath(`${basePath}/file`),
+    thumbnail_url: thumbnail_name ? signPath(`${basePath}/thumbnail`) : null
+  };
+};
+
+/**
+ * Trip Document Controller
+ * Handles tickets, visas, insurance papers and receipts uploaded to a trip
+ */
+class TripDocumentController {
+  /**
+   * Get a trip's documents, with signed URLs
+   * GET /api/trips/:tripId/documents?itineraryItemId=&kind=
+   */
+  static async getDocuments(req, res) {
+    try {
+      const { tripId } = req.params;
+      const { itineraryItemId, kind } = req.query;
+
+      const documents = await TripDocumentModel.getForTrip(tripId, { itineraryItemId, kind });
+
+      res.json({
+        documents: documents.map(toDocumentResponse)
+      });
+    } catch (error) {
+      console.error('Get documents error:', error);
+      res.status(500).json({
+        message: 'Failed to get documents',
+        error: 'GET_DOCUMENTS_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Upload one or more documents (field "files"), optionally for an itinerary item
+   * POST /api/trips/:tripId/documents
+   */
+  static async uploadDocuments(req, res) {
+    const files = req.files || [];
+    const storedNames = [];
+    const thumbnails = [];
+
+    try {
+      const { tripId } = req.params;
+      const { kind = 'other', itineraryItemId } = req.body;
+
+      if (files.length === 0) {
+        throw badRequest('Choose at least one file to upload', 'NO_FILES');
+      }
+
+      for (const file of files) {
+        const validation = validateFileUpload(file, DOCUMENT_UPLOAD_RULES);
+        if (!validation.isValid) {
+          throw badRequest(`${file.originalname}: ${validation.errors.join(', ')}`, 'INVALID_FILE');
+        }
+      }
+
+      if (!DOCUMENT_KINDS.includes(kind)) {
+        throw badRequest(`Kind must be one of: ${DOCUMENT_KINDS.join(', ')}`, 'INVALID_DOCUMENT_KIND');
+      }
+
+      if (itineraryItemId) {
+        const item = await ItineraryModel.findById(itineraryItemId);
+        if (!item || String(item.trip_id) !== String(tripId)) {
+          throw badRequest('Itinerary item is not on this trip', 'INVALID_ITINERARY_ITEM');
+        }
+      }
+
+      for (const file of files) {
+        const storedName = await saveDocumentFile(file);
+        storedNames.push(storedName);
+        thumbnails.push(await createThumbnail(file, storedName));
+      }
+
+      const ids = await TripDocumentModel.createMany(files.map((file, index) => ({
+        trip_id: tripId,
+        itinerary_item_id: itineraryItemId || null,
+        uploaded_by: req.user.id,
+        kind,
+        original_name: file.originalname.slice(0, 255),
+        stored_name: storedNames[index],
+        thumbnail_name: thumbnails[index],
+        mime_type: file.mimetype,
+        size_bytes: file.size
+      })));
+
+      const documents = (await Promise.all(ids.map(id => TripDocumentModel.findById(tripId, id))))
+        .map(toDocumentResponse);
+
+      // Notify everyone viewing the trip
+      emitTripEvent(req, tripId, 'documents-uploaded', { documents });
+
+      res.status(201).json({
+        message: `${documents.length} ${documents.length === 1 ? 'document' : 'documents'} uploaded successfully`,
+        documents
+      });
+    } catch (error) {
+      console.error('Upload documents error:', error);
+      await removeDocumentFiles(...storedNames, ...thumbnails);
+
+      if (error.status) {
+        return res.status(error.status).json({
+          message: error.message,
+          error: error.code
+        });
+      }
+
+      res.status(500).json({
+        message: 'Failed to upload documents',
+        error: 'UPLOAD_DOCUMENTS_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Delete a document and its files
+   * DELETE /api/trips/:tripId/documents/:documentId
+   */
+  static async deleteDocument(req, res) {
+    try {
+      const { tripId, documentId } = req.params;
+
+      const document = await TripDocumentModel.findById(tripId, documentId);
+      if (!document) {
+        return res.status(404).json({
+          message: 'Document not found',
+          error: 'DOCUMENT_NOT_FOUND'
+        });
+      }
+
+      await TripDocumentModel.delete(document.id);
+      await removeDocumentFiles(document.stored_name, document.thumbnail_name);
+
+      // Notify everyone viewing the trip
+      emitTripEvent(req, tripId, 'document-deleted', { documentId: document.id });
+
+      res.json({
+        message: 'Document deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete document error:', error);
+      res.status(500).json({
+        message: 'Failed to delete document',
+        error: 'DELETE_DOCUMENT_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Send a document or its thumbnail; the URL's signature stands in for a login
+   * GET /api/trips/:tripId/documents/:documentId/file?expires=&signature=
+   * GET /api/trips/:tripId/documents/:documentId/thumbnail?expires=&signature=
+   */
+  static async downloadDocument(req, res) {
+    try {
+      const { tripId, documentId } = req.params;
+      const thumbnail = req.path.endsWith('/thumbnail');
+
+      const document = await TripDocumentModel.findById(tripId, documentId);
+      if (!document || (thumbnail && !document.thumbnail_name)) {
+        return res.status(404).json({
+          message: 'Document not found',
+          error: 'DOCUMENT_NOT_FOUND'
+        });
+      }
+
+      const file = await getDocumentFile(thumbnail ? document.thumbnail_name : document.stored_name);
+      if (!file) {
+        return res.status(404).json({
+          message: 'Document file is missing',
+          error: 'DOCUMENT_FILE_MISSING'
+        });
+      }
+
+      res.set('Cache-Control', 'private, max-age=300');
+      if (file.size) {
+        res.set('Content-Length', String(file.size));
+      }
+
+      if (thumbnail) {
+        res.type('image/webp');
+      } else {
+        res.attachment(document.original_name);
+        res.type(document.mime_type);
+      }
+
+      file.body.on('error', (error) => {
+        console.error('Stream document error:', error);
+        res.destroy(error);
+      });
+      file.body.pipe(res);
+    } catch (error) {
+      console.error('Download document error:', error);
+      res.status(500).json({
+        message: 'Failed to download document',
+        error: 'DOWNLOAD_DOCUMENT_ERROR'
+      });
+    }
+  }
+}
+
+module.exports = TripDocumentController;
@@ -0,0 +1,255 @@
+const TripMemberModel = require('../models/tripMemberModel');
+const { TRIP_ROLES } = require('../middleware/tripAccess');
+const { validateEmail } = require('../utils/validation');
+const { withSignedMedia } = require('../services/media');
+const { evictFromTrip } = require('../services/socketService');
+
+/**
+ * Trip Member Controller
+ * Handles co-planner invitations and role management
+ */
+class TripMemberController {
+  /**
+   * Get members of a trip
+   * GET /api/trips/:tripId/members
+   */
+  static async getTripMembers(req, res) {
+    try {
+      const { tripId } = req.params;
+
+      const members = await TripMemberModel.getMembersForTrip(tripId);
+
+      res.json({
+        owner: {
+          user_id: req.trip.user_id,
+          user_name: req.trip.user_name,
+          email: req.trip.user_email,
+          role: 'owner'
+        },
+        members: members.map(member => withSignedMedia(member, ['avatar_path'])),
+        role: req.tripRole
+      });
+    } catch (error) {
+      console.error('Get trip members error:', error);
+      res.status(500).json({
+        message: 'Failed to get trip members',
+        error: 'GET_TRIP_MEMBERS_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Invite a user to a trip by email
+   * POST /api/trips/:tripId/members
+   */
+  static async inviteMember(req, res) {
+    try {
+      const { tripId } = req.params;
+      const { email, role = 'viewer' } = req.body;
+
+      if (!email || !validateEmail(email)) {
+        return res.status(400).json({
+          message: 'Please provide a valid email address',
+          error: 'INVALID_EMAIL'
+        });
+      }
+
+      if (!TRIP_ROLES[role]) {
+        return res.status(400).json({
+          message: 'Role must be one of viewer, editor or owner',
+          error: 'INVALID_ROLE'
+        });
+      }
+
+      if (email.toLowerCase() === (req.trip.user_email || '').toLowerCase()) {
+        return res.status(400).json({
+          message: 'The trip creator is already an owner',
+          error: 'ALREADY_OWNER'
+        });
+      }
+
+      const member = await TripMemberModel.inviteMember({
+        trip_id: tripId,
+        email: email.trim(),
+        role,
+        invited_by: req.user.id
+      });
+
+      res.status(201).json({
+        message: 'Invitation sent successfully',
+        member
+      });
+    } catch (error) {
+      console.error('Invite trip member error:', error);
+
+      if (error.message === 'User already invited to this trip') {
+        return res.status(409).json({
+          message: error.message,
+          error: 'ALREADY_INVITED'
+        });
+      }
+
+      res.status(500).json({
+        message: 'Failed to invite trip member',
+        error: 'INVITE_TRIP_MEMBER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Change a member's role
+   * PUT /api/trips/:tripId/members/:memberId
+   */
+  static async updateMemberRole(req, res) {
+    try {
+      const { tripId, memberId } = req.params;
+      const { role } = req.body;
+
+      if (!TRIP_ROLES[role]) {
+        return res.status(400).json({
+          message: 'Role must be one of viewer, editor or owner',
+          error: 'INVALID_ROLE'
+        });
+      }
+
+      const member = await TripMemberModel.findById(memberId);
+
+      if (!member || member.trip_id != tripId) {
+        return res.status(404).json({
+          message: 'Trip member not found',
+          error: 'TRIP_MEMBER_NOT_FOUND'
+        });
+      }
+
+      const updatedMember = await TripMemberModel.updateRole(memberId, role);
+      await evictFromTrip(req, tripId, member.user_id);
+
+      res.json({
+        message: 'Member role updated successfully',
+        member: updatedMember
+      });
+    } catch (error) {
+      console.error('Update trip member role error:', error);
+      res.status(500).json({
+        message: 'Failed to update member role',
+        error: 'UPDATE_TRIP_MEMBER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Remove a member, revoke an invitation or leave a trip
+   * Owners can remove anyone; other members can only remove themselves.
+   * DELETE /api/trips/:tripId/members/:memberId
+   */
+  static async removeMember(req, res) {
+    try {
+      const { tripId, memberId } = req.params;
+
+      const member = await TripMemberModel.findById(memberId);
+
+      if (!member || member.trip_id != tripId) {
+        return res.status(404).json({
+          message: 'Trip member not found',
+          error: 'TRIP_MEMBER_NOT_FOUND'
+        });
+      }
+
+      if (req.tripRole !== 'owner' && member.user_id !== req.user.id) {
+        return res.status(403).json({
+          message: 'Access denied',
+          error: 'ACCESS_DENIED'
+        });
+      }
+
+      await TripMemberModel.removeMember(memberId);
+      await evictFromTrip(req, tripId, member.user_id);
+
+      res.json({
+        message: 'Member removed successfully'
+      });
+    } catch (error) {
+      console.error('Remove trip member error:', error);
+      res.status(500).json({
+        message: 'Failed to remove trip member',
+        error: 'REMOVE_TRIP_MEMBER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Get pending invitations for the current user
+   * GET /api/invitations
+   */
+  static async getMyInvitations(req, res) {
+    try {
+      const invitations = await TripMemberModel.getPendingInvitations(req.user.email);
+
+      res.json({
+        invitations
+      });
+    } catch (error) {
+      console.error('Get invitations error:', error);
+      res.status(500).json({
+        message: 'Failed to get invitations',
+        error: 'GET_INVITATIONS_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Accept an invitation
+   * POST /api/invitations/:id/accept
+   */
+  static async acceptInvitation(req, res) {
+    return TripMemberController.respondToInvitation(req, res, 'accepted');
+  }
+
+  /**
+   * Decline an invitation
+   * POST /api/invitations/:id/decline
+   */
+  static async declineInvitation(req, res) {
+    return TripMemberController.respondToInvitation(req, res, 'declined');
+  }
+
+  /**
+   * Shared handler for accepting or declining an invitation
+   */
+  static async respondToInvitation(req, res, status) {
+    try {
+      const { id } = req.params;
+
+      const invitation = await TripMemberModel.findById(id);
+
+      if (!invitation || invitation.email !== (req.user.email || '').toLowerCase()) {
+        return res.status(404).json({
+          message: 'Invitation not found',
+          error: 'INVITATION_NOT_FOUND'
+        });
+      }
+
+      if (invitation.status !== 'pending') {
+        return res.status(409).json({
+          message: `Invitation already ${invitation.status}`,
+          error: 'INVITATION_ALREADY_RESPONDED'
+        });
+      }
+
+      const member = await TripMemberModel.respondToInvitation(id, req.user.id, status);
+
+      res.json({
+        message: `Invitation ${status} successfully`,
+        member
+      });
+    } catch (error) {
+      console.error('Respond to invitation error:', error);
+      res.status(500).json({
+        message: 'Failed to respond to invitation',
+        error: 'RESPOND_INVITATION_ERROR'
+      });
+    }
+  }
+}
+
+module.exports = TripMemberController;
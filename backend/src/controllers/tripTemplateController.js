@@ -0,0 +1,229 @@
+const TripTemplateModel = require('../models/tripTemplateModel');
+const TripModel = require('../models/tripModel');
+const { withSignedMedia } = require('../services/media');
+
+/**
+ * Check whether a user may see a template
+ */
+const canViewTemplate = (template, user) => {
+  return template.is_public || template.created_by === user.id || user.role === 'admin';
+};
+
+/**
+ * Trip Template Controller
+ * Handles saving trips as templates and creating trips from them
+ */
+class TripTemplateController {
+  /**
+   * Browse templates
+   * GET /api/templates?country=&cityId=&minDays=&maxDays=&search=
+   */
+  static async getTemplates(req, res) {
+    try {
+      const { country, cityId, minDays, maxDays, search } = req.query;
+
+      const templates = await TripTemplateModel.getTemplates({
+        userId: req.user.id,
+        country,
+        cityId: cityId ? parseInt(cityId) : undefined,
+        minDays: minDays ? parseInt(minDays) : undefined,
+        maxDays: maxDays ? parseInt(maxDays) : undefined,
+        search
+      });
+
+      res.json({ templates: templates.map(template => withSignedMedia(template)) });
+    } catch (error) {
+      console.error('Get templates error:', error);
+      res.status(500).json({
+        message: 'Failed to get templates',
+        error: 'GET_TEMPLATES_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Get a template with its cities and day-by-day items
+   * GET /api/templates/:id
+   */
+  static async getTemplate(req, res) {
+    try {
+      const template = await TripTemplateModel.findById(req.params.id);
+
+      if (!template || !canViewTemplate(template, req.user)) {
+        return res.status(404).json({
+          message: 'Template not found',
+          error: 'TEMPLATE_NOT_FOUND'
+        });
+      }
+
+      const [cities, items] = await Promise.all([
+        TripTemplateModel.getTemplateCities(template.id),
+        TripTemplateModel.getTemplateItems(template.id)
+      ]);
+
+      res.json({
+        template: {
+          ...withSignedMedia(template),
+          cities,
+          items
+        }
+      });
+    } catch (error) {
+      console.error('Get template error:', error);
+      res.status(500).json({
+        message: 'Failed to get template',
+        error: 'GET_TEMPLATE_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Save a trip as a template
+   * Only admins can publish a template to everyone, and only of trips that
+   * are public, featured or their own.
+   * POST /api/templates
+   */
+  static async createTemplate(req, res) {
+    try {
+      const { title, description, isPublic = false } = req.body;
+
+      if (title !== undefined && (typeof title !== 'string' || !title.trim() || title.trim().length > 255)) {
+        return res.status(400).json({
+          message: 'Title must be between 1 and 255 characters',
+          error: 'INVALID_TITLE'
+        });
+      }
+
+      const publish = req.user.role === 'admin' && Boolean(isPublic);
+
+      if (publish && !TripTemplateModel.canPublishTrip(req.trip, req.user.id)) {
+        return res.status(403).json({
+          message: 'Only templates of public or featured trips, or your own, can be published',
+          error: 'TEMPLATE_NOT_PUBLISHABLE'
+        });
+      }
+
+      const template = await TripTemplateModel.createFromTrip(req.trip.id, req.user.id, {
+        title: title ? title.trim() : req.trip.title,
+        description: description || null,
+        is_public: publish
+      });
+
+      res.status(201).json({
+        message: 'Template saved successfully',
+        template: withSignedMedia(template)
+      });
+    } catch (error) {
+      console.error('Create template error:', error);
+      res.status(500).json({
+        message: 'Failed to save template',
+        error: 'CREATE_TEMPLATE_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Delete one of the current user's templates
+   * DELETE /api/templates/:id
+   */
+  static async deleteTemplate(req, res) {
+    try {
+      const template = await TripTemplateModel.findById(req.params.id);
+
+      if (!template || !canViewTemplate(template, req.user)) {
+        return res.status(404).json({
+          message: 'Template not found',
+          error: 'TEMPLATE_NOT_FOUND'
+        });
+      }
+
+      if (template.created_by !== req.user.id && req.user.role !== 'admin') {
+        return res.status(403).json({
+          message: 'Only the creator can delete this template',
+          error: 'ACCESS_DENIED'
+        });
+      }
+
+      await TripTemplateModel.deleteTemplate(template.id);
+
+      res.json({
+        message: 'Template deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete template error:', error);
+      res.status(500).json({
+        message: 'Failed to delete template',
+        error: 'DELETE_TEMPLATE_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Create a trip from a template
+   * Item costs are scaled by budget / template base budget when a budget is given.
+   * POST /api/templates/:id/instantiate
+   */
+  static async instantiateTemplate(req, res) {
+    try {
+      const { startDate, title, budget, days } = req.body;
+
+      const template = await TripTemplateModel.findById(req.params.id);
+
+      if (!template || !canViewTemplate(template, req.user)) {
+        return res.status(404).json({
+          message: 'Template not found',
+          error: 'TEMPLATE_NOT_FOUND'
+        });
+      }
+
+      if (!startDate || !/^\d{4}-\d{2}-\d{2}$/.test(startDate) || isNaN(Date.parse(startDate))) {
+        return res.status(400).json({
+          message: 'Start date must be a valid YYYY-MM-DD date',
+          error: 'INVALID_START_DATE'
+        });
+      }
+
+      const tripDays = days !== undefined ? parseInt(days) : template.duration_days;
+      if (isNaN(tripDays) || tripDays < 1 || tripDays > template.duration_days) {
+        return res.status(400).json({
+          message: `Days must be between 1 and ${template.duration_days}`,
+          error: 'INVALID_DAYS'
+        });
+      }
+
+      const tripBudget = budget !== undefined && budget !== null && budget !== '' ? parseFloat(budget) : null;
+      if (tripBudget !== null && (isNaN(tripBudget) || tripBudget < 0)) {
+        return res.status(400).json({
+          message: 'Budget must be a positive number',
+          error: 'INVALID_BUDGET'
+        });
+      }
+
+      const baseBudget = parseFloat(template.base_budget) || 0;
+      const costScale = tripBudget !== null && baseBudget > 0 ? tripBudget / baseBudget : 1;
+
+      const tripId = await TripTemplateModel.instantiate(template.id, req.user.id, {
+        title: title && title.trim() ? title.trim() : template.title,
+        start_date: startDate,
+        days: tripDays,
+        budget: tripBudget !== null ? tripBudget : template.base_budget,
+        costScale
+      });
+
+      const trip = await TripModel.findById(tripId);
+
+      res.status(201).json({
+        message: 'Trip created from template',
+        trip: withSignedMedia(trip)
+      });
+    } catch (error) {
+      console.error('Instantiate template error:', error);
+      res.status(500).json({
+        message: 'Failed to create trip from template',
+        error: 'INSTANTIATE_TEMPLATE_ERROR'
+      });
+    }
+  }
+}
+
+module.exports = TripTemplateController;
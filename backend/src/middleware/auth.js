@@ -1,5 +1,48 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const UserModel = require('../models/userModel');
+const UserSessionModel = require('../models/userSessionModel');
+
+// Don't write last_seen_at on every request
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Check whether a token was issued before the user's last password change
+ * @param {Object} decoded - Decoded JWT payload
+ * @param {Object} user - User row (with password_changed_at)
+ * @returns {boolean} True if the token must no longer be accepted
+ */
+const isTokenRevoked = (decoded, user) => {
+  if (!user.password_changed_at) {
+    return false;
+  }
+
+  const changedAt = Math.floor(new Date(user.password_changed_at).getTime() / 1000);
+  return decoded.iat < changedAt;
+};
+
+/**
+ * Check that the session an access token belongs to is still active
+ * Tokens without a session ID (issued before sessions existed) are accepted until they expire.
+ * @param {Object} decoded - Decoded JWT payload
+ * @returns {boolean} True if the session is active
+ */
+const isSessionActive = async (decoded) => {
+  if (!decoded.sid) {
+    return true;
+  }
+
+  const session = await UserSessionModel.findActiveById(decoded.sid);
+  if (!session || session.user_id !== decoded.sub) {
+    return false;
+  }
+
+  if (Date.now() - new Date(session.last_seen_at).getTime() > SESSION_TOUCH_INTERVAL_MS) {
+    UserSessionModel.touch(session.id).catch(() => {});
+  }
+
+  return true;
+};
 
 /**
  * JWT Authentication Middleware
@@ -33,12 +76,21 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Sessions started before a password reset, or revoked by the user, are signed out
+    if (isTokenRevoked(decoded, user) || !(await isSessionActive(decoded))) {
+      return res.status(401).json({
+        message: 'Session expired, please log in again',
+        error: 'SESSION_REVOKED'
+      });
+    }
+
     // Attach user info to request object
     req.user = {
       id: decoded.sub,
       email: decoded.email,
       ...user
     };
+    req.sessionId = decoded.sid || null;
 
     next();
   } catch (error) {
@@ -87,11 +139,14 @@ const optionalAuth = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const user = await UserModel.findById(decoded.sub);
     
-    req.user = user ? {
+    const active = user && !isTokenRevoked(decoded, user) && await isSessionActive(decoded);
+
+    req.user = active ? {
       id: decoded.sub,
       email: decoded.email,
       ...user
     } : null;
+    req.sessionId = active ? decoded.sid || null : null;
 
     next();
   } catch (error) {
@@ -102,41 +157,68 @@ const optionalAuth = async (req, res, next) => {
 };
 
 /**
- * Generate JWT token for user
+ * Role-based Authorization Middleware
+ * Must run after authenticateToken. The role is taken from the freshly loaded
+ * user row rather than the token claim, so a demotion applies immediately.
+ * @param {...string} roles - Roles allowed to access the route
+ * @returns {Function} Express middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      message: 'Access token required',
+      error: 'MISSING_TOKEN'
+    });
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({
+      message: 'Access denied. Insufficient privileges.',
+      error: 'INSUFFICIENT_PRIVILEGES'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Generate JWT access token for user
  * @param {Object} user - User object
+ * @param {number|null} sessionId - Session the token belongs to
  * @returns {string} JWT token
  */
-const generateToken = (user) => {
+const generateToken = (user, sessionId = null) => {
   const payload = {
     sub: user.id,
     email: user.email,
+    role: user.role || 'user',
     iat: Math.floor(Date.now() / 1000)
   };
 
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
+
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m'
   });
 };
 
 /**
- * Generate refresh token (for future implementation)
- * @param {Object} user - User object
+ * Generate an opaque refresh token
+ * Only its hash is stored (see services/sessionService).
  * @returns {string} Refresh token
  */
-const generateRefreshToken = (user) => {
-  const payload = {
-    sub: user.id,
-    type: 'refresh'
-  };
-
-  return jwt.sign(payload, process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d'
-  });
+const generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString('hex');
 };
 
 module.exports = {
   authenticateToken,
   optionalAuth,
+  requireRole,
+  isTokenRevoked,
+  isSessionActive,
   generateToken,
   generateRefreshToken
 };
@@ -0,0 +1,94 @@
+/**
+ * Optimistic concurrency helpers
+ * Trips and itinerary items carry a `version` column that is bumped on every
+ * update. Clients send the version they last saw and the update only applies
+ * if it still matches.
+ */
+
+/**
+ * Format a row version as a strong ETag
+ * @param {number} version - Row version
+ * @returns {string} ETag header value
+ */
+const formatETag = (version) => `"${version}"`;
+
+/**
+ * Read the version a client expects from `If-Match` or a `version` body field
+ * @param {Object} req - Express request
+ * @returns {number|null} Expected version, NaN if malformed, null if missing
+ */
+const getExpectedVersion = (req) => {
+  const ifMatch = req.get('If-Match');
+
+  if (ifMatch) {
+    const match = ifMatch.trim().match(/^(?:W\/)?"?(\d+)"?$/);
+    return match ? parseInt(match[1], 10) : NaN;
+  }
+
+  if (req.body && req.body.version !== undefined && req.body.version !== '') {
+    return parseInt(req.body.version, 10);
+  }
+
+  return null;
+};
+
+/**
+ * Require a version precondition on an update route
+ * Attaches `req.expectedVersion`. Must run after body parsing (and multer).
+ */
+const requireVersion = (req, res, next) => {
+  const version = getExpectedVersion(req);
+
+  if (version === null) {
+    return res.status(428).json({
+      message: 'An If-Match header or version field is required',
+      error: 'VERSION_REQUIRED'
+    });
+  }
+
+  if (Number.isNaN(version)) {
+    return res.status(400).json({
+      message: 'Invalid version',
+      error: 'INVALID_VERSION'
+    });
+  }
+
+  req.expectedVersion = version;
+  next();
+};
+
+/**
+ * Set the ETag header for a versioned row
+ * @param {Object} res - Express response
+ * @param {Object} row - Row with a `version` column
+ */
+const setETag = (res, row) => {
+  if (row && row.version !== undefined) {
+    res.set('ETag', formatETag(row.version));
+  }
+};
+
+/**
+ * Respond with 409 and the current server state
+ * @param {Object} res - Express response
+ * @param {Object|Array} current - Current row(s) on the server
+ */
+const sendVersionConflict = (res, current) => {
+  if (current && !Array.isArray(current)) {
+    setETag(res, current);
+  }
+
+  res.status(409).json({
+    message: 'This was changed by someone else. Review the latest version and try again.',
+    error: 'VERSION_CONFLICT',
+    current
+  });
+};
+
+module.exports = {
+  formatETag,
+  getExpectedVersion,
+  requireVersion,
+  setETag,
+  sendVersionConflict
+};
@@ -138,10 +138,10 @@ const validationSchemas = {
 
   // Reset password validation
   resetPassword: [
-    body('email')
-      .isEmail()
-      .normalizeEmail()
-      .withMessage('Please provide a valid email address'),
+    body('token')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Invalid or expired reset link'),
 
     body('newPassword')
       .isLength({ min: 6, max: 128 })
@@ -0,0 +1,133 @@
+const TripModel = require('../models/tripModel');
+const TripMemberModel = require('../models/tripMemberModel');
+const ItineraryModel = require('../models/itineraryModel');
+
+/**
+ * Trip roles ordered by privilege. A higher level includes every
+ * permission of the levels below it.
+ */
+const TRIP_ROLES = {
+  viewer: 1,
+  editor: 2,
+  owner: 3
+};
+
+/**
+ * Build an error that the access middleware turns into an HTTP response
+ */
+const accessError = (status, message, error) => {
+  const err = new Error(message);
+  err.status = status;
+  err.code = error;
+  return err;
+};
+
+/**
+ * Resolve the role a user holds on a trip
+ * The trip creator is always an owner; everyone else needs an accepted membership.
+ * @param {Object} trip - Trip row
+ * @param {number} userId - User ID
+ * @returns {string|null} Role name or null when the user has no access
+ */
+const getTripRole = async (trip, userId) => {
+  if (trip.user_id === userId) {
+    return 'owner';
+  }
+
+  const membership = await TripMemberModel.findMembership(trip.id, userId);
+  return membership ? membership.role : null;
+};
+
+/**
+ * Check whether a role satisfies a minimum role
+ * @param {string|null} role - Role held
+ * @param {string} minRole - Role required
+ * @returns {boolean} True if access is allowed
+ */
+const hasTripRole = (role, minRole) => {
+  return !!role && TRIP_ROLES[role] >= TRIP_ROLES[minRole];
+};
+
+/**
+ * Trip ID resolvers for the different route shapes
+ */
+const tripIdFrom = {
+  // Trip ID in a route parameter, e.g. /api/trips/:tripId/cities
+  param: (name = 'tripId') => (req) => req.params[name],
+
+  // Trip ID in the request body, e.g. POST /api/cities/:id/add-to-trip
+  body: (name = 'tripId') => (req) => {
+    if (!req.body[name]) {
+      throw accessError(400, 'Trip ID is required', 'MISSING_TRIP_ID');
+    }
+    return req.body[name];
+  },
+
+  // Trip that owns an itinerary item, e.g. /api/itinerary/:id
+  itineraryItem: (name = 'id') => async (req) => {
+    const item = await ItineraryModel.findById(req.params[name]);
+    if (!item) {
+      throw accessError(404, 'Itinerary item not found', 'ITINERARY_ITEM_NOT_FOUND');
+    }
+    req.itineraryItem = item;
+    return item.trip_id;
+  }
+};
+
+/**
+ * Trip authorization middleware
+ * Loads the trip, resolves the user's role on it and rejects the request
+ * unless the role is at least `minRole`. Attaches `req.trip` and `req.tripRole`.
+ * Must run after authenticateToken.
+ * @param {string} minRole - Minimum role required (viewer, editor, owner)
+ * @param {Function} getTripId - Resolver returning the trip ID for the request
+ */
+const requireTripRole = (minRole, getTripId = tripIdFrom.param()) => {
+  return async (req, res, next) => {
+    try {
+      const tripId = await getTripId(req);
+      const trip = tripId ? await TripModel.findById(tripId) : null;
+
+      if (!trip) {
+        return res.status(404).json({
+          message: 'Trip not found',
+          error: 'TRIP_NOT_FOUND'
+        });
+      }
+
+      const role = await getTripRole(trip, req.user.id);
+
+      if (!hasTripRole(role, minRole)) {
+        return res.status(403).json({
+          message: 'Access denied',
+          error: 'ACCESS_DENIED'
+        });
+      }
+
+      req.trip = trip;
+      req.tripRole = role;
+      next();
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          message: error.message,
+          error: error.code
+        });
+      }
+
+      console.error('Trip authorization error:', error);
+      res.status(500).json({
+        message: 'Failed to verify trip access',
+        error: 'TRIP_ACCESS_ERROR'
+      });
+    }
+  };
+};
+
+module.exports = {
+  TRIP_ROLES,
+  getTripRole,
+  hasTripRole,
+  tripIdFrom,
+  requireTripRole
+};
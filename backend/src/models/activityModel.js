@@ -100,6 +100,57 @@ class ActivityModel {
     }
   }
 
+  /**
+   * Find several activities by ID, with their city's coordinates
+   * @param {Array} ids - Activity IDs
+   * @returns {Array} Activities, in the order of ids; unknown IDs are left out
+   */
+  static async findByIds(ids) {
+    try {
+      if (!ids || ids.length === 0) {
+        return [];
+      }
+
+      const query = `
+        SELECT a.*, c.name as city_name, c.country,
+               c.latitude as city_latitude, c.longitude as city_longitude
+        FROM activities a
+        JOIN cities c ON a.city_id = c.id
+        WHERE a.id IN (${ids.map(() => '?').join(',')})
+      `;
+
+      const [rows] = await db.execute(query, ids);
+      const byId = new Map(rows.map(row => [String(row.id), row]));
+      return ids.map(id => byId.get(String(id))).filter(Boolean);
+    } catch (error) {
+      console.error('Error finding activities by ID:', error);
+      throw new Error('Failed to find activities');
+    }
+  }
+
+  /**
+   * Find an activity in a city by name (case-insensitive)
+   * @param {number} cityId - City ID
+   * @param {string} name - Activity name
+   * @returns {Object|null} Activity data
+   */
+  static async findByName(cityId, name) {
+    try {
+      const query = `
+        SELECT * FROM activities
+        WHERE city_id = ? AND LOWER(name) = LOWER(?)
+        ORDER BY rating DESC
+        LIMIT 1
+      `;
+
+      const [rows] = await db.execute(query, [cityId, name]);
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error finding activity by name:', error);
+      throw new Error('Failed to find activity');
+    }
+  }
+
   /**
    * Get popular activities for a city
    * @param {number} cityId - City ID
@@ -197,7 +248,8 @@ class ActivityModel {
     try {
       const allowedFields = [
         'name', 'description', 'category', 'duration_hours', 
-        'cost_min', 'cost_max', 'rating', 'image_url', 'website_url'
+        'cost_min', 'cost_max', 'rating', 'image_url', 'website_url',
+        'opens_at', 'closes_at'
       ];
       
       const updateFields = [];
@@ -492,19 +544,22 @@ class ActivityModel {
     try {
       const {
         name, description, category, city_id, cost_min, cost_max,
-        duration_hours, rating, image_url, address, latitude, longitude
+        duration_hours, rating, image_url, address, latitude, longitude,
+        opens_at = null, closes_at = null
       } = activityData;
 
       const query = `
         INSERT INTO activities (
           name, description, category, city_id, cost_min, cost_max,
-          duration_hours, rating, image_url, address, latitude, longitude
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          duration_hours, rating, image_url, address, latitude, longitude,
+          opens_at, closes_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
 
       const result = await db.query(query, [
         name, description, category, city_id, cost_min, cost_max,
-        duration_hours, rating, image_url, address, latitude, longitude
+        duration_hours, rating, image_url, address, latitude, longitude,
+        opens_at, closes_at
       ]);
 
       return await this.findById(result.insertId);
@@ -519,7 +574,8 @@ class ActivityModel {
     try {
       const allowedFields = [
         'name', 'description', 'category', 'city_id', 'cost_min', 'cost_max',
-        'duration_hours', 'rating', 'image_url', 'address', 'latitude', 'longitude'
+        'duration_hours', 'rating', 'image_url', 'address', 'latitude', 'longitude',
+        'opens_at', 'closes_at'
       ];
       const updates = [];
       const params = [];
@@ -0,0 +1,124 @@
+const db = require('../config/db');
+
+/**
+ * Calendar Feed Model
+ * Handles per-user calendar subscription tokens for trips
+ */
+class CalendarFeedModel {
+  /**
+   * Create a feed
+   * @param {number} tripId - Trip ID
+   * @param {number} userId - User the feed belongs to
+   * @param {string} token - Secret feed token
+   * @returns {Object} Created feed
+   */
+  static async createFeed(tripId, userId, token) {
+    try {
+      const query = `
+        INSERT INTO trip_calendar_feeds (trip_id, user_id, token)
+        VALUES (?, ?, ?)
+      `;
+
+      const [result] = await db.execute(query, [tripId, userId, token]);
+      return await this.findById(result.insertId);
+    } catch (error) {
+      console.error('Error creating calendar feed:', error);
+      throw new Error('Failed to create calendar feed');
+    }
+  }
+
+  /**
+   * Find feed by ID
+   * @param {number} id - Feed ID
+   * @returns {Object|null} Feed data
+   */
+  static async findById(id) {
+    try {
+      const query = 'SELECT * FROM trip_calendar_feeds WHERE id = ?';
+      const [rows] = await db.execute(query, [id]);
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error finding calendar feed by ID:', error);
+      throw new Error('Failed to find calendar feed');
+    }
+  }
+
+  /**
+   * Find a user's active feed for a trip
+   * @param {number} tripId - Trip ID
+   * @param {number} userId - User ID
+   * @returns {Object|null} Feed data
+   */
+  static async findActive(tripId, userId) {
+    try {
+      const query = `
+        SELECT * FROM trip_calendar_feeds
+        WHERE trip_id = ? AND user_id = ? AND revoked_at IS NULL
+        ORDER BY created_at DESC
+        LIMIT 1
+      `;
+
+      const [rows] = await db.execute(query, [tripId, userId]);
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error finding calendar feed:', error);
+      throw new Error('Failed to find calendar feed');
+    }
+  }
+
+  /**
+   * Find an active feed by its token
+   * @param {string} token - Feed token
+   * @returns {Object|null} Feed data
+   */
+  static async findActiveByToken(token) {
+    try {
+      const query = 'SELECT * FROM trip_calendar_feeds WHERE token = ? AND revoked_at IS NULL';
+      const [rows] = await db.execute(query, [token]);
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error finding calendar feed by token:', error);
+      throw new Error('Failed to find calendar feed');
+    }
+  }
+
+  /**
+   * Record that a calendar client fetched the feed
+   * @param {number} id - Feed ID
+   * @returns {boolean} Success status
+   */
+  static async recordAccess(id) {
+    try {
+      const query = 'UPDATE trip_calendar_feeds SET last_accessed_at = NOW() WHERE id = ?';
+      const [result] = await db.execute(query, [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error recording calendar feed access:', error);
+      throw new Error('Failed to update calendar feed');
+    }
+  }
+
+  /**
+   * Revoke a user's feeds for a trip
+   * @param {number} tripId - Trip ID
+   * @param {number} userId - User ID
+   * @returns {number} Number of feeds revoked
+   */
+  static async revokeForUser(tripId, userId) {
+    try {
+      const query = `
+        UPDATE trip_calendar_feeds
+        SET revoked_at = NOW()
+        WHERE trip_id = ? AND user_id = ? AND revoked_at IS NULL
+      `;
+
+      const [result] = await db.execute(query, [tripId, userId]);
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error revoking calendar feed:', error);
+      throw new Error('Failed to revoke calendar feed');
+    }
+  }
+}
+
+module.exports = CalendarFeedModel;
@@ -45,6 +45,53 @@ class CityModel {
     }
   }
 
+  /**
+   * Find a city by name, and by country when one is given (case-insensitive)
+   * @param {string} name - City name
+   * @param {string|null} country - Country name
+   * @returns {Object|null} Most popular matching city
+   */
+  static async findByNameAndCountry(name, country = null) {
+    try {
+      const query = `
+        SELECT * FROM cities
+        WHERE LOWER(name) = LOWER(?) AND (? IS NULL OR LOWER(country) = LOWER(?))
+        ORDER BY popularity_score DESC
+        LIMIT 1
+      `;
+
+      const [rows] = await db.execute(query, [name, country, country]);
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error finding city by name:', error);
+      throw new Error('Failed to find city');
+    }
+  }
+
+  /**
+   * Find cities whose name appears in a piece of text (e.g. an event location)
+   * Longer names come first so "New York" beats "York".
+   * @param {string} text - Text to look for city names in
+   * @param {number} limit - Maximum number of cities
+   * @returns {Array} Array of candidate cities
+   */
+  static async findCitiesInText(text, limit = 10) {
+    try {
+      const query = `
+        SELECT * FROM cities
+        WHERE LOCATE(LOWER(name), LOWER(?)) > 0
+        ORDER BY CHAR_LENGTH(name) DESC, popularity_score DESC
+        LIMIT ?
+      `;
+
+      const [rows] = await db.execute(query, [text, limit]);
+      return rows;
+    } catch (error) {
+      console.error('Error finding cities in text:', error);
+      throw new Error('Failed to search cities');
+    }
+  }
+
   /**
    * Get popular cities
    * @param {number} limit - Number of cities to return
@@ -130,7 +177,7 @@ class CityModel {
   static async getTripCity(tripCityId) {
     try {
       const query = `
-        SELECT tc.*, c.name, c.country, c.latitude, c.longitude, c.cost_index
+        SELECT tc.*, c.name, c.country, c.latitude, c.longitude, c.cost_index, c.time_zone
         FROM trip_cities tc
         JOIN cities c ON tc.city_id = c.id
         WHERE tc.id = ?
@@ -152,7 +199,7 @@ class CityModel {
   static async getCitiesForTrip(tripId) {
     try {
       const query = `
-        SELECT tc.*, c.name, c.country, c.latitude, c.longitude, c.cost_index, c.description
+        SELECT tc.*, c.name, c.country, c.latitude, c.longitude, c.cost_index, c.time_zone, c.description
         FROM trip_cities tc
         JOIN cities c ON tc.city_id = c.id
         WHERE tc.trip_id = ?
@@ -261,16 +308,17 @@ class CityModel {
         cost_index,
         popularity_score = 0,
         description,
-        image_url
+        image_url,
+        time_zone = null
       } = cityData;
 
       const query = `
-        INSERT INTO cities (name, country, country_code, latitude, longitude, cost_index, popularity_score, description, image_url)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO cities (name, country, country_code, latitude, longitude, cost_index, popularity_score, description, image_url, time_zone)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
 
       const [result] = await db.execute(query, [
-        name, country, country_code, latitude, longitude, cost_index, popularity_score, description, image_url
+        name, country, country_code, latitude, longitude, cost_index, popularity_score, description, image_url, time_zone
       ]);
 
       return await this.findById(result.insertId);
@@ -309,14 +357,14 @@ class CityModel {
   // Create city
   static async createCity(cityData) {
     try {
-      const { name, country, description, image_url, latitude, longitude } = cityData;
+      const { name, country, description, image_url, latitude, longitude, time_zone = null } = cityData;
 
       const query = `
-        INSERT INTO cities (name, country, description, image_url, latitude, longitude)
-        VALUES (?, ?, ?, ?, ?, ?)
+        INSERT INTO cities (name, country, description, image_url, latitude, longitude, time_zone)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
       `;
 
-      const result = await db.query(query, [name, country, description, image_url, latitude, longitude]);
+      const result = await db.query(query, [name, country, description, image_url, latitude, longitude, time_zone]);
       return await this.findById(result.insertId);
     } catch (error) {
       console.error('Create city error:', error);
@@ -327,7 +375,7 @@ class CityModel {
   // Update city
   static async updateCity(id, updateData) {
     try {
-      const allowedFields = ['name', 'country', 'description', 'image_url', 'latitude', 'longitude'];
+      const allowedFields = ['name', 'country', 'description', 'image_url', 'latitude', 'longitude', 'time_zone'];
       const updates = [];
       const params = [];
 
@@ -0,0 +1,71 @@
+const db = require('../config/db');
+
+/**
+ * Exchange Rate Model
+ * Handles stored exchange rates (units of each currency per 1 USD)
+ */
+class ExchangeRateModel {
+  /**
+   * Get every stored rate
+   * @returns {Array} Rates ordered by currency
+   */
+  static async getAll() {
+    try {
+      const [rows] = await db.execute(
+        'SELECT currency, rate, source, updated_at FROM exchange_rates ORDER BY currency ASC'
+      );
+      return rows.map(row => ({ ...row, rate: Number(row.rate) }));
+    } catch (error) {
+      console.error('Error getting exchange rates:', error);
+      throw new Error('Failed to get exchange rates');
+    }
+  }
+
+  /**
+   * Get rates keyed by currency, for the currency service
+   * @returns {Object} Currency code → units per 1 USD
+   */
+  static async getRateMap() {
+    const rates = await this.getAll();
+    return Object.fromEntries(rates.map(({ currency, rate }) => [currency, rate]));
+  }
+
+  /**
+   * Insert or update rates in one transaction
+   * Currencies not listed keep their current rate.
+   * @param {Object} rates - Currency code → units per 1 USD
+   * @param {string} source - Where the rates came from (e.g. "csv", a provider name)
+   * @returns {Array} All stored rates
+   */
+  static async upsertRates(rates, source) {
+    try {
+      const connection = await db.getConnection();
+      await connection.beginTransaction();
+
+      try {
+        for (const [currency, rate] of Object.entries(rates)) {
+          await connection.execute(
+            `INSERT INTO exchange_rates (currency, rate, source)
+             VALUES (?, ?, ?)
+             ON DUPLICATE KEY UPDATE rate = VALUES(rate), source = VALUES(source), updated_at = CURRENT_TIMESTAMP`,
+            [currency, rate, source]
+          );
+        }
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      return await this.getAll();
+    } catch (error) {
+      console.error('Error saving exchange rates:', error);
+      throw new Error('Failed to save exchange rates');
+    }
+  }
+}
+
+module.exports = ExchangeRateModel;
@@ -0,0 +1,311 @@
+const db = require('../config/db');
+const ExchangeRateModel = require('./exchangeRateModel');
+const { sumInCurrency } = require('../services/currency');
+
+const EXPENSE_FIELDS = `e.id, e.trip_id, e.created_by, e.paid_by, e.itinerary_item_id, e.amount, e.currency,
+  e.category, DATE_FORMAT(e.expense_date, '%Y-%m-%d') as expense_date, e.description,
+  e.receipt_path, e.split_mode, e.created_at, e.updated_at,
+  u.full_name as created_by_name, payer.full_name as paid_by_name, ii.title as itinerary_item_title`;
+
+const EXPENSE_JOINS = `
+  FROM trip_expenses e
+  JOIN users u ON e.created_by = u.id
+  LEFT JOIN users payer ON e.paid_by = payer.id
+  LEFT JOIN itinerary_items ii ON e.itinerary_item_id = ii.id`;
+
+const toExpense = (row) => ({ ...row, amount: Number(row.amount), splits: [] });
+
+/**
+ * Load the splits for a set of expenses and attach them as `splits`
+ */
+const attachSplits = async (expenses) => {
+  if (expenses.length === 0) return expenses;
+
+  const placeholders = expenses.map(() => '?').join(', ');
+  const [rows] = await db.execute(
+    `SELECT s.expense_id, s.user_id, s.share, s.amount, u.full_name as user_name
+     FROM trip_expense_splits s
+     JOIN users u ON s.user_id = u.id
+     WHERE s.expense_id IN (${placeholders})
+     ORDER BY s.id ASC`,
+    expenses.map(expense => expense.id)
+  );
+
+  const byId = new Map(expenses.map(expense => [expense.id, expense]));
+  rows.forEach(({ expense_id, ...split }) => {
+    byId.get(expense_id).splits.push({
+      ...split,
+      share: split.share !== null ? Number(split.share) : null,
+      amount: Number(split.amount)
+    });
+  });
+
+  return expenses;
+};
+
+/**
+ * Replace an expense's splits inside a transaction
+ */
+const saveSplits = async (connection, expenseId, splits) => {
+  await connection.execute('DELETE FROM trip_expense_splits WHERE expense_id = ?', [expenseId]);
+
+  for (const split of splits) {
+    await connection.execute(
+      'INSERT INTO trip_expense_splits (expense_id, user_id, share, amount) VALUES (?, ?, ?, ?)',
+      [expenseId, split.user_id, split.share, split.amount]
+    );
+  }
+};
+
+/**
+ * Group currency rows by a key and convert each group to one currency
+ */
+const totalsBy = (rows, key, currency, rates) => {
+  const keys = [...new Set(rows.map(row => row[key]))];
+
+  return keys.map(value => {
+    const groupRows = rows.filter(row => row[key] === value);
+    const costs = sumInCurrency(groupRows, currency, rates);
+
+    return {
+      [key]: value,
+      expense_count: groupRows.reduce((sum, row) => sum + Number(row.count), 0),
+      total_cost: costs.total,
+      currency,
+      unconverted_currencies: costs.unconverted
+    };
+  });
+};
+
+/**
+ * Expense Model
+ * Handles actual spending logged against a trip
+ */
+class ExpenseModel {
+  /**
+   * Get a trip's expenses
+   * @param {number} tripId - Trip ID
+   * @param {Object} filters - Optional category and date ("YYYY-MM-DD")
+   * @returns {Array} Expenses, newest first
+   */
+  static async getForTrip(tripId, filters = {}) {
+    try {
+      let query = `SELECT ${EXPENSE_FIELDS} ${EXPENSE_JOINS} WHERE e.trip_id = ?`;
+      const params = [tripId];
+
+      if (filters.category) {
+        query += ' AND e.category = ?';
+        params.push(filters.category);
+      }
+
+      if (filters.date) {
+        query += ' AND e.expense_date = ?';
+        params.push(filters.date);
+      }
+
+      query += ' ORDER BY e.expense_date DESC, e.id DESC';
+
+      const [rows] = await db.execute(query, params);
+      return await attachSplits(rows.map(toExpense));
+    } catch (error) {
+      console.error('Error getting trip expenses:', error);
+      throw new Error('Failed to get trip expenses');
+    }
+  }
+
+  /**
+   * Find an expense by ID
+   * @param {number} id - Expense ID
+   * @returns {Object|null} Expense or null if not found
+   */
+  static async findById(id) {
+    try {
+      const [rows] = await db.execute(
+        `SELECT ${EXPENSE_FIELDS} ${EXPENSE_JOINS} WHERE e.id = ?`,
+        [id]
+      );
+      if (rows.length === 0) {
+        return null;
+      }
+
+      const [expense] = await attachSplits([toExpense(rows[0])]);
+      return expense;
+    } catch (error) {
+      console.error('Error finding expense by ID:', error);
+      throw new Error('Failed to find expense');
+    }
+  }
+
+  /**
+   * Log an expense
+   * @param {Object} expenseData - Expense data
+   * @param {Array} splits - Who owes what for a shared expense ({user_id, share, amount}), or null
+   * @returns {Object} Created expense
+   */
+  static async create(expenseData, splits = null) {
+    try {
+      const {
+        trip_id,
+        created_by,
+        paid_by = created_by,
+        itinerary_item_id = null,
+        amount,
+        currency,
+        category = 'other',
+        expense_date,
+        description = null,
+        receipt_path = null,
+        split_mode = null
+      } = expenseData;
+
+      const connection = await db.getConnection();
+      let expenseId;
+
+      try {
+        await connection.beginTransaction();
+
+        const [result] = await connection.execute(
+          `INSERT INTO trip_expenses
+           (trip_id, created_by, paid_by, itinerary_item_id, amount, currency, category,
+            expense_date, description, receipt_path, split_mode)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [trip_id, created_by, paid_by, itinerary_item_id, amount, currency, category,
+            expense_date, description, receipt_path, splits ? split_mode : null]
+        );
+        expenseId = result.insertId;
+
+        if (splits) {
+          await saveSplits(connection, expenseId, splits);
+        }
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      return await this.findById(expenseId);
+    } catch (error) {
+      console.error('Error creating expense:', error);
+      throw new Error('Failed to create expense');
+    }
+  }
+
+  /**
+   * Update an expense
+   * @param {number} id - Expense ID
+   * @param {Object} updateData - Fields to update
+   * @param {Array} splits - New splits, null to stop sharing the expense, undefined to keep them
+   * @returns {Object} Updated expense
+   */
+  static async update(id, updateData, splits = undefined) {
+    try {
+      const allowedFields = [
+        'paid_by', 'itinerary_item_id', 'amount', 'currency', 'category',
+        'expense_date', 'description', 'receipt_path', 'split_mode'
+      ];
+
+      const updates = [];
+      const values = [];
+
+      Object.keys(updateData).forEach(key => {
+        if (allowedFields.includes(key) && updateData[key] !== undefined) {
+          updates.push(`${key} = ?`);
+          values.push(updateData[key]);
+        }
+      });
+
+      if (splits === null) {
+        updates.push('split_mode = NULL');
+      }
+
+      const connection = await db.getConnection();
+
+      try {
+        await connection.beginTransaction();
+
+        if (updates.length > 0) {
+          values.push(id);
+          await connection.execute(`UPDATE trip_expenses SET ${updates.join(', ')} WHERE id = ?`, values);
+        }
+
+        if (splits !== undefined) {
+          await saveSplits(connection, id, splits || []);
+        }
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      return await this.findById(id);
+    } catch (error) {
+      console.error('Error updating expense:', error);
+      throw new Error('Failed to update expense');
+    }
+  }
+
+  /**
+   * Delete an expense
+   * @param {number} id - Expense ID
+   * @returns {boolean} Success status
+   */
+  static async delete(id) {
+    try {
+      const [result] = await db.execute('DELETE FROM trip_expenses WHERE id = ?', [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting expense:', error);
+      throw new Error('Failed to delete expense');
+    }
+  }
+
+  /**
+   * Get actual spending per category and per day
+   * Amounts are converted to `currency`; currencies without a stored rate are
+   * left out and listed in unconverted_currencies.
+   * @param {number} tripId - Trip ID
+   * @param {string} currency - Currency of the totals (the trip's)
+   * @returns {Object} {total_cost, expense_count, currency, unconverted_currencies, byCategory, byDay}
+   */
+  static async getActualCosts(tripId, currency) {
+    try {
+      const query = `
+        SELECT category,
+               DATE_FORMAT(expense_date, '%Y-%m-%d') as day,
+               currency,
+               COUNT(*) as count,
+               SUM(amount) as amount
+        FROM trip_expenses
+        WHERE trip_id = ?
+        GROUP BY category, expense_date, currency
+      `;
+
+      const [[rows], rates] = await Promise.all([
+        db.execute(query, [tripId]),
+        ExchangeRateModel.getRateMap()
+      ]);
+
+      const costs = sumInCurrency(rows, currency, rates);
+
+      return {
+        total_cost: costs.total,
+        expense_count: rows.reduce((sum, row) => sum + Number(row.count), 0),
+        currency,
+        unconverted_currencies: costs.unconverted,
+        byCategory: totalsBy(rows, 'category', currency, rates).sort((a, b) => b.total_cost - a.total_cost),
+        byDay: totalsBy(rows, 'day', currency, rates).sort((a, b) => a.day.localeCompare(b.day))
+      };
+    } catch (error) {
+      console.error('Error getting actual costs:', error);
+      throw new Error('Failed to get actual costs');
+    }
+  }
+}
+
+module.exports = ExpenseModel;
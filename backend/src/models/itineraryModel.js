@@ -1,4 +1,48 @@
 const db = require('../config/db');
+const ExchangeRateModel = require('./exchangeRateModel');
+const TravelLegModel = require('./travelLegModel');
+const { DEFAULT_CURRENCY, roundAmount, sumInCurrency } = require('../services/currency');
+const { toDay } = require('../services/wallClock');
+const { toLocal, toInstant, timeSpan, toStoredTime } = require('../services/timeZones');
+
+/**
+ * Get the currency a trip's totals are reported in
+ */
+const getTripCurrency = async (tripId) => {
+  const [rows] = await db.execute('SELECT currency FROM trips WHERE id = ?', [tripId]);
+  return rows.length > 0 ? rows[0].currency : DEFAULT_CURRENCY;
+};
+
+/**
+ * Get the time zone of a city, which new items there are local to
+ */
+const getCityTimeZone = async (cityId) => {
+  if (!cityId) return null;
+  const [rows] = await db.execute('SELECT time_zone FROM cities WHERE id = ?', [cityId]);
+  return rows.length > 0 ? rows[0].time_zone : null;
+};
+
+/**
+ * Time zone for an item being saved: its own if given (null keeps it
+ * floating), otherwise its city's
+ */
+const resolveTimeZone = async (item) => (
+  item.time_zone !== undefined ? item.time_zone : getCityTimeZone(item.city_id)
+);
+
+/**
+ * Map an itinerary row for callers
+ * start_time/end_time become local times in the item's zone ("YYYY-MM-DDTHH:mm"),
+ * and start_time_utc/end_time_utc give the same moments as ISO instants (null
+ * for floating items, which have no zone).
+ */
+const toItem = (row) => ({
+  ...row,
+  start_time: toLocal(row.start_time, row.time_zone),
+  end_time: toLocal(row.end_time, row.time_zone),
+  start_time_utc: toInstant(row.start_time, row.time_zone),
+  end_time_utc: toInstant(row.end_time, row.time_zone)
+});
 
 /**
  * Itinerary Model
@@ -7,6 +51,7 @@ const db = require('../config/db');
 class ItineraryModel {
   /**
    * Create a new itinerary item
+   * Times are local to time_zone, which defaults to the city's.
    * @param {Object} itemData - Itinerary item data
    * @returns {Object} Created itinerary item
    */
@@ -22,21 +67,25 @@ class ItineraryModel {
         start_time,
         end_time,
         cost,
+        currency = null,
         category = 'other',
         booking_reference,
         notes,
         order_index = 0
       } = itemData;
 
+      const timeZone = await resolveTimeZone(itemData);
+
       const query = `
         INSERT INTO itinerary_items 
-        (trip_id, city_id, activity_id, title, description, location, start_time, end_time, cost, category, booking_reference, notes, order_index)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        (trip_id, city_id, activity_id, title, description, location, start_time, end_time, time_zone, cost, currency, category, booking_reference, notes, order_index)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
 
       const [result] = await db.execute(query, [
         trip_id, city_id, activity_id, title, description, location, 
-        start_time, end_time, cost, category, booking_reference, notes, order_index
+        toStoredTime(start_time, timeZone), toStoredTime(end_time, timeZone), timeZone,
+        cost, currency, category, booking_reference, notes, order_index
       ]);
 
       return await this.findById(result.insertId);
@@ -63,8 +112,8 @@ class ItineraryModel {
         WHERE ii.id = ?
       `;
 
-      const [rows] = await db.execute(query, [id]);
-      return rows.length > 0 ? rows[0] : null;
+      const [rows] = await db.execute(db.wallClockQuery(query), [id]);
+      return rows.length > 0 ? toItem(rows[0]) : null;
     } catch (error) {
       console.error('Error finding itinerary item by ID:', error);
       throw new Error('Failed to find itinerary item');
@@ -84,8 +133,7 @@ class ItineraryModel {
       let query = `
         SELECT ii.*, 
                c.name as city_name, c.country,
-               a.name as activity_name, a.rating as activity_rating,
-               DATE(ii.start_time) as activity_date
+               a.name as activity_name, a.rating as activity_rating
         FROM itinerary_items ii
         LEFT JOIN cities c ON ii.city_id = c.id
         LEFT JOIN activities a ON ii.activity_id = a.id
@@ -101,13 +149,14 @@ class ItineraryModel {
       
       query += ' ORDER BY ii.start_time ASC, ii.order_index ASC';
 
-      const [rows] = await db.execute(query, params);
+      const [rows] = await db.execute(db.wallClockQuery(query), params);
+      const items = rows.map(toItem);
       
       if (groupByDate) {
-        return this.groupItemsByDate(rows);
+        return this.groupItemsByDate(items);
       }
       
-      return rows;
+      return items;
     } catch (error) {
       console.error('Error getting itinerary items for trip:', error);
       throw new Error('Failed to get itinerary items');
@@ -116,14 +165,15 @@ class ItineraryModel {
 
   /**
    * Group itinerary items by date
-   * @param {Array} items - Array of itinerary items
-   * @returns {Object} Items grouped by date
+   * Items fall on the date they start at their destination, not in UTC.
+   * @param {Array} items - Array of itinerary items (local times, see toItem)
+   * @returns {Object} Items grouped by date ("YYYY-MM-DD" or "unscheduled")
    */
   static groupItemsByDate(items) {
     const groupedItems = {};
     
     items.forEach(item => {
-      const date = item.activity_date || 'unscheduled';
+      const date = toDay(item.start_time) || 'unscheduled';
       if (!groupedItems[date]) {
         groupedItems[date] = [];
       }
@@ -135,25 +185,44 @@ class ItineraryModel {
 
   /**
    * Update itinerary item
+   * Times are local to the item's zone. Changing the zone (or moving the item
+   * to a city with another zone) keeps its local times.
    * @param {number} id - Itinerary item ID
    * @param {Object} updateData - Data to update
+   * @param {number|null} expectedVersion - Version the caller last saw; skips the check when null
    * @returns {Object} Updated itinerary item
    */
-  static async updateItem(id, updateData) {
+  static async updateItem(id, updateData, expectedVersion = null) {
     try {
       const allowedFields = [
         'city_id', 'activity_id', 'title', 'description', 'location',
-        'start_time', 'end_time', 'cost', 'category', 'booking_reference',
+        'start_time', 'end_time', 'time_zone', 'cost', 'currency', 'category', 'booking_reference',
         'notes', 'order_index'
       ];
+      const data = { ...updateData };
+
+      if (['start_time', 'end_time', 'time_zone', 'city_id'].some(key => data[key] !== undefined)) {
+        const existing = await this.findById(id);
+
+        if (existing) {
+          const cityChanged = data.city_id !== undefined && String(data.city_id) !== String(existing.city_id);
+          const timeZone = data.time_zone !== undefined ? data.time_zone
+            : cityChanged ? await getCityTimeZone(data.city_id)
+            : existing.time_zone;
+
+          data.time_zone = timeZone;
+          data.start_time = toStoredTime(data.start_time !== undefined ? data.start_time : existing.start_time, timeZone);
+          data.end_time = toStoredTime(data.end_time !== undefined ? data.end_time : existing.end_time, timeZone);
+        }
+      }
       
       const updateFields = [];
       const values = [];
       
-      Object.keys(updateData).forEach(key => {
-        if (allowedFields.includes(key) && updateData[key] !== undefined) {
+      Object.keys(data).forEach(key => {
+        if (allowedFields.includes(key) && data[key] !== undefined) {
           updateFields.push(`${key} = ?`);
-          values.push(updateData[key]);
+          values.push(data[key]);
         }
       });
       
@@ -162,17 +231,31 @@ class ItineraryModel {
       }
       
       values.push(id);
+
+      let versionClause = '';
+      if (expectedVersion !== null) {
+        versionClause = ' AND version = ?';
+        values.push(expectedVersion);
+      }
       
       const query = `
         UPDATE itinerary_items 
-        SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
-        WHERE id = ?
+        SET ${updateFields.join(', ')}, version = version + 1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?${versionClause}
       `;
 
-      await db.execute(query, values);
+      const [result] = await db.execute(query, values);
+
+      if (expectedVersion !== null && result.affectedRows === 0) {
+        throw new Error('Version conflict');
+      }
+
       return await this.findById(id);
     } catch (error) {
       console.error('Error updating itinerary item:', error);
+      if (error.message === 'Version conflict') {
+        throw error;
+      }
       throw new Error('Failed to update itinerary item');
     }
   }
@@ -239,6 +322,10 @@ class ItineraryModel {
 
   /**
    * Get itinerary summary for a trip
+   * Costs are converted to the trip's currency; currencies without a stored
+   * rate are left out of the totals and listed in unconverted_currencies.
+   * Travel leg costs are included in the totals. first_activity and last_activity
+   * are as in timeZones.timeSpan; days_count counts the local dates items start on.
    * @param {number} tripId - Trip ID
    * @returns {Object} Itinerary summary
    */
@@ -252,31 +339,59 @@ class ItineraryModel {
           COUNT(CASE WHEN category = 'flight' THEN 1 END) as flights_count,
           COUNT(CASE WHEN category = 'restaurant' THEN 1 END) as restaurants_count,
           COUNT(CASE WHEN category = 'transport' THEN 1 END) as transport_count,
-          COALESCE(SUM(cost), 0) as total_cost,
-          COALESCE(AVG(cost), 0) as avg_cost,
-          MIN(start_time) as first_activity,
-          MAX(end_time) as last_activity,
-          COUNT(DISTINCT city_id) as cities_count,
-          COUNT(DISTINCT DATE(start_time)) as days_count
+          COUNT(DISTINCT city_id) as cities_count
         FROM itinerary_items
         WHERE trip_id = ?
       `;
 
-      const [rows] = await db.execute(query, [tripId]);
-      return rows.length > 0 ? rows[0] : {
+      const timesQuery = `
+        SELECT start_time, end_time, time_zone
+        FROM itinerary_items
+        WHERE trip_id = ? AND start_time IS NOT NULL
+      `;
+
+      const costQuery = `
+        SELECT COALESCE(ii.currency, t.currency) as currency,
+               SUM(ii.cost) as amount,
+               COUNT(ii.cost) as count
+        FROM itinerary_items ii
+        JOIN trips t ON ii.trip_id = t.id
+        WHERE ii.trip_id = ?
+        GROUP BY COALESCE(ii.currency, t.currency)
+      `;
+
+      const [[rows], [timeRows], [costRows], legCostRows, currency, rates] = await Promise.all([
+        db.execute(query, [tripId]),
+        db.execute(db.wallClockQuery(timesQuery), [tripId]),
+        db.execute(costQuery, [tripId]),
+        TravelLegModel.getCostRows([tripId]),
+        getTripCurrency(tripId),
+        ExchangeRateModel.getRateMap()
+      ]);
+
+      const costs = sumInCurrency([...costRows, ...legCostRows], currency, rates);
+      const summary = rows.length > 0 ? rows[0] : {
         total_items: 0,
         activities_count: 0,
         hotels_count: 0,
         flights_count: 0,
         restaurants_count: 0,
         transport_count: 0,
-        total_cost: 0,
-        avg_cost: 0,
-        first_activity: null,
-        last_activity: null,
         cities_count: 0,
         days_count: 0
       };
+      const span = timeSpan(timeRows);
+
+      return {
+        ...summary,
+        first_activity: span.first,
+        last_activity: span.last,
+        days_count: new Set(timeRows.map(row => toDay(toLocal(row.start_time, row.time_zone)))).size,
+        total_cost: costs.total,
+        avg_cost: costs.count > 0 ? roundAmount(costs.total / costs.count) : 0,
+        currency,
+        unconverted_currencies: costs.unconverted
+      };
     } catch (error) {
       console.error('Error getting trip summary:', error);
       throw new Error('Failed to get trip summary');
@@ -285,6 +400,8 @@ class ItineraryModel {
 
   /**
    * Get cost breakdown by category
+   * Totals are in the trip's currency, converted like getTripSummary.
+   * Travel legs count as flight or transport (see TravelLegModel.getCostRows).
    * @param {number} tripId - Trip ID
    * @returns {Array} Cost breakdown by category
    */
@@ -292,52 +409,224 @@ class ItineraryModel {
     try {
       const query = `
         SELECT 
-          category,
-          COUNT(*) as item_count,
-          COALESCE(SUM(cost), 0) as total_cost,
-          COALESCE(AVG(cost), 0) as avg_cost
-        FROM itinerary_items
-        WHERE trip_id = ? AND cost > 0
-        GROUP BY category
-        ORDER BY total_cost DESC
+          ii.category,
+          COALESCE(ii.currency, t.currency) as currency,
+          COUNT(*) as count,
+          SUM(ii.cost) as amount
+        FROM itinerary_items ii
+        JOIN trips t ON ii.trip_id = t.id
+        WHERE ii.trip_id = ? AND ii.cost > 0
+        GROUP BY ii.category, COALESCE(ii.currency, t.currency)
       `;
 
-      const [rows] = await db.execute(query, [tripId]);
-      return rows;
+      const [[itemRows], legRows, currency, rates] = await Promise.all([
+        db.execute(query, [tripId]),
+        TravelLegModel.getCostRows([tripId]),
+        getTripCurrency(tripId),
+        ExchangeRateModel.getRateMap()
+      ]);
+
+      const rows = [...itemRows, ...legRows];
+      const categories = [...new Set(rows.map(row => row.category))];
+
+      return categories
+        .map(category => {
+          const categoryRows = rows.filter(row => row.category === category);
+          const costs = sumInCurrency(categoryRows, currency, rates);
+
+          return {
+            category,
+            item_count: categoryRows.reduce((sum, row) => sum + Number(row.count), 0),
+            total_cost: costs.total,
+            avg_cost: costs.count > 0 ? roundAmount(costs.total / costs.count) : 0,
+            currency,
+            unconverted_currencies: costs.unconverted
+          };
+        })
+        .sort((a, b) => b.total_cost - a.total_cost);
     } catch (error) {
       console.error('Error getting cost breakdown:', error);
       throw new Error('Failed to get cost breakdown');
     }
   }
 
+  /**
+   * Get costs per day (by start time)
+   * Totals are in the trip's currency, converted like getTripSummary.
+   * Items count on the local date they start on; items without a start time
+   * don't belong to a day and are left out.
+   * Travel legs count on the day they depart.
+   * @param {number} tripId - Trip ID
+   * @returns {Array} Costs by day ("YYYY-MM-DD"), oldest first
+   */
+  static async getDailyCosts(tripId) {
+    try {
+      const query = `
+        SELECT
+          ii.start_time,
+          ii.time_zone,
+          COALESCE(ii.currency, t.currency) as currency,
+          ii.cost as amount
+        FROM itinerary_items ii
+        JOIN trips t ON ii.trip_id = t.id
+        WHERE ii.trip_id = ? AND ii.cost > 0 AND ii.start_time IS NOT NULL
+      `;
+
+      const [[itemRows], legRows, currency, rates] = await Promise.all([
+        db.execute(db.wallClockQuery(query), [tripId]),
+        TravelLegModel.getCostRows([tripId]),
+        getTripCurrency(tripId),
+        ExchangeRateModel.getRateMap()
+      ]);
+
+      const rows = [
+        ...itemRows.map(row => ({
+          day: toDay(toLocal(row.start_time, row.time_zone)),
+          currency: row.currency,
+          count: 1,
+          amount: row.amount
+        })),
+        ...legRows.filter(row => row.day)
+      ];
+      const days = [...new Set(rows.map(row => row.day))].sort();
+
+      return days.map(day => {
+        const dayRows = rows.filter(row => row.day === day);
+        const costs = sumInCurrency(dayRows, currency, rates);
+
+        return {
+          day,
+          item_count: dayRows.reduce((sum, row) => sum + Number(row.count), 0),
+          total_cost: costs.total,
+          currency,
+          unconverted_currencies: costs.unconverted
+        };
+      });
+    } catch (error) {
+      console.error('Error getting daily costs:', error);
+      throw new Error('Failed to get daily costs');
+    }
+  }
+
+  /**
+   * Import itinerary items, adding any new cities to the trip first
+   * Runs in one transaction so a failed import leaves the trip unchanged.
+   * @param {number} tripId - Trip ID
+   * @param {Array} items - Item rows (same fields as createItem, times local to time_zone)
+   * @param {Array} newCities - Trip stops to add: {city_id, arrival_date, departure_date}
+   * @returns {Array} Created itinerary items
+   */
+  static async importItems(tripId, items, newCities = []) {
+    try {
+      // Looked up before taking a connection so the transaction never waits on the pool
+      const timeZones = await Promise.all(items.map(resolveTimeZone));
+      const connection = await db.getConnection();
+      const itemIds = [];
+
+      try {
+        await connection.beginTransaction();
+
+        if (newCities.length > 0) {
+          const [[{ next_index }]] = await connection.execute(
+            'SELECT COALESCE(MAX(order_index) + 1, 0) AS next_index FROM trip_cities WHERE trip_id = ?',
+            [tripId]
+          );
+
+          for (const [offset, city] of newCities.entries()) {
+            await connection.execute(
+              `INSERT INTO trip_cities (trip_id, city_id, arrival_date, departure_date, order_index)
+               VALUES (?, ?, ?, ?, ?)`,
+              [tripId, city.city_id, city.arrival_date, city.departure_date, next_index + offset]
+            );
+          }
+        }
+
+        for (const [index, item] of items.entries()) {
+          const timeZone = timeZones[index];
+          const [result] = await connection.execute(
+            `INSERT INTO itinerary_items
+             (trip_id, city_id, activity_id, title, description, location, start_time, end_time, time_zone, cost, currency, category, booking_reference, notes, order_index)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0)`,
+            [
+              tripId, item.city_id, item.activity_id || null, item.title, item.description, item.location,
+              toStoredTime(item.start_time, timeZone), toStoredTime(item.end_time, timeZone), timeZone,
+              item.cost, item.currency || null, item.category, item.booking_reference, item.notes
+            ]
+          );
+          itemIds.push(result.insertId);
+        }
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      return await Promise.all(itemIds.map(id => this.findById(id)));
+    } catch (error) {
+      console.error('Error importing itinerary items:', error);
+      throw new Error('Failed to import itinerary items');
+    }
+  }
+
   /**
    * Reorder itinerary items
-   * @param {Array} itemOrders - Array of {id, order_index} objects
-   * @returns {boolean} Success status
+   * Each item's version must still match, otherwise nothing is changed.
+   * @param {number} tripId - Trip ID the items must belong to
+   * @param {Array} itemOrders - Array of {id, order_index, version} objects, optionally
+   *   with new start_time and end_time (local to the item's zone)
+   * @returns {Array} Updated itinerary items
    */
-  static async reorderItems(itemOrders) {
+  static async reorderItems(tripId, itemOrders) {
     try {
       const connection = await db.getConnection();
-      await connection.beginTransaction();
 
       try {
+        await connection.beginTransaction();
+
+        const [zoneRows] = await connection.execute(
+          'SELECT id, time_zone FROM itinerary_items WHERE trip_id = ?',
+          [tripId]
+        );
+        const zones = new Map(zoneRows.map(row => [String(row.id), row.time_zone]));
+
         for (const item of itemOrders) {
-          await connection.execute(
-            'UPDATE itinerary_items SET order_index = ? WHERE id = ?',
-            [item.order_index, item.id]
+          const retimed = item.start_time !== undefined;
+          const timeZone = zones.get(String(item.id)) || null;
+          const [result] = await connection.execute(
+            `UPDATE itinerary_items
+             SET order_index = ?, ${retimed ? 'start_time = ?, end_time = ?, ' : ''}version = version + 1,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND trip_id = ? AND version = ?`,
+            retimed
+              ? [
+                item.order_index, toStoredTime(item.start_time, timeZone), toStoredTime(item.end_time, timeZone),
+                item.id, tripId, item.version
+              ]
+              : [item.order_index, item.id, tripId, item.version]
           );
+
+          if (result.affectedRows === 0) {
+            throw new Error('Version conflict');
+          }
         }
 
         await connection.commit();
-        return true;
       } catch (error) {
         await connection.rollback();
         throw error;
       } finally {
         connection.release();
       }
+
+      return await this.getItemsForTrip(tripId);
     } catch (error) {
       console.error('Error reordering items:', error);
+      if (error.message === 'Version conflict') {
+        throw error;
+      }
       throw new Error('Failed to reorder items');
     }
   }
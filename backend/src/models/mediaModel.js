@@ -0,0 +1,40 @@
+const db = require('../config/db');
+
+/**
+ * Media Model
+ * Finds what a stored media file belongs to, so the media route can decide
+ * who may see it
+ */
+class MediaModel {
+  /**
+   * Get every avatar, cover photo and receipt that uses a stored path
+   * @param {string} storedPath - e.g. /media/trip-cover-123.jpg
+   * @returns {Array} [{kind, user_id, trip_id, is_public}]; kind is avatar,
+   *   trip_cover, template_cover or receipt
+   */
+  static async getReferences(storedPath) {
+    try {
+      const query = `
+        SELECT 'avatar' as kind, id as user_id, NULL as trip_id, FALSE as is_public
+        FROM users WHERE avatar_path = ?
+        UNION ALL
+        SELECT 'trip_cover', user_id, id, (is_public OR featured)
+        FROM trips WHERE cover_photo_path = ?
+        UNION ALL
+        SELECT 'template_cover', created_by, NULL, is_public
+        FROM trip_templates WHERE cover_photo_path = ?
+        UNION ALL
+        SELECT 'receipt', created_by, trip_id, FALSE
+        FROM trip_expenses WHERE receipt_path = ?
+      `;
+
+      const [rows] = await db.execute(query, [storedPath, storedPath, storedPath, storedPath]);
+      return rows.map(row => ({ ...row, is_public: !!Number(row.is_public) }));
+    } catch (error) {
+      console.error('Error getting media references:', error);
+      throw new Error('Failed to get media references');
+    }
+  }
+}
+
+module.exports = MediaModel;
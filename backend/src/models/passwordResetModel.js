@@ -0,0 +1,94 @@
+const db = require('../config/db');
+
+/**
+ * Password Reset Model
+ * Handles hashed, expiring, single-use password reset tokens
+ */
+class PasswordResetModel {
+  /**
+   * Store a new reset token
+   * @param {Object} resetData - Reset data (user_id, token_hash, expires_at, requested_ip)
+   * @returns {number} Created reset ID
+   */
+  static async createReset(resetData) {
+    try {
+      const { user_id, token_hash, expires_at, requested_ip = null } = resetData;
+
+      const query = `
+        INSERT INTO password_resets (user_id, token_hash, expires_at, requested_ip)
+        VALUES (?, ?, ?, ?)
+      `;
+
+      const [result] = await db.execute(query, [user_id, token_hash, expires_at, requested_ip]);
+      return result.insertId;
+    } catch (error) {
+      console.error('Error creating password reset:', error);
+      throw new Error('Failed to create password reset');
+    }
+  }
+
+  /**
+   * Find an unused, unexpired reset by token hash
+   * @param {string} tokenHash - SHA-256 hash of the reset token
+   * @returns {Object|null} Password reset data
+   */
+  static async findValidByTokenHash(tokenHash) {
+    try {
+      const query = `
+        SELECT * FROM password_resets
+        WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+      `;
+
+      const [rows] = await db.execute(query, [tokenHash]);
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error finding password reset:', error);
+      throw new Error('Failed to find password reset');
+    }
+  }
+
+  /**
+   * Mark a reset as used
+   * Only succeeds once, so two concurrent requests can't both use a token.
+   * @param {number} id - Password reset ID
+   * @returns {boolean} True if this call consumed the token
+   */
+  static async markUsed(id) {
+    try {
+      const query = `
+        UPDATE password_resets
+        SET used_at = NOW()
+        WHERE id = ? AND used_at IS NULL
+      `;
+
+      const [result] = await db.execute(query, [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error marking password reset as used:', error);
+      throw new Error('Failed to update password reset');
+    }
+  }
+
+  /**
+   * Invalidate every outstanding reset for a user
+   * @param {number} userId - User ID
+   * @returns {number} Number of resets invalidated
+   */
+  static async invalidateForUser(userId) {
+    try {
+      const query = `
+        UPDATE password_resets
+        SET used_at = NOW()
+        WHERE user_id = ? AND used_at IS NULL
+      `;
+
+      const [result] = await db.execute(query, [userId]);
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error invalidating password resets:', error);
+      throw new Error('Failed to invalidate password resets');
+    }
+  }
+}
+
+module.exports = PasswordResetModel;
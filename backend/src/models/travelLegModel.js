@@ -0,0 +1,198 @@
+const db = require('../config/db');
+
+const LEG_FIELDS = `id, trip_id, from_trip_city_id, to_trip_city_id, mode, departure_time, arrival_time,
+  cost, currency, booking_reference, notes, created_at, updated_at`;
+
+const toLeg = (row) => ({ ...row, cost: row.cost !== null ? Number(row.cost) : null });
+
+/**
+ * Travel Leg Model
+ * Handles how a trip gets from one stop (trip_cities row) to the next
+ */
+class TravelLegModel {
+  /**
+   * Get a trip's travel legs
+   * @param {number} tripId - Trip ID
+   * @returns {Array} Travel legs
+   */
+  static async getForTrip(tripId) {
+    try {
+      const [rows] = await db.execute(
+        `SELECT ${LEG_FIELDS} FROM trip_travel_legs WHERE trip_id = ? ORDER BY departure_time ASC, id ASC`,
+        [tripId]
+      );
+      return rows.map(toLeg);
+    } catch (error) {
+      console.error('Error getting travel legs:', error);
+      throw new Error('Failed to get travel legs');
+    }
+  }
+
+  /**
+   * Find a travel leg on a trip
+   * @param {number} tripId - Trip ID
+   * @param {number} id - Travel leg ID
+   * @returns {Object|null} Travel leg or null if not found
+   */
+  static async findById(tripId, id) {
+    try {
+      const [rows] = await db.execute(
+        `SELECT ${LEG_FIELDS} FROM trip_travel_legs WHERE id = ? AND trip_id = ?`,
+        [id, tripId]
+      );
+      return rows.length > 0 ? toLeg(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding travel leg:', error);
+      throw new Error('Failed to find travel leg');
+    }
+  }
+
+  /**
+   * Find the leg between two stops
+   * @param {number} fromTripCityId - Stop the leg leaves from
+   * @param {number} toTripCityId - Stop the leg arrives at
+   * @returns {Object|null} Travel leg or null if there isn't one
+   */
+  static async findByStops(fromTripCityId, toTripCityId) {
+    try {
+      const [rows] = await db.execute(
+        `SELECT ${LEG_FIELDS} FROM trip_travel_legs WHERE from_trip_city_id = ? AND to_trip_city_id = ?`,
+        [fromTripCityId, toTripCityId]
+      );
+      return rows.length > 0 ? toLeg(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding travel leg:', error);
+      throw new Error('Failed to find travel leg');
+    }
+  }
+
+  /**
+   * Create a travel leg
+   * @param {Object} legData - Travel leg data
+   * @returns {Object} Created travel leg
+   */
+  static async create(legData) {
+    try {
+      const {
+        trip_id,
+        from_trip_city_id,
+        to_trip_city_id,
+        mode,
+        departure_time = null,
+        arrival_time = null,
+        cost = null,
+        currency = null,
+        booking_reference = null,
+        notes = null
+      } = legData;
+
+      const [result] = await db.execute(
+        `INSERT INTO trip_travel_legs
+         (trip_id, from_trip_city_id, to_trip_city_id, mode, departure_time, arrival_time,
+          cost, currency, booking_reference, notes)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [trip_id, from_trip_city_id, to_trip_city_id, mode, departure_time, arrival_time,
+          cost, currency, booking_reference, notes]
+      );
+
+      return await this.findById(trip_id, result.insertId);
+    } catch (error) {
+      console.error('Error creating travel leg:', error);
+      throw new Error('Failed to create travel leg');
+    }
+  }
+
+  /**
+   * Update a travel leg
+   * @param {number} tripId - Trip ID
+   * @param {number} id - Travel leg ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Object|null} Updated travel leg or null if not found
+   */
+  static async update(tripId, id, updateData) {
+    try {
+      const allowedFields = [
+        'mode', 'departure_time', 'arrival_time', 'cost', 'currency', 'booking_reference', 'notes'
+      ];
+
+      const updates = [];
+      const values = [];
+
+      Object.keys(updateData).forEach(key => {
+        if (allowedFields.includes(key) && updateData[key] !== undefined) {
+          updates.push(`${key} = ?`);
+          values.push(updateData[key]);
+        }
+      });
+
+      if (updates.length > 0) {
+        values.push(id, tripId);
+        await db.execute(
+          `UPDATE trip_travel_legs SET ${updates.join(', ')} WHERE id = ? AND trip_id = ?`,
+          values
+        );
+      }
+
+      return await this.findById(tripId, id);
+    } catch (error) {
+      console.error('Error updating travel leg:', error);
+      throw new Error('Failed to update travel leg');
+    }
+  }
+
+  /**
+   * Delete a travel leg
+   * @param {number} tripId - Trip ID
+   * @param {number} id - Travel leg ID
+   * @returns {boolean} Success status
+   */
+  static async delete(tripId, id) {
+    try {
+      const [result] = await db.execute(
+        'DELETE FROM trip_travel_legs WHERE id = ? AND trip_id = ?',
+        [id, tripId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting travel leg:', error);
+      throw new Error('Failed to delete travel leg');
+    }
+  }
+
+  /**
+   * Get planned travel costs for trips, for adding to their itinerary costs
+   * Flights count as "flight" and every other mode as "transport", so legs
+   * land in the same budget envelopes as the matching itinerary items.
+   * @param {Array} tripIds - Trip IDs
+   * @returns {Array} Rows of {trip_id, category, day (departure, or null), currency, count, amount}
+   */
+  static async getCostRows(tripIds) {
+    if (tripIds.length === 0) {
+      return [];
+    }
+
+    try {
+      const query = `
+        SELECT tl.trip_id,
+               IF(tl.mode = 'flight', 'flight', 'transport') as category,
+               DATE_FORMAT(tl.departure_time, '%Y-%m-%d') as day,
+               COALESCE(tl.currency, t.currency) as currency,
+               COUNT(*) as count,
+               SUM(tl.cost) as amount
+        FROM trip_travel_legs tl
+        JOIN trips t ON tl.trip_id = t.id
+        WHERE tl.trip_id IN (${tripIds.map(() => '?').join(', ')}) AND tl.cost > 0
+        GROUP BY tl.trip_id, IF(tl.mode = 'flight', 'flight', 'transport'),
+                 DATE_FORMAT(tl.departure_time, '%Y-%m-%d'), COALESCE(tl.currency, t.currency)
+      `;
+
+      const [rows] = await db.execute(query, tripIds);
+      return rows;
+    } catch (error) {
+      console.error('Error getting travel leg costs:', error);
+      throw new Error('Failed to get travel leg costs');
+    }
+  }
+}
+
+module.exports = TravelLegModel;
@@ -0,0 +1,151 @@
+const db = require('../config/db');
+const ItineraryModel = require('./itineraryModel');
+const { DEFAULT_CURRENCY } = require('../services/currency');
+const { computeVariance } = require('../services/budget');
+
+const BUDGET_FIELDS = `id, trip_id, category, DATE_FORMAT(budget_date, '%Y-%m-%d') as budget_date,
+  amount, created_at, updated_at`;
+
+const toBudget = (row) => ({ ...row, amount: Number(row.amount) });
+
+/**
+ * Trip Budget Model
+ * Handles per-category and per-day budget envelopes for a trip
+ */
+class TripBudgetModel {
+  /**
+   * Get a trip's envelopes
+   * @param {number} tripId - Trip ID
+   * @returns {Array} Category envelopes first, then days in date order
+   */
+  static async getForTrip(tripId) {
+    try {
+      const [rows] = await db.execute(
+        `SELECT ${BUDGET_FIELDS} FROM trip_budgets
+         WHERE trip_id = ?
+         ORDER BY budget_date IS NOT NULL, category ASC, budget_date ASC`,
+        [tripId]
+      );
+      return rows.map(toBudget);
+    } catch (error) {
+      console.error('Error getting trip budgets:', error);
+      throw new Error('Failed to get trip budgets');
+    }
+  }
+
+  /**
+   * Find an envelope on a trip
+   * @param {number} tripId - Trip ID
+   * @param {number} id - Envelope ID
+   * @returns {Object|null} Envelope or null if not found
+   */
+  static async findById(tripId, id) {
+    try {
+      const [rows] = await db.execute(
+        `SELECT ${BUDGET_FIELDS} FROM trip_budgets WHERE id = ? AND trip_id = ?`,
+        [id, tripId]
+      );
+      return rows.length > 0 ? toBudget(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding trip budget:', error);
+      throw new Error('Failed to find trip budget');
+    }
+  }
+
+  /**
+   * Find the envelope for a category or a day
+   * @param {number} tripId - Trip ID
+   * @param {Object} scope - {category} or {budget_date}
+   * @returns {Object|null} Envelope or null if there isn't one
+   */
+  static async findByScope(tripId, { category = null, budget_date = null }) {
+    try {
+      const [rows] = await db.execute(
+        `SELECT ${BUDGET_FIELDS} FROM trip_budgets
+         WHERE trip_id = ? AND category <=> ? AND budget_date <=> ?`,
+        [tripId, category, budget_date]
+      );
+      return rows.length > 0 ? toBudget(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding trip budget:', error);
+      throw new Error('Failed to find trip budget');
+    }
+  }
+
+  /**
+   * Create an envelope
+   * @param {number} tripId - Trip ID
+   * @param {Object} budgetData - {category} or {budget_date}, and amount
+   * @returns {Object} Created envelope
+   */
+  static async create(tripId, { category = null, budget_date = null, amount }) {
+    try {
+      const [result] = await db.execute(
+        'INSERT INTO trip_budgets (trip_id, category, budget_date, amount) VALUES (?, ?, ?, ?)',
+        [tripId, category, budget_date, amount]
+      );
+      return await this.findById(tripId, result.insertId);
+    } catch (error) {
+      console.error('Error creating trip budget:', error);
+      throw new Error('Failed to create trip budget');
+    }
+  }
+
+  /**
+   * Change an envelope's amount
+   * @param {number} tripId - Trip ID
+   * @param {number} id - Envelope ID
+   * @param {number} amount - New limit
+   * @returns {Object|null} Updated envelope or null if not found
+   */
+  static async updateAmount(tripId, id, amount) {
+    try {
+      await db.execute(
+        'UPDATE trip_budgets SET amount = ? WHERE id = ? AND trip_id = ?',
+        [amount, id, tripId]
+      );
+      return await this.findById(tripId, id);
+    } catch (error) {
+      console.error('Error updating trip budget:', error);
+      throw new Error('Failed to update trip budget');
+    }
+  }
+
+  /**
+   * Delete an envelope
+   * @param {number} tripId - Trip ID
+   * @param {number} id - Envelope ID
+   * @returns {boolean} Success status
+   */
+  static async delete(tripId, id) {
+    try {
+      const [result] = await db.execute(
+        'DELETE FROM trip_budgets WHERE id = ? AND trip_id = ?',
+        [id, tripId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting trip budget:', error);
+      throw new Error('Failed to delete trip budget');
+    }
+  }
+
+  /**
+   * Compare a trip's envelopes with its itinerary costs
+   * @param {number} tripId - Trip ID
+   * @param {string} currency - Trip currency
+   * @param {Array} envelopes - Envelopes already loaded for the trip (optional)
+   * @returns {Object} See budget.computeVariance
+   */
+  static async getVariance(tripId, currency = DEFAULT_CURRENCY, envelopes = null) {
+    const [budgets, costBreakdown, dailyCosts] = await Promise.all([
+      envelopes || this.getForTrip(tripId),
+      ItineraryModel.getCostBreakdown(tripId),
+      ItineraryModel.getDailyCosts(tripId)
+    ]);
+
+    return computeVariance(budgets, costBreakdown, dailyCosts, currency);
+  }
+}
+
+module.exports = TripBudgetModel;
@@ -0,0 +1,133 @@
+const db = require('../config/db');
+
+const DOCUMENT_FIELDS = `d.id, d.trip_id, d.itinerary_item_id, d.uploaded_by, d.kind, d.original_name,
+  d.stored_name, d.thumbnail_name, d.mime_type, d.size_bytes, d.created_at,
+  u.full_name as uploaded_by_name, ii.title as itinerary_item_title`;
+
+const DOCUMENT_JOINS = `
+  FROM trip_documents d
+  JOIN users u ON d.uploaded_by = u.id
+  LEFT JOIN itinerary_items ii ON d.itinerary_item_id = ii.id`;
+
+/**
+ * Trip Document Model
+ * Handles tickets, visas, insurance papers and receipts stored for a trip
+ */
+class TripDocumentModel {
+  /**
+   * Get a trip's documents
+   * @param {number} tripId - Trip ID
+   * @param {Object} filters - Optional itineraryItemId and kind
+   * @returns {Array} Documents, newest first
+   */
+  static async getForTrip(tripId, filters = {}) {
+    try {
+      let query = `SELECT ${DOCUMENT_FIELDS} ${DOCUMENT_JOINS} WHERE d.trip_id = ?`;
+      const params = [tripId];
+
+      if (filters.itineraryItemId) {
+        query += ' AND d.itinerary_item_id = ?';
+        params.push(filters.itineraryItemId);
+      }
+
+      if (filters.kind) {
+        query += ' AND d.kind = ?';
+        params.push(filters.kind);
+      }
+
+      query += ' ORDER BY d.created_at DESC, d.id DESC';
+
+      const [rows] = await db.execute(query, params);
+      return rows;
+    } catch (error) {
+      console.error('Error getting trip documents:', error);
+      throw new Error('Failed to get trip documents');
+    }
+  }
+
+  /**
+   * Find a document on a trip
+   * @param {number} tripId - Trip ID
+   * @param {number} id - Document ID
+   * @returns {Object|null} Document or null if not found
+   */
+  static async findById(tripId, id) {
+    try {
+      const [rows] = await db.execute(
+        `SELECT ${DOCUMENT_FIELDS} ${DOCUMENT_JOINS} WHERE d.id = ? AND d.trip_id = ?`,
+        [id, tripId]
+      );
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error finding trip document:', error);
+      throw new Error('Failed to find trip document');
+    }
+  }
+
+  /**
+   * Record uploaded documents
+   * All rows are written in one transaction so an upload is all or nothing.
+   * @param {Array} documents - Document data (trip_id, itinerary_item_id, uploaded_by, kind,
+   *   original_name, stored_name, thumbnail_name, mime_type, size_bytes)
+   * @returns {Array} IDs of the created documents
+   */
+  static async createMany(documents) {
+    try {
+      const connection = await db.getConnection();
+      const ids = [];
+      await connection.beginTransaction();
+
+      try {
+        for (const document of documents) {
+          const [result] = await connection.execute(
+            `INSERT INTO trip_documents
+             (trip_id, itinerary_item_id, uploaded_by, kind, original_name, stored_name,
+              thumbnail_name, mime_type, size_bytes)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              document.trip_id,
+              document.itinerary_item_id || null,
+              document.uploaded_by,
+              document.kind,
+              document.original_name,
+              document.stored_name,
+              document.thumbnail_name || null,
+              document.mime_type,
+              document.size_bytes
+            ]
+          );
+          ids.push(result.insertId);
+        }
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      return ids;
+    } catch (error) {
+      console.error('Error creating trip documents:', error);
+      throw new Error('Failed to save trip documents');
+    }
+  }
+
+  /**
+   * Delete a document
+   * @param {number} id - Document ID
+   * @returns {boolean} Success status
+   */
+  static async delete(id) {
+    try {
+      const [result] = await db.execute('DELETE FROM trip_documents WHERE id = ?', [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting trip document:', error);
+      throw new Error('Failed to delete trip document');
+    }
+  }
+}
+
+module.exports = TripDocumentModel;
@@ -0,0 +1,221 @@
+const db = require('../config/db');
+
+/**
+ * Trip Member Model
+ * Handles trip co-planner invitations and memberships
+ */
+class TripMemberModel {
+  /**
+   * Invite a user to a trip by email
+   * A declined invitation is replaced by a new pending one.
+   * @param {Object} inviteData - Invitation data (trip_id, email, role, invited_by)
+   * @returns {Object} Created invitation
+   */
+  static async inviteMember(inviteData) {
+    try {
+      const { trip_id, email, role = 'viewer', invited_by } = inviteData;
+      const normalizedEmail = email.toLowerCase();
+
+      await db.execute(
+        `DELETE FROM trip_members WHERE trip_id = ? AND email = ? AND status = 'declined'`,
+        [trip_id, normalizedEmail]
+      );
+
+      const query = `
+        INSERT INTO trip_members (trip_id, email, role, invited_by)
+        VALUES (?, ?, ?, ?)
+      `;
+
+      const [result] = await db.execute(query, [trip_id, normalizedEmail, role, invited_by]);
+      return await this.findById(result.insertId);
+    } catch (error) {
+      console.error('Error inviting trip member:', error);
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error('User already invited to this trip');
+      }
+      throw new Error('Failed to invite trip member');
+    }
+  }
+
+  /**
+   * Find trip member by ID
+   * @param {number} id - Trip member ID
+   * @returns {Object|null} Trip member data
+   */
+  static async findById(id) {
+    try {
+      const query = `
+        SELECT tm.*, u.full_name as user_name, u.avatar_path,
+               t.title as trip_title, inviter.full_name as invited_by_name
+        FROM trip_members tm
+        JOIN trips t ON tm.trip_id = t.id
+        JOIN users inviter ON tm.invited_by = inviter.id
+        LEFT JOIN users u ON tm.user_id = u.id
+        WHERE tm.id = ?
+      `;
+
+      const [rows] = await db.execute(query, [id]);
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error finding trip member by ID:', error);
+      throw new Error('Failed to find trip member');
+    }
+  }
+
+  /**
+   * Get members and pending invitations for a trip
+   * @param {number} tripId - Trip ID
+   * @returns {Array} Array of trip members
+   */
+  static async getMembersForTrip(tripId) {
+    try {
+      const query = `
+        SELECT tm.id, tm.trip_id, tm.user_id, tm.email, tm.role, tm.status,
+               tm.created_at, tm.responded_at,
+               u.full_name as user_name, u.avatar_path
+        FROM trip_members tm
+        LEFT JOIN users u ON tm.user_id = u.id
+        WHERE tm.trip_id = ? AND tm.status != 'declined'
+        ORDER BY tm.created_at ASC
+      `;
+
+      const [rows] = await db.execute(query, [tripId]);
+      return rows;
+    } catch (error) {
+      console.error('Error getting trip members:', error);
+      throw new Error('Failed to get trip members');
+    }
+  }
+
+  /**
+   * Get everyone taking part in a trip: the owner and accepted members
+   * @param {number} tripId - Trip ID
+   * @returns {Array} [{user_id, name, avatar_path}], owner first
+   */
+  static async getParticipants(tripId) {
+    try {
+      const query = `
+        SELECT u.id as user_id, u.full_name as name, u.avatar_path
+        FROM trips t
+        JOIN users u ON t.user_id = u.id
+        WHERE t.id = ?
+        UNION ALL
+        SELECT u.id as user_id, u.full_name as name, u.avatar_path
+        FROM trip_members tm
+        JOIN users u ON tm.user_id = u.id
+        WHERE tm.trip_id = ? AND tm.status = 'accepted'
+      `;
+
+      const [rows] = await db.execute(query, [tripId, tripId]);
+      return rows;
+    } catch (error) {
+      console.error('Error getting trip participants:', error);
+      throw new Error('Failed to get trip participants');
+    }
+  }
+
+  /**
+   * Find an accepted membership for a user on a trip
+   * @param {number} tripId - Trip ID
+   * @param {number} userId - User ID
+   * @returns {Object|null} Membership data
+   */
+  static async findMembership(tripId, userId) {
+    try {
+      const query = `
+        SELECT * FROM trip_members
+        WHERE trip_id = ? AND user_id = ? AND status = 'accepted'
+      `;
+
+      const [rows] = await db.execute(query, [tripId, userId]);
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error finding trip membership:', error);
+      throw new Error('Failed to find trip membership');
+    }
+  }
+
+  /**
+   * Get pending invitations addressed to an email
+   * @param {string} email - Invitee email
+   * @returns {Array} Array of pending invitations
+   */
+  static async getPendingInvitations(email) {
+    try {
+      const query = `
+        SELECT tm.id, tm.trip_id, tm.role, tm.status, tm.created_at,
+               t.title as trip_title, t.start_date, t.end_date,
+               inviter.full_name as invited_by_name
+        FROM trip_members tm
+        JOIN trips t ON tm.trip_id = t.id
+        JOIN users inviter ON tm.invited_by = inviter.id
+        WHERE tm.email = ? AND tm.status = 'pending'
+        ORDER BY tm.created_at DESC
+      `;
+
+      const [rows] = await db.execute(query, [email.toLowerCase()]);
+      return rows;
+    } catch (error) {
+      console.error('Error getting pending invitations:', error);
+      throw new Error('Failed to get pending invitations');
+    }
+  }
+
+  /**
+   * Accept or decline an invitation
+   * @param {number} id - Trip member ID
+   * @param {number} userId - Responding user ID
+   * @param {string} status - 'accepted' or 'declined'
+   * @returns {Object} Updated trip member
+   */
+  static async respondToInvitation(id, userId, status) {
+    try {
+      const query = `
+        UPDATE trip_members
+        SET status = ?, user_id = ?, responded_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'pending'
+      `;
+
+      await db.execute(query, [status, userId, id]);
+      return await this.findById(id);
+    } catch (error) {
+      console.error('Error responding to invitation:', error);
+      throw new Error('Failed to respond to invitation');
+    }
+  }
+
+  /**
+   * Change a member's role
+   * @param {number} id - Trip member ID
+   * @param {string} role - New role
+   * @returns {Object} Updated trip member
+   */
+  static async updateRole(id, role) {
+    try {
+      const query = 'UPDATE trip_members SET role = ? WHERE id = ?';
+      await db.execute(query, [role, id]);
+      return await this.findById(id);
+    } catch (error) {
+      console.error('Error updating trip member role:', error);
+      throw new Error('Failed to update trip member role');
+    }
+  }
+
+  /**
+   * Remove a member or revoke an invitation
+   * @param {number} id - Trip member ID
+   * @returns {boolean} Success status
+   */
+  static async removeMember(id) {
+    try {
+      const query = 'DELETE FROM trip_members WHERE id = ?';
+      const [result] = await db.execute(query, [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error removing trip member:', error);
+      throw new Error('Failed to remove trip member');
+    }
+  }
+}
+
+module.exports = TripMemberModel;
@@ -1,4 +1,9 @@
 const db = require('../config/db');
+const ExchangeRateModel = require('./exchangeRateModel');
+const ExpenseModel = require('./expenseModel');
+const TravelLegModel = require('./travelLegModel');
+const { DEFAULT_CURRENCY, convert, roundAmount, sumInCurrency } = require('../services/currency');
+const { timeSpan } = require('../services/timeZones');
 
 /**
  * Trip Model
@@ -20,16 +25,17 @@ class TripModel {
         end_date,
         cover_photo_path,
         budget,
+        currency = DEFAULT_CURRENCY,
         status = 'planning'
       } = tripData;
 
       const query = `
-        INSERT INTO trips (user_id, title, description, start_date, end_date, cover_photo_path, budget, status)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO trips (user_id, title, description, start_date, end_date, cover_photo_path, budget, currency, status)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
 
       const [result] = await db.execute(query, [
-        user_id, title, description, start_date, end_date, cover_photo_path, budget, status
+        user_id, title, description, start_date, end_date, cover_photo_path, budget, currency, status
       ]);
 
       return await this.findById(result.insertId);
@@ -63,29 +69,33 @@ class TripModel {
 
   /**
    * Find trips by user ID
+   * Includes trips the user created and trips shared with them as a member.
+   * total_cost is in each trip's currency; with options.homeCurrency the cost
+   * and budget are also given converted (home_total_cost, home_budget).
    * @param {number} userId - User ID
-   * @param {Object} options - Query options (limit, offset, status)
+   * @param {Object} options - Query options (limit, offset, status, homeCurrency)
    * @returns {Array} Array of trips
    */
   static async findByUserId(userId, options = {}) {
     try {
-      const { limit = 50, offset = 0, status } = options;
+      const { limit = 50, offset = 0, status, homeCurrency } = options;
 
       let query = `
         SELECT t.*,
+               CASE WHEN t.user_id = ? THEN 'owner' ELSE tm.role END as role,
                COUNT(DISTINCT tc.city_id) as city_count,
                COUNT(DISTINCT ii.id) as activity_count,
-               COALESCE(SUM(ii.cost), 0) as total_cost,
                GROUP_CONCAT(DISTINCT c.name ORDER BY tc.order_index) as cities,
                GROUP_CONCAT(DISTINCT c.country) as countries
         FROM trips t
         LEFT JOIN trip_cities tc ON t.id = tc.trip_id
         LEFT JOIN cities c ON tc.city_id = c.id
         LEFT JOIN itinerary_items ii ON t.id = ii.trip_id
-        WHERE t.user_id = ?
+        LEFT JOIN trip_members tm ON t.id = tm.trip_id AND tm.user_id = ? AND tm.status = 'accepted'
+        WHERE (t.user_id = ? OR tm.id IS NOT NULL)
       `;
 
-      const params = [userId];
+      const params = [userId, userId, userId];
 
       if (status) {
         query += ' AND t.status = ?';
@@ -93,7 +103,7 @@ class TripModel {
       }
 
       query += `
-        GROUP BY t.id
+        GROUP BY t.id, tm.role
         ORDER BY t.created_at DESC
         LIMIT ? OFFSET ?
       `;
@@ -101,30 +111,88 @@ class TripModel {
       params.push(limit, offset);
 
       const [rows] = await db.execute(query, params);
+      const [costRows, rates] = await Promise.all([
+        this.getCostsByCurrency(rows.map(trip => trip.id)),
+        ExchangeRateModel.getRateMap()
+      ]);
 
       // Process the results to convert comma-separated strings to arrays
-      return rows.map(trip => ({
-        ...trip,
-        cities: trip.cities ? trip.cities.split(',') : [],
-        countries: trip.countries ? [...new Set(trip.countries.split(','))] : []
-      }));
+      return rows.map(trip => {
+        const tripCosts = costRows.filter(row => row.trip_id === trip.id);
+        const costs = sumInCurrency(tripCosts, trip.currency, rates);
+        const converted = {};
+
+        if (homeCurrency) {
+          const homeCosts = sumInCurrency(tripCosts, homeCurrency, rates);
+          const homeBudget = trip.budget != null ? convert(trip.budget, trip.currency, homeCurrency, rates) : null;
+          converted.home_currency = homeCurrency;
+          converted.home_total_cost = homeCosts.total;
+          converted.home_budget = homeBudget !== null ? roundAmount(homeBudget) : null;
+          converted.home_unconverted_currencies = homeBudget === null && trip.budget != null
+            ? [...new Set([...homeCosts.unconverted, trip.currency])].sort()
+            : homeCosts.unconverted;
+        }
+
+        return {
+          ...trip,
+          cities: trip.cities ? trip.cities.split(',') : [],
+          countries: trip.countries ? [...new Set(trip.countries.split(','))] : [],
+          total_cost: costs.total,
+          unconverted_currencies: costs.unconverted,
+          ...converted
+        };
+      });
     } catch (error) {
       console.error('Error finding trips by user ID:', error);
       throw new Error('Failed to find trips');
     }
   }
 
+  /**
+   * Get planned costs for trips (itinerary items and travel legs), summed per trip and currency
+   * @param {Array} tripIds - Trip IDs
+   * @returns {Array} Rows of {trip_id, currency, amount, count}
+   */
+  static async getCostsByCurrency(tripIds) {
+    if (tripIds.length === 0) {
+      return [];
+    }
+
+    try {
+      const query = `
+        SELECT ii.trip_id,
+               COALESCE(ii.currency, t.currency) as currency,
+               SUM(ii.cost) as amount,
+               COUNT(ii.cost) as count
+        FROM itinerary_items ii
+        JOIN trips t ON ii.trip_id = t.id
+        WHERE ii.trip_id IN (${tripIds.map(() => '?').join(', ')})
+        GROUP BY ii.trip_id, COALESCE(ii.currency, t.currency)
+      `;
+
+      const [[rows], legRows] = await Promise.all([
+        db.execute(query, tripIds),
+        TravelLegModel.getCostRows(tripIds)
+      ]);
+      return [...rows, ...legRows];
+    } catch (error) {
+      console.error('Error getting trip costs:', error);
+      throw new Error('Failed to get trip costs');
+    }
+  }
+
   /**
    * Update trip
    * @param {number} id - Trip ID
    * @param {Object} updateData - Data to update
+   * @param {number|null} expectedVersion - Version the caller last saw; skips the check when null
    * @returns {Object} Updated trip
    */
-  static async updateTrip(id, updateData) {
+  static async updateTrip(id, updateData, expectedVersion = null) {
     try {
       const allowedFields = [
         'title', 'description', 'start_date', 'end_date', 
-        'cover_photo_path', 'budget', 'status', 'is_public'
+        'cover_photo_path', 'budget', 'currency', 'status', 'is_public', 'featured'
       ];
       
       const updateFields = [];
@@ -142,17 +210,31 @@ class TripModel {
       }
       
       values.push(id);
+
+      let versionClause = '';
+      if (expectedVersion !== null) {
+        versionClause = ' AND version = ?';
+        values.push(expectedVersion);
+      }
       
       const query = `
         UPDATE trips 
-        SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
-        WHERE id = ?
+        SET ${updateFields.join(', ')}, version = version + 1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?${versionClause}
       `;
 
-      await db.execute(query, values);
+      const [result] = await db.execute(query, values);
+
+      if (expectedVersion !== null && result.affectedRows === 0) {
+        throw new Error('Version conflict');
+      }
+
       return await this.findById(id);
     } catch (error) {
       console.error('Error updating trip:', error);
+      if (error.message === 'Version conflict' || error.message === 'No valid fields to update') {
+        throw error;
+      }
       throw new Error('Failed to update trip');
     }
   }
@@ -174,49 +256,165 @@ class TripModel {
   }
 
   /**
-   * Generate unique public URL for trip sharing
-   * @param {number} tripId - Trip ID
-   * @returns {string} Public URL
+   * Get trips featured by admins, newest first
+   * @param {number} limit - Maximum number of trips
+   * @returns {Array} Array of featured trips
    */
-  static async generatePublicUrl(tripId) {
+  static async getFeaturedTrips(limit = 12) {
     try {
-      const publicUrl = Math.random().toString(36).substring(2, 15) + 
-                       Math.random().toString(36).substring(2, 15);
-      
-      const query = 'UPDATE trips SET public_url = ?, is_public = TRUE WHERE id = ?';
-      await db.execute(query, [publicUrl, tripId]);
-      
-      return publicUrl;
+      const query = `
+        SELECT t.id, t.title, t.description, t.start_date, t.end_date,
+               t.cover_photo_path, t.budget, t.currency, t.status, t.created_at,
+               u.full_name as user_name,
+               COUNT(DISTINCT tc.city_id) as city_count
+        FROM trips t
+        JOIN users u ON t.user_id = u.id
+        LEFT JOIN trip_cities tc ON t.id = tc.trip_id
+        WHERE t.featured = TRUE
+        GROUP BY t.id
+        ORDER BY t.created_at DESC
+        LIMIT ?
+      `;
+
+      const [rows] = await db.execute(query, [limit]);
+      return rows;
     } catch (error) {
-      console.error('Error generating public URL:', error);
-      throw new Error('Failed to generate public URL');
+      console.error('Error getting featured trips:', error);
+      throw new Error('Failed to get featured trips');
     }
   }
 
   /**
-   * Find trip by public URL
-   * @param {string} publicUrl - Public URL
-   * @returns {Object|null} Trip data
+   * Deep-copy a trip with its cities and itinerary into another user's account
+   * @param {number} sourceTripId - Trip to copy
+   * @param {number} userId - Owner of the copy
+   * @param {Object} options - Copy options
+   * @param {string} options.title - Title of the copy
+   * @param {number} options.dayOffset - Days to shift every date by
+   * @param {boolean} options.resetBookings - Drop booking references
+   * @param {boolean} options.resetCosts - Drop item costs
+   * @returns {Object} Created trip
    */
-  static async findByPublicUrl(publicUrl) {
+  static async cloneTrip(sourceTripId, userId, options = {}) {
     try {
-      const query = `
-        SELECT t.*, u.full_name as user_name
-        FROM trips t
-        JOIN users u ON t.user_id = u.id
-        WHERE t.public_url = ? AND t.is_public = TRUE
-      `;
+      const { title, dayOffset = 0, resetBookings = true, resetCosts = false } = options;
+
+      const connection = await db.getConnection();
+      let newTripId;
+
+      try {
+        await connection.beginTransaction();
+
+        const [result] = await connection.execute(
+          `INSERT INTO trips (user_id, title, description, start_date, end_date, cover_photo_path, budget, currency, status)
+           SELECT ?, ?, description,
+                  DATE_ADD(start_date, INTERVAL ? DAY), DATE_ADD(end_date, INTERVAL ? DAY),
+                  cover_photo_path, budget, currency, 'planning'
+           FROM trips WHERE id = ?`,
+          [userId, title, dayOffset, dayOffset, sourceTripId]
+        );
+        newTripId = result.insertId;
+
+        await connection.execute(
+          `INSERT INTO trip_cities (trip_id, city_id, arrival_date, departure_date, order_index)
+           SELECT ?, city_id,
+                  DATE_ADD(arrival_date, INTERVAL ? DAY), DATE_ADD(departure_date, INTERVAL ? DAY),
+                  order_index
+           FROM trip_cities WHERE trip_id = ?`,
+          [newTripId, dayOffset, dayOffset, sourceTripId]
+        );
+
+        await connection.execute(
+          `INSERT INTO itinerary_items
+           (trip_id, city_id, activity_id, title, description, location, start_time, end_time, time_zone, cost, currency, category, booking_reference, notes, order_index)
+           SELECT ?, city_id, activity_id, title, description, location,
+                  DATE_ADD(start_time, INTERVAL ? DAY), DATE_ADD(end_time, INTERVAL ? DAY), time_zone,
+                  IF(?, NULL, cost), currency, category, IF(?, NULL, booking_reference), notes, order_index
+           FROM itinerary_items WHERE trip_id = ?`,
+          [newTripId, dayOffset, dayOffset, resetCosts ? 1 : 0, resetBookings ? 1 : 0, sourceTripId]
+        );
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
 
-      const [rows] = await db.execute(query, [publicUrl]);
-      return rows.length > 0 ? rows[0] : null;
+      return await this.findById(newTripId);
     } catch (error) {
-      console.error('Error finding trip by public URL:', error);
-      throw new Error('Failed to find trip');
+      console.error('Error cloning trip:', error);
+      throw new Error('Failed to copy trip');
+    }
+  }
+
+  /**
+   * Create a trip with its cities and itinerary items in one transaction
+   * Used to restore trips from an archive.
+   * @param {number} userId - Owner of the new trip
+   * @param {Object} data - {trip, cities, items}; cities/items use column names, with
+   *   item times already in stored (UTC) form
+   * @returns {Object} Created trip
+   */
+  static async importTrip(userId, { trip, cities = [], items = [] }) {
+    try {
+      const connection = await db.getConnection();
+      let newTripId;
+
+      try {
+        await connection.beginTransaction();
+
+        const [result] = await connection.execute(
+          `INSERT INTO trips (user_id, title, description, start_date, end_date, cover_photo_path, budget, currency, status)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            userId, trip.title, trip.description, trip.start_date, trip.end_date,
+            trip.cover_photo_path, trip.budget, trip.currency || DEFAULT_CURRENCY, trip.status
+          ]
+        );
+        newTripId = result.insertId;
+
+        for (const city of cities) {
+          await connection.execute(
+            `INSERT INTO trip_cities (trip_id, city_id, arrival_date, departure_date, order_index)
+             VALUES (?, ?, ?, ?, ?)`,
+            [newTripId, city.city_id, city.arrival_date, city.departure_date, city.order_index]
+          );
+        }
+
+        for (const item of items) {
+          await connection.execute(
+            `INSERT INTO itinerary_items
+             (trip_id, city_id, activity_id, title, description, location, start_time, end_time, time_zone, cost, currency, category, booking_reference, notes, order_index)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              newTripId, item.city_id, item.activity_id, item.title, item.description, item.location,
+              item.start_time, item.end_time, item.time_zone || null, item.cost, item.currency || null, item.category, item.booking_reference,
+              item.notes, item.order_index
+            ]
+          );
+        }
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      return await this.findById(newTripId);
+    } catch (error) {
+      console.error('Error importing trip:', error);
+      throw new Error('Failed to import trip');
     }
   }
 
   /**
    * Get trip statistics
+   * Costs are converted to the trip's currency (see ItineraryModel.getTripSummary).
+   * first_activity and last_activity are as in timeZones.timeSpan.
    * @param {number} tripId - Trip ID
    * @returns {Object} Trip statistics
    */
@@ -224,27 +422,56 @@ class TripModel {
     try {
       const query = `
         SELECT 
-          COUNT(DISTINCT tc.city_id) as city_count,
-          COUNT(ii.id) as activity_count,
-          COALESCE(SUM(ii.cost), 0) as total_cost,
-          COALESCE(AVG(ii.cost), 0) as avg_cost_per_activity,
-          MIN(ii.start_time) as first_activity,
-          MAX(ii.end_time) as last_activity
+          t.currency,
+          (SELECT COUNT(DISTINCT tc.city_id) FROM trip_cities tc WHERE tc.trip_id = t.id) as city_count,
+          (SELECT COUNT(*) FROM itinerary_items ii WHERE ii.trip_id = t.id) as activity_count
         FROM trips t
-        LEFT JOIN trip_cities tc ON t.id = tc.trip_id
-        LEFT JOIN itinerary_items ii ON t.id = ii.trip_id
         WHERE t.id = ?
-        GROUP BY t.id
       `;
 
-      const [rows] = await db.execute(query, [tripId]);
-      return rows.length > 0 ? rows[0] : {
-        city_count: 0,
-        activity_count: 0,
-        total_cost: 0,
-        avg_cost_per_activity: 0,
-        first_activity: null,
-        last_activity: null
+      const timesQuery = `
+        SELECT start_time, end_time, time_zone
+        FROM itinerary_items
+        WHERE trip_id = ? AND start_time IS NOT NULL
+      `;
+
+      const [[rows], [timeRows], costRows, rates] = await Promise.all([
+        db.execute(query, [tripId]),
+        db.execute(db.wallClockQuery(timesQuery), [tripId]),
+        this.getCostsByCurrency([tripId]),
+        ExchangeRateModel.getRateMap()
+      ]);
+
+      if (rows.length === 0) {
+        return {
+          city_count: 0,
+          activity_count: 0,
+          total_cost: 0,
+          avg_cost_per_activity: 0,
+          actual_cost: 0,
+          expense_count: 0,
+          first_activity: null,
+          last_activity: null,
+          currency: DEFAULT_CURRENCY,
+          unconverted_currencies: []
+        };
+      }
+
+      const { currency, ...stats } = rows[0];
+      const costs = sumInCurrency(costRows, currency, rates);
+      const actual = await ExpenseModel.getActualCosts(tripId, currency);
+      const span = timeSpan(timeRows);
+
+      return {
+        ...stats,
+        first_activity: span.first,
+        last_activity: span.last,
+        total_cost: costs.total,
+        avg_cost_per_activity: costs.count > 0 ? roundAmount(costs.total / costs.count) : 0,
+        actual_cost: actual.total_cost,
+        expense_count: actual.expense_count,
+        currency,
+        unconverted_currencies: [...new Set([...costs.unconverted, ...actual.unconverted_currencies])].sort()
       };
     } catch (error) {
       console.error('Error getting trip stats:', error);
@@ -0,0 +1,91 @@
+const db = require('../config/db');
+
+/**
+ * Trip Share Comment Model
+ * Handles comments left on a shared trip through comment links
+ */
+class TripShareCommentModel {
+  /**
+   * Create a comment
+   * @param {Object} commentData - Comment data (trip_id, share_link_id, author_name, body)
+   * @returns {Object} Created comment
+   */
+  static async createComment(commentData) {
+    try {
+      const { trip_id, share_link_id, author_name, body } = commentData;
+
+      const query = `
+        INSERT INTO trip_share_comments (trip_id, share_link_id, author_name, body)
+        VALUES (?, ?, ?, ?)
+      `;
+
+      const [result] = await db.execute(query, [trip_id, share_link_id, author_name, body]);
+      return await this.findById(result.insertId);
+    } catch (error) {
+      console.error('Error creating share comment:', error);
+      throw new Error('Failed to create comment');
+    }
+  }
+
+  /**
+   * Find comment by ID
+   * @param {number} id - Comment ID
+   * @returns {Object|null} Comment with the name of the link it came through
+   */
+  static async findById(id) {
+    try {
+      const query = `
+        SELECT c.*, sl.name as link_name
+        FROM trip_share_comments c
+        JOIN trip_share_links sl ON c.share_link_id = sl.id
+        WHERE c.id = ?
+      `;
+      const [rows] = await db.execute(query, [id]);
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error finding share comment by ID:', error);
+      throw new Error('Failed to find comment');
+    }
+  }
+
+  /**
+   * Get a trip's comments, oldest first
+   * @param {number} tripId - Trip ID
+   * @returns {Array} Comments with the name of the link each came through
+   */
+  static async getCommentsForTrip(tripId) {
+    try {
+      const query = `
+        SELECT c.*, sl.name as link_name
+        FROM trip_share_comments c
+        JOIN trip_share_links sl ON c.share_link_id = sl.id
+        WHERE c.trip_id = ?
+        ORDER BY c.created_at ASC, c.id ASC
+      `;
+
+      const [rows] = await db.execute(query, [tripId]);
+      return rows;
+    } catch (error) {
+      console.error('Error getting share comments for trip:', error);
+      throw new Error('Failed to get comments');
+    }
+  }
+
+  /**
+   * Delete a comment
+   * @param {number} id - Comment ID
+   * @returns {boolean} Success status
+   */
+  static async deleteComment(id) {
+    try {
+      const query = 'DELETE FROM trip_share_comments WHERE id = ?';
+      const [result] = await db.execute(query, [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting share comment:', error);
+      throw new Error('Failed to delete comment');
+    }
+  }
+}
+
+module.exports = TripShareCommentModel;
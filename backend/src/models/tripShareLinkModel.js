@@ -0,0 +1,144 @@
+const db = require('../config/db');
+
+/**
+ * Trip Share Link Model
+ * Handles public share links for trips
+ */
+class TripShareLinkModel {
+  /**
+   * Create a share link
+   * @param {Object} linkData - Link data (trip_id, created_by, name, token, permission, password_hash, expires_at)
+   * @returns {Object} Created share link
+   */
+  static async createLink(linkData) {
+    try {
+      const {
+        trip_id,
+        created_by,
+        name,
+        token,
+        permission = 'view',
+        password_hash = null,
+        expires_at = null
+      } = linkData;
+
+      const query = `
+        INSERT INTO trip_share_links (trip_id, created_by, name, token, permission, password_hash, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      const [result] = await db.execute(query, [
+        trip_id,
+        created_by,
+        name,
+        token,
+        permission,
+        password_hash,
+        expires_at
+      ]);
+      return await this.findById(result.insertId);
+    } catch (error) {
+      console.error('Error creating share link:', error);
+      throw new Error('Failed to create share link');
+    }
+  }
+
+  /**
+   * Find share link by ID
+   * @param {number} id - Share link ID
+   * @returns {Object|null} Share link data
+   */
+  static async findById(id) {
+    try {
+      const query = 'SELECT * FROM trip_share_links WHERE id = ?';
+      const [rows] = await db.execute(query, [id]);
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error finding share link by ID:', error);
+      throw new Error('Failed to find share link');
+    }
+  }
+
+  /**
+   * Find share link by its public token
+   * @param {string} token - Share token
+   * @returns {Object|null} Share link data
+   */
+  static async findByToken(token) {
+    try {
+      const query = 'SELECT * FROM trip_share_links WHERE token = ?';
+      const [rows] = await db.execute(query, [token]);
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error finding share link by token:', error);
+      throw new Error('Failed to find share link');
+    }
+  }
+
+  /**
+   * Get share links for a trip that haven't been revoked, newest first
+   * @param {number} tripId - Trip ID
+   * @returns {Array} Array of share links
+   */
+  static async getLinksForTrip(tripId) {
+    try {
+      const query = `
+        SELECT sl.*, u.full_name as created_by_name
+        FROM trip_share_links sl
+        JOIN users u ON sl.created_by = u.id
+        WHERE sl.trip_id = ? AND sl.revoked_at IS NULL
+        ORDER BY sl.created_at DESC
+      `;
+
+      const [rows] = await db.execute(query, [tripId]);
+      return rows;
+    } catch (error) {
+      console.error('Error getting share links for trip:', error);
+      throw new Error('Failed to get share links');
+    }
+  }
+
+  /**
+   * Count a visit to a share link
+   * @param {number} id - Share link ID
+   * @returns {boolean} Success status
+   */
+  static async recordAccess(id) {
+    try {
+      const query = `
+        UPDATE trip_share_links
+        SET access_count = access_count + 1, last_accessed_at = NOW()
+        WHERE id = ?
+      `;
+
+      const [result] = await db.execute(query, [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error recording share link access:', error);
+      throw new Error('Failed to record share link access');
+    }
+  }
+
+  /**
+   * Revoke a share link
+   * @param {number} id - Share link ID
+   * @returns {boolean} True if the link was active and is now revoked
+   */
+  static async revokeLink(id) {
+    try {
+      const query = `
+        UPDATE trip_share_links
+        SET revoked_at = NOW()
+        WHERE id = ? AND revoked_at IS NULL
+      `;
+
+      const [result] = await db.execute(query, [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error revoking share link:', error);
+      throw new Error('Failed to revoke share link');
+    }
+  }
+}
+
+module.exports = TripShareLinkModel;
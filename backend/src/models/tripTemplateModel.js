@@ -0,0 +1,419 @@
+const db = require('../config/db');
+const { toMinutes, fromMinutes, toDay } = require('../services/wallClock');
+const { toLocal, toStoredTime } = require('../services/timeZones');
+
+/**
+ * Template day offset and clock time of a stored item time
+ * Offsets count local days, so an evening in Tokyo stays on its own day.
+ * @param {Date|string|null} value - Stored (UTC) time
+ * @param {string|null} timeZone - Item's time zone
+ * @param {Date|string|null} startDate - Trip start date
+ * @returns {Object} {day, clock}; both null without a time or start date
+ */
+const toTemplateTime = (value, timeZone, startDate) => {
+  const local = toLocal(value, timeZone);
+  const start = toMinutes(toDay(startDate));
+  if (!local || start === null) return { day: null, clock: null };
+
+  return {
+    day: Math.round((toMinutes(toDay(local)) - start) / (24 * 60)),
+    clock: `${local.slice(11)}:00`
+  };
+};
+
+/**
+ * Local time of a template day offset and clock time on a trip starting at startDate
+ * @returns {string|null} "YYYY-MM-DD HH:mm:ss", or null if either part is missing
+ */
+const fromTemplateTime = (startDate, day, clock) => {
+  const start = toMinutes(startDate);
+  if (start === null || day === null || day === undefined || !clock) return null;
+
+  return `${fromMinutes(start + day * 24 * 60).slice(0, 10)} ${clock}`;
+};
+
+/**
+ * Trip Template Model
+ * Handles reusable itineraries stored with day offsets instead of dates
+ */
+class TripTemplateModel {
+  /**
+   * Whether a user may publish a template of a trip to everyone
+   * Only trips that are already public or featured, or the user's own, qualify.
+   * @param {Object|null} trip - Source trip row
+   * @param {number} userId - Publishing user
+   * @returns {boolean} True if the trip may be published
+   */
+  static canPublishTrip(trip, userId) {
+    return !!trip && (!!trip.is_public || !!trip.featured || trip.user_id === userId);
+  }
+
+  /**
+   * Save a trip as a template
+   * Dates become day offsets from the trip's start date; booking references are not copied.
+   * Public templates also leave out item notes, and the cover photo unless the trip
+   * itself is public or featured.
+   * @param {number} tripId - Source trip ID
+   * @param {number} userId - Template creator
+   * @param {Object} templateData - Template data (title, description, is_public)
+   * @returns {Object} Created template
+   */
+  static async createFromTrip(tripId, userId, templateData = {}) {
+    try {
+      const { title, description = null, is_public = false } = templateData;
+
+      const connection = await db.getConnection();
+      let templateId;
+
+      try {
+        await connection.beginTransaction();
+
+        const [result] = await connection.execute(
+          `INSERT INTO trip_templates
+           (created_by, source_trip_id, title, description, country, duration_days, base_budget, currency, cover_photo_path, is_public)
+           SELECT ?, t.id, ?, COALESCE(?, t.description),
+                  (SELECT c.country FROM trip_cities tc JOIN cities c ON tc.city_id = c.id
+                   WHERE tc.trip_id = t.id ORDER BY tc.order_index ASC LIMIT 1),
+                  GREATEST(COALESCE(DATEDIFF(t.end_date, t.start_date) + 1, 1), 1),
+                  COALESCE(t.budget, (SELECT SUM(ii.cost) FROM itinerary_items ii
+                                      WHERE ii.trip_id = t.id AND COALESCE(ii.currency, t.currency) = t.currency)),
+                  t.currency, IF(? AND NOT (t.is_public OR t.featured), NULL, t.cover_photo_path), ?
+           FROM trips t WHERE t.id = ?`,
+          [userId, title, description, is_public ? 1 : 0, is_public ? 1 : 0, tripId]
+        );
+        templateId = result.insertId;
+
+        await connection.execute(
+          `INSERT INTO trip_template_cities (template_id, city_id, arrival_day, departure_day, order_index)
+           SELECT ?, tc.city_id,
+                  DATEDIFF(tc.arrival_date, t.start_date), DATEDIFF(tc.departure_date, t.start_date),
+                  tc.order_index
+           FROM trip_cities tc
+           JOIN trips t ON tc.trip_id = t.id
+           WHERE tc.trip_id = ?`,
+          [templateId, tripId]
+        );
+
+        const [items] = await connection.execute(
+          db.wallClockQuery(
+            `SELECT ii.*, t.start_date as trip_start_date
+             FROM itinerary_items ii
+             JOIN trips t ON ii.trip_id = t.id
+             WHERE ii.trip_id = ?`
+          ),
+          [tripId]
+        );
+
+        for (const item of items) {
+          const start = toTemplateTime(item.start_time, item.time_zone, item.trip_start_date);
+          const end = toTemplateTime(item.end_time, item.time_zone, item.trip_start_date);
+
+          await connection.execute(
+            `INSERT INTO trip_template_items
+             (template_id, city_id, activity_id, title, description, location, category,
+              start_day, start_clock, end_day, end_clock, cost, currency, notes, order_index)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              templateId, item.city_id, item.activity_id, item.title, item.description, item.location, item.category,
+              start.day, start.clock, end.day, end.clock, item.cost, item.currency, is_public ? null : item.notes,
+              item.order_index
+            ]
+          );
+        }
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      return await this.findById(templateId);
+    } catch (error) {
+      console.error('Error creating trip template:', error);
+      throw new Error('Failed to create template');
+    }
+  }
+
+  /**
+   * Find template by ID
+   * @param {number} id - Template ID
+   * @returns {Object|null} Template data
+   */
+  static async findById(id) {
+    try {
+      const query = `
+        SELECT tt.*, u.full_name as created_by_name
+        FROM trip_templates tt
+        JOIN users u ON tt.created_by = u.id
+        WHERE tt.id = ?
+      `;
+
+      const [rows] = await db.execute(query, [id]);
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error finding trip template by ID:', error);
+      throw new Error('Failed to find template');
+    }
+  }
+
+  /**
+   * Browse templates
+   * @param {Object} filters - Filters (userId, includePrivate, country, cityId, minDays, maxDays, search)
+   * @returns {Array} Array of templates
+   */
+  static async getTemplates(filters = {}) {
+    try {
+      const { userId, includePrivate = false, country, cityId, minDays, maxDays, search } = filters;
+
+      let query = `
+        SELECT tt.*, u.full_name as created_by_name,
+               COUNT(DISTINCT ttc.city_id) as city_count,
+               (SELECT COUNT(*) FROM trip_template_items tti WHERE tti.template_id = tt.id) as item_count
+        FROM trip_templates tt
+        JOIN users u ON tt.created_by = u.id
+        LEFT JOIN trip_template_cities ttc ON tt.id = ttc.template_id
+        WHERE 1 = 1
+      `;
+      const params = [];
+
+      // Users see public templates and their own
+      if (!includePrivate) {
+        query += ' AND (tt.is_public = TRUE OR tt.created_by = ?)';
+        params.push(userId);
+      }
+
+      if (country) {
+        query += ' AND tt.country = ?';
+        params.push(country);
+      }
+
+      if (cityId) {
+        query += ' AND EXISTS (SELECT 1 FROM trip_template_cities x WHERE x.template_id = tt.id AND x.city_id = ?)';
+        params.push(cityId);
+      }
+
+      if (minDays) {
+        query += ' AND tt.duration_days >= ?';
+        params.push(minDays);
+      }
+
+      if (maxDays) {
+        query += ' AND tt.duration_days <= ?';
+        params.push(maxDays);
+      }
+
+      if (search) {
+        query += ' AND (tt.title LIKE ? OR tt.description LIKE ?)';
+        params.push(`%${search}%`, `%${search}%`);
+      }
+
+      query += ' GROUP BY tt.id ORDER BY tt.is_public DESC, tt.created_at DESC';
+
+      const [rows] = await db.execute(query, params);
+      return rows;
+    } catch (error) {
+      console.error('Error getting trip templates:', error);
+      throw new Error('Failed to get templates');
+    }
+  }
+
+  /**
+   * Get the cities of a template
+   * @param {number} templateId - Template ID
+   * @returns {Array} Array of template cities
+   */
+  static async getTemplateCities(templateId) {
+    try {
+      const query = `
+        SELECT ttc.*, c.name, c.country, c.latitude, c.longitude
+        FROM trip_template_cities ttc
+        JOIN cities c ON ttc.city_id = c.id
+        WHERE ttc.template_id = ?
+        ORDER BY ttc.order_index ASC, ttc.arrival_day ASC
+      `;
+
+      const [rows] = await db.execute(query, [templateId]);
+      return rows;
+    } catch (error) {
+      console.error('Error getting template cities:', error);
+      throw new Error('Failed to get template cities');
+    }
+  }
+
+  /**
+   * Get the itinerary items of a template
+   * @param {number} templateId - Template ID
+   * @returns {Array} Array of template items
+   */
+  static async getTemplateItems(templateId) {
+    try {
+      const query = `
+        SELECT tti.*, c.name as city_name
+        FROM trip_template_items tti
+        LEFT JOIN cities c ON tti.city_id = c.id
+        WHERE tti.template_id = ?
+        ORDER BY tti.start_day IS NULL, tti.start_day ASC, tti.start_clock ASC, tti.order_index ASC
+      `;
+
+      const [rows] = await db.execute(query, [templateId]);
+      return rows;
+    } catch (error) {
+      console.error('Error getting template items:', error);
+      throw new Error('Failed to get template items');
+    }
+  }
+
+  /**
+   * Update template details
+   * Publishing a template drops what createFromTrip leaves out of public templates.
+   * @param {number} id - Template ID
+   * @param {Object} updateData - Data to update (title, description, is_public)
+   * @returns {Object} Updated template
+   */
+  static async updateTemplate(id, updateData) {
+    try {
+      const allowedFields = ['title', 'description', 'is_public'];
+
+      const updateFields = [];
+      const values = [];
+
+      Object.keys(updateData).forEach(key => {
+        if (allowedFields.includes(key) && updateData[key] !== undefined) {
+          updateFields.push(`${key} = ?`);
+          values.push(updateData[key]);
+        }
+      });
+
+      if (updateFields.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      values.push(id);
+
+      const query = `
+        UPDATE trip_templates
+        SET ${updateFields.join(', ')}
+        WHERE id = ?
+      `;
+
+      await db.execute(query, values);
+
+      if (updateData.is_public) {
+        await db.execute('UPDATE trip_template_items SET notes = NULL WHERE template_id = ?', [id]);
+        await db.execute(
+          `UPDATE trip_templates tt
+           LEFT JOIN trips t ON tt.source_trip_id = t.id
+           SET tt.cover_photo_path = NULL
+           WHERE tt.id = ? AND NOT COALESCE(t.is_public OR t.featured, FALSE)`,
+          [id]
+        );
+      }
+
+      return await this.findById(id);
+    } catch (error) {
+      console.error('Error updating trip template:', error);
+      throw new Error('Failed to update template');
+    }
+  }
+
+  /**
+   * Delete template
+   * @param {number} id - Template ID
+   * @returns {boolean} Success status
+   */
+  static async deleteTemplate(id) {
+    try {
+      const query = 'DELETE FROM trip_templates WHERE id = ?';
+      const [result] = await db.execute(query, [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting trip template:', error);
+      throw new Error('Failed to delete template');
+    }
+  }
+
+  /**
+   * Create a real trip from a template
+   * @param {number} templateId - Template ID
+   * @param {number} userId - Owner of the new trip
+   * @param {Object} options - Instantiation options
+   * @param {string} options.title - Trip title
+   * @param {string} options.start_date - Start date (YYYY-MM-DD)
+   * @param {number} options.days - Number of days to keep (up to the template's length)
+   * @param {number|null} options.budget - Trip budget
+   * @param {number} options.costScale - Factor applied to every item cost
+   * @returns {number} Created trip ID
+   */
+  static async instantiate(templateId, userId, options) {
+    try {
+      const { title, start_date, days, budget = null, costScale = 1 } = options;
+
+      const connection = await db.getConnection();
+      let tripId;
+
+      try {
+        await connection.beginTransaction();
+
+        const [result] = await connection.execute(
+          `INSERT INTO trips (user_id, title, description, start_date, end_date, cover_photo_path, budget, currency, status)
+           SELECT ?, ?, description, ?, DATE_ADD(?, INTERVAL ? DAY), cover_photo_path, ?, currency, 'planning'
+           FROM trip_templates WHERE id = ?`,
+          [userId, title, start_date, start_date, days - 1, budget, templateId]
+        );
+        tripId = result.insertId;
+
+        await connection.execute(
+          `INSERT INTO trip_cities (trip_id, city_id, arrival_date, departure_date, order_index)
+           SELECT ?, city_id,
+                  DATE_ADD(?, INTERVAL arrival_day DAY),
+                  DATE_ADD(?, INTERVAL LEAST(departure_day, ?) DAY),
+                  order_index
+           FROM trip_template_cities
+           WHERE template_id = ? AND (arrival_day IS NULL OR arrival_day < ?)`,
+          [tripId, start_date, start_date, days - 1, templateId, days]
+        );
+
+        // Items take their city's time zone
+        const [items] = await connection.execute(
+          `SELECT tti.*, c.time_zone
+           FROM trip_template_items tti
+           LEFT JOIN cities c ON tti.city_id = c.id
+           WHERE tti.template_id = ? AND (tti.start_day IS NULL OR tti.start_day < ?)`,
+          [templateId, days]
+        );
+
+        for (const item of items) {
+          const timeZone = item.time_zone || null;
+
+          await connection.execute(
+            `INSERT INTO itinerary_items
+             (trip_id, city_id, activity_id, title, description, location, start_time, end_time, time_zone, cost, currency, category, notes, order_index)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ROUND(? * ?, 2), ?, ?, ?, ?)`,
+            [
+              tripId, item.city_id, item.activity_id, item.title, item.description, item.location,
+              toStoredTime(fromTemplateTime(start_date, item.start_day, item.start_clock), timeZone),
+              toStoredTime(fromTemplateTime(start_date, item.end_day, item.end_clock), timeZone),
+              timeZone, item.cost, costScale, item.currency, item.category, item.notes, item.order_index
+            ]
+          );
+        }
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      return tripId;
+    } catch (error) {
+      console.error('Error instantiating trip template:', error);
+      throw new Error('Failed to create trip from template');
+    }
+  }
+}
+
+module.exports = TripTemplateModel;
@@ -28,7 +28,7 @@ class UserModel {
    */
   static async findById(id) {
     try {
-      const sql = 'SELECT id, full_name, email, avatar_path, created_at FROM users WHERE id = ?';
+      const sql = 'SELECT id, full_name, email, role, avatar_path, home_currency, password_changed_at, created_at FROM users WHERE id = ?';
       const user = await queryOne(sql, [id]);
       return user;
     } catch (error) {
@@ -335,8 +335,25 @@ class UserModel {
     }
   }
 
+  /**
+   * Set the currency a user's dashboard totals are shown in
+   * @param {number} userId - User ID
+   * @param {string} homeCurrency - Currency code
+   * @returns {Object} Updated user info
+   */
+  static async updateHomeCurrency(userId, homeCurrency) {
+    try {
+      await query('UPDATE users SET home_currency = ?, updated_at = NOW() WHERE id = ?', [homeCurrency, userId]);
+      return await this.findById(userId);
+    } catch (error) {
+      console.error('Error updating home currency:', error);
+      throw new Error('Database error while updating home currency');
+    }
+  }
+
   /**
    * Update user password
+   * Also records password_changed_at, which revokes tokens issued before it.
    * @param {number} userId - User ID
    * @param {string} hashedPassword - New hashed password
    * @returns {Object} Updated user info
@@ -345,7 +362,7 @@ class UserModel {
     try {
       const updateQuery = `
         UPDATE users
-        SET password_hash = ?, updated_at = NOW()
+        SET password_hash = ?, password_changed_at = NOW(), updated_at = NOW()
         WHERE id = ?
       `;
       await query(updateQuery, [hashedPassword, userId]);
@@ -0,0 +1,223 @@
+const db = require('../config/db');
+
+/**
+ * User Session Model
+ * Handles login sessions and their rotating refresh tokens
+ */
+class UserSessionModel {
+  /**
+   * Create a session
+   * @param {Object} sessionData - Session data (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+   * @returns {Object} Created session
+   */
+  static async createSession(sessionData) {
+    try {
+      const { user_id, refresh_token_hash, user_agent = null, ip_address = null, expires_at } = sessionData;
+
+      const query = `
+        INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+        VALUES (?, ?, ?, ?, ?)
+      `;
+
+      const [result] = await db.execute(query, [
+        user_id,
+        refresh_token_hash,
+        user_agent ? user_agent.slice(0, 255) : null,
+        ip_address,
+        expires_at
+      ]);
+      return await this.findById(result.insertId);
+    } catch (error) {
+      console.error('Error creating user session:', error);
+      throw new Error('Failed to create session');
+    }
+  }
+
+  /**
+   * Find session by ID
+   * @param {number} id - Session ID
+   * @returns {Object|null} Session data
+   */
+  static async findById(id) {
+    try {
+      const query = 'SELECT * FROM user_sessions WHERE id = ?';
+      const [rows] = await db.execute(query, [id]);
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error finding user session:', error);
+      throw new Error('Failed to find session');
+    }
+  }
+
+  /**
+   * Find a session that is neither revoked nor expired
+   * @param {number} id - Session ID
+   * @returns {Object|null} Session data
+   */
+  static async findActiveById(id) {
+    try {
+      const query = `
+        SELECT * FROM user_sessions
+        WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW()
+      `;
+
+      const [rows] = await db.execute(query, [id]);
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error finding active user session:', error);
+      throw new Error('Failed to find session');
+    }
+  }
+
+  /**
+   * Find a session by its current refresh token hash
+   * @param {string} tokenHash - SHA-256 hash of the refresh token
+   * @returns {Object|null} Session data
+   */
+  static async findByTokenHash(tokenHash) {
+    try {
+      const query = 'SELECT * FROM user_sessions WHERE refresh_token_hash = ?';
+      const [rows] = await db.execute(query, [tokenHash]);
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error finding user session by token:', error);
+      throw new Error('Failed to find session');
+    }
+  }
+
+  /**
+   * Find a session whose previous (already rotated) token matches
+   * @param {string} tokenHash - SHA-256 hash of the refresh token
+   * @returns {Object|null} Session data
+   */
+  static async findByPreviousTokenHash(tokenHash) {
+    try {
+      const query = 'SELECT * FROM user_sessions WHERE previous_token_hash = ?';
+      const [rows] = await db.execute(query, [tokenHash]);
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error finding user session by previous token:', error);
+      throw new Error('Failed to find session');
+    }
+  }
+
+  /**
+   * Swap a session's refresh token for a new one
+   * Only succeeds if the current token still matches, so concurrent refreshes
+   * with the same token can't both win.
+   * @param {number} id - Session ID
+   * @param {string} currentHash - Hash of the token being exchanged
+   * @param {string} newHash - Hash of the new token
+   * @param {Date} expiresAt - New expiry
+   * @param {string|null} ipAddress - Client IP
+   * @returns {boolean} True if the token was rotated
+   */
+  static async rotateToken(id, currentHash, newHash, expiresAt, ipAddress = null) {
+    try {
+      const query = `
+        UPDATE user_sessions
+        SET previous_token_hash = refresh_token_hash,
+            refresh_token_hash = ?,
+            expires_at = ?,
+            ip_address = COALESCE(?, ip_address),
+            last_seen_at = NOW()
+        WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL
+      `;
+
+      const [result] = await db.execute(query, [newHash, expiresAt, ipAddress, id, currentHash]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error rotating refresh token:', error);
+      throw new Error('Failed to rotate refresh token');
+    }
+  }
+
+  /**
+   * Record activity on a session
+   * @param {number} id - Session ID
+   * @returns {boolean} Success status
+   */
+  static async touch(id) {
+    try {
+      const query = 'UPDATE user_sessions SET last_seen_at = NOW() WHERE id = ?';
+      const [result] = await db.execute(query, [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error updating session activity:', error);
+      throw new Error('Failed to update session');
+    }
+  }
+
+  /**
+   * Get active sessions for a user, most recently used first
+   * @param {number} userId - User ID
+   * @returns {Array} Array of sessions
+   */
+  static async getActiveSessionsForUser(userId) {
+    try {
+      const query = `
+        SELECT id, user_agent, ip_address, created_at, last_seen_at, expires_at
+        FROM user_sessions
+        WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+        ORDER BY last_seen_at DESC
+      `;
+
+      const [rows] = await db.execute(query, [userId]);
+      return rows;
+    } catch (error) {
+      console.error('Error getting user sessions:', error);
+      throw new Error('Failed to get sessions');
+    }
+  }
+
+  /**
+   * Revoke a session
+   * @param {number} id - Session ID
+   * @returns {boolean} True if the session was active and is now revoked
+   */
+  static async revokeSession(id) {
+    try {
+      const query = `
+        UPDATE user_sessions
+        SET revoked_at = NOW()
+        WHERE id = ? AND revoked_at IS NULL
+      `;
+
+      const [result] = await db.execute(query, [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error revoking user session:', error);
+      throw new Error('Failed to revoke session');
+    }
+  }
+
+  /**
+   * Revoke every session for a user
+   * @param {number} userId - User ID
+   * @param {number|null} exceptId - Session to keep (e.g. the current one)
+   * @returns {number} Number of sessions revoked
+   */
+  static async revokeAllForUser(userId, exceptId = null) {
+    try {
+      let query = `
+        UPDATE user_sessions
+        SET revoked_at = NOW()
+        WHERE user_id = ? AND revoked_at IS NULL
+      `;
+      const params = [userId];
+
+      if (exceptId) {
+        query += ' AND id != ?';
+        params.push(exceptId);
+      }
+
+      const [result] = await db.execute(query, params);
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error revoking user sessions:', error);
+      throw new Error('Failed to revoke sessions');
+    }
+  }
+}
+
+module.exports = UserSessionModel;
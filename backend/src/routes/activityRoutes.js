@@ -1,5 +1,6 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
+const { requireTripRole, tripIdFrom } = require('../middleware/tripAccess');
 const ActivityController = require('../controllers/activityController');
 
 const router = express.Router();
@@ -25,7 +26,7 @@ router.post('/for-cities', ActivityController.getActivitiesForCities);
 router.get('/:id', ActivityController.getActivityById);
 
 // Add activity to trip (requires authentication)
-router.post('/:id/add-to-trip', authenticateToken, ActivityController.addActivityToTrip);
+router.post('/:id/add-to-trip', authenticateToken, requireTripRole('editor', tripIdFrom.body()), ActivityController.addActivityToTrip);
 
 // Create a new activity (admin only - requires authentication for now)
 router.post('/', authenticateToken, ActivityController.createActivity);
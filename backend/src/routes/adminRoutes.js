@@ -1,10 +1,35 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const AdminController = require('../controllers/adminController');
-const { authenticateAdmin } = require('../middleware/adminAuth');
+const ExchangeRateController = require('../controllers/exchangeRateController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
 const UserModel = require('../models/userModel');
 const CityModel = require('../models/cityModel');
 const ActivityModel = require('../models/activityModel');
+const TripTemplateModel = require('../models/tripTemplateModel');
+const TripModel = require('../models/tripModel');
+const { isTimeZone } = require('../services/timeZones');
+
+// Every admin route needs a valid session belonging to an admin
+const authenticateAdmin = [authenticateToken, requireRole('admin')];
+
+// Exchange rate CSVs are parsed straight from memory
+const ratesUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (/\.csv$/i.test(file.originalname) || file.mimetype === 'text/csv') {
+      cb(null, true);
+    } else {
+      const error = new Error('Only .csv files are allowed');
+      error.status = 400;
+      cb(error, false);
+    }
+  },
+  limits: {
+    fileSize: 1024 * 1024 // 1MB limit
+  }
+});
 
 // Dashboard analytics
 router.get('/dashboard', authenticateAdmin, AdminController.getDashboardAnalytics);
@@ -29,7 +54,17 @@ router.get('/cities', authenticateAdmin, async (req, res) => {
   }
 });
 
-router.post('/cities', authenticateAdmin, async (req, res) => {
+// Cities may carry an IANA time zone; an empty one clears it
+const checkTimeZone = (req, res, next) => {
+  if (req.body.time_zone !== undefined && !req.body.time_zone) {
+    req.body.time_zone = null;
+  } else if (req.body.time_zone !== undefined && !isTimeZone(req.body.time_zone)) {
+    return res.status(400).json({ message: 'Time zone must be an IANA time zone such as Asia/Tokyo', error: 'INVALID_TIME_ZONE' });
+  }
+  next();
+};
+
+router.post('/cities', authenticateAdmin, checkTimeZone, async (req, res) => {
   try {
     const city = await CityModel.createCity(req.body);
     res.status(201).json({ message: 'City created successfully', city });
@@ -38,7 +73,7 @@ router.post('/cities', authenticateAdmin, async (req, res) => {
   }
 });
 
-router.put('/cities/:id', authenticateAdmin, async (req, res) => {
+router.put('/cities/:id', authenticateAdmin, checkTimeZone, async (req, res) => {
   try {
     const city = await CityModel.updateCity(req.params.id, req.body);
     res.json({ message: 'City updated successfully', city });
@@ -93,6 +128,85 @@ router.delete('/activities/:id', authenticateAdmin, async (req, res) => {
   }
 });
 
+// Template management
+const notPublishableMessage = 'Only templates of public or featured trips, or your own, can be published';
+
+router.get('/templates', authenticateAdmin, async (req, res) => {
+  try {
+    const { country, search } = req.query;
+    const templates = await TripTemplateModel.getTemplates({ includePrivate: true, country, search });
+    res.json({ templates });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to get templates', error: 'GET_TEMPLATES_ERROR' });
+  }
+});
+
+router.post('/templates', authenticateAdmin, async (req, res) => {
+  try {
+    const { tripId, title, description, isPublic = true } = req.body;
+    const trip = tripId ? await TripModel.findById(tripId) : null;
+
+    if (!trip) {
+      return res.status(404).json({ message: 'Trip not found', error: 'TRIP_NOT_FOUND' });
+    }
+
+    if (isPublic && !TripTemplateModel.canPublishTrip(trip, req.user.id)) {
+      return res.status(403).json({ message: notPublishableMessage, error: 'TEMPLATE_NOT_PUBLISHABLE' });
+    }
+
+    const template = await TripTemplateModel.createFromTrip(trip.id, req.user.id, {
+      title: title || trip.title,
+      description,
+      is_public: Boolean(isPublic)
+    });
+    res.status(201).json({ message: 'Template created successfully', template });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to create template', error: 'CREATE_TEMPLATE_ERROR' });
+  }
+});
+
+router.put('/templates/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const { title, description, isPublic } = req.body;
+    const existing = await TripTemplateModel.findById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Template not found', error: 'TEMPLATE_NOT_FOUND' });
+    }
+
+    // Private templates copy private trips; publishing needs the same check as creating
+    if (isPublic && !existing.is_public) {
+      const trip = existing.source_trip_id ? await TripModel.findById(existing.source_trip_id) : null;
+      if (!TripTemplateModel.canPublishTrip(trip, req.user.id)) {
+        return res.status(403).json({ message: notPublishableMessage, error: 'TEMPLATE_NOT_PUBLISHABLE' });
+      }
+    }
+
+    const template = await TripTemplateModel.updateTemplate(req.params.id, {
+      title,
+      description,
+      is_public: isPublic === undefined ? undefined : Boolean(isPublic)
+    });
+    res.json({ message: 'Template updated successfully', template });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to update template', error: 'UPDATE_TEMPLATE_ERROR' });
+  }
+});
+
+router.delete('/templates/:id', authenticateAdmin, async (req, res) => {
+  try {
+    await TripTemplateModel.deleteTemplate(req.params.id);
+    res.json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to delete template', error: 'DELETE_TEMPLATE_ERROR' });
+  }
+});
+
+// Exchange rates
+router.get('/exchange-rates', authenticateAdmin, ExchangeRateController.getRates);
+router.post('/exchange-rates/upload', authenticateAdmin, ratesUpload.single('rates'), ExchangeRateController.uploadRates);
+router.post('/exchange-rates/refresh', authenticateAdmin, ExchangeRateController.refreshRates);
+
 // System monitoring
 router.get('/system/health', authenticateAdmin, (req, res) => {
   res.json({
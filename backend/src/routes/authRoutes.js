@@ -1,33 +1,15 @@
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const AuthController = require('../controllers/authController');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const { validateFileUpload } = require('../utils/validation');
 const { validationSchemas, handleValidationErrors } = require('../middleware/security');
 
 const router = express.Router();
 
-// Ensure uploads directory exists
-const uploadDir = path.join(__dirname, '..', '..', process.env.UPLOAD_DIR || 'uploads');
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-  console.log(`📁 Created uploads directory: ${uploadDir}`);
-}
-
 // Multer configuration for avatar uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename with timestamp and random string
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const extension = path.extname(file.originalname);
-    cb(null, `avatar-${uniqueSuffix}${extension}`);
-  }
-});
+// Files are kept in memory and saved to storage once the signup is valid
+const storage = multer.memoryStorage();
 
 // File filter for images only
 const fileFilter = (req, file, cb) => {
@@ -88,11 +70,6 @@ router.post('/signup', upload.single('avatar'), handleMulterError, (req, res, ne
   if (req.file) {
     const validation = validateFileUpload(req.file);
     if (!validation.isValid) {
-      // Clean up uploaded file if validation fails
-      fs.unlink(req.file.path, (err) => {
-        if (err) console.error('Error deleting invalid file:', err);
-      });
-      
       return res.status(400).json({
         message: validation.errors.join(', '),
         error: 'INVALID_FILE'
@@ -119,9 +96,15 @@ router.post('/login',
  */
 router.get('/profile', authenticateToken, AuthController.getProfile);
 
+/**
+ * PUT /api/auth/preferences
+ * Update the current user's preferences (home currency)
+ */
+router.put('/preferences', authenticateToken, AuthController.updatePreferences);
+
 /**
  * POST /api/auth/forgot-password
- * Password reset request (placeholder)
+ * Password reset request - emails a single-use reset link
  */
 router.post('/forgot-password', AuthController.forgotPassword);
 
@@ -142,24 +125,41 @@ router.get('/verify', authenticateToken, (req, res) => {
 
 /**
  * POST /api/auth/reset-password
- * Reset password endpoint - checks if email exists and updates password
+ * Reset password endpoint - consumes a reset token and updates the password
  */
 router.post('/reset-password', [
   validationSchemas.resetPassword,
   handleValidationErrors
 ], AuthController.resetPassword);
 
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access/refresh token pair (rotating)
+ */
+router.post('/refresh', AuthController.refresh);
+
 /**
  * POST /api/auth/logout
- * Logout endpoint (placeholder - JWT is stateless, so this is mainly for client-side cleanup)
+ * Revoke the current session (by access token, or refresh token in the body)
  */
-router.post('/logout', (req, res) => {
-  // In a stateless JWT system, logout is handled client-side by removing the token
-  // For enhanced security, you could implement a token blacklist here
-  res.json({
-    message: 'Logged out successfully',
-    note: 'Please remove the token from client storage'
-  });
-});
+router.post('/logout', optionalAuth, AuthController.logout);
+
+/**
+ * POST /api/auth/logout-all
+ * Revoke every session for the current user
+ */
+router.post('/logout-all', authenticateToken, AuthController.logoutAll);
+
+/**
+ * GET /api/auth/sessions
+ * List the current user's active sessions
+ */
+router.get('/sessions', authenticateToken, AuthController.getSessions);
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Revoke one of the current user's sessions
+ */
+router.delete('/sessions/:id', authenticateToken, AuthController.revokeSession);
 
 module.exports = router;
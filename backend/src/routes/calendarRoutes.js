@@ -0,0 +1,28 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { requireTripRole } = require('../middleware/tripAccess');
+const CalendarController = require('../controllers/calendarController');
+
+const router = express.Router();
+
+/**
+ * Calendar Routes
+ * iCalendar export and subscription feeds for a trip
+ */
+
+// Subscription feed polled by calendar apps (token in the URL, no authentication)
+router.get('/calendar/:token.ics', CalendarController.getFeedCalendar);
+
+// Download the itinerary as an .ics file
+router.get('/:tripId/itinerary.ics', authenticateToken, requireTripRole('viewer'), CalendarController.exportTripCalendar);
+
+// Get the current user's subscription URL
+router.get('/:tripId/calendar-feed', authenticateToken, requireTripRole('viewer'), CalendarController.getCalendarFeed);
+
+// Replace the subscription URL
+router.post('/:tripId/calendar-feed/reset', authenticateToken, requireTripRole('viewer'), CalendarController.resetCalendarFeed);
+
+// Turn the subscription off
+router.delete('/:tripId/calendar-feed', authenticateToken, requireTripRole('viewer'), CalendarController.revokeCalendarFeed);
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { requireTripRole, tripIdFrom } = require('../middleware/tripAccess');
 const CityController = require('../controllers/cityController');
 
 const router = express.Router();
@@ -22,10 +23,10 @@ router.get('/countries', CityController.getCountries);
 router.get('/:id', CityController.getCityById);
 
 // Add city to trip (requires authentication)
-router.post('/:id/add-to-trip', authenticateToken, CityController.addCityToTrip);
+router.post('/:id/add-to-trip', authenticateToken, requireTripRole('editor', tripIdFrom.body()), CityController.addCityToTrip);
 
 // Remove city from trip (requires authentication)
-router.delete('/:id/remove-from-trip/:tripId', authenticateToken, CityController.removeCityFromTrip);
+router.delete('/:id/remove-from-trip/:tripId', authenticateToken, requireTripRole('editor'), CityController.removeCityFromTrip);
 
 // Create a new city (admin only - requires authentication for now)
 router.post('/', authenticateToken, CityController.createCity);
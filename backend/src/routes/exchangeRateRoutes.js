@@ -0,0 +1,15 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const ExchangeRateController = require('../controllers/exchangeRateController');
+
+const router = express.Router();
+
+/**
+ * Exchange Rate Routes
+ * Rates are updated through the admin routes
+ */
+
+// Get stored exchange rates
+router.get('/', authenticateToken, ExchangeRateController.getRates);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const multer = require('multer');
+const { authenticateToken } = require('../middleware/auth');
+const { requireTripRole } = require('../middleware/tripAccess');
+const ExpenseController = require('../controllers/expenseController');
+
+const router = express.Router();
+
+// Configure multer for receipt uploads
+// Files are kept in memory and saved to storage once the expense is valid
+const storage = multer.memoryStorage();
+
+const fileFilter = (req, file, cb) => {
+  // Accept only image files
+  if (file.mimetype.startsWith('image/')) {
+    cb(null, true);
+  } else {
+    const error = new Error('Only image files are allowed');
+    error.status = 400;
+    cb(error, false);
+  }
+};
+
+const upload = multer({
+  storage,
+  fileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
+/**
+ * Expense Routes
+ * Actual spending on a trip; all routes require authentication and a role on the trip
+ */
+
+// Get a trip's expenses and actual totals
+router.get('/:tripId/expenses', authenticateToken, requireTripRole('viewer'), ExpenseController.getExpenses);
+
+// Get per-person balances and suggested settle-up transfers
+router.get('/:tripId/balances', authenticateToken, requireTripRole('viewer'), ExpenseController.getBalances);
+
+// Log an expense (optional receipt image)
+router.post('/:tripId/expenses', authenticateToken, requireTripRole('editor'), upload.single('receipt'), ExpenseController.createExpense);
+
+// Update an expense (optional new receipt image)
+router.put('/:tripId/expenses/:expenseId', authenticateToken, requireTripRole('editor'), upload.single('receipt'), ExpenseController.updateExpense);
+
+// Delete an expense
+router.delete('/:tripId/expenses/:expenseId', authenticateToken, requireTripRole('editor'), ExpenseController.deleteExpense);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const TripMemberController = require('../controllers/tripMemberController');
+
+const router = express.Router();
+
+/**
+ * Invitation Routes
+ * Trip invitations addressed to the current user
+ * All routes require authentication
+ */
+
+// Get pending invitations
+router.get('/', authenticateToken, TripMemberController.getMyInvitations);
+
+// Accept an invitation
+router.post('/:id/accept', authenticateToken, TripMemberController.acceptInvitation);
+
+// Decline an invitation
+router.post('/:id/decline', authenticateToken, TripMemberController.declineInvitation);
+
+module.exports = router;
@@ -1,21 +1,23 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
+const { requireTripRole, tripIdFrom } = require('../middleware/tripAccess');
+const { requireVersion } = require('../middleware/concurrency');
 const ItineraryController = require('../controllers/itineraryController');
 
 const router = express.Router();
 
 /**
  * Itinerary Routes
- * All routes require authentication
+ * All routes require authentication and a role on the item's trip
  */
 
 // Get itinerary item by ID
-router.get('/:id', authenticateToken, ItineraryController.getItineraryItem);
+router.get('/:id', authenticateToken, requireTripRole('viewer', tripIdFrom.itineraryItem()), ItineraryController.getItineraryItem);
 
-// Update itinerary item
-router.put('/:id', authenticateToken, ItineraryController.updateItineraryItem);
+// Update itinerary item (requires If-Match or a version field)
+router.put('/:id', authenticateToken, requireTripRole('editor', tripIdFrom.itineraryItem()), requireVersion, ItineraryController.updateItineraryItem);
 
 // Delete itinerary item
-router.delete('/:id', authenticateToken, ItineraryController.deleteItineraryItem);
+router.delete('/:id', authenticateToken, requireTripRole('editor', tripIdFrom.itineraryItem()), ItineraryController.deleteItineraryItem);
 
 module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const { optionalAuth } = require('../middleware/auth');
+const MediaController = require('../controllers/mediaController');
+
+const router = express.Router();
+
+/**
+ * Media Routes
+ * Avatars, trip cover photos and receipts; access is checked per file
+ */
+
+// Get a media file (signed URL, public cover, or signed-in user with access)
+router.get('/:fileName', optionalAuth, MediaController.getMedia);
+
+module.exports = router;
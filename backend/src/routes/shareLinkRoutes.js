@@ -0,0 +1,32 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { requireTripRole } = require('../middleware/tripAccess');
+const ShareLinkController = require('../controllers/shareLinkController');
+
+const router = express.Router();
+
+/**
+ * Share Link Routes
+ * Public share links for a trip and the comments left through them, managed by its owners
+ * All routes require authentication
+ */
+
+// Get active share links for a trip
+router.get('/:tripId/share-links', authenticateToken, requireTripRole('owner'), ShareLinkController.getShareLinks);
+
+// Create a share link
+router.post('/:tripId/share-links', authenticateToken, requireTripRole('owner'), ShareLinkController.createShareLink);
+
+// Create a share link (kept for older clients)
+router.post('/:tripId/share', authenticateToken, requireTripRole('owner'), ShareLinkController.createShareLink);
+
+// Revoke a share link
+router.delete('/:tripId/share-links/:linkId', authenticateToken, requireTripRole('owner'), ShareLinkController.revokeShareLink);
+
+// Get comments left through the trip's share links
+router.get('/:tripId/share-comments', authenticateToken, requireTripRole('owner'), ShareLinkController.getShareComments);
+
+// Delete a comment left through a share link
+router.delete('/:tripId/share-comments/:commentId', authenticateToken, requireTripRole('owner'), ShareLinkController.deleteShareComment);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { requireTripRole, tripIdFrom } = require('../middleware/tripAccess');
+const TripTemplateController = require('../controllers/tripTemplateController');
+
+const router = express.Router();
+
+/**
+ * Trip Template Routes
+ * All routes require authentication
+ */
+
+// Browse templates by country, city, length or text
+router.get('/', authenticateToken, TripTemplateController.getTemplates);
+
+// Get template details
+router.get('/:id', authenticateToken, TripTemplateController.getTemplate);
+
+// Save a trip the user can see as a template
+router.post('/', authenticateToken, requireTripRole('viewer', tripIdFrom.body('tripId')), TripTemplateController.createTemplate);
+
+// Delete a template
+router.delete('/:id', authenticateToken, TripTemplateController.deleteTemplate);
+
+// Create a trip from a template
+router.post('/:id/instantiate', authenticateToken, TripTemplateController.instantiateTemplate);
+
+module.exports = router;
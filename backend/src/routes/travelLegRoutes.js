@@ -0,0 +1,25 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { requireTripRole } = require('../middleware/tripAccess');
+const TravelLegController = require('../controllers/travelLegController');
+
+const router = express.Router();
+
+/**
+ * Travel Leg Routes
+ * How a trip gets from one stop to the next
+ */
+
+// Get legs between consecutive stops, with distance and estimates
+router.get('/:tripId/travel-legs', authenticateToken, requireTripRole('viewer'), TravelLegController.getTravelLegs);
+
+// Add the leg between two consecutive stops
+router.post('/:tripId/travel-legs', authenticateToken, requireTripRole('editor'), TravelLegController.createTravelLeg);
+
+// Update a travel leg
+router.put('/:tripId/travel-legs/:legId', authenticateToken, requireTripRole('editor'), TravelLegController.updateTravelLeg);
+
+// Remove a travel leg
+router.delete('/:tripId/travel-legs/:legId', authenticateToken, requireTripRole('editor'), TravelLegController.deleteTravelLeg);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const multer = require('multer');
+const { authenticateToken } = require('../middleware/auth');
+const { requireTripRole, tripIdFrom } = require('../middleware/tripAccess');
+const TripArchiveController = require('../controllers/tripArchiveController');
+
+const router = express.Router();
+
+// Archives are parsed straight from memory; cover images inside them can be large
+const archiveUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'application/json' || /\.json$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      const error = new Error('Only .json archive files are allowed');
+      error.status = 400;
+      cb(error, false);
+    }
+  },
+  limits: {
+    fileSize: 50 * 1024 * 1024 // 50MB limit
+  }
+});
+
+/**
+ * Trip Archive Routes
+ * JSON backup and restore; mounted before the trip routes so /export.json
+ * isn't taken for a trip ID
+ */
+
+// Export all of the current user's trips
+router.get('/export.json', authenticateToken, TripArchiveController.exportAllTrips);
+
+// Restore trips from an archive
+router.post('/import', authenticateToken, archiveUpload.single('archive'), TripArchiveController.importTrips);
+
+// Export one trip
+router.get('/:id/export.json', authenticateToken, requireTripRole('viewer', tripIdFrom.param('id')), TripArchiveController.exportTrip);
+
+module.exports = router;
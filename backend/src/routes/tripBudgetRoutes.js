@@ -0,0 +1,25 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { requireTripRole } = require('../middleware/tripAccess');
+const TripBudgetController = require('../controllers/tripBudgetController');
+
+const router = express.Router();
+
+/**
+ * Trip Budget Routes
+ * Per-category and per-day budget envelopes for a trip
+ */
+
+// Get envelopes and spending against them
+router.get('/:tripId/budget', authenticateToken, requireTripRole('viewer'), TripBudgetController.getBudget);
+
+// Add an envelope for a category or a day
+router.post('/:tripId/budget', authenticateToken, requireTripRole('editor'), TripBudgetController.createBudget);
+
+// Change an envelope's amount
+router.put('/:tripId/budget/:budgetId', authenticateToken, requireTripRole('editor'), TripBudgetController.updateBudget);
+
+// Remove an envelope
+router.delete('/:tripId/budget/:budgetId', authenticateToken, requireTripRole('editor'), TripBudgetController.deleteBudget);
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const multer = require('multer');
+const { authenticateToken } = require('../middleware/auth');
+const { requireTripRole } = require('../middleware/tripAccess');
+const { requireSignedUrl } = require('../services/signedUrls');
+const { DOCUMENT_UPLOAD_RULES, MAX_FILES_PER_UPLOAD } = require('../services/documents');
+const TripDocumentController = require('../controllers/tripDocumentController');
+
+const router = express.Router();
+
+// Configure multer for document uploads
+// Files are kept in memory and saved to storage by the controller once validated
+const storage = multer.memoryStorage();
+
+const fileFilter = (req, file, cb) => {
+  // Accept only PDFs and images
+  if (DOCUMENT_UPLOAD_RULES.allowedTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    const error = new Error(`Only ${DOCUMENT_UPLOAD_RULES.typeLabel} are allowed`);
+    error.status = 400;
+    error.code = 'INVALID_FILE_TYPE';
+    cb(error, false);
+  }
+};
+
+const upload = multer({
+  storage,
+  fileFilter,
+  limits: {
+    fileSize: DOCUMENT_UPLOAD_RULES.maxSize,
+    files: MAX_FILES_PER_UPLOAD
+  }
+});
+
+// Turn multer errors into the API's error format
+const handleUploadError = (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    const messages = {
+      LIMIT_FILE_SIZE: `Each file must be less than ${Math.round(DOCUMENT_UPLOAD_RULES.maxSize / (1024 * 1024))}MB`,
+      LIMIT_FILE_COUNT: `Upload at most ${MAX_FILES_PER_UPLOAD} files at a time`
+    };
+
+    return res.status(400).json({
+      message: messages[err.code] || err.message,
+      error: err.code
+    });
+  }
+
+  if (err.code === 'INVALID_FILE_TYPE') {
+    return res.status(400).json({
+      message: err.message,
+      error: err.code
+    });
+  }
+
+  next(err);
+};
+
+/**
+ * Trip Document Routes
+ * Tickets, visas, insurance papers and receipts. Listing, uploading and
+ * deleting require a role on the trip; the file routes require a signed URL,
+ * which is only handed out in the listing.
+ */
+
+// Get a trip's documents with signed download URLs
+router.get('/:tripId/documents', authenticateToken, requireTripRole('viewer'), TripDocumentController.getDocuments);
+
+// Upload documents (up to 10 files in field "files")
+router.post('/:tripId/documents', authenticateToken, requireTripRole('editor'), upload.array('files', MAX_FILES_PER_UPLOAD), handleUploadError, TripDocumentController.uploadDocuments);
+
+// Delete a document
+router.delete('/:tripId/documents/:documentId', authenticateToken, requireTripRole('editor'), TripDocumentController.deleteDocument);
+
+// Download a document or its thumbnail through a signed URL
+router.get('/:tripId/documents/:documentId/file', requireSignedUrl, TripDocumentController.downloadDocument);
+router.get('/:tripId/documents/:documentId/thumbnail', requireSignedUrl, TripDocumentController.downloadDocument);
+
+module.exports = router;
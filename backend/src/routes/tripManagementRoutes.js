@@ -1,48 +1,85 @@
 const express = require('express');
+const multer = require('multer');
 const { authenticateToken } = require('../middleware/auth');
+const { requireTripRole } = require('../middleware/tripAccess');
 const CityController = require('../controllers/cityController');
 const ItineraryController = require('../controllers/itineraryController');
 const ActivityController = require('../controllers/activityController');
 
 const router = express.Router();
 
+// Calendar imports are parsed straight from memory and never stored
+const calendarUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/calendar' || /\.ics$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      const error = new Error('Only .ics calendar files are allowed');
+      error.status = 400;
+      cb(error, false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
 /**
  * Trip Management Routes
  * Routes that combine trip, city, and itinerary functionality
- * All routes require authentication
+ * All routes require authentication and a role on the trip
  */
 
 // Get cities for a trip
-router.get('/:tripId/cities', authenticateToken, CityController.getCitiesForTrip);
+router.get('/:tripId/cities', authenticateToken, requireTripRole('viewer'), CityController.getCitiesForTrip);
 
 // Update trip city
-router.put('/:tripId/cities/:cityId', authenticateToken, CityController.updateTripCity);
+router.put('/:tripId/cities/:cityId', authenticateToken, requireTripRole('editor'), CityController.updateTripCity);
 
 // Get itinerary for a trip
-router.get('/:tripId/itinerary', authenticateToken, ItineraryController.getTripItinerary);
+router.get('/:tripId/itinerary', authenticateToken, requireTripRole('viewer'), ItineraryController.getTripItinerary);
+
+// Check the itinerary for schedule conflicts
+router.get('/:tripId/itinerary/conflicts', authenticateToken, requireTripRole('viewer'), ItineraryController.getItineraryConflicts);
+
+// Suggest shorter visiting orders for the trip's cities and each day's stops
+router.get('/:tripId/itinerary/route-suggestions', authenticateToken, requireTripRole('viewer'), ItineraryController.getRouteSuggestions);
 
 // Create itinerary item for a trip
-router.post('/:tripId/itinerary', authenticateToken, ItineraryController.createItineraryItem);
+router.post('/:tripId/itinerary', authenticateToken, requireTripRole('editor'), ItineraryController.createItineraryItem);
+
+// Preview items from an uploaded .ics file (nothing is saved)
+router.post('/:tripId/itinerary/import/preview', authenticateToken, requireTripRole('editor'), calendarUpload.single('calendar'), ItineraryController.previewCalendarImport);
+
+// Save confirmed items from an import preview
+router.post('/:tripId/itinerary/import', authenticateToken, requireTripRole('editor'), ItineraryController.importCalendarItems);
+
+// Plan chosen activities into the trip's days (nothing is saved)
+router.post('/:tripId/itinerary/auto-schedule/preview', authenticateToken, requireTripRole('editor'), ItineraryController.previewAutoSchedule);
+
+// Save confirmed items from an auto-schedule preview
+router.post('/:tripId/itinerary/auto-schedule', authenticateToken, requireTripRole('editor'), ItineraryController.applyAutoSchedule);
 
 // Get trip summary
-router.get('/:tripId/summary', authenticateToken, ItineraryController.getTripSummary);
+router.get('/:tripId/summary', authenticateToken, requireTripRole('viewer'), ItineraryController.getTripSummary);
 
 // Get cost breakdown for a trip
-router.get('/:tripId/cost-breakdown', authenticateToken, ItineraryController.getCostBreakdown);
+router.get('/:tripId/cost-breakdown', authenticateToken, requireTripRole('viewer'), ItineraryController.getCostBreakdown);
 
 // Reorder itinerary items
-router.put('/:tripId/itinerary/reorder', authenticateToken, ItineraryController.reorderItineraryItems);
+router.put('/:tripId/itinerary/reorder', authenticateToken, requireTripRole('editor'), ItineraryController.reorderItineraryItems);
 
 // Add activity to trip itinerary
-router.post('/:tripId/itinerary/add-activity', authenticateToken, ItineraryController.addActivityToItinerary);
+router.post('/:tripId/itinerary/add-activity', authenticateToken, requireTripRole('editor'), ItineraryController.addActivityToItinerary);
 
 // Get activities for a city (within trip context)
-router.get('/:tripId/cities/:cityId/activities', authenticateToken, ActivityController.searchActivities);
+router.get('/:tripId/cities/:cityId/activities', authenticateToken, requireTripRole('viewer'), ActivityController.searchActivities);
 
 // Get popular activities for a city (within trip context)
-router.get('/:tripId/cities/:cityId/activities/popular', authenticateToken, ActivityController.getPopularActivities);
+router.get('/:tripId/cities/:cityId/activities/popular', authenticateToken, requireTripRole('viewer'), ActivityController.getPopularActivities);
 
 // Get activities by category for a city (within trip context)
-router.get('/:tripId/cities/:cityId/activities/category/:category', authenticateToken, ActivityController.getActivitiesByCategory);
+router.get('/:tripId/cities/:cityId/activities/category/:category', authenticateToken, requireTripRole('viewer'), ActivityController.getActivitiesByCategory);
 
 module.exports = router;
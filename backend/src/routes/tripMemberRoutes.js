@@ -0,0 +1,26 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { requireTripRole } = require('../middleware/tripAccess');
+const TripMemberController = require('../controllers/tripMemberController');
+
+const router = express.Router();
+
+/**
+ * Trip Member Routes
+ * Co-planner management for a trip
+ * All routes require authentication
+ */
+
+// Get members of a trip
+router.get('/:tripId/members', authenticateToken, requireTripRole('viewer'), TripMemberController.getTripMembers);
+
+// Invite a member by email
+router.post('/:tripId/members', authenticateToken, requireTripRole('owner'), TripMemberController.inviteMember);
+
+// Change a member's role
+router.put('/:tripId/members/:memberId', authenticateToken, requireTripRole('owner'), TripMemberController.updateMemberRole);
+
+// Remove a member (owners) or leave the trip (members)
+router.delete('/:tripId/members/:memberId', authenticateToken, requireTripRole('viewer'), TripMemberController.removeMember);
+
+module.exports = router;
@@ -1,21 +1,15 @@
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
 const { authenticateToken } = require('../middleware/auth');
+const { requireTripRole, tripIdFrom } = require('../middleware/tripAccess');
+const { requireVersion } = require('../middleware/concurrency');
 const TripController = require('../controllers/tripController');
 
 const router = express.Router();
 
 // Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, path.join(__dirname, '../../uploads'));
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'trip-cover-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
+// Cover photos are kept in memory and saved to storage by the controller
+const storage = multer.memoryStorage();
 
 const fileFilter = (req, file, cb) => {
   // Accept only image files
@@ -45,22 +39,37 @@ router.post('/', authenticateToken, upload.single('coverPhoto'), TripController.
 // Get user's trips
 router.get('/', authenticateToken, TripController.getUserTrips);
 
+// Get featured trips (no authentication required)
+router.get('/featured', TripController.getFeaturedTrips);
+
+// Get a featured trip (no authentication required)
+router.get('/featured/:id', TripController.getFeaturedTrip);
+
 // Get trip by ID
-router.get('/:id', authenticateToken, TripController.getTripById);
+router.get('/:id', authenticateToken, requireTripRole('viewer', tripIdFrom.param('id')), TripController.getTripById);
 
-// Update trip
-router.put('/:id', authenticateToken, upload.single('coverPhoto'), TripController.updateTrip);
+// Update trip (requires If-Match or a version field)
+router.put('/:id', authenticateToken, requireTripRole('editor', tripIdFrom.param('id')), upload.single('coverPhoto'), requireVersion, TripController.updateTrip);
 
 // Delete trip
-router.delete('/:id', authenticateToken, TripController.deleteTrip);
+router.delete('/:id', authenticateToken, requireTripRole('owner', tripIdFrom.param('id')), TripController.deleteTrip);
 
-// Generate public URL for trip sharing
-router.post('/:id/share', authenticateToken, TripController.shareTrip);
+// Copy a trip the user can see, or a featured trip, into their account
+router.post('/:id/clone', authenticateToken, TripController.cloneTrip);
 
 // Get trip statistics
-router.get('/:id/stats', authenticateToken, TripController.getTripStats);
+router.get('/:id/stats', authenticateToken, requireTripRole('viewer', tripIdFrom.param('id')), TripController.getTripStats);
 
-// Get public trip by URL (no authentication required)
+// Download a printable PDF booklet of the trip
+router.get('/:id/export.pdf', authenticateToken, requireTripRole('viewer', tripIdFrom.param('id')), TripController.exportTripPdf);
+
+// Get public trip by share link token (no authentication required)
 router.get('/shared/:publicUrl', TripController.getSharedTrip);
 
+// Comment on a shared trip through a comment link (no authentication required)
+router.post('/shared/:publicUrl/comments', TripController.addSharedTripComment);
+
+// Copy a shared trip into the current user's account
+router.post('/shared/:publicUrl/clone', authenticateToken, TripController.cloneSharedTrip);
+
 module.exports = router;
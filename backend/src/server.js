@@ -1,6 +1,5 @@
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const { createServer } = require('http');
@@ -25,6 +24,21 @@ const activityRoutes = require('./routes/activityRoutes');
 const itineraryRoutes = require('./routes/itineraryRoutes');
 const tripManagementRoutes = require('./routes/tripManagementRoutes');
 const adminRoutes = require('./routes/adminRoutes');
+const tripMemberRoutes = require('./routes/tripMemberRoutes');
+const shareLinkRoutes = require('./routes/shareLinkRoutes');
+const templateRoutes = require('./routes/templateRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const tripArchiveRoutes = require('./routes/tripArchiveRoutes');
+const invitationRoutes = require('./routes/invitationRoutes');
+const exchangeRateRoutes = require('./routes/exchangeRateRoutes');
+const tripBudgetRoutes = require('./routes/tripBudgetRoutes');
+const expenseRoutes = require('./routes/expenseRoutes');
+const travelLegRoutes = require('./routes/travelLegRoutes');
+const tripDocumentRoutes = require('./routes/tripDocumentRoutes');
+const mediaRoutes = require('./routes/mediaRoutes');
+
+// Import services
+const { initializeSocket } = require('./services/socketService');
 
 // Create Express app and HTTP server
 const app = express();
@@ -113,9 +127,11 @@ app.use(cors({
     'Access-Control-Request-Method',
     'Access-Control-Request-Headers',
     'Cache-Control',
-    'Pragma'
+    'Pragma',
+    'If-Match',
+    'X-Share-Password'
   ],
-  exposedHeaders: ['Content-Length', 'X-Foo', 'X-Bar'],
+  exposedHeaders: ['Content-Length', 'Content-Disposition', 'ETag', 'X-Foo', 'X-Bar'],
   optionsSuccessStatus: 200,
   preflightContinue: false,
   maxAge: 86400 // 24 hours
@@ -137,9 +153,8 @@ app.use((req, res, next) => {
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static file serving for uploads
-const uploadDir = process.env.UPLOAD_DIR || 'uploads';
-app.use('/uploads', express.static(path.join(__dirname, '..', uploadDir)));
+// Avatars, cover photos and receipts, served after an access check
+app.use('/media', mediaRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -156,62 +171,34 @@ app.set('io', io);
 
 // API routes
 app.use('/api/auth', authRoutes);
+app.use('/api/trips', tripArchiveRoutes); // Trip backup and restore (before /:id)
 app.use('/api/trips', tripRoutes);
 app.use('/api/cities', cityRoutes);
 app.use('/api/activities', activityRoutes);
 app.use('/api/itinerary', itineraryRoutes);
 app.use('/api/trips', tripManagementRoutes); // Trip management routes (combined functionality)
+app.use('/api/trips', tripMemberRoutes); // Trip co-planner management
+app.use('/api/trips', shareLinkRoutes); // Trip share links
+app.use('/api/trips', calendarRoutes); // iCalendar export and feeds
+app.use('/api/trips', tripBudgetRoutes); // Budget envelopes
+app.use('/api/trips', expenseRoutes); // Actual trip spending
+app.use('/api/trips', travelLegRoutes); // Getting from one stop to the next
+app.use('/api/trips', tripDocumentRoutes); // Tickets, visas and other trip documents
+app.use('/api/templates', templateRoutes); // Trip templates
+app.use('/api/invitations', invitationRoutes); // Trip invitations for the current user
+app.use('/api/exchange-rates', exchangeRateRoutes); // Currency conversion rates
 app.use('/api/admin', adminRoutes); // Admin routes
 
 // Trip-specific itinerary routes
 const ItineraryController = require('./controllers/itineraryController');
 const { authenticateToken } = require('./middleware/auth');
-app.get('/api/trips/:tripId/itinerary', authenticateToken, ItineraryController.getTripItinerary);
-app.post('/api/trips/:tripId/itinerary', authenticateToken, ItineraryController.createItineraryItem);
-app.put('/api/trips/:tripId/itinerary/reorder', authenticateToken, ItineraryController.reorderItineraryItems);
+const { requireTripRole } = require('./middleware/tripAccess');
+app.get('/api/trips/:tripId/itinerary', authenticateToken, requireTripRole('viewer'), ItineraryController.getTripItinerary);
+app.post('/api/trips/:tripId/itinerary', authenticateToken, requireTripRole('editor'), ItineraryController.createItineraryItem);
+app.put('/api/trips/:tripId/itinerary/reorder', authenticateToken, requireTripRole('editor'), ItineraryController.reorderItineraryItems);
 
 // Socket.IO connection handling
-io.on('connection', (socket) => {
-  console.log(`🔌 User connected: ${socket.id}`);
-
-  // Join user to their personal room for trip updates
-  socket.on('join-user-room', (userId) => {
-    socket.join(`user-${userId}`);
-    console.log(`👤 User ${userId} joined their room`);
-  });
-
-  // Handle trip creation events
-  socket.on('trip-created', (data) => {
-    console.log('📝 Trip created:', data.tripId);
-    // Broadcast to user's room
-    io.to(`user-${data.userId}`).emit('trip-update', {
-      type: 'created',
-      trip: data.trip
-    });
-  });
-
-  // Handle trip updates
-  socket.on('trip-updated', (data) => {
-    console.log('✏️ Trip updated:', data.tripId);
-    io.to(`user-${data.userId}`).emit('trip-update', {
-      type: 'updated',
-      trip: data.trip
-    });
-  });
-
-  // Handle trip deletion
-  socket.on('trip-deleted', (data) => {
-    console.log('🗑️ Trip deleted:', data.tripId);
-    io.to(`user-${data.userId}`).emit('trip-update', {
-      type: 'deleted',
-      tripId: data.tripId
-    });
-  });
-
-  socket.on('disconnect', () => {
-    console.log(`🔌 User disconnected: ${socket.id}`);
-  });
-});
+initializeSocket(io);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -0,0 +1,285 @@
+const { toMinutes, fromMinutes, daysBetween, timeOfDay, formatDuration } = require('./wallClock');
+const { toPoint, distanceKm } = require('./geo');
+
+/**
+ * Auto-Scheduler Service
+ * Packs a wish-list of activities into the days the trip spends in each city
+ * (trip_cities arrival to departure). Each day runs from dayStart to dayEnd
+ * around meal breaks, items already on the itinerary and each activity's
+ * opening hours. Within a day the next activity is whichever can start
+ * soonest from where the last one ended, so nearby sights end up together;
+ * ties go to the activity earlier in the wish-list.
+ *
+ * Nothing is saved here: the plan is a preview the client confirms.
+ */
+
+const DEFAULT_OPTIONS = {
+  dayStart: '09:00',
+  dayEnd: '21:00',
+  mealBreaks: [
+    { label: 'Lunch', start: '12:30', minutes: 60 },
+    { label: 'Dinner', start: '19:00', minutes: 90 }
+  ]
+};
+
+// Activities without a duration get this long
+const DEFAULT_DURATION_MINUTES = 120;
+
+// Getting around inside a city: average door-to-door speed, and the least any move takes
+const CITY_TRAVEL_SPEED_KMH = 20;
+const MIN_TRAVEL_MINUTES = 15;
+
+// Start times are rounded up to a quarter hour
+const SLOT_MINUTES = 15;
+
+// Hotel stays span whole nights and don't block the day
+const NON_BLOCKING_CATEGORIES = ['hotel'];
+
+const invalidOptions = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'INVALID_SCHEDULE_OPTIONS';
+  return err;
+};
+
+const roundUp = (minutes) => Math.ceil(minutes / SLOT_MINUTES) * SLOT_MINUTES;
+
+/**
+ * Check and fill in scheduling options
+ * @param {Object} options - {dayStart, dayEnd ("HH:mm"), mealBreaks: [{label, start, minutes}]}
+ * @returns {Object} Options as minutes after midnight
+ * @throws {Error} 400 INVALID_SCHEDULE_OPTIONS for unreadable times
+ */
+const normalizeOptions = (options = {}) => {
+  const dayStart = timeOfDay(options.dayStart || DEFAULT_OPTIONS.dayStart);
+  const dayEnd = timeOfDay(options.dayEnd || DEFAULT_OPTIONS.dayEnd);
+
+  if (dayStart === null || dayEnd === null || dayEnd <= dayStart) {
+    throw invalidOptions('Days need a start and a later end time (HH:mm)');
+  }
+
+  const mealBreaks = (options.mealBreaks || DEFAULT_OPTIONS.mealBreaks).map(meal => {
+    const start = timeOfDay(meal && meal.start);
+    const minutes = Number(meal && meal.minutes);
+
+    if (start === null || !Number.isFinite(minutes) || minutes <= 0 || minutes > 240) {
+      throw invalidOptions('Meal breaks need a start time (HH:mm) and a length of up to 240 minutes');
+    }
+
+    return { label: String(meal.label || 'Break').slice(0, 50), start, minutes };
+  });
+
+  return { dayStart, dayEnd, mealBreaks };
+};
+
+/**
+ * Where an activity is: its own coordinates, else its city's
+ */
+const activityPoint = (activity) => (
+  toPoint(activity) || toPoint({ latitude: activity.city_latitude, longitude: activity.city_longitude })
+);
+
+/**
+ * Time to get from one activity to the next, rounded up to a slot
+ * @param {Object|null} from - Point of the previous activity, null at the start of the day
+ * @param {Object|null} to - Point of the next activity
+ * @returns {number} Minutes
+ */
+const travelMinutes = (from, to) => {
+  if (!from) return 0;
+  if (!to) return MIN_TRAVEL_MINUTES;
+
+  const minutes = (distanceKm(from, to) / CITY_TRAVEL_SPEED_KMH) * 60;
+  return roundUp(Math.max(MIN_TRAVEL_MINUTES, minutes));
+};
+
+/**
+ * Earliest an activity can start on a day, or null if it doesn't fit
+ * @param {Object} entry - Pending activity
+ * @param {Object} day - {base (minutes at midnight), cursor, place, blocks}
+ * @param {Object} settings - normalizeOptions result
+ */
+const earliestStart = (entry, day, settings) => {
+  const open = day.base + Math.max(settings.dayStart, entry.opens ?? 0);
+  const close = day.base + Math.min(settings.dayEnd, entry.closes ?? 24 * 60);
+
+  let start = Math.max(roundUp(day.cursor + travelMinutes(day.place, entry.point)), open);
+
+  for (;;) {
+    const clash = day.blocks.find(block => start < block.end && start + entry.duration > block.start);
+    if (!clash) break;
+    start = roundUp(clash.end);
+  }
+
+  return start + entry.duration <= close ? start : null;
+};
+
+/**
+ * Why an activity couldn't be scheduled
+ */
+const unscheduledReason = (entry, stays, settings) => {
+  const { activity } = entry;
+  const visits = stays.filter(stay => String(stay.city_id) === String(activity.city_id));
+
+  if (visits.length === 0) {
+    return {
+      reason: 'city_not_on_trip',
+      message: `${activity.city_name || 'Its city'} isn't one of the trip's cities`
+    };
+  }
+
+  if (visits.every(stay => daysBetween(stay.arrival_date, stay.departure_date).length === 0)) {
+    return {
+      reason: 'no_dates',
+      message: `Set arrival and departure dates for ${activity.city_name || 'its city'} first`
+    };
+  }
+
+  const window = Math.min(settings.dayEnd, entry.closes ?? 24 * 60) - Math.max(settings.dayStart, entry.opens ?? 0);
+  if (entry.duration > window) {
+    return {
+      reason: 'does_not_fit',
+      message: `Takes ${formatDuration(entry.duration)} but only ${formatDuration(Math.max(window, 0))} ` +
+        'of the day is available while it is open'
+    };
+  }
+
+  return {
+    reason: 'no_time',
+    message: `No free time left in ${activity.city_name || 'its city'}`
+  };
+};
+
+/**
+ * Plan a wish-list of activities into the trip's days
+ * @param {Object} data - Planning data
+ * @param {Array} data.stays - Trip cities (from CityModel.getCitiesForTrip)
+ * @param {Array} data.activities - Activities to fit in, most wanted first (from ActivityModel.findByIds)
+ * @param {Array} data.existingItems - Items already on the itinerary; their times are kept free
+ * @param {Object} data.options - dayStart, dayEnd and mealBreaks (see DEFAULT_OPTIONS)
+ * @returns {Object} {days: [{date, cityId, cityName, items, breaks}], items, unscheduled}
+ * @throws {Error} 400 INVALID_SCHEDULE_OPTIONS for unreadable options
+ */
+const planDays = ({ stays = [], activities = [], existingItems = [], options = {} }) => {
+  const settings = normalizeOptions(options);
+  const unscheduled = [];
+
+  const alreadyPlanned = new Set(existingItems
+    .filter(item => item.activity_id)
+    .map(item => String(item.activity_id)));
+
+  const pending = [];
+  activities.forEach((activity, index) => {
+    if (alreadyPlanned.has(String(activity.id))) {
+      unscheduled.push({
+        activityId: activity.id,
+        title: activity.name,
+        reason: 'already_planned',
+        message: 'Already on the itinerary'
+      });
+      return;
+    }
+
+    pending.push({
+      activity,
+      index,
+      duration: roundUp(Number(activity.duration_hours) * 60 || DEFAULT_DURATION_MINUTES),
+      opens: timeOfDay(activity.opens_at),
+      closes: timeOfDay(activity.closes_at),
+      point: activityPoint(activity),
+      placed: false
+    });
+  });
+
+  // Times already taken, including what this plan fills in as it goes
+  const busy = existingItems
+    .filter(item => !NON_BLOCKING_CATEGORIES.includes(item.category))
+    .map(item => ({ start: toMinutes(item.start_time), end: toMinutes(item.end_time) }))
+    .filter(block => block.start !== null && block.end !== null && block.end > block.start);
+
+  const days = [];
+  const items = [];
+
+  stays.forEach(stay => {
+    const cityPending = pending.filter(entry => String(entry.activity.city_id) === String(stay.city_id));
+
+    daysBetween(stay.arrival_date, stay.departure_date).forEach(date => {
+      const base = toMinutes(date);
+      const breaks = settings.mealBreaks.map(meal => ({
+        label: meal.label,
+        start: base + meal.start,
+        end: base + meal.start + meal.minutes
+      }));
+      const day = {
+        base,
+        cursor: base + settings.dayStart,
+        place: null,
+        blocks: [...breaks, ...busy.filter(block => block.start < base + 24 * 60 && block.end > base)]
+      };
+      const dayItems = [];
+
+      for (;;) {
+        let best = null;
+        cityPending.filter(entry => !entry.placed).forEach(entry => {
+          const start = earliestStart(entry, day, settings);
+          if (start !== null && (!best || start < best.start || (start === best.start && entry.index < best.entry.index))) {
+            best = { entry, start };
+          }
+        });
+
+        if (!best) break;
+
+        const { entry, start } = best;
+        const end = start + entry.duration;
+        const item = {
+          activityId: entry.activity.id,
+          title: entry.activity.name,
+          cityId: stay.city_id,
+          cityName: stay.name,
+          startTime: fromMinutes(start),
+          endTime: fromMinutes(end),
+          travelMinutes: day.place ? travelMinutes(day.place, entry.point) : 0,
+          cost: entry.activity.cost_min != null ? Number(entry.activity.cost_min) : null
+        };
+
+        entry.placed = true;
+        dayItems.push(item);
+        items.push(item);
+        busy.push({ start, end });
+        day.blocks.push({ start, end });
+        day.cursor = end;
+        day.place = entry.point;
+      }
+
+      days.push({
+        date,
+        cityId: stay.city_id,
+        cityName: stay.name,
+        items: dayItems,
+        breaks: breaks.map(meal => ({
+          label: meal.label,
+          startTime: fromMinutes(meal.start),
+          endTime: fromMinutes(meal.end)
+        }))
+      });
+    });
+  });
+
+  pending.filter(entry => !entry.placed).forEach(entry => {
+    unscheduled.push({
+      activityId: entry.activity.id,
+      title: entry.activity.name,
+      ...unscheduledReason(entry, stays, settings)
+    });
+  });
+
+  days.sort((a, b) => a.date.localeCompare(b.date));
+  items.sort((a, b) => a.startTime.localeCompare(b.startTime));
+
+  return { days, items, unscheduled };
+};
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  planDays
+};
@@ -0,0 +1,128 @@
+const { roundAmount } = require('./currency');
+
+/**
+ * Budget Service
+ * Compares a trip's budget envelopes with what its itinerary costs.
+ *
+ * An envelope limits either one category over the whole trip or everything
+ * on one day. Envelope amounts and spending are both in the trip's currency.
+ */
+
+const envelopeStatus = (budget, spent) => {
+  if (budget === null) {
+    return { budget: null, spent, remaining: null, percent_used: null, over_budget: false };
+  }
+
+  return {
+    budget,
+    spent,
+    remaining: roundAmount(budget - spent),
+    percent_used: budget > 0 ? Math.round((spent / budget) * 1000) / 10 : null,
+    over_budget: spent > budget
+  };
+};
+
+/**
+ * Work out budget against spending for every envelope
+ * Categories and days that have spending but no envelope are listed with a null budget.
+ * @param {Array} envelopes - Trip budget rows ({id, category, budget_date, amount})
+ * @param {Array} costBreakdown - ItineraryModel.getCostBreakdown result
+ * @param {Array} dailyCosts - ItineraryModel.getDailyCosts result
+ * @param {string} currency - Trip currency
+ * @returns {Object} {currency, categories, days, unconverted_currencies}
+ */
+const computeVariance = (envelopes, costBreakdown, dailyCosts, currency) => {
+  const categoryEnvelopes = new Map(envelopes.filter(e => e.category).map(e => [e.category, e]));
+  const dayEnvelopes = new Map(envelopes.filter(e => e.budget_date).map(e => [e.budget_date, e]));
+  const categorySpend = new Map(costBreakdown.map(row => [row.category, row.total_cost]));
+  const daySpend = new Map(dailyCosts.map(row => [row.day, row.total_cost]));
+
+  const categories = [...new Set([...categoryEnvelopes.keys(), ...categorySpend.keys()])]
+    .map(category => {
+      const envelope = categoryEnvelopes.get(category);
+      return {
+        budget_id: envelope ? envelope.id : null,
+        category,
+        ...envelopeStatus(envelope ? Number(envelope.amount) : null, categorySpend.get(category) || 0)
+      };
+    })
+    .sort((a, b) => b.spent - a.spent);
+
+  const days = [...new Set([...dayEnvelopes.keys(), ...daySpend.keys()])]
+    .sort()
+    .map(date => {
+      const envelope = dayEnvelopes.get(date);
+      return {
+        budget_id: envelope ? envelope.id : null,
+        date,
+        ...envelopeStatus(envelope ? Number(envelope.amount) : null, daySpend.get(date) || 0)
+      };
+    });
+
+  const unconverted = new Set(
+    [...costBreakdown, ...dailyCosts].flatMap(row => row.unconverted_currencies || [])
+  );
+
+  return {
+    currency,
+    categories,
+    days,
+    unconverted_currencies: [...unconverted].sort()
+  };
+};
+
+/**
+ * List the envelopes that are over budget
+ * @param {Object} variance - computeVariance result
+ * @returns {Array} Over-budget entries, each with a `key` identifying its envelope
+ */
+const overspentEnvelopes = (variance) => [
+  ...variance.categories
+    .filter(entry => entry.over_budget)
+    .map(entry => ({ key: `category:${entry.category}`, ...entry })),
+  ...variance.days
+    .filter(entry => entry.over_budget)
+    .map(entry => ({ key: `day:${entry.date}`, ...entry }))
+];
+
+/**
+ * Line up planned costs (itinerary items) with actual spending (expenses)
+ * @param {Array} costBreakdown - ItineraryModel.getCostBreakdown result
+ * @param {Array} dailyCosts - ItineraryModel.getDailyCosts result
+ * @param {Object} actual - ExpenseModel.getActualCosts result
+ * @param {string} currency - Trip currency
+ * @returns {Object} {currency, categories, days} - each entry has planned, actual and
+ *   difference (actual minus planned, so positive means overspent)
+ */
+const comparePlanToActual = (costBreakdown, dailyCosts, actual, currency) => {
+  const compare = (plannedRows, actualRows, key, outputKey) => {
+    const planned = new Map(plannedRows.map(row => [row[key], row.total_cost]));
+    const spent = new Map(actualRows.map(row => [row[key], row.total_cost]));
+
+    return [...new Set([...planned.keys(), ...spent.keys()])].map(value => {
+      const plannedAmount = planned.get(value) || 0;
+      const actualAmount = spent.get(value) || 0;
+
+      return {
+        [outputKey]: value,
+        planned: plannedAmount,
+        actual: actualAmount,
+        difference: roundAmount(actualAmount - plannedAmount)
+      };
+    });
+  };
+
+  return {
+    currency,
+    categories: compare(costBreakdown, actual.byCategory, 'category', 'category')
+      .sort((a, b) => Math.max(b.planned, b.actual) - Math.max(a.planned, a.actual)),
+    days: compare(dailyCosts, actual.byDay, 'day', 'date')
+      .sort((a, b) => a.date.localeCompare(b.date))
+  };
+};
+
+module.exports = {
+  computeVariance,
+  overspentEnvelopes,
+  comparePlanToActual
+};
@@ -0,0 +1,64 @@
+const TripBudgetModel = require('../models/tripBudgetModel');
+const { overspentEnvelopes } = require('./budget');
+const { emitTripEvent } = require('./socketService');
+
+/**
+ * Budget Alerts Service
+ * Warns everyone on a trip when a change to its planned costs (itinerary
+ * items or travel legs) pushes a budget envelope over its limit.
+ */
+
+/**
+ * Get a trip's over-budget envelopes, keyed by envelope
+ */
+const getOverspent = async (trip) => {
+  const envelopes = await TripBudgetModel.getForTrip(trip.id);
+  if (envelopes.length === 0) {
+    return new Map();
+  }
+
+  const variance = await TripBudgetModel.getVariance(trip.id, trip.currency, envelopes);
+  return new Map(overspentEnvelopes(variance).map(entry => [entry.key, entry]));
+};
+
+/**
+ * Run a change to planned costs and warn everyone on the trip about envelopes it
+ * pushed over budget (or further over). A failed budget check never fails the change.
+ * @param {Object} req - Express request (req.trip is set by requireTripRole)
+ * @param {Function} change - Async function making the change
+ * @returns {Object} {result, budgetAlerts}
+ */
+const withBudgetAlerts = async (req, change) => {
+  const trip = req.trip;
+  const before = await getOverspent(trip).catch(error => {
+    console.error('Budget check error:', error);
+    return null;
+  });
+
+  const result = await change();
+
+  let budgetAlerts = [];
+  if (before) {
+    try {
+      const after = await getOverspent(trip);
+      budgetAlerts = [...after.values()].filter(entry => (
+        !before.has(entry.key) || entry.spent > before.get(entry.key).spent
+      ));
+    } catch (error) {
+      console.error('Budget check error:', error);
+    }
+  }
+
+  if (budgetAlerts.length > 0) {
+    emitTripEvent(req, trip.id, 'budget-exceeded', {
+      currency: trip.currency,
+      alerts: budgetAlerts
+    });
+  }
+
+  return { result, budgetAlerts };
+};
+
+module.exports = {
+  withBudgetAlerts
+};
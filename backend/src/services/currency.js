@@ -0,0 +1,85 @@
+/**
+ * Currency Service
+ * Converts amounts between currencies with stored exchange rates.
+ *
+ * Rates are units of a currency per 1 USD, so any pair converts through USD.
+ * An amount in a currency with no stored rate can't be converted: totals leave
+ * it out and report the currency in `unconverted` rather than adding it 1:1.
+ */
+
+const BASE_CURRENCY = 'USD';
+const DEFAULT_CURRENCY = 'INR';
+
+/**
+ * Normalize a currency code
+ * @param {*} code - User input, e.g. "eur"
+ * @returns {string|null} Upper-case ISO 4217 style code, or null if it isn't one
+ */
+const normalizeCurrency = (code) => {
+  if (typeof code !== 'string' || !/^[A-Za-z]{3}$/.test(code.trim())) {
+    return null;
+  }
+  return code.trim().toUpperCase();
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Convert an amount between currencies
+ * @param {number} amount - Amount in `from`
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {Object} rates - Currency code → units per 1 USD
+ * @returns {number|null} Converted amount (unrounded), or null if a rate is missing
+ */
+const convert = (amount, from, to, rates) => {
+  if (from === to) {
+    return Number(amount);
+  }
+
+  const fromRate = Number(rates[from]);
+  const toRate = Number(rates[to]);
+  if (!fromRate || !toRate) {
+    return null;
+  }
+
+  return (Number(amount) / fromRate) * toRate;
+};
+
+/**
+ * Add up amounts held in several currencies
+ * @param {Array} amounts - [{currency, amount, count}]; a missing currency means `currency`,
+ *   count (default 1) is how many priced items the amount covers
+ * @param {string} currency - Currency of the total
+ * @param {Object} rates - Currency code → units per 1 USD
+ * @returns {Object} {total, count, unconverted} - count covers converted amounts only,
+ *   unconverted lists the currencies left out
+ */
+const sumInCurrency = (amounts, currency, rates) => {
+  let total = 0;
+  let count = 0;
+  const unconverted = new Set();
+
+  for (const { currency: from, amount, count: amountCount = 1 } of amounts) {
+    if (!Number(amount)) continue;
+
+    const value = convert(amount, from || currency, currency, rates);
+    if (value === null) {
+      unconverted.add(from);
+    } else {
+      total += value;
+      count += Number(amountCount);
+    }
+  }
+
+  return { total: roundAmount(total), count, unconverted: [...unconverted].sort() };
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  DEFAULT_CURRENCY,
+  normalizeCurrency,
+  roundAmount,
+  convert,
+  sumInCurrency
+};
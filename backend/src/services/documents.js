@@ -0,0 +1,98 @@
+const path = require('path');
+const sharp = require('sharp');
+const { putFile, getFile, removeFile } = require('./storage');
+
+/**
+ * Documents Service
+ * Stores trip documents (tickets, visas, insurance, receipts) under
+ * documents/ in storage, and makes thumbnails for images.
+ */
+
+const DOCUMENT_PREFIX = 'documents';
+
+const DOCUMENT_KINDS = ['ticket', 'visa', 'insurance', 'receipt', 'other'];
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Options for validateFileUpload
+const DOCUMENT_UPLOAD_RULES = {
+  allowedTypes: ['application/pdf', ...IMAGE_TYPES],
+  maxSize: parseInt(process.env.MAX_DOCUMENT_SIZE) || 10 * 1024 * 1024, // 10MB default
+  typeLabel: 'PDF and image files (JPEG, PNG, GIF, WebP)'
+};
+
+const MAX_FILES_PER_UPLOAD = 10;
+
+const THUMBNAIL_WIDTH = 320;
+
+/**
+ * Storage key of a stored document or thumbnail
+ * @param {string} storedName - Stored file name
+ * @returns {string} Storage key
+ */
+const documentKey = (storedName) => `${DOCUMENT_PREFIX}/${path.basename(storedName)}`;
+
+/**
+ * Store an uploaded document
+ * @param {Object} file - Multer file object (memory storage)
+ * @returns {string} Stored file name
+ */
+const saveDocumentFile = async (file) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const storedName = `doc-${uniqueSuffix}${path.extname(file.originalname).toLowerCase()}`;
+
+  await putFile(documentKey(storedName), file.buffer, file.mimetype);
+  return storedName;
+};
+
+/**
+ * Store a thumbnail for an uploaded image
+ * @param {Object} file - Multer file object (memory storage)
+ * @param {string} storedName - Stored name of the document
+ * @returns {string|null} Thumbnail file name, or null for non-images or unreadable images
+ */
+const createThumbnail = async (file, storedName) => {
+  if (!IMAGE_TYPES.includes(file.mimetype)) {
+    return null;
+  }
+
+  const thumbnailName = `thumb-${path.parse(storedName).name}.webp`;
+
+  try {
+    const thumbnail = await sharp(file.buffer)
+      .rotate()
+      .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+    await putFile(documentKey(thumbnailName), thumbnail, 'image/webp');
+    return thumbnailName;
+  } catch (error) {
+    console.error('Error creating document thumbnail:', error);
+    return null;
+  }
+};
+
+/**
+ * Open a stored document or thumbnail
+ * @param {string} storedName - Stored file name
+ * @returns {Object|null} {body, size, contentType} from storage, or null if missing
+ */
+const getDocumentFile = (storedName) => getFile(documentKey(storedName));
+
+/**
+ * Delete stored files, ignoring ones that are already gone
+ * @param {...string} storedNames - Stored file names
+ */
+const removeDocumentFiles = async (...storedNames) => {
+  await Promise.all(storedNames.filter(Boolean).map(storedName => removeFile(documentKey(storedName))));
+};
+
+module.exports = {
+  DOCUMENT_KINDS,
+  DOCUMENT_UPLOAD_RULES,
+  MAX_FILES_PER_UPLOAD,
+  saveDocumentFile,
+  createThumbnail,
+  getDocumentFile,
+  removeDocumentFiles
+};
@@ -0,0 +1,62 @@
+/**
+ * Email Templates
+ * Each template returns { subject, text, html } for mailer.sendMail
+ */
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Password reset email
+ * @param {Object} data - Template data (name, resetUrl, expiresInMinutes)
+ * @returns {Object} Email content
+ */
+const passwordReset = ({ name, resetUrl, expiresInMinutes }) => ({
+  subject: 'Reset your GlobeTrotter password',
+  text: [
+    `Hi ${name},`,
+    '',
+    'We received a request to reset your GlobeTrotter password.',
+    'Open the link below to choose a new one:',
+    '',
+    resetUrl,
+    '',
+    `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+    'If you didn\'t ask for this, you can ignore this email.'
+  ].join('\n'),
+  html: `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>We received a request to reset your GlobeTrotter password.</p>
+    <p><a href="${escapeHtml(resetUrl)}">Choose a new password</a></p>
+    <p>The link expires in ${expiresInMinutes} minutes and can only be used once.
+       If you didn't ask for this, you can ignore this email.</p>
+  `
+});
+
+/**
+ * Password changed notification
+ * @param {Object} data - Template data (name)
+ * @returns {Object} Email content
+ */
+const passwordChanged = ({ name }) => ({
+  subject: 'Your GlobeTrotter password was changed',
+  text: [
+    `Hi ${name},`,
+    '',
+    'Your GlobeTrotter password was just changed and all other sessions were signed out.',
+    'If this wasn\'t you, reset your password immediately.'
+  ].join('\n'),
+  html: `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>Your GlobeTrotter password was just changed and all other sessions were signed out.</p>
+    <p>If this wasn't you, reset your password immediately.</p>
+  `
+});
+
+module.exports = {
+  passwordReset,
+  passwordChanged
+};
@@ -0,0 +1,125 @@
+const { BASE_CURRENCY, normalizeCurrency } = require('./currency');
+
+/**
+ * Exchange Rate Sources
+ * Rates come from an admin-uploaded CSV or a pluggable provider chosen by
+ * EXCHANGE_RATE_PROVIDER (default open-er-api). Every source returns rates as
+ * units of each currency per 1 USD.
+ */
+
+const providers = {
+  // Free daily rates, no API key: https://www.exchangerate-api.com/docs/free
+  'open-er-api': async () => {
+    const response = await fetch(`https://open.er-api.com/v6/latest/${BASE_CURRENCY}`);
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok || !data || data.result !== 'success' || !data.rates) {
+      throw new Error(`Rate provider responded with ${response.status}`);
+    }
+
+    return data.rates;
+  }
+};
+
+/**
+ * Register another rate provider
+ * @param {string} name - Value of EXCHANGE_RATE_PROVIDER that selects it
+ * @param {Function} fetchRates - Async function resolving to {CODE: units per 1 USD}
+ */
+const registerProvider = (name, fetchRates) => {
+  providers[name] = fetchRates;
+};
+
+const invalidRates = (details) => {
+  const err = new Error('Exchange rates are not valid');
+  err.status = 400;
+  err.code = 'INVALID_EXCHANGE_RATES';
+  err.details = details.slice(0, 20);
+  return err;
+};
+
+/**
+ * Check and normalize a set of rates
+ * @param {Object} rates - Currency code → units per 1 USD
+ * @returns {Object} Rates with upper-case codes and numeric values
+ * @throws {Error} 400 INVALID_EXCHANGE_RATES with `details` listing each problem
+ */
+const validateRates = (rates) => {
+  const normalized = {};
+  const details = [];
+
+  for (const [code, value] of Object.entries(rates || {})) {
+    const currency = normalizeCurrency(code);
+    const rate = Number(value);
+
+    if (!currency) {
+      details.push(`"${code}" is not a currency code`);
+    } else if (!Number.isFinite(rate) || rate <= 0) {
+      details.push(`Rate for ${currency} must be a positive number`);
+    } else {
+      normalized[currency] = rate;
+    }
+  }
+
+  if (details.length === 0 && Object.keys(normalized).length === 0) {
+    details.push('No rates found');
+  }
+  if (details.length > 0) {
+    throw invalidRates(details);
+  }
+
+  // The base currency is 1 by definition
+  normalized[BASE_CURRENCY] = 1;
+  return normalized;
+};
+
+/**
+ * Parse a rates CSV: one "currency,rate" line per currency, rate per 1 USD
+ * A header row and blank lines are ignored.
+ * @param {string} text - CSV contents
+ * @returns {Object} Validated rates
+ */
+const parseRatesCsv = (text) => {
+  const rates = {};
+  const details = [];
+
+  String(text).replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+
+    const [code = '', value = ''] = line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"|"$/g, ''));
+    if (index === 0 && isNaN(parseFloat(value))) return;
+
+    if (value === '' || isNaN(Number(value))) {
+      details.push(`Line ${index + 1}: expected "currency,rate"`);
+    } else {
+      rates[code] = Number(value);
+    }
+  });
+
+  if (details.length > 0) {
+    throw invalidRates(details);
+  }
+
+  return validateRates(rates);
+};
+
+/**
+ * Fetch current rates from the configured provider
+ * @returns {Object} {source, rates}
+ */
+const fetchProviderRates = async () => {
+  const source = process.env.EXCHANGE_RATE_PROVIDER || 'open-er-api';
+
+  if (!providers[source]) {
+    throw new Error(`Unknown exchange rate provider: ${source}`);
+  }
+
+  return { source, rates: validateRates(await providers[source]()) };
+};
+
+module.exports = {
+  registerProvider,
+  validateRates,
+  parseRatesCsv,
+  fetchProviderRates
+};
@@ -0,0 +1,40 @@
+/**
+ * Geo Helpers
+ * Distances and rough travel times between places with coordinates.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Coordinates of a row, or null if it has none
+ * @param {Object} row - Anything with latitude and longitude (strings from DECIMAL columns are fine)
+ * @returns {Object|null} {latitude, longitude}
+ */
+const toPoint = (row) => {
+  if (!row || row.latitude == null || row.longitude == null) return null;
+
+  const latitude = Number(row.latitude);
+  const longitude = Number(row.longitude);
+  return Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null;
+};
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} from - {latitude, longitude}
+ * @param {Object} to - {latitude, longitude}
+ * @returns {number} Kilometres
+ */
+const distanceKm = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+module.exports = {
+  toPoint,
+  distanceKm
+};
@@ -0,0 +1,376 @@
+const { zonedInstant } = require('./timeZones');
+const { toMinutes } = require('./wallClock');
+
+/**
+ * iCalendar Service
+ * Renders a trip as an RFC 5545 VCALENDAR: one timed VEVENT per scheduled
+ * itinerary item and one all-day VEVENT per city stay.
+ * Items with a time zone are written in UTC so every calendar client places
+ * them correctly; floating items are written as floating local times.
+ * Also parses uploaded .ics files (e.g. booking confirmations) into plain events.
+ */
+
+const PRODID = '-//GlobeTrotter//Trip Itinerary//EN';
+const UID_DOMAIN = 'globetrotter.app';
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to at most 75 octets (RFC 5545 section 3.1)
+ */
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  let limit = 75;
+
+  // Walk characters so multi-byte sequences are never split
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    if (currentBytes + size > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+      limit = 74; // continuation lines start with a space
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Format an instant as a UTC DATE-TIME, e.g. 20250301T093000Z
+ */
+const formatDateTime = (value) => {
+  const date = new Date(value);
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+};
+
+/**
+ * Format a local time ("YYYY-MM-DDTHH:mm") as a floating DATE-TIME, e.g. 20250301T093000
+ */
+const formatFloatingTime = (value) => `${String(value).slice(0, 16).replace(/[-:]/g, '')}00`;
+
+/**
+ * Format a DATE column as an iCalendar DATE, optionally shifted by some days
+ * DATE columns come back as local midnight, so local getters give the stored day.
+ */
+const formatDate = (value, addDays = 0) => {
+  const date = value instanceof Date ? new Date(value) : new Date(`${String(value).slice(0, 10)}T00:00:00`);
+  date.setDate(date.getDate() + addDays);
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+};
+
+/**
+ * Build a VEVENT for an itinerary item, or null if it isn't scheduled
+ */
+const itemEvent = (item, stamp) => {
+  if (!item.start_time) {
+    return null;
+  }
+
+  const description = [
+    item.description,
+    item.booking_reference && `Booking reference: ${item.booking_reference}`,
+    item.notes
+  ].filter(Boolean).join('\n\n');
+
+  // Floating items have no instants, only their local times
+  const zoned = Boolean(item.start_time_utc);
+  const start = zoned ? item.start_time_utc : item.start_time;
+  const end = zoned ? item.end_time_utc : item.end_time;
+  const format = zoned ? formatDateTime : formatFloatingTime;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:item-${item.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${format(start)}`,
+    end && toMinutes(end) > toMinutes(start)
+      ? `DTEND:${format(end)}`
+      : 'DURATION:PT1H',
+    `SUMMARY:${escapeText(item.title)}`,
+    item.location && `LOCATION:${escapeText(item.location)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    item.category && `CATEGORIES:${escapeText(item.category.toUpperCase())}`,
+    item.updated_at && `LAST-MODIFIED:${formatDateTime(item.updated_at)}`,
+    `SEQUENCE:${Math.max((item.version || 1) - 1, 0)}`,
+    'END:VEVENT'
+  ];
+
+  return lines.filter(Boolean);
+};
+
+/**
+ * Build an all-day VEVENT for a city stay, or null if it has no dates
+ */
+const cityEvent = (tripId, city, stamp) => {
+  const start = city.arrival_date || city.departure_date;
+  if (!start) {
+    return null;
+  }
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:trip-${tripId}-city-${city.city_id}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${formatDate(start)}`,
+    // DTEND is exclusive for all-day events
+    `DTEND;VALUE=DATE:${formatDate(city.departure_date || start, 1)}`,
+    `SUMMARY:${escapeText(`Stay in ${city.name}`)}`,
+    `LOCATION:${escapeText([city.name, city.country].filter(Boolean).join(', '))}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+};
+
+/**
+ * Render a trip as an iCalendar document
+ * @param {Object} data - Trip data
+ * @param {Object} data.trip - Trip row
+ * @param {Array} data.cities - Trip cities (from CityModel.getCitiesForTrip)
+ * @param {Array} data.items - Itinerary items (from ItineraryModel.getItemsForTrip)
+ * @returns {string} VCALENDAR text with CRLF line endings
+ */
+const buildTripCalendar = ({ trip, cities = [], items = [] }) => {
+  const stamp = formatDateTime(new Date());
+
+  const events = [
+    ...cities.map(city => cityEvent(trip.id, city, stamp)),
+    ...items.map(item => itemEvent(item, stamp))
+  ].filter(Boolean);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(trip.title)}`,
+    trip.description && `X-WR-CALDESC:${escapeText(trip.description)}`,
+    // Hint for subscribing clients on how often to re-fetch
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...events.flat(),
+    'END:VCALENDAR'
+  ].filter(Boolean);
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Turn a trip title into a safe .ics file name
+ */
+const calendarFileName = (trip) => {
+  const slug = String(trip.title || 'trip').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug || 'trip'}.ics`;
+};
+
+/**
+ * Undo escapeText
+ */
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (
+  char === 'n' || char === 'N' ? '\n' : char
+));
+
+/**
+ * Split a content line into name, parameters and value
+ * Parameter values may be quoted and contain ':' or ';'.
+ */
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let colon = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+
+  if (colon === -1) {
+    return null;
+  }
+
+  const [name, ...rawParams] = line.slice(0, colon).match(/(?:[^;"]|"[^"]*")+/g) || [''];
+  const params = {};
+  rawParams.forEach(param => {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+/**
+ * Parse a DATE or DATE-TIME property value into a Date
+ * UTC (Z) and TZID times are converted exactly. Floating times, and TZIDs the
+ * runtime doesn't know (e.g. Windows zone names), are read as server-local time.
+ * @returns {Object|null} {date, allDay}
+ */
+const parseDateValue = (value, params = {}) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second = '00', utc] = match;
+  const fields = [Number(year), Number(month) - 1, Number(day), Number(hour || 0), Number(minute || 0), Number(second)];
+
+  if (params.VALUE === 'DATE' || hour === undefined) {
+    return { date: new Date(fields[0], fields[1], fields[2]), allDay: true };
+  }
+
+  if (utc) {
+    return { date: new Date(Date.UTC(...fields)), allDay: false };
+  }
+
+  if (params.TZID) {
+    try {
+      return { date: new Date(zonedInstant(Date.UTC(...fields), params.TZID)), allDay: false };
+    } catch (error) {
+      // Unknown time zone; fall through to local time
+    }
+  }
+
+  return { date: new Date(...fields), allDay: false };
+};
+
+/**
+ * Parse a DURATION value (e.g. PT1H30M, P2D) into milliseconds
+ */
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+/**
+ * Parse an iCalendar document into its events
+ * Cancelled events and events without a start are skipped; alarms are ignored.
+ * @param {string} text - .ics file contents
+ * @returns {Array} Events: {uid, summary, description, location, categories, start, end, allDay}
+ */
+const parseCalendar = (text) => {
+  if (!/BEGIN:VCALENDAR/i.test(text)) {
+    const error = new Error('File is not an iCalendar (.ics) file');
+    error.status = 400;
+    error.code = 'INVALID_CALENDAR';
+    throw error;
+  }
+
+  const lines = text.replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  const components = [];
+  let event = null;
+
+  lines.forEach(line => {
+    const property = parseContentLine(line);
+    if (!property) {
+      return;
+    }
+
+    const { name, params, value } = property;
+
+    if (name === 'BEGIN') {
+      components.push(value.toUpperCase());
+      if (value.toUpperCase() === 'VEVENT') {
+        event = { categories: [] };
+      }
+      return;
+    }
+
+    if (name === 'END') {
+      components.pop();
+      if (value.toUpperCase() === 'VEVENT' && event) {
+        events.push(event);
+        event = null;
+      }
+      return;
+    }
+
+    // Only read properties that belong directly to the VEVENT, not its alarms
+    if (!event || components[components.length - 1] !== 'VEVENT') {
+      return;
+    }
+
+    switch (name) {
+      case 'UID':
+        event.uid = value;
+        break;
+      case 'SUMMARY':
+        event.summary = unescapeText(value).trim();
+        break;
+      case 'DESCRIPTION':
+        event.description = unescapeText(value).trim();
+        break;
+      case 'LOCATION':
+        event.location = unescapeText(value).trim();
+        break;
+      case 'CATEGORIES':
+        event.categories.push(...value.split(/(?<!\\),/).map(category => unescapeText(category).trim()).filter(Boolean));
+        break;
+      case 'STATUS':
+        event.status = value.toUpperCase();
+        break;
+      case 'DTSTART':
+        event.dtstart = parseDateValue(value, params);
+        break;
+      case 'DTEND':
+        event.dtend = parseDateValue(value, params);
+        break;
+      case 'DURATION':
+        event.duration = parseDuration(value);
+        break;
+      default:
+        break;
+    }
+  });
+
+  return events
+    .filter(({ dtstart, status }) => dtstart && status !== 'CANCELLED')
+    .map(({ dtstart, dtend, duration, status, ...rest }) => {
+      let end = dtend ? dtend.date : null;
+      if (!end && duration) {
+        end = new Date(dtstart.date.getTime() + duration);
+      }
+
+      return {
+        ...rest,
+        start: dtstart.date,
+        end: end && end > dtstart.date ? end : null,
+        allDay: dtstart.allDay
+      };
+    });
+};
+
+module.exports = {
+  buildTripCalendar,
+  calendarFileName,
+  parseCalendar
+};
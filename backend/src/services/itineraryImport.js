@@ -0,0 +1,160 @@
+/**
+ * Itinerary Import Service
+ * Turns parsed calendar events (see icalendar.parseCalendar) into itinerary
+ * items: guesses each item's category and booking reference, and matches it
+ * to a city on the trip or in the cities table.
+ */
+
+const { instantToLocal } = require('./timeZones');
+
+const CATEGORIES = ['flight', 'hotel', 'activity', 'restaurant', 'transport', 'other'];
+
+// Checked in order; the first category with a matching keyword wins
+const CATEGORY_KEYWORDS = [
+  ['flight', /\b(flight|airlines?|airways|boarding|departure gate|layover|e-?ticket)\b/i],
+  ['hotel', /\b(hotel|hostel|resort|inn|motel|airbnb|guest ?house|accommodation|check[- ]?in|check[- ]?out|stay at|lodge|villa)\b/i],
+  ['transport', /\b(train|rail|bus|coach|ferry|taxi|cab|uber|lyft|transfer|car rental|rental car|shuttle|metro)\b/i],
+  ['restaurant', /\b(restaurant|dinner|lunch|breakfast|brunch|table for|reservation at|cafe|café|bistro|bar)\b/i]
+];
+
+const BOOKING_REFERENCE_PATTERN = /\b(?:booking|confirmation|reservation|record locator|PNR|ref(?:erence)?)(?:\s*(?:reference|ref|number|no\.?|code|#))?\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{4,19})\b/gi;
+
+/**
+ * Guess an itinerary category for an event
+ * Explicit CATEGORIES win over keywords in the summary and description.
+ */
+const guessCategory = (event) => {
+  const explicit = event.categories
+    .map(category => category.toLowerCase())
+    .find(category => CATEGORIES.includes(category));
+  if (explicit) {
+    return explicit;
+  }
+
+  const text = [event.summary, event.description].filter(Boolean).join('\n');
+  const match = CATEGORY_KEYWORDS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : 'activity';
+};
+
+/**
+ * Pull a booking/confirmation code out of an event's text
+ * Codes must contain a digit so words like "Booking reference" aren't taken as codes.
+ */
+const extractBookingReference = (event) => {
+  const text = [event.description, event.summary].filter(Boolean).join('\n');
+  const match = [...text.matchAll(BOOKING_REFERENCE_PATTERN)].find(([, code]) => /\d/.test(code));
+  return match ? match[1].toUpperCase() : null;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Whether a city name appears as whole words in some text
+ */
+const mentionsCity = (text, name) => new RegExp(`(^|[^\\p{L}])${escapeRegExp(name)}($|[^\\p{L}])`, 'iu').test(text);
+
+const sameMinute = (a, b) => a && b && Math.floor(new Date(a).getTime() / 60000) === Math.floor(new Date(b).getTime() / 60000);
+
+/**
+ * Build the import preview for a trip
+ * @param {Array} events - Parsed calendar events
+ * @param {Object} context - Trip context
+ * @param {Array} context.tripCities - Cities already on the trip
+ * @param {Array} context.existingItems - Items already on the trip (for duplicate detection)
+ * @param {Function} context.findCities - async (text) => candidate city rows from the cities table
+ * @returns {Object} {items, cities} where cities are the trip stops the import would add
+ */
+const buildImportPreview = async (events, { tripCities, existingItems, findCities }) => {
+  const items = [];
+  const zones = new Map(tripCities.map(city => [Number(city.city_id), city.time_zone || null]));
+
+  for (const event of events) {
+    const text = [event.location, event.summary].filter(Boolean).join(' ');
+    const tripCity = tripCities.find(city => mentionsCity(text, city.name));
+    let city = tripCity ? { id: tripCity.city_id, name: tripCity.name, country: tripCity.country } : null;
+
+    if (!city && text) {
+      const candidates = await findCities(text);
+      city = candidates.find(candidate => mentionsCity(text, candidate.name)) || null;
+      if (city) {
+        zones.set(Number(city.id), city.time_zone || null);
+      }
+    }
+
+    const title = event.summary || 'Imported event';
+
+    items.push({
+      uid: event.uid || null,
+      title,
+      description: event.description || null,
+      location: event.location || null,
+      startTime: event.start,
+      endTime: event.end,
+      allDay: event.allDay,
+      category: guessCategory(event),
+      bookingReference: extractBookingReference(event),
+      cityId: city ? city.id : null,
+      cityName: city ? city.name : null,
+      // Floating items were imported at the server's local time (see importCalendarItems)
+      duplicate: existingItems.some(item => (
+        item.title === title && sameMinute(item.start_time_utc ?? item.start_time, event.start)
+      ))
+    });
+  }
+
+  items.sort((a, b) => a.startTime - b.startTime);
+
+  return {
+    items,
+    cities: planNewCities(items, tripCities, zones)
+  };
+};
+
+/**
+ * Work out which cities an import adds to the trip, and their stay dates
+ * A new stop spans from its first item's start to its last item's end, dated
+ * in the city's own time zone.
+ * @param {Array} items - Items being imported ({cityId, cityName, startTime, endTime})
+ * @param {Array} tripCities - Cities already on the trip
+ * @param {Map} zones - City ID => time zone; cities without one are dated in UTC
+ * @returns {Array} [{cityId, name, arrivalDate, departureDate}]
+ */
+const planNewCities = (items, tripCities, zones = new Map()) => {
+  const existing = new Set(tripCities.map(city => Number(city.city_id)));
+  const stops = new Map();
+
+  items.forEach(item => {
+    const cityId = Number(item.cityId);
+    if (!item.cityId || existing.has(cityId)) {
+      return;
+    }
+
+    const start = new Date(item.startTime);
+    const end = item.endTime ? new Date(item.endTime) : start;
+    const stop = stops.get(cityId);
+
+    if (!stop) {
+      stops.set(cityId, { cityId, name: item.cityName || null, first: start, last: end });
+    } else {
+      stop.first = start < stop.first ? start : stop.first;
+      stop.last = end > stop.last ? end : stop.last;
+    }
+  });
+
+  return [...stops.values()]
+    .sort((a, b) => a.first - b.first)
+    .map(({ first, last, ...stop }) => {
+      const timeZone = zones.get(stop.cityId) || null;
+      return {
+        ...stop,
+        arrivalDate: instantToLocal(first, timeZone).slice(0, 10),
+        departureDate: instantToLocal(last, timeZone).slice(0, 10)
+      };
+    });
+};
+
+module.exports = {
+  CATEGORIES,
+  buildImportPreview,
+  planNewCities
+};
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Mailer Service
+ * Sends email through a pluggable transport chosen by MAIL_TRANSPORT:
+ *  - smtp:    real delivery via SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ *  - file:    writes each message as an .eml file to MAIL_OUTBOX_DIR
+ *  - console: prints each message to the server log
+ * Defaults to smtp when SMTP_HOST is set, otherwise console.
+ */
+
+const outboxDir = path.resolve(__dirname, '..', '..', process.env.MAIL_OUTBOX_DIR || 'mail-outbox');
+
+const transports = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+
+    return (message) => transporter.sendMail(message);
+  },
+
+  file: () => {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    return async (message) => {
+      const info = await transporter.sendMail(message);
+
+      if (!fs.existsSync(outboxDir)) {
+        fs.mkdirSync(outboxDir, { recursive: true });
+      }
+
+      const recipient = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+      const filePath = path.join(outboxDir, `${Date.now()}-${recipient}.eml`);
+      await fs.promises.writeFile(filePath, info.message);
+
+      console.log(`📧 Email to ${message.to} written to ${filePath}`);
+      return info;
+    };
+  },
+
+  console: () => {
+    return async (message) => {
+      console.log('📧 Email (console transport)');
+      console.log(`   To: ${message.to}`);
+      console.log(`   Subject: ${message.subject}`);
+      console.log(message.text.split('\n').map(line => `   ${line}`).join('\n'));
+      return { messageId: `console-${Date.now()}` };
+    };
+  }
+};
+
+let send = null;
+
+const getTransport = () => {
+  if (!send) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    send = transports[name]();
+  }
+
+  return send;
+};
+
+/**
+ * Send an email
+ * @param {Object} message - Message (to, subject, text, html)
+ * @returns {Object} Transport result
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const transport = getTransport();
+
+  return transport({
+    from: process.env.MAIL_FROM || 'GlobeTrotter <no-reply@globetrotter.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+/**
+ * Replace the transport, e.g. with an in-memory collector in tests
+ * @param {Function|null} transport - Async function receiving the message; null restores the default
+ */
+const setTransport = (transport) => {
+  send = transport;
+};
+
+module.exports = {
+  sendMail,
+  setTransport
+};
@@ -0,0 +1,84 @@
+const path = require('path');
+const { putFile, removeFile } = require('./storage');
+const { signPath } = require('./signedUrls');
+
+/**
+ * Media Service
+ * Avatars, trip cover photos and receipts. Each is kept in storage under its
+ * file name and referenced in the database as /media/<file name>, which
+ * the media route serves after checking who may see it.
+ */
+
+const MEDIA_PATH = '/media';
+
+// Long enough that a page left open keeps its images; profiles and trip lists re-sign on load
+const MEDIA_URL_TTL_SECONDS = parseInt(process.env.MEDIA_URL_TTL_SECONDS) || 24 * 60 * 60;
+
+/**
+ * Storage key of a stored media path
+ * Also accepts the /uploads/... paths written before files went private.
+ * @param {string} storedPath - e.g. /media/avatar-123.jpg
+ * @returns {string|null} File name, or null for an empty path
+ */
+const mediaKey = (storedPath) => (storedPath ? path.basename(storedPath) : null);
+
+/**
+ * Store an uploaded file
+ * @param {Object} file - Multer file object (memory storage)
+ * @param {string} prefix - File name prefix, e.g. "avatar"
+ * @returns {string} Stored path to save in the database
+ */
+const saveMedia = async (file, prefix) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const fileName = `${prefix}-${uniqueSuffix}${path.extname(file.originalname).toLowerCase()}`;
+
+  await putFile(fileName, file.buffer, file.mimetype);
+  return `${MEDIA_PATH}/${fileName}`;
+};
+
+/**
+ * Delete a stored media file
+ * @param {string} storedPath - Stored path; empty paths are ignored
+ */
+const removeMedia = async (storedPath) => {
+  if (storedPath) {
+    await removeFile(mediaKey(storedPath));
+  }
+};
+
+/**
+ * Signed URL for a stored media path, for use in <img> tags
+ * @param {string} storedPath - Stored path
+ * @returns {string|null} Signed path, or null for an empty path
+ */
+const signMediaPath = (storedPath) => (
+  storedPath ? signPath(`${MEDIA_PATH}/${mediaKey(storedPath)}`, MEDIA_URL_TTL_SECONDS) : null
+);
+
+/**
+ * Copy a row with its media paths replaced by signed URLs
+ * Only use on rows the requester is allowed to see.
+ * @param {Object} row - Database row or response object
+ * @param {Array} fields - Fields holding stored paths
+ * @returns {Object} Row with signed media URLs
+ */
+const withSignedMedia = (row, fields = ['cover_photo_path']) => {
+  if (!row) return row;
+
+  const signed = { ...row };
+  fields.forEach(field => {
+    if (signed[field]) {
+      signed[field] = signMediaPath(signed[field]);
+    }
+  });
+  return signed;
+};
+
+module.exports = {
+  MEDIA_PATH,
+  mediaKey,
+  saveMedia,
+  removeMedia,
+  signMediaPath,
+  withSignedMedia
+};
@@ -0,0 +1,267 @@
+const { toPoint, distanceKm } = require('./geo');
+const { toMinutes, fromMinutes, toDay } = require('./wallClock');
+
+/**
+ * Route Optimizer Service
+ * Suggests shorter visiting orders by straight-line distance:
+ *  - the trip's cities, keeping the first and last stop where they are
+ *  - each day's activity stops, which are then given the day's existing
+ *    time slots in their new order
+ *
+ * Stops without coordinates, and flights, hotels and transfers, keep their place.
+ */
+
+// Up to this many stops the shortest order is searched exhaustively;
+// beyond it nearest-neighbour plus 2-opt gives a close answer quickly
+const EXACT_LIMIT = 10;
+
+// Flights, hotels and transfers are anchored to their times
+const FIXED_CATEGORIES = ['flight', 'hotel', 'transport'];
+
+// Savings smaller than this aren't worth suggesting
+const MIN_SAVING_KM = 0.1;
+
+const roundKm = (km) => Math.round(km * 10) / 10;
+
+/**
+ * Length of a path through points in the given order
+ * @param {Array} points - {latitude, longitude}
+ * @param {Array} order - Indexes into points
+ * @returns {number} Kilometres
+ */
+const pathKm = (points, order) => order.slice(1).reduce(
+  (total, index, i) => total + distanceKm(points[order[i]], points[index]), 0
+);
+
+/**
+ * Shortest order by dynamic programming over subsets (Held-Karp)
+ */
+const exactOrder = (points, { fixStart, fixEnd }) => {
+  const n = points.length;
+  const full = (1 << n) - 1;
+  const last = n - 1;
+  const cost = Array.from({ length: 1 << n }, () => new Array(n).fill(Infinity));
+  const previous = Array.from({ length: 1 << n }, () => new Array(n).fill(-1));
+
+  for (let start = 0; start < n; start++) {
+    if ((fixStart && start !== 0) || (fixEnd && start === last)) continue;
+    cost[1 << start][start] = 0;
+  }
+
+  for (let mask = 1; mask <= full; mask++) {
+    for (let end = 0; end < n; end++) {
+      if (cost[mask][end] === Infinity) continue;
+
+      for (let next = 0; next < n; next++) {
+        if (mask & (1 << next)) continue;
+        const nextMask = mask | (1 << next);
+        // The fixed last stop can only be visited last
+        if (fixEnd && next === last && nextMask !== full) continue;
+
+        const candidate = cost[mask][end] + distanceKm(points[end], points[next]);
+        if (candidate < cost[nextMask][next]) {
+          cost[nextMask][next] = candidate;
+          previous[nextMask][next] = end;
+        }
+      }
+    }
+  }
+
+  let end = fixEnd ? last : 0;
+  if (!fixEnd) {
+    for (let candidate = 1; candidate < n; candidate++) {
+      if (cost[full][candidate] < cost[full][end]) end = candidate;
+    }
+  }
+
+  const order = [];
+  for (let mask = full; end !== -1;) {
+    order.unshift(end);
+    const before = previous[mask][end];
+    mask &= ~(1 << end);
+    end = before;
+  }
+  return order;
+};
+
+/**
+ * Nearly shortest order: nearest neighbour, then 2-opt until nothing improves
+ */
+const heuristicOrder = (points, { fixStart, fixEnd }) => {
+  const n = points.length;
+  const last = n - 1;
+  const remaining = new Set(points.map((point, index) => index));
+  const order = [0];
+  remaining.delete(0);
+  if (fixEnd) remaining.delete(last);
+
+  while (remaining.size > 0) {
+    const from = points[order[order.length - 1]];
+    let nearest = null;
+    remaining.forEach(index => {
+      if (nearest === null || distanceKm(from, points[index]) < distanceKm(from, points[nearest])) {
+        nearest = index;
+      }
+    });
+    order.push(nearest);
+    remaining.delete(nearest);
+  }
+  if (fixEnd) order.push(last);
+
+  const edge = (a, b) => (a === undefined || b === undefined ? 0 : distanceKm(points[a], points[b]));
+  const first = fixStart ? 1 : 0;
+  const final = fixEnd ? n - 2 : n - 1;
+
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = first; i < final; i++) {
+      for (let k = i + 1; k <= final; k++) {
+        const before = edge(order[i - 1], order[i]) + edge(order[k], order[k + 1]);
+        const after = edge(order[i - 1], order[k]) + edge(order[i], order[k + 1]);
+        if (after < before - 1e-9) {
+          order.splice(i, k - i + 1, ...order.slice(i, k + 1).reverse());
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return order;
+};
+
+/**
+ * Shortest visiting order for a list of stops
+ * Stops without a point keep their position; the others are reordered among
+ * the remaining positions.
+ * @param {Array} stops - Anything with a `point` ({latitude, longitude} or null)
+ * @param {Object} options - fixStart, fixEnd: keep the first/last located stop in place
+ * @returns {Object} {stops (reordered), currentKm, suggestedKm, savedKm}
+ */
+const shortestOrder = (stops, { fixStart = false, fixEnd = false } = {}) => {
+  const located = stops.filter(stop => stop.point);
+  const points = located.map(stop => stop.point);
+  const identity = located.map((stop, index) => index);
+  const currentKm = pathKm(points, identity);
+
+  let order = identity;
+  if (located.length > 2) {
+    order = located.length <= EXACT_LIMIT
+      ? exactOrder(points, { fixStart, fixEnd })
+      : heuristicOrder(points, { fixStart, fixEnd });
+
+    // An open path is as long either way round; keep the original direction
+    if (!fixStart && !fixEnd && order[0] > order[order.length - 1]) {
+      order = [...order].reverse();
+    }
+  }
+
+  let suggestedKm = pathKm(points, order);
+  if (suggestedKm > currentKm - MIN_SAVING_KM) {
+    order = identity;
+    suggestedKm = currentKm;
+  }
+
+  const reordered = order.map(index => located[index]);
+  const result = stops.map(stop => (stop.point ? reordered.shift() : stop));
+
+  return {
+    stops: result,
+    currentKm: roundKm(currentKm),
+    suggestedKm: roundKm(suggestedKm),
+    savedKm: roundKm(currentKm - suggestedKm)
+  };
+};
+
+/**
+ * Suggest a shorter order for the trip's cities
+ * The first and last stop stay put: that's where the trip starts and ends.
+ * @param {Array} cities - Trip cities in their current order (from CityModel.getCitiesForTrip)
+ * @returns {Object} {stops: [{tripCityId, cityId, name}], currentKm, suggestedKm, savedKm, changed, unlocated}
+ */
+const optimizeCities = (cities) => {
+  const route = shortestOrder(
+    cities.map(city => ({ city, point: toPoint(city) })),
+    { fixStart: true, fixEnd: true }
+  );
+
+  return {
+    stops: route.stops.map(({ city }) => ({
+      tripCityId: city.id,
+      cityId: city.city_id,
+      name: city.name
+    })),
+    currentKm: route.currentKm,
+    suggestedKm: route.suggestedKm,
+    savedKm: route.savedKm,
+    changed: route.stops.some((stop, index) => stop.city !== cities[index]),
+    unlocated: cities.filter(city => !toPoint(city)).map(city => city.name)
+  };
+};
+
+/**
+ * Suggest a shorter order for each day's stops
+ * Only activities with coordinates move; they take over the day's time slots
+ * in their new order, each keeping its own length (pushed back if the one
+ * before now runs over).
+ * @param {Array} items - Itinerary items (from ItineraryModel.getItemsForTrip)
+ * @param {Map} pointsByActivity - Activity ID (string) to {latitude, longitude}
+ * @returns {Array} Days that can be shortened:
+ *   [{date, stops: [{id, title, startTime, endTime}], currentKm, suggestedKm, savedKm}]
+ */
+const optimizeDays = (items, pointsByActivity) => {
+  const days = new Map();
+
+  items
+    .filter(item => toMinutes(item.start_time) !== null && !FIXED_CATEGORIES.includes(item.category))
+    .forEach(item => {
+      const point = item.activity_id ? pointsByActivity.get(String(item.activity_id)) : null;
+      if (!point) return;
+
+      const date = toDay(item.start_time);
+      if (!days.has(date)) days.set(date, []);
+
+      const start = toMinutes(item.start_time);
+      const end = toMinutes(item.end_time);
+      days.get(date).push({ item, point, start, length: end !== null && end > start ? end - start : null });
+    });
+
+  const suggestions = [];
+
+  days.forEach((stops, date) => {
+    stops.sort((a, b) => a.start - b.start || a.item.id - b.item.id);
+
+    const route = shortestOrder(stops);
+    if (route.savedKm < MIN_SAVING_KM) return;
+
+    let previousEnd = null;
+    const retimed = route.stops.map((stop, index) => {
+      const start = Math.max(stops[index].start, previousEnd ?? -Infinity);
+      const end = stop.length !== null ? start + stop.length : null;
+      previousEnd = end ?? start;
+
+      return {
+        id: stop.item.id,
+        title: stop.item.title,
+        startTime: fromMinutes(start),
+        endTime: end !== null ? fromMinutes(end) : null
+      };
+    });
+
+    suggestions.push({
+      date,
+      stops: retimed,
+      currentKm: route.currentKm,
+      suggestedKm: route.suggestedKm,
+      savedKm: route.savedKm
+    });
+  });
+
+  return suggestions.sort((a, b) => a.date.localeCompare(b.date));
+};
+
+module.exports = {
+  shortestOrder,
+  optimizeCities,
+  optimizeDays
+};
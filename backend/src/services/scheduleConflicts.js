@@ -0,0 +1,196 @@
+const { toMinutes, toDay, formatDuration } = require('./wallClock');
+const { toPoint, distanceKm } = require('./geo');
+
+/**
+ * Schedule Conflicts Service
+ * Checks a trip's itinerary for problems:
+ *  - invalid_time:   an item that ends before it starts
+ *  - overlap:        two items at the same time
+ *  - outside_trip:   an item before the trip starts or after it ends
+ *  - city_mismatch:  an item in a city on a day the trip isn't there (per trip_cities)
+ *  - travel_gap:     back-to-back items in different cities without time to get between them
+ *
+ * Times are compared as instants (start_time_utc / end_time_utc) so items in
+ * different time zones line up; floating items, which have no instants, by
+ * their local time. Days are the local dates items happen on.
+ */
+
+const CONFLICT_TYPES = ['invalid_time', 'overlap', 'outside_trip', 'city_mismatch', 'travel_gap'];
+
+// Hotel stays span whole nights, so other items happen "during" them
+const UNTIMED_CATEGORIES = ['hotel'];
+
+// Flights and transfers are the travel themselves
+const TRAVEL_CATEGORIES = ['flight', 'transport'];
+
+// Fastest ways between cities: high-speed rail door to door, or a flight
+// including getting to, through and out of the airports
+const MAX_GROUND_SPEED_KMH = 250;
+const FLIGHT_SPEED_KMH = 800;
+const FLIGHT_OVERHEAD_MINUTES = 150;
+
+/**
+ * Least time it could take to get between two places
+ * @param {number} km - Distance
+ * @returns {number} Minutes
+ */
+const minimumTravelMinutes = (km) => Math.min(
+  (km / MAX_GROUND_SPEED_KMH) * 60,
+  FLIGHT_OVERHEAD_MINUTES + (km / FLIGHT_SPEED_KMH) * 60
+);
+
+const conflict = (type, severity, items, message) => ({
+  type,
+  severity,
+  item_ids: items.map(item => item.id),
+  message
+});
+
+/**
+ * Find the conflicts in a trip's itinerary
+ * @param {Object} data - Trip data
+ * @param {Object} data.trip - Trip row (start_date, end_date)
+ * @param {Array} data.cities - Trip cities (from CityModel.getCitiesForTrip)
+ * @param {Array} data.items - Itinerary items (from ItineraryModel.getItemsForTrip)
+ * @returns {Array} [{type, severity (error or warning), item_ids, message}], grouped by type
+ */
+const findConflicts = ({ trip, cities = [], items = [] }) => {
+  const conflicts = [];
+
+  const timed = items
+    .map(item => {
+      const start = toMinutes(item.start_time_utc ?? item.start_time);
+      const end = toMinutes(item.end_time_utc ?? item.end_time);
+      return { item, start, end: end ?? start, day: toDay(item.start_time) };
+    })
+    .filter(entry => entry.start !== null)
+    .sort((a, b) => a.start - b.start || a.item.id - b.item.id);
+
+  // Times the wrong way round
+  timed.forEach(entry => {
+    if (entry.end < entry.start) {
+      conflicts.push(conflict('invalid_time', 'error', [entry.item],
+        `"${entry.item.title}" ends before it starts`));
+    }
+  });
+
+  const valid = timed.filter(entry => entry.end >= entry.start);
+
+  // Overlapping items (touching end-to-start is fine)
+  const scheduled = valid.filter(entry => !UNTIMED_CATEGORIES.includes(entry.item.category));
+  scheduled.forEach((entry, index) => {
+    for (const other of scheduled.slice(index + 1)) {
+      // Sorted by start, so nothing after this one overlaps either
+      if (other.start >= entry.end && other.start > entry.start) break;
+
+      conflicts.push(conflict('overlap', 'warning', [entry.item, other.item],
+        `"${entry.item.title}" overlaps "${other.item.title}"`));
+    }
+  });
+
+  // Items outside the trip's dates
+  const tripStart = toDay(trip.start_date);
+  const tripEnd = toDay(trip.end_date);
+  valid.forEach(entry => {
+    const endDay = toDay(entry.item.end_time) || entry.day;
+    if ((tripStart && entry.day < tripStart) || (tripEnd && endDay > tripEnd)) {
+      conflicts.push(conflict('outside_trip', 'error', [entry.item],
+        `"${entry.item.title}" is outside the trip's dates (${tripStart || '?'} to ${tripEnd || '?'})`));
+    }
+  });
+
+  // Items in a city on a day the trip isn't there
+  const stops = cities.map(city => ({
+    ...city,
+    arrival: toDay(city.arrival_date),
+    departure: toDay(city.departure_date)
+  }));
+  valid.forEach(entry => {
+    const { item } = entry;
+    if (!item.city_id || stops.length === 0) return;
+
+    const visits = stops.filter(stop => String(stop.city_id) === String(item.city_id));
+    const cityName = item.city_name || (visits[0] && visits[0].name) || 'this city';
+
+    if (visits.length === 0) {
+      conflicts.push(conflict('city_mismatch', 'warning', [item],
+        `"${item.title}" is in ${cityName}, which isn't one of the trip's cities`));
+      return;
+    }
+
+    const dated = visits.filter(stop => stop.arrival || stop.departure);
+    const inCity = dated.length === 0 || dated.some(stop => (
+      (!stop.arrival || entry.day >= stop.arrival) && (!stop.departure || entry.day <= stop.departure)
+    ));
+
+    if (!inCity) {
+      const stays = dated.map(stop => `${stop.arrival || '?'} to ${stop.departure || '?'}`).join(', ');
+      conflicts.push(conflict('city_mismatch', 'warning', [item],
+        `"${item.title}" is in ${cityName} on ${entry.day}, but the trip is there ${stays}`));
+    }
+  });
+
+  // Consecutive items in different cities with too little time between them
+  const places = new Map(stops
+    .filter(stop => toPoint(stop))
+    .map(stop => [String(stop.city_id), toPoint(stop)]));
+  const located = scheduled.filter(entry => (
+    entry.item.city_id && places.has(String(entry.item.city_id)) && !TRAVEL_CATEGORIES.includes(entry.item.category)
+  ));
+
+  located.forEach((entry, index) => {
+    const next = located[index + 1];
+    if (!next || String(next.item.city_id) === String(entry.item.city_id)) return;
+
+    // Travel booked in between covers the trip
+    const travelBooked = valid.some(candidate => (
+      TRAVEL_CATEGORIES.includes(candidate.item.category) &&
+      candidate.start >= entry.start && candidate.start <= next.start
+    ));
+    if (travelBooked) return;
+
+    const gap = next.start - entry.end;
+    const needed = minimumTravelMinutes(distanceKm(
+      places.get(String(entry.item.city_id)),
+      places.get(String(next.item.city_id))
+    ));
+
+    if (gap >= 0 && gap < needed) {
+      conflicts.push(conflict('travel_gap', 'error', [entry.item, next.item],
+        `Only ${formatDuration(gap)} to get from ${entry.item.city_name || 'one city'} to ` +
+        `${next.item.city_name || 'the next'} between "${entry.item.title}" and "${next.item.title}" ` +
+        `(at least ${formatDuration(needed)} needed)`));
+    }
+  });
+
+  return conflicts;
+};
+
+/**
+ * Conflicts that involve one item
+ * @param {Array} conflicts - findConflicts result
+ * @param {number} itemId - Itinerary item ID
+ * @returns {Array} Matching conflicts
+ */
+const conflictsForItem = (conflicts, itemId) => (
+  conflicts.filter(entry => entry.item_ids.some(id => String(id) === String(itemId)))
+);
+
+/**
+ * Whether an item's end time is before its start time
+ * @param {string|Date} startTime - Start time
+ * @param {string|Date} endTime - End time
+ * @returns {boolean} True if both are set and the end comes first
+ */
+const endsBeforeStart = (startTime, endTime) => {
+  const start = toMinutes(startTime);
+  const end = toMinutes(endTime);
+  return start !== null && end !== null && end < start;
+};
+
+module.exports = {
+  CONFLICT_TYPES,
+  findConflicts,
+  conflictsForItem,
+  endsBeforeStart
+};
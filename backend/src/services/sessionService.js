@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const UserModel = require('../models/userModel');
+const UserSessionModel = require('../models/userSessionModel');
+const { generateToken, generateRefreshToken } = require('../middleware/auth');
+
+/**
+ * Session Service
+ * Issues access/refresh token pairs backed by a user_sessions row and
+ * rotates the refresh token on every use.
+ */
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Build an error carrying an HTTP status and error code
+ */
+const sessionError = (message, code) => {
+  const err = new Error(message);
+  err.status = 401;
+  err.code = code;
+  return err;
+};
+
+/**
+ * Start a session for a user who just authenticated
+ * @param {Object} user - User object
+ * @param {Object} req - Express request (for user agent and IP)
+ * @returns {Object} { token, refreshToken, session }
+ */
+const startSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await UserSessionModel.createSession({
+    user_id: user.id,
+    refresh_token_hash: hashToken(refreshToken),
+    user_agent: req.get('User-Agent'),
+    ip_address: req.ip,
+    expires_at: refreshExpiry()
+  });
+
+  return {
+    token: generateToken(user, session.id),
+    refreshToken,
+    session
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * Presenting a token that was already rotated means it leaked, so the whole
+ * session is revoked.
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request
+ * @returns {Object} { token, refreshToken, session, user }
+ */
+const refreshSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const session = await UserSessionModel.findByTokenHash(tokenHash);
+
+  if (!session) {
+    const reused = await UserSessionModel.findByPreviousTokenHash(tokenHash);
+    if (reused) {
+      console.warn(`Refresh token reuse detected for session ${reused.id}; revoking`);
+      await UserSessionModel.revokeSession(reused.id);
+    }
+    throw sessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+    throw sessionError('Session expired, please log in again', 'SESSION_REVOKED');
+  }
+
+  const user = await UserModel.findById(session.user_id);
+  if (!user) {
+    throw sessionError('User not found', 'USER_NOT_FOUND');
+  }
+
+  const newRefreshToken = generateRefreshToken();
+  const rotated = await UserSessionModel.rotateToken(
+    session.id,
+    tokenHash,
+    hashToken(newRefreshToken),
+    refreshExpiry(),
+    req.ip
+  );
+
+  // Another request rotated this token first
+  if (!rotated) {
+    throw sessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  return {
+    token: generateToken(user, session.id),
+    refreshToken: newRefreshToken,
+    session,
+    user
+  };
+};
+
+/**
+ * Find the session a refresh token belongs to
+ * @param {string} refreshToken - Refresh token
+ * @returns {Object|null} Session data
+ */
+const findSessionByRefreshToken = (refreshToken) => {
+  return UserSessionModel.findByTokenHash(hashToken(refreshToken));
+};
+
+module.exports = {
+  startSession,
+  refreshSession,
+  findSessionByRefreshToken
+};
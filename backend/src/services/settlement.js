@@ -0,0 +1,271 @@
+const { convert } = require('./currency');
+
+/**
+ * Settlement Service
+ * Splits shared expenses between trip participants, works out who owes
+ * whom, and suggests the transfers that settle everyone up.
+ *
+ * All arithmetic is done in cents so splits always add up to the expense.
+ */
+
+const SPLIT_MODES = ['equal', 'shares', 'exact', 'percent'];
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+const invalidSplit = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'INVALID_SPLIT';
+  return err;
+};
+
+/**
+ * Divide cents in proportion to weights
+ * Leftover cents go to the largest remainders (earliest participant on a tie).
+ */
+const allocate = (totalCents, weights) => {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  const exact = weights.map(weight => (totalCents * weight) / weightSum);
+  const cents = exact.map(Math.floor);
+
+  let leftover = totalCents - cents.reduce((sum, value) => sum + value, 0);
+  exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .forEach(({ index }) => {
+      if (leftover > 0) {
+        cents[index] += 1;
+        leftover -= 1;
+      }
+    });
+
+  return cents;
+};
+
+/**
+ * Work out what each participant owes for one expense
+ * @param {number} amount - Expense amount
+ * @param {string} mode - equal, shares, exact or percent
+ * @param {Array} participants - [{user_id, share}]; share is ignored for equal,
+ *   a share count for shares, an amount for exact and a percentage for percent
+ * @returns {Array} [{user_id, share, amount}]
+ * @throws {Error} 400 INVALID_SPLIT when the participants don't add up
+ */
+const splitExpense = (amount, mode, participants) => {
+  if (!SPLIT_MODES.includes(mode)) {
+    throw invalidSplit(`Split mode must be one of: ${SPLIT_MODES.join(', ')}`);
+  }
+
+  if (!Array.isArray(participants) || participants.length === 0) {
+    throw invalidSplit('A split needs at least one participant');
+  }
+
+  const userIds = participants.map(participant => String(participant.user_id));
+  if (new Set(userIds).size !== userIds.length) {
+    throw invalidSplit('Each participant can only appear once');
+  }
+
+  const totalCents = toCents(amount);
+
+  if (mode === 'equal') {
+    const cents = allocate(totalCents, participants.map(() => 1));
+    return participants.map((participant, index) => ({
+      user_id: participant.user_id,
+      share: null,
+      amount: fromCents(cents[index])
+    }));
+  }
+
+  const shares = participants.map(participant => Number(participant.share));
+  if (shares.some(share => !Number.isFinite(share) || share < 0)) {
+    throw invalidSplit('Every participant needs a share of at least 0');
+  }
+
+  let cents;
+  if (mode === 'exact') {
+    cents = shares.map(toCents);
+    const splitTotal = cents.reduce((sum, value) => sum + value, 0);
+    if (splitTotal !== totalCents) {
+      throw invalidSplit(`Exact amounts add up to ${fromCents(splitTotal)}, not ${fromCents(totalCents)}`);
+    }
+  } else {
+    const shareTotal = shares.reduce((sum, share) => sum + share, 0);
+    if (mode === 'percent' && Math.abs(shareTotal - 100) > 0.01) {
+      throw invalidSplit(`Percentages add up to ${Math.round(shareTotal * 100) / 100}, not 100`);
+    }
+    if (shareTotal <= 0) {
+      throw invalidSplit('Shares must add up to more than 0');
+    }
+    cents = allocate(totalCents, shares);
+  }
+
+  return participants.map((participant, index) => ({
+    user_id: participant.user_id,
+    share: shares[index],
+    amount: fromCents(cents[index])
+  }));
+};
+
+/**
+ * Work out each person's balance across a trip's shared expenses
+ * Positive balances are owed money, negative balances owe money.
+ * @param {Array} expenses - Shared expenses: {amount, currency, paid_by, splits: [{user_id, amount}]}
+ * @param {Array} people - [{user_id, name}] everyone on the trip
+ * @param {string} currency - Currency of the balances (the trip's)
+ * @param {Object} rates - Currency code → units per 1 USD
+ * @returns {Object} {balances: [{user_id, name, paid, owed, balance}], unconverted_currencies}
+ */
+const computeBalances = (expenses, people, currency, rates) => {
+  const totals = new Map(people.map(person => [
+    String(person.user_id),
+    { user_id: person.user_id, name: person.name, paid: 0, owed: 0 }
+  ]));
+  const unconverted = new Set();
+
+  const personTotals = (userId, name) => {
+    const key = String(userId);
+    if (!totals.has(key)) {
+      // Someone who has since left the trip still has their history
+      totals.set(key, { user_id: userId, name: name || 'Former member', paid: 0, owed: 0 });
+    }
+    return totals.get(key);
+  };
+
+  for (const expense of expenses) {
+    if (!expense.paid_by || !expense.splits || expense.splits.length === 0) continue;
+
+    if (convert(1, expense.currency, currency, rates) === null) {
+      unconverted.add(expense.currency);
+      continue;
+    }
+
+    const toTripCents = (value) => toCents(convert(value, expense.currency, currency, rates));
+    const splitCents = expense.splits.map(split => toTripCents(split.amount));
+
+    // Rounding after conversion can drift a cent; the payer absorbs it
+    personTotals(expense.paid_by, expense.paid_by_name).paid += splitCents.reduce((sum, value) => sum + value, 0);
+    expense.splits.forEach((split, index) => {
+      personTotals(split.user_id, split.user_name).owed += splitCents[index];
+    });
+  }
+
+  const balances = [...totals.values()].map(person => ({
+    ...person,
+    paid: fromCents(person.paid),
+    owed: fromCents(person.owed),
+    balance: fromCents(person.paid - person.owed)
+  }));
+
+  return { balances, unconverted_currencies: [...unconverted].sort() };
+};
+
+// Most people with a balance whose groupings are searched exactly (2^n subsets)
+const EXACT_LIMIT = 15;
+
+/**
+ * Split people into as many groups as possible that can settle among themselves
+ * A group of k people needs k - 1 transfers, so the most groups gives the
+ * fewest transfers. Searches every subset, so only for small groups.
+ * @param {Array} people - [{cents}] non-zero balances adding up to 0
+ * @returns {Array} Groups of people, each adding up to 0
+ */
+const zeroSumGroups = (people) => {
+  const size = 1 << people.length;
+  const sums = new Array(size).fill(0);
+  // Most zero-sum groups a set can be split into, and the person to take out to get there
+  const groups = new Array(size).fill(0);
+  const removed = new Array(size).fill(-1);
+
+  for (let mask = 1; mask < size; mask++) {
+    const lowest = 31 - Math.clz32(mask & -mask);
+    sums[mask] = sums[mask ^ (1 << lowest)] + people[lowest].cents;
+
+    let most = -1;
+    for (let index = 0; index < people.length; index++) {
+      const bit = 1 << index;
+      if ((mask & bit) && groups[mask ^ bit] > most) {
+        most = groups[mask ^ bit];
+        removed[mask] = index;
+      }
+    }
+    groups[mask] = most + (sums[mask] === 0 ? 1 : 0);
+  }
+
+  // Add people back in search order, closing a group whenever it adds up to 0
+  const order = [];
+  for (let mask = size - 1; mask > 0; mask ^= 1 << removed[mask]) {
+    order.unshift(people[removed[mask]]);
+  }
+
+  const result = [];
+  let group = [];
+  let sum = 0;
+  order.forEach(person => {
+    group.push(person);
+    sum += person.cents;
+    if (sum === 0) {
+      result.push(group);
+      group = [];
+    }
+  });
+  if (group.length > 0) {
+    result.push(group);
+  }
+
+  return result;
+};
+
+/**
+ * Settle a group by repeatedly paying its largest creditor from its largest
+ * debtor, which takes at most one transfer fewer than the people in it
+ */
+const settleGroup = (group) => {
+  const creditors = group.filter(person => person.cents > 0).map(person => ({ ...person }));
+  const debtors = group.filter(person => person.cents < 0).map(person => ({ ...person, cents: -person.cents }));
+  const transfers = [];
+
+  const largest = (list) => list.reduce((best, person) => (person.cents > best.cents ? person : best));
+
+  while (creditors.some(person => person.cents > 0) && debtors.some(person => person.cents > 0)) {
+    const creditor = largest(creditors);
+    const debtor = largest(debtors);
+    const cents = Math.min(creditor.cents, debtor.cents);
+
+    transfers.push({
+      from: { user_id: debtor.user_id, name: debtor.name },
+      to: { user_id: creditor.user_id, name: creditor.name },
+      amount: fromCents(cents)
+    });
+
+    creditor.cents -= cents;
+    debtor.cents -= cents;
+  }
+
+  return transfers;
+};
+
+/**
+ * Suggest the fewest transfers that settle every balance
+ * People are split into as many groups as possible that settle among
+ * themselves, and each group is settled on its own. Above EXACT_LIMIT people
+ * the search is skipped, which still needs at most one transfer fewer than
+ * the number of people with a balance.
+ * @param {Array} balances - computeBalances result
+ * @returns {Array} [{from, to, amount}] with from/to as {user_id, name}
+ */
+const settleUp = (balances) => {
+  const people = balances
+    .map(person => ({ user_id: person.user_id, name: person.name, cents: toCents(person.balance) }))
+    .filter(person => person.cents !== 0);
+
+  const groups = people.length <= EXACT_LIMIT ? zeroSumGroups(people) : [people];
+  return groups.flatMap(settleGroup);
+};
+
+module.exports = {
+  SPLIT_MODES,
+  splitExpense,
+  computeBalances,
+  settleUp
+};
@@ -0,0 +1,215 @@
+const jwt = require('jsonwebtoken');
+const UserModel = require('../models/userModel');
+const TripModel = require('../models/tripModel');
+const { getTripRole } = require('../middleware/tripAccess');
+const { isTokenRevoked, isSessionActive } = require('../middleware/auth');
+const { signMediaPath } = require('./media');
+
+/**
+ * Socket Service
+ * Authenticated Socket.IO connections, per-user and per-trip rooms,
+ * and presence tracking for collaborative trip editing
+ */
+
+// tripId -> Map(socketId -> { id, fullName, avatarPath })
+const tripPresence = new Map();
+
+const userRoom = (userId) => `user-${userId}`;
+const tripRoom = (tripId) => `trip-${tripId}`;
+
+/**
+ * List the distinct users currently viewing a trip
+ * @param {string} tripId - Trip ID
+ * @returns {Array} Array of viewers
+ */
+const getTripViewers = (tripId) => {
+  const sockets = tripPresence.get(String(tripId));
+  if (!sockets) return [];
+
+  const viewers = new Map();
+  sockets.forEach(viewer => viewers.set(viewer.id, viewer));
+  return [...viewers.values()];
+};
+
+const broadcastPresence = (io, tripId) => {
+  io.to(tripRoom(tripId)).emit('trip-presence', {
+    tripId: String(tripId),
+    viewers: getTripViewers(tripId)
+  });
+};
+
+const leaveTripRoom = (io, socket, tripId) => {
+  const key = String(tripId);
+  const sockets = tripPresence.get(key);
+
+  socket.leave(tripRoom(key));
+
+  if (sockets && sockets.delete(socket.id)) {
+    if (sockets.size === 0) {
+      tripPresence.delete(key);
+    }
+    broadcastPresence(io, key);
+  }
+};
+
+/**
+ * Socket.IO authentication middleware
+ * Verifies the JWT sent in the handshake (`auth.token`) and attaches the user
+ */
+const authenticateSocket = async (socket, next) => {
+  try {
+    const { token } = socket.handshake.auth || {};
+
+    if (!token) {
+      return next(new Error('MISSING_TOKEN'));
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await UserModel.findById(decoded.sub);
+
+    if (!user) {
+      return next(new Error('USER_NOT_FOUND'));
+    }
+
+    if (isTokenRevoked(decoded, user) || !(await isSessionActive(decoded))) {
+      return next(new Error('SESSION_REVOKED'));
+    }
+
+    socket.data.user = {
+      id: user.id,
+      fullName: user.full_name,
+      avatarPath: signMediaPath(user.avatar_path)
+    };
+
+    next();
+  } catch (error) {
+    next(new Error('INVALID_TOKEN'));
+  }
+};
+
+/**
+ * Register connection handlers on the Socket.IO server
+ * @param {Object} io - Socket.IO server
+ */
+const initializeSocket = (io) => {
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    const user = socket.data.user;
+    console.log(`🔌 User connected: ${socket.id} (user ${user.id})`);
+
+    // Every socket receives its own user's trip list updates
+    socket.join(userRoom(user.id));
+
+    // Kept for older clients; the room is always the authenticated user's
+    socket.on('join-user-room', () => {
+      socket.join(userRoom(user.id));
+    });
+
+    // Join a trip room after checking the user's role on the trip
+    socket.on('join-trip', async (tripId, ack) => {
+      // Clients may leave out the acknowledgement or send something else
+      const callback = typeof ack === 'function' ? ack : () => {};
+
+      try {
+        const trip = await TripModel.findById(tripId);
+        const role = trip ? await getTripRole(trip, user.id) : null;
+
+        if (!role) {
+          return callback({ ok: false, error: 'ACCESS_DENIED' });
+        }
+
+        const key = String(trip.id);
+        socket.join(tripRoom(key));
+
+        if (!tripPresence.has(key)) {
+          tripPresence.set(key, new Map());
+        }
+        tripPresence.get(key).set(socket.id, user);
+
+        callback({ ok: true, role, viewers: getTripViewers(key) });
+        broadcastPresence(io, key);
+      } catch (error) {
+        console.error('Join trip room error:', error);
+        callback({ ok: false, error: 'JOIN_TRIP_ERROR' });
+      }
+    });
+
+    socket.on('leave-trip', (tripId) => {
+      leaveTripRoom(io, socket, tripId);
+    });
+
+    // Client-side trip list notifications, relayed to the user's own room
+    socket.on('trip-created', (data) => {
+      io.to(userRoom(user.id)).emit('trip-update', {
+        type: 'created',
+        trip: data.trip
+      });
+    });
+
+    socket.on('trip-updated', (data) => {
+      io.to(userRoom(user.id)).emit('trip-update', {
+        type: 'updated',
+        trip: data.trip
+      });
+    });
+
+    socket.on('trip-deleted', (data) => {
+      io.to(userRoom(user.id)).emit('trip-update', {
+        type: 'deleted',
+        tripId: data.tripId
+      });
+    });
+
+    socket.on('disconnect', () => {
+      console.log(`🔌 User disconnected: ${socket.id}`);
+      tripPresence.forEach((sockets, tripId) => {
+        if (sockets.has(socket.id)) {
+          leaveTripRoom(io, socket, tripId);
+        }
+      });
+    });
+  });
+};
+
+/**
+ * Emit a server-originated event to everyone viewing a trip
+ * @param {Object} req - Express request (used to reach the io instance and acting user)
+ * @param {number|string} tripId - Trip ID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ */
+const emitTripEvent = (req, tripId, event, payload = {}) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  io.to(tripRoom(tripId)).emit(event, {
+    tripId: String(tripId),
+    updatedBy: req.user ? { id: req.user.id, fullName: req.user.full_name } : null,
+    ...payload
+  });
+};
+
+/**
+ * Take a user's sockets out of a trip room after their access to the trip changed
+ * Their clients are told so they can join again with their new role, if they still have one.
+ * @param {Object} req - Express request (used to reach the io instance)
+ * @param {number|string} tripId - Trip ID
+ * @param {number} userId - User whose access changed
+ */
+const evictFromTrip = async (req, tripId, userId) => {
+  const io = req.app.get('io');
+  if (!io || !userId) return;
+
+  const sockets = await io.in(userRoom(userId)).fetchSockets();
+  sockets.forEach(socket => leaveTripRoom(io, socket, tripId));
+
+  io.to(userRoom(userId)).emit('trip-access-changed', { tripId: String(tripId) });
+};
+
+module.exports = {
+  initializeSocket,
+  emitTripEvent,
+  evictFromTrip,
+  getTripViewers
+};
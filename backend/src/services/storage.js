@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+/**
+ * Storage Service
+ * Keeps uploaded files in a pluggable backend chosen by STORAGE_DRIVER:
+ *  - local: files under UPLOAD_DIR on this server (default)
+ *  - s3:    an S3-compatible bucket (AWS S3, MinIO, ...) configured with
+ *           S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID,
+ *           S3_SECRET_ACCESS_KEY and S3_FORCE_PATH_STYLE
+ * Neither backend is served publicly; files are sent through the API.
+ *
+ * Keys are relative paths such as "avatar-123.jpg" or "documents/doc-123.pdf".
+ */
+
+const uploadDir = path.resolve(__dirname, '..', '..', process.env.UPLOAD_DIR || 'uploads');
+
+/**
+ * Reject keys that could escape the storage root
+ */
+const checkKey = (key) => {
+  const normalized = path.posix.normalize(String(key));
+  if (!key || normalized.startsWith('..') || path.posix.isAbsolute(normalized)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return normalized;
+};
+
+/**
+ * Driver that keeps files in a directory on this server
+ * @param {string} root - Directory files are stored under
+ * @returns {Object} {put, get, remove}
+ */
+const localDriver = (root) => {
+  const filePath = (key) => path.join(root, checkKey(key));
+
+  return {
+    put: async (key, body) => {
+      const file = filePath(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, body);
+    },
+
+    get: async (key) => {
+      const file = filePath(key);
+      try {
+        const stats = await fs.promises.stat(file);
+        return { body: fs.createReadStream(file), size: stats.size, contentType: null };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    remove: async (key) => {
+      await fs.promises.unlink(filePath(key)).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+  };
+};
+
+/**
+ * Driver that keeps files in an S3-compatible bucket
+ * @param {Object} client - S3Client, or anything with the same send()
+ * @param {string} bucket - Bucket name
+ * @returns {Object} {put, get, remove}
+ */
+const s3Driver = (client, bucket) => {
+  const { PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+  return {
+    put: async (key, body, contentType) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: checkKey(key),
+        Body: body,
+        ContentType: contentType || undefined
+      }));
+    },
+
+    get: async (key) => {
+      try {
+        const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: checkKey(key) }));
+        return { body: result.Body, size: result.ContentLength, contentType: result.ContentType || null };
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    // S3 deletes succeed whether or not the object exists
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: checkKey(key) }));
+    }
+  };
+};
+
+const drivers = {
+  local: () => localDriver(uploadDir),
+
+  s3: () => {
+    const { S3Client } = require('@aws-sdk/client-s3');
+
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+
+    const client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      // MinIO and most self-hosted stand-ins need path-style bucket URLs
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined
+    });
+
+    return s3Driver(client, bucket);
+  }
+};
+
+let driver = null;
+
+const getDriver = () => {
+  if (!driver) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+
+    if (!drivers[name]) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+
+    driver = drivers[name]();
+  }
+
+  return driver;
+};
+
+/**
+ * Store a file
+ * @param {string} key - Storage key
+ * @param {Buffer} body - File contents
+ * @param {string} contentType - MIME type, kept by backends that store it
+ */
+const putFile = (key, body, contentType = null) => getDriver().put(key, body, contentType);
+
+/**
+ * Open a stored file
+ * @param {string} key - Storage key
+ * @returns {Object|null} {body (readable stream), size, contentType}, or null if missing
+ */
+const getFile = (key) => getDriver().get(key);
+
+/**
+ * Read a stored file into memory
+ * @param {string} key - Storage key; empty keys read as missing
+ * @returns {Buffer|null} File contents, or null if missing
+ */
+const readFile = async (key) => {
+  if (!key) return null;
+
+  const file = await getFile(key);
+  if (!file) return null;
+
+  const chunks = [];
+  for await (const chunk of Readable.from(file.body)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Delete a stored file; missing files are ignored and errors are only logged
+ * @param {string} key - Storage key
+ */
+const removeFile = async (key) => {
+  try {
+    await getDriver().remove(key);
+  } catch (error) {
+    console.error(`Error removing stored file ${key}:`, error);
+  }
+};
+
+/**
+ * Replace the driver, e.g. with localDriver or s3Driver around a stand-in in tests
+ * @param {Object|null} replacement - {put, get, remove}; null restores the configured driver
+ */
+const setDriver = (replacement) => {
+  driver = replacement;
+};
+
+module.exports = {
+  putFile,
+  getFile,
+  readFile,
+  removeFile,
+  setDriver,
+  localDriver,
+  s3Driver
+};
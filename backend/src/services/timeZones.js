@@ -0,0 +1,163 @@
+const { toMinutes, fromMinutes } = require('./wallClock');
+
+/**
+ * Time Zone Helpers
+ * Itinerary item times are stored in UTC next to the IANA time zone of the
+ * place they happen in (itinerary_items.time_zone, which defaults to the
+ * city's). An item without a zone is "floating": its stored time is simply
+ * the local time, as it was before items had zones.
+ *
+ * Stored times come back from the database as wall-clock values (see
+ * wallClock.js), so everything here works in wall-clock minutes.
+ */
+
+/**
+ * Whether a value is a time zone the runtime knows, e.g. "Asia/Tokyo"
+ * @param {string} value - Candidate time zone
+ * @returns {boolean} True if it can be used to format dates
+ */
+const isTimeZone = (value) => {
+  if (typeof value !== 'string' || !value || value.length > 64) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Offset of a time zone from UTC at a given instant, in milliseconds
+ */
+const zoneOffset = (instant, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(instant)).forEach(({ type, value }) => { parts[type] = Number(value); });
+
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+};
+
+/**
+ * Instant of a wall-clock time in a time zone
+ * The offset is applied twice so times next to a DST change settle correctly.
+ * @param {number} wallClock - Wall-clock time as milliseconds since the epoch (read as UTC)
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Milliseconds since the epoch
+ */
+const zonedInstant = (wallClock, timeZone) => {
+  const guess = wallClock - zoneOffset(wallClock, timeZone);
+  return wallClock - zoneOffset(guess, timeZone);
+};
+
+/**
+ * UTC time of a local time
+ * @param {Date|string} value - Local wall-clock time
+ * @param {string|null} timeZone - Time zone it is local to; null leaves it floating
+ * @returns {string|null} "YYYY-MM-DDTHH:mm" in UTC, or null if unreadable
+ */
+const toUtc = (value, timeZone) => {
+  const minutes = toMinutes(value);
+  if (minutes === null) return null;
+  if (!timeZone) return fromMinutes(minutes);
+
+  return fromMinutes(zonedInstant(minutes * 60000, timeZone) / 60000);
+};
+
+/**
+ * Local time of a stored UTC time
+ * @param {Date|string} value - UTC wall-clock time, as stored
+ * @param {string|null} timeZone - Time zone to show it in; null for floating times
+ * @returns {string|null} "YYYY-MM-DDTHH:mm", or null if unreadable
+ */
+const toLocal = (value, timeZone) => {
+  const minutes = toMinutes(value);
+  if (minutes === null) return null;
+  if (!timeZone) return fromMinutes(minutes);
+
+  return fromMinutes(minutes + zoneOffset(minutes * 60000, timeZone) / 60000);
+};
+
+/**
+ * Local time of an instant, e.g. a parsed calendar event
+ * @param {Date|string} instant - Date object or ISO string
+ * @param {string|null} timeZone - Time zone to show it in; null gives UTC
+ * @returns {string|null} "YYYY-MM-DDTHH:mm", or null if unreadable
+ */
+const instantToLocal = (instant, timeZone) => {
+  const ms = new Date(instant).getTime();
+  if (Number.isNaN(ms)) return null;
+
+  return toLocal(fromMinutes(Math.floor(ms / 60000)), timeZone);
+};
+
+/**
+ * A stored UTC time as an ISO instant, e.g. "2025-05-02T01:30:00.000Z"
+ * Floating times aren't tied to one moment, so they have no instant.
+ * @param {Date|string} value - UTC wall-clock time, as stored
+ * @param {string|null} timeZone - The item's time zone; null for floating times
+ * @returns {string|null} ISO string, or null if floating or unreadable
+ */
+const toInstant = (value, timeZone) => {
+  const minutes = timeZone ? toMinutes(value) : null;
+  return minutes === null ? null : new Date(minutes * 60000).toISOString();
+};
+
+/**
+ * Earliest start and latest end of some itinerary items
+ * Items are ordered by their stored time, so floating items count at their
+ * local time. Each end is given as an ISO instant, or as "YYYY-MM-DDTHH:mm"
+ * if the item there is floating.
+ * @param {Array} rows - Stored rows ({start_time, end_time, time_zone})
+ * @returns {Object} {first, last}, null if no item has a time
+ */
+const timeSpan = (rows) => {
+  let first = null;
+  let last = null;
+
+  rows.forEach(row => {
+    const start = toMinutes(row.start_time);
+    if (start === null) return;
+    const end = toMinutes(row.end_time) ?? start;
+
+    if (!first || start < first.minutes) first = { minutes: start, timeZone: row.time_zone };
+    if (!last || end > last.minutes) last = { minutes: end, timeZone: row.time_zone };
+  });
+
+  const format = (edge) => edge && (edge.timeZone
+    ? new Date(edge.minutes * 60000).toISOString()
+    : fromMinutes(edge.minutes));
+
+  return { first: format(first), last: format(last) };
+};
+
+/**
+ * Value to write to a DATETIME column for a local time
+ * @param {Date|string} value - Local wall-clock time
+ * @param {string|null} timeZone - Time zone it is local to; null leaves it floating
+ * @returns {string|null} "YYYY-MM-DD HH:mm:00" in UTC, or null if unreadable
+ */
+const toStoredTime = (value, timeZone) => {
+  const utc = toUtc(value, timeZone);
+  return utc && `${utc.replace('T', ' ')}:00`;
+};
+
+module.exports = {
+  isTimeZone,
+  zoneOffset,
+  zonedInstant,
+  toUtc,
+  toLocal,
+  instantToLocal,
+  toInstant,
+  timeSpan,
+  toStoredTime
+};
@@ -0,0 +1,116 @@
+const { toPoint, distanceKm } = require('./geo');
+const { BASE_CURRENCY, roundAmount, convert } = require('./currency');
+
+/**
+ * Travel Legs Service
+ * Lines up the trip's stops (trip_cities, in order) into legs between
+ * consecutive stops and estimates each leg from the cities' coordinates.
+ *
+ * Estimates are deliberately rough: great-circle distance stretched by how
+ * winding each mode's route tends to be, an average speed, a fixed overhead
+ * (getting to and through stations or airports) and a fare per kilometre.
+ */
+
+const TRAVEL_MODES = ['flight', 'train', 'bus', 'car', 'ferry'];
+
+// Per mode: route length relative to a straight line, average speed (km/h),
+// overhead (minutes) and fare in BASE_CURRENCY (fixed plus per km)
+const MODE_PROFILES = {
+  flight: { detour: 1.05, speed: 750, overhead: 180, baseFare: 50, farePerKm: 0.08 },
+  train: { detour: 1.15, speed: 150, overhead: 30, baseFare: 5, farePerKm: 0.12 },
+  bus: { detour: 1.25, speed: 65, overhead: 20, baseFare: 3, farePerKm: 0.06 },
+  car: { detour: 1.3, speed: 80, overhead: 0, baseFare: 0, farePerKm: 0.15 },
+  ferry: { detour: 1.1, speed: 35, overhead: 60, baseFare: 10, farePerKm: 0.2 }
+};
+
+// Modes worth suggesting over land (ferries only where the user knows there's water)
+const SUGGESTED_MODES = ['flight', 'train', 'bus', 'car'];
+
+/**
+ * Rough door-to-door time and cost for a leg
+ * @param {number} km - Great-circle distance
+ * @param {string} mode - One of TRAVEL_MODES
+ * @param {string} currency - Currency for the cost
+ * @param {Object} rates - Exchange rate map (ExchangeRateModel.getRateMap)
+ * @returns {Object} {minutes, cost} - cost is null without an exchange rate
+ */
+const estimateLeg = (km, mode, currency, rates) => {
+  const profile = MODE_PROFILES[mode];
+  const routeKm = km * profile.detour;
+  const cost = convert(profile.baseFare + routeKm * profile.farePerKm, BASE_CURRENCY, currency, rates);
+
+  return {
+    minutes: Math.round(profile.overhead + (routeKm / profile.speed) * 60),
+    cost: cost === null ? null : roundAmount(cost)
+  };
+};
+
+/**
+ * Stop details shown with a leg
+ */
+const toStop = (city) => ({
+  trip_city_id: city.id,
+  city_id: city.city_id,
+  name: city.name,
+  country: city.country,
+  latitude: city.latitude,
+  longitude: city.longitude
+});
+
+/**
+ * Build the legs between a trip's consecutive stops
+ * @param {Array} cities - Trip cities in order (from CityModel.getCitiesForTrip)
+ * @param {Array} savedLegs - Stored legs (from TravelLegModel.getForTrip)
+ * @param {Object} options - {currency, rates} for the cost estimates
+ * @returns {Object} {legs, otherLegs}: one entry per pair of consecutive stops, each with
+ *   from, to, distance_km, estimates (per mode), suggested_mode and leg (the stored
+ *   leg, or null); otherLegs are stored legs between stops that are no longer next
+ *   to each other
+ */
+const buildLegs = (cities, savedLegs, { currency, rates }) => {
+  const byStops = new Map(savedLegs.map(leg => [`${leg.from_trip_city_id}-${leg.to_trip_city_id}`, leg]));
+  const used = new Set();
+
+  const legs = cities.slice(1).map((to, index) => {
+    const from = cities[index];
+    const key = `${from.id}-${to.id}`;
+    const leg = byStops.get(key) || null;
+    if (leg) used.add(key);
+
+    const ends = [toPoint(from), toPoint(to)];
+    const km = ends.every(Boolean) ? distanceKm(...ends) : null;
+
+    const estimates = km === null ? null : Object.fromEntries(
+      TRAVEL_MODES.map(mode => [mode, estimateLeg(km, mode, currency, rates)])
+    );
+    const suggestedMode = estimates
+      ? SUGGESTED_MODES.reduce((best, mode) => (estimates[mode].minutes < estimates[best].minutes ? mode : best))
+      : null;
+
+    return {
+      from: toStop(from),
+      to: toStop(to),
+      distance_km: km === null ? null : Math.round(km),
+      estimates,
+      suggested_mode: suggestedMode,
+      leg
+    };
+  });
+
+  const stopsById = new Map(cities.map(city => [String(city.id), city]));
+  const otherLegs = savedLegs
+    .filter(leg => !used.has(`${leg.from_trip_city_id}-${leg.to_trip_city_id}`))
+    .map(leg => ({
+      ...leg,
+      from_name: stopsById.get(String(leg.from_trip_city_id))?.name || null,
+      to_name: stopsById.get(String(leg.to_trip_city_id))?.name || null
+    }));
+
+  return { legs, otherLegs };
+};
+
+module.exports = {
+  TRAVEL_MODES,
+  estimateLeg,
+  buildLegs
+};
@@ -0,0 +1,316 @@
+/**
+ * Trip Archive Service
+ * Portable JSON backups of trips, their cities and itinerary items.
+ *
+ * Archives never contain database IDs: cities and activities are referenced by
+ * name (and country), so an archive can be restored on another server. Dates
+ * are written as wall-clock strings ("YYYY-MM-DD" / "YYYY-MM-DDTHH:mm:ss");
+ * item times are local to the item's timeZone. Bump ARCHIVE_VERSION when the
+ * format changes and keep reading older versions.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const Joi = require('joi');
+const { CATEGORIES } = require('./itineraryImport');
+const { DEFAULT_CURRENCY } = require('./currency');
+const { isTimeZone, toStoredTime } = require('./timeZones');
+const { readFile, putFile } = require('./storage');
+const { MEDIA_PATH, mediaKey, removeMedia } = require('./media');
+
+const ARCHIVE_FORMAT = 'globetrotter-trip-archive';
+// Version 2 added currencies; version 1 amounts are in DEFAULT_CURRENCY.
+// Version 3 added item time zones; older items take their city's zone.
+const ARCHIVE_VERSION = 3;
+
+const IMAGE_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+// Largest cover image accepted on import (decoded), same as the upload limit
+const MAX_COVER_BYTES = 5 * 1024 * 1024;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const toDateString = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value).slice(0, 10);
+};
+
+const toDateTimeString = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return `${toDateString(value)}T${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+  }
+  return String(value).replace(' ', 'T').slice(0, 19);
+};
+
+const place = Joi.object({
+  name: Joi.string().trim().max(255).required(),
+  country: Joi.string().trim().max(255).allow('', null)
+});
+
+const dateString = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/, 'YYYY-MM-DD date');
+const currencyCode = Joi.string().trim().uppercase().pattern(/^[A-Z]{3}$/, '3-letter currency code');
+const timeZoneName = Joi.string().custom((value, helpers) => (
+  isTimeZone(value) ? value : helpers.error('any.invalid')
+), 'IANA time zone');
+const dateTimeString = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/, 'YYYY-MM-DDTHH:mm:ss date-time');
+
+const archiveSchema = Joi.object({
+  format: Joi.string().valid(ARCHIVE_FORMAT).required(),
+  version: Joi.number().integer().min(1).max(ARCHIVE_VERSION).required(),
+  exportedAt: Joi.string().allow(null),
+  trips: Joi.array().min(1).max(100).required().items(Joi.object({
+    title: Joi.string().trim().max(255).required(),
+    description: Joi.string().allow('', null),
+    startDate: dateString.allow(null),
+    endDate: dateString.allow(null),
+    budget: Joi.number().min(0).allow(null),
+    currency: currencyCode.default(DEFAULT_CURRENCY),
+    status: Joi.string().max(50).allow(null),
+    coverImage: Joi.object({
+      fileName: Joi.string().max(255).allow(null),
+      mimeType: Joi.string().valid(...new Set(Object.values(IMAGE_TYPES))).required(),
+      data: Joi.string().base64().required()
+    }).allow(null),
+    cities: Joi.array().max(200).default([]).items(place.keys({
+      arrivalDate: dateString.allow(null),
+      departureDate: dateString.allow(null),
+      orderIndex: Joi.number().integer().min(0).default(0)
+    })),
+    items: Joi.array().max(2000).default([]).items(Joi.object({
+      title: Joi.string().trim().max(255).required(),
+      description: Joi.string().allow('', null),
+      location: Joi.string().max(255).allow('', null),
+      startTime: dateTimeString.allow(null),
+      endTime: dateTimeString.allow(null),
+      timeZone: timeZoneName.allow(null),
+      cost: Joi.number().min(0).allow(null),
+      currency: currencyCode.allow(null),
+      category: Joi.string().valid(...CATEGORIES).default('other'),
+      bookingReference: Joi.string().max(255).allow('', null),
+      notes: Joi.string().allow('', null),
+      orderIndex: Joi.number().integer().min(0).default(0),
+      city: place.allow(null),
+      activity: Joi.object({ name: Joi.string().trim().max(255).required() }).allow(null)
+    }))
+  }))
+});
+
+/**
+ * Read a trip's cover photo from storage for embedding, or null if unavailable
+ * @param {string} coverPhotoPath - Stored cover photo path
+ * @returns {Object|null} {fileName, mimeType, data (base64)}
+ */
+const readCoverImage = async (coverPhotoPath) => {
+  if (!coverPhotoPath) return null;
+
+  const fileName = mediaKey(coverPhotoPath);
+  const mimeType = IMAGE_TYPES[path.extname(fileName).toLowerCase()];
+  if (!mimeType) return null;
+
+  const data = await readFile(fileName);
+  return data ? { fileName, mimeType, data: data.toString('base64') } : null;
+};
+
+/**
+ * Serialize one trip for an archive
+ * @param {Object} data - Trip data
+ * @param {Object} data.trip - Trip row
+ * @param {Array} data.cities - Trip cities (from CityModel.getCitiesForTrip)
+ * @param {Array} data.items - Itinerary items (from ItineraryModel.getItemsForTrip)
+ * @param {Object} data.coverImage - Cover photo (from readCoverImage)
+ * @returns {Object} Archive trip entry
+ */
+const serializeTrip = ({ trip, cities = [], items = [], coverImage = null }) => {
+  const cityById = new Map(cities.map(city => [city.city_id, city]));
+
+  return {
+    title: trip.title,
+    description: trip.description || null,
+    startDate: toDateString(trip.start_date),
+    endDate: toDateString(trip.end_date),
+    budget: trip.budget != null ? Number(trip.budget) : null,
+    currency: trip.currency || DEFAULT_CURRENCY,
+    status: trip.status || null,
+    coverImage,
+    cities: cities.map(city => ({
+      name: city.name,
+      country: city.country || null,
+      arrivalDate: toDateString(city.arrival_date),
+      departureDate: toDateString(city.departure_date),
+      orderIndex: city.order_index || 0
+    })),
+    items: items.map(item => {
+      const city = cityById.get(item.city_id);
+      const cityName = city ? city.name : item.city_name;
+
+      return {
+        title: item.title,
+        description: item.description || null,
+        location: item.location || null,
+        startTime: toDateTimeString(item.start_time),
+        endTime: toDateTimeString(item.end_time),
+        timeZone: item.time_zone || null,
+        cost: item.cost != null ? Number(item.cost) : null,
+        currency: item.currency || null,
+        category: item.category || 'other',
+        bookingReference: item.booking_reference || null,
+        notes: item.notes || null,
+        orderIndex: item.order_index || 0,
+        city: cityName ? { name: cityName, country: city ? city.country : item.country || null } : null,
+        activity: item.activity_name ? { name: item.activity_name } : null
+      };
+    })
+  };
+};
+
+/**
+ * Wrap serialized trips in a versioned archive
+ */
+const createArchive = (trips) => ({
+  format: ARCHIVE_FORMAT,
+  version: ARCHIVE_VERSION,
+  exportedAt: new Date().toISOString(),
+  trips
+});
+
+/**
+ * Validate an archive and fill in defaults
+ * @param {Object} data - Parsed JSON
+ * @returns {Object} Validated archive
+ * @throws {Error} 400 INVALID_ARCHIVE with `details` listing each problem
+ */
+const validateArchive = (data) => {
+  const { error, value } = archiveSchema.validate(data, { abortEarly: false, stripUnknown: true });
+
+  if (error) {
+    const err = new Error('Archive is not a valid trip export');
+    err.status = 400;
+    err.code = 'INVALID_ARCHIVE';
+    err.details = error.details.slice(0, 20).map(detail => detail.message);
+    throw err;
+  }
+
+  return value;
+};
+
+/**
+ * Save an archived cover image to storage
+ * @returns {string|null} Stored /media/... path, or null if the image is unusable
+ */
+const saveCoverImage = async (coverImage) => {
+  if (!coverImage) return null;
+
+  const data = Buffer.from(coverImage.data, 'base64');
+  if (data.length === 0 || data.length > MAX_COVER_BYTES) {
+    return null;
+  }
+
+  const extension = Object.keys(IMAGE_TYPES).find(ext => IMAGE_TYPES[ext] === coverImage.mimeType);
+  const fileName = `trip-cover-${Date.now()}-${crypto.randomBytes(6).toString('hex')}${extension}`;
+  await putFile(fileName, data, coverImage.mimeType);
+
+  return `${MEDIA_PATH}/${fileName}`;
+};
+
+/**
+ * Delete a cover image saved by saveCoverImage (when its trip failed to import)
+ */
+const removeCoverImage = (storedPath) => removeMedia(storedPath);
+
+const placeKey = ({ name, country }) => `${name.toLowerCase()}|${(country || '').toLowerCase()}`;
+
+/**
+ * Map an archived trip's cities and activities onto this server's rows
+ * Entries that can't be matched are reported rather than failing the import:
+ * unmatched stops are dropped, and items keep their details without the link.
+ * @param {Object} archivedTrip - Validated archive trip entry
+ * @param {Object} lookups - {findCity(name, country), findActivity(cityId, name)}, each resolving to a row or null
+ * @returns {Object} {cities, items, unmatched}
+ */
+const resolveTripReferences = async (archivedTrip, { findCity, findActivity }) => {
+  const cityCache = new Map();
+  const unmatched = [];
+
+  const resolveCity = async (cityRef) => {
+    const key = placeKey(cityRef);
+    if (!cityCache.has(key)) {
+      cityCache.set(key, await findCity(cityRef.name, cityRef.country || null));
+    }
+    return cityCache.get(key);
+  };
+
+  const cities = [];
+  const addedCityIds = new Set();
+  for (const city of archivedTrip.cities) {
+    const match = await resolveCity(city);
+    if (!match) {
+      unmatched.push({ type: 'city', name: city.name, country: city.country || null });
+    } else if (!addedCityIds.has(match.id)) {
+      addedCityIds.add(match.id);
+      cities.push({
+        city_id: match.id,
+        arrival_date: city.arrivalDate,
+        departure_date: city.departureDate,
+        order_index: city.orderIndex
+      });
+    }
+  }
+
+  const items = [];
+  for (const item of archivedTrip.items) {
+    const city = item.city ? await resolveCity(item.city) : null;
+    if (item.city && !city && !unmatched.some(entry => entry.type === 'city' && placeKey(entry) === placeKey(item.city))) {
+      unmatched.push({ type: 'city', name: item.city.name, country: item.city.country || null });
+    }
+
+    let activity = null;
+    if (item.activity) {
+      activity = city ? await findActivity(city.id, item.activity.name) : null;
+      if (!activity) {
+        unmatched.push({ type: 'activity', name: item.activity.name, item: item.title });
+      }
+    }
+
+    const timeZone = item.timeZone !== undefined ? item.timeZone : (city && city.time_zone) || null;
+
+    items.push({
+      city_id: city ? city.id : null,
+      activity_id: activity ? activity.id : null,
+      title: item.title,
+      description: item.description || null,
+      location: item.location || null,
+      start_time: toStoredTime(item.startTime, timeZone),
+      end_time: toStoredTime(item.endTime, timeZone),
+      time_zone: timeZone,
+      cost: item.cost,
+      currency: item.currency || null,
+      category: item.category,
+      booking_reference: item.bookingReference || null,
+      notes: item.notes || null,
+      order_index: item.orderIndex
+    });
+  }
+
+  return { cities, items, unmatched };
+};
+
+module.exports = {
+  ARCHIVE_VERSION,
+  readCoverImage,
+  serializeTrip,
+  createArchive,
+  validateArchive,
+  saveCoverImage,
+  removeCoverImage,
+  resolveTripReferences
+};
@@ -0,0 +1,327 @@
+/**
+ * Trip Booklet Service
+ * Renders a printable PDF of a trip: cover, route, day-by-day itinerary,
+ * costs and booking references.
+ * Uses the built-in PDF fonts, which can't draw ₹ and the like, so amounts are
+ * shown with their currency code ("INR 1,200").
+ */
+
+const PDFDocument = require('pdfkit');
+const { DEFAULT_CURRENCY } = require('./currency');
+
+const COLORS = {
+  text: '#222222',
+  muted: '#666666',
+  primary: '#1976d2',
+  rule: '#dddddd',
+  mapBackground: '#eef4fb'
+};
+
+const formatCost = (value, currency = DEFAULT_CURRENCY) => (
+  `${currency} ${Number(value || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`
+);
+
+const formatDate = (value, options = { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' }) => (
+  value ? new Date(value).toLocaleDateString('en-US', options) : ''
+);
+
+const formatTime = (value) => (
+  value ? new Date(value).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' }) : ''
+);
+
+const formatRange = (start, end) => {
+  if (!start && !end) return 'Dates not set';
+  if (!end || formatDate(start) === formatDate(end)) return formatDate(start || end);
+  return `${formatDate(start)} - ${formatDate(end)}`;
+};
+
+/**
+ * Start a new page if fewer than `height` points are left on this one
+ */
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+};
+
+const sectionHeading = (doc, text) => {
+  ensureSpace(doc, 60);
+  doc.moveDown(1);
+  doc.font('Helvetica-Bold').fontSize(16).fillColor(COLORS.primary).text(text);
+  const y = doc.y + 2;
+  doc.moveTo(doc.page.margins.left, y)
+    .lineTo(doc.page.width - doc.page.margins.right, y)
+    .lineWidth(1)
+    .strokeColor(COLORS.rule)
+    .stroke();
+  doc.moveDown(0.6);
+  doc.fillColor(COLORS.text);
+};
+
+/**
+ * Render a simple table; columns are {header, width, align, value(row)}
+ */
+const table = (doc, columns, rows, { boldLastRow = false } = {}) => {
+  const left = doc.page.margins.left;
+  const rowHeight = 18;
+
+  const drawRow = (cells, bold) => {
+    ensureSpace(doc, rowHeight);
+    const y = doc.y;
+    let x = left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor(COLORS.text);
+    cells.forEach((cell, index) => {
+      const { width, align = 'left' } = columns[index];
+      doc.text(String(cell ?? ''), x + 4, y + 4, { width: width - 8, align, lineBreak: false, ellipsis: true });
+      x += width;
+    });
+    doc.x = left;
+    doc.y = y + rowHeight;
+    doc.moveTo(left, doc.y)
+      .lineTo(x, doc.y)
+      .lineWidth(0.5)
+      .strokeColor(COLORS.rule)
+      .stroke();
+  };
+
+  drawRow(columns.map(column => column.header), true);
+  rows.forEach((row, index) => {
+    drawRow(columns.map(column => column.value(row)), boldLastRow && index === rows.length - 1);
+  });
+  doc.moveDown(0.5);
+};
+
+/**
+ * Draw the trip's cities on a schematic map, joined in visiting order
+ * Coordinates use an equirectangular projection scaled to fit the box.
+ */
+const routeMap = (doc, cities) => {
+  const stops = cities.filter(city => city.latitude != null && city.longitude != null)
+    .map(city => ({ ...city, lat: Number(city.latitude), lng: Number(city.longitude) }));
+  if (stops.length === 0) return;
+
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const height = 240;
+  const padding = 36;
+  ensureSpace(doc, height + 20);
+
+  const left = doc.page.margins.left;
+  const top = doc.y;
+  doc.rect(left, top, width, height).fillColor(COLORS.mapBackground).fill();
+  doc.rect(left, top, width, height).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+
+  const lngScale = Math.cos((stops.reduce((sum, stop) => sum + stop.lat, 0) / stops.length) * Math.PI / 180);
+  const xs = stops.map(stop => stop.lng * lngScale);
+  const ys = stops.map(stop => stop.lat);
+  const spanX = Math.max(...xs) - Math.min(...xs);
+  const spanY = Math.max(...ys) - Math.min(...ys);
+  const scale = Math.min(
+    (width - padding * 2) / (spanX || 1),
+    (height - padding * 2) / (spanY || 1)
+  );
+  const offsetX = left + (width - spanX * scale) / 2;
+  const offsetY = top + (height - spanY * scale) / 2;
+
+  const points = stops.map((stop, index) => ({
+    ...stop,
+    x: offsetX + (xs[index] - Math.min(...xs)) * scale,
+    y: offsetY + (Math.max(...ys) - ys[index]) * scale
+  }));
+
+  if (points.length > 1) {
+    doc.moveTo(points[0].x, points[0].y);
+    points.slice(1).forEach(point => doc.lineTo(point.x, point.y));
+    doc.lineWidth(1.5).dash(4, { space: 3 }).strokeColor(COLORS.primary).stroke().undash();
+  }
+
+  points.forEach((point, index) => {
+    doc.circle(point.x, point.y, 8).fillColor(COLORS.primary).fill();
+    doc.font('Helvetica-Bold').fontSize(8).fillColor('#ffffff')
+      .text(String(index + 1), point.x - 8, point.y - 3, { width: 16, align: 'center', lineBreak: false });
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.text)
+      .text(point.name, point.x + 11, point.y - 4, { lineBreak: false });
+  });
+
+  doc.x = left;
+  doc.y = top + height + 10;
+};
+
+const coverPage = (doc, trip, coverPhoto) => {
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  if (coverPhoto) {
+    try {
+      doc.image(coverPhoto, { fit: [width, 320], align: 'center' });
+      doc.moveDown(1);
+    } catch (error) {
+      // PDFKit only embeds JPEG and PNG; other formats are left out
+      console.error('Error embedding cover photo:', error.message);
+    }
+  }
+
+  doc.font('Helvetica-Bold').fontSize(28).fillColor(COLORS.text).text(trip.title);
+  doc.moveDown(0.3);
+  doc.font('Helvetica').fontSize(13).fillColor(COLORS.muted).text(formatRange(trip.start_date, trip.end_date));
+
+  if (trip.description) {
+    doc.moveDown(1);
+    doc.fontSize(11).fillColor(COLORS.text).text(trip.description);
+  }
+};
+
+const citiesSection = (doc, cities) => {
+  sectionHeading(doc, 'Route');
+
+  if (cities.length === 0) {
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text('No cities added yet.');
+    return;
+  }
+
+  cities.forEach((city, index) => {
+    ensureSpace(doc, 18);
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.text)
+      .text(`${index + 1}. ${city.name}${city.country ? `, ${city.country}` : ''}`, { continued: true })
+      .font('Helvetica').fillColor(COLORS.muted)
+      .text(`   ${formatRange(city.arrival_date, city.departure_date)}`);
+  });
+  doc.moveDown(0.8);
+
+  routeMap(doc, cities);
+};
+
+const itinerarySection = (doc, trip, itinerary) => {
+  sectionHeading(doc, 'Day by Day');
+
+  const days = Object.keys(itinerary).sort((a, b) => {
+    if (a === 'unscheduled') return 1;
+    if (b === 'unscheduled') return -1;
+    return new Date(a) - new Date(b);
+  });
+
+  if (days.length === 0) {
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text('No itinerary items yet.');
+    return;
+  }
+
+  days.forEach(day => {
+    ensureSpace(doc, 50);
+    doc.moveDown(0.4);
+    doc.font('Helvetica-Bold').fontSize(12).fillColor(COLORS.text)
+      .text(day === 'unscheduled' ? 'Unscheduled' : formatDate(day, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }));
+    doc.moveDown(0.2);
+
+    itinerary[day].forEach(item => {
+      ensureSpace(doc, 36);
+      const time = item.start_time
+        ? `${formatTime(item.start_time)}${item.end_time ? ` - ${formatTime(item.end_time)}` : ''}`
+        : '';
+      const details = [
+        item.category && item.category.charAt(0).toUpperCase() + item.category.slice(1),
+        item.location || item.city_name,
+        Number(item.cost) > 0 && formatCost(item.cost, item.currency || trip.currency),
+        item.booking_reference && `Ref ${item.booking_reference}`
+      ].filter(Boolean).join('  |  ');
+
+      doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.text)
+        .text(`${time ? `${time}   ` : ''}${item.title}`, { indent: 10 });
+      if (details) {
+        doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(details, { indent: 10 });
+      }
+      if (item.description) {
+        doc.font('Helvetica').fontSize(9).fillColor(COLORS.text).text(item.description, { indent: 10 });
+      }
+      doc.moveDown(0.3);
+    });
+  });
+};
+
+const costsSection = (doc, trip, costBreakdown) => {
+  sectionHeading(doc, 'Costs');
+
+  const currency = trip.currency || DEFAULT_CURRENCY;
+  const total = costBreakdown.reduce((sum, row) => sum + Number(row.total_cost || 0), 0);
+  const unconverted = [...new Set(costBreakdown.flatMap(row => row.unconverted_currencies || []))];
+
+  table(doc, [
+    { header: 'Category', width: 245, value: row => row.category.charAt(0).toUpperCase() + row.category.slice(1) },
+    { header: 'Items', width: 100, align: 'right', value: row => row.item_count },
+    { header: 'Total', width: 150, align: 'right', value: row => formatCost(row.total_cost, currency) }
+  ], [
+    ...costBreakdown,
+    { category: 'Total', item_count: costBreakdown.reduce((sum, row) => sum + Number(row.item_count || 0), 0), total_cost: total }
+  ], { boldLastRow: true });
+
+  if (Number(trip.budget) > 0) {
+    const remaining = Number(trip.budget) - total;
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.text)
+      .text(`Budget: ${formatCost(trip.budget, currency)}    ${remaining >= 0 ? 'Remaining' : 'Over budget'}: ${formatCost(Math.abs(remaining), currency)}`);
+  }
+
+  if (unconverted.length > 0) {
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+      .text(`Not included (no exchange rate): costs in ${unconverted.join(', ')}`);
+  }
+};
+
+const bookingsSection = (doc, items) => {
+  const booked = items.filter(item => item.booking_reference);
+  if (booked.length === 0) return;
+
+  sectionHeading(doc, 'Booking References');
+  table(doc, [
+    { header: 'Date', width: 120, value: item => formatDate(item.start_time) || 'Unscheduled' },
+    { header: 'Item', width: 235, value: item => item.title },
+    { header: 'Reference', width: 140, value: item => item.booking_reference }
+  ], booked);
+};
+
+/**
+ * Render a trip booklet
+ * @param {Object} data - Trip data
+ * @param {Object} data.trip - Trip row
+ * @param {Array} data.cities - Trip cities (from CityModel.getCitiesForTrip)
+ * @param {Array} data.items - Itinerary items (from ItineraryModel.getItemsForTrip)
+ * @param {Object} data.itinerary - Items grouped by date (from ItineraryModel.groupItemsByDate)
+ * @param {Array} data.costBreakdown - Rows from ItineraryModel.getCostBreakdown
+ * @param {Buffer} data.coverPhoto - Cover photo file contents, if any
+ * @returns {PDFDocument} Finished document stream; pipe it to the response
+ */
+const renderTripBooklet = ({ trip, cities = [], items = [], itinerary = {}, costBreakdown = [], coverPhoto = null }) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    bufferPages: true,
+    info: {
+      Title: trip.title,
+      Creator: 'GlobeTrotter'
+    }
+  });
+
+  coverPage(doc, trip, coverPhoto);
+  citiesSection(doc, cities);
+  itinerarySection(doc, trip, itinerary);
+  costsSection(doc, trip, costBreakdown);
+  bookingsSection(doc, items);
+
+  // Page footers, drawn once every page exists
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+      .text(`${trip.title}  |  Page ${i + 1} of ${count}`, doc.page.margins.left, doc.page.height - 35, {
+        width: doc.page.width - doc.page.margins.left - doc.page.margins.right,
+        align: 'center',
+        lineBreak: false
+      });
+    doc.page.margins.bottom = bottom;
+  }
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  renderTripBooklet
+};
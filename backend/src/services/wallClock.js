@@ -0,0 +1,117 @@
+/**
+ * Wall-Clock Time Helpers
+ * Itinerary times are stored and compared as local wall-clock values
+ * ("2025-05-02 10:30" in whatever place the item happens), never shifted by
+ * the server's time zone. These helpers read them from strings (as itinerary
+ * queries return them, see db.wallClockQuery) or Date objects, and do
+ * arithmetic on them in minutes.
+ */
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Wall-clock parts of a stored date or datetime
+ * @param {Date|string} value - Date object or "YYYY-MM-DD[ HH:mm[:ss]]" string ("T" also accepted)
+ * @returns {Object|null} {year, month, day, hour, minute}, or null if unreadable
+ */
+const toParts = (value) => {
+  if (!value) return null;
+
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    return {
+      year: value.getFullYear(),
+      month: value.getMonth() + 1,
+      day: value.getDate(),
+      hour: value.getHours(),
+      minute: value.getMinutes()
+    };
+  }
+
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?/);
+  if (!match) return null;
+
+  const [, year, month, day, hour = '0', minute = '0'] = match;
+  return { year: +year, month: +month, day: +day, hour: +hour, minute: +minute };
+};
+
+/**
+ * Minutes since the epoch of a wall-clock time, for comparing and subtracting
+ * @returns {number|null} Minutes, or null if unreadable
+ */
+const toMinutes = (value) => {
+  const parts = toParts(value);
+  if (!parts) return null;
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) / 60000;
+};
+
+/**
+ * Wall-clock time of a toMinutes value
+ * @param {number} minutes - Minutes since the epoch
+ * @returns {string} "YYYY-MM-DDTHH:mm"
+ */
+const fromMinutes = (minutes) => {
+  const date = new Date(minutes * 60000);
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}` +
+    `T${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+};
+
+/**
+ * Day of a stored date or datetime
+ * @returns {string|null} "YYYY-MM-DD", or null if unreadable
+ */
+const toDay = (value) => {
+  const parts = toParts(value);
+  return parts ? `${parts.year}-${pad(parts.month)}-${pad(parts.day)}` : null;
+};
+
+/**
+ * Every day from one date to another, inclusive
+ * @param {Date|string} from - First day
+ * @param {Date|string} to - Last day
+ * @returns {Array} "YYYY-MM-DD" strings; empty if either date is missing or to is before from
+ */
+const daysBetween = (from, to) => {
+  const start = toMinutes(toDay(from));
+  const end = toMinutes(toDay(to));
+  if (start === null || end === null) return [];
+
+  const days = [];
+  for (let minutes = start; minutes <= end; minutes += 24 * 60) {
+    days.push(fromMinutes(minutes).slice(0, 10));
+  }
+  return days;
+};
+
+/**
+ * Minutes after midnight of a time of day
+ * @param {string} value - "HH:mm" or "HH:mm:ss" (as MySQL returns TIME columns)
+ * @returns {number|null} Minutes, or null if unreadable
+ */
+const timeOfDay = (value) => {
+  const match = String(value || '').match(/^(\d{1,2}):(\d{2})/);
+  if (!match || +match[1] > 24 || +match[2] > 59) return null;
+  return +match[1] * 60 + +match[2];
+};
+
+/**
+ * Human-readable duration, e.g. "2h 15min"
+ * @param {number} minutes - Duration
+ * @returns {string} Duration text
+ */
+const formatDuration = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = Math.round(minutes % 60);
+  if (hours === 0) return `${rest} min`;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}min`;
+};
+
+module.exports = {
+  toParts,
+  toMinutes,
+  fromMinutes,
+  toDay,
+  daysBetween,
+  timeOfDay,
+  formatDuration
+};
@@ -38,6 +38,18 @@ const validateFullName = (fullName) => {
   return trimmed.length >= 2 && trimmed.length <= 100;
 };
 
+/**
+ * Validate a calendar date
+ * @param {string} date - Date to validate
+ * @returns {boolean} True if a real date in YYYY-MM-DD format
+ */
+const validateDate = (date) => {
+  if (!date || typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().startsWith(date);
+};
+
 /**
  * Sanitize string input
  * @param {string} input - String to sanitize
@@ -51,10 +63,18 @@ const sanitizeString = (input) => {
 
 /**
  * Validate file upload
+ * Defaults to images up to 5MB; pass options for other kinds of upload.
  * @param {Object} file - Multer file object
+ * @param {Object} options - Optional allowedTypes (MIME types), maxSize (bytes) and typeLabel (for the error)
  * @returns {Object} Validation result
  */
-const validateFileUpload = (file) => {
+const validateFileUpload = (file, options = {}) => {
+  const {
+    allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'],
+    maxSize = 5 * 1024 * 1024, // 5MB
+    typeLabel = 'image files (JPEG, PNG, GIF, WebP)'
+  } = options;
+
   const result = {
     isValid: true,
     errors: []
@@ -62,18 +82,16 @@ const validateFileUpload = (file) => {
 
   if (!file) return result;
 
-  // Check file size (5MB limit)
-  const maxSize = 5 * 1024 * 1024; // 5MB
+  // Check file size
   if (file.size > maxSize) {
     result.isValid = false;
-    result.errors.push('File size must be less than 5MB');
+    result.errors.push(`File size must be less than ${Math.round(maxSize / (1024 * 1024))}MB`);
   }
 
-  // Check file type (images only)
-  const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
+  // Check file type
   if (!allowedTypes.includes(file.mimetype)) {
     result.isValid = false;
-    result.errors.push('Only image files (JPEG, PNG, GIF, WebP) are allowed');
+    result.errors.push(`Only ${typeLabel} are allowed`);
   }
 
   return result;
@@ -135,6 +153,7 @@ module.exports = {
   validateEmail,
   validatePassword,
   validateFullName,
+  validateDate,
   sanitizeString,
   validateFileUpload,
   validateSignupData,
@@ -0,0 +1,86 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const UserModel = require('../src/models/userModel');
+const UserSessionModel = require('../src/models/userSessionModel');
+const { authenticateToken, requireRole, generateToken } = require('../src/middleware/auth');
+
+const USERS = {
+  1: { id: 1, email: 'user@example.com', role: 'user', password_changed_at: null },
+  2: { id: 2, email: 'admin@example.com', role: 'admin', password_changed_at: null }
+};
+
+// Session 20 was revoked; the others are active
+const SESSIONS = {
+  10: { id: 10, user_id: 1, last_seen_at: new Date() },
+  11: { id: 11, user_id: 2, last_seen_at: new Date() }
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  mock.method(UserModel, 'findById', async (id) => USERS[id] || null);
+  mock.method(UserSessionModel, 'findActiveById', async (id) => SESSIONS[id] || null);
+  mock.method(console, 'error', () => {});
+
+  // Same guard as the admin routes
+  const app = express();
+  app.get('/admin', authenticateToken, requireRole('admin'), (req, res) => res.json({ ok: true }));
+
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  mock.restoreAll();
+});
+
+const requestAdmin = (token) => fetch(`${baseUrl}/admin`, {
+  headers: token ? { Authorization: `Bearer ${token}` } : {}
+});
+
+test('admin token is let through', async () => {
+  const res = await requestAdmin(generateToken(USERS[2], 11));
+  assert.strictEqual(res.status, 200);
+});
+
+test('user token is forbidden', async () => {
+  const res = await requestAdmin(generateToken(USERS[1], 10));
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual((await res.json()).error, 'INSUFFICIENT_PRIVILEGES');
+});
+
+test('role comes from the user row, not the token', async () => {
+  const res = await requestAdmin(generateToken({ ...USERS[1], role: 'admin' }, 10));
+  assert.strictEqual(res.status, 403);
+});
+
+test('expired token is rejected', async () => {
+  const token = jwt.sign(
+    { sub: 2, email: USERS[2].email, role: 'admin', sid: 11, exp: Math.floor(Date.now() / 1000) - 60 },
+    process.env.JWT_SECRET
+  );
+  const res = await requestAdmin(token);
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual((await res.json()).error, 'TOKEN_EXPIRED');
+});
+
+test('token for a revoked session is rejected', async () => {
+  const res = await requestAdmin(generateToken(USERS[2], 20));
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual((await res.json()).error, 'SESSION_REVOKED');
+});
+
+test('missing token is rejected', async () => {
+  const res = await requestAdmin(null);
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual((await res.json()).error, 'MISSING_TOKEN');
+});
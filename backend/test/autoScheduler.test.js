@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { planDays } = require('../src/services/autoScheduler');
+
+const ROME = { city_id: 1, name: 'Rome', arrival_date: '2026-06-01', departure_date: '2026-06-02' };
+
+const activity = (id, fields = {}) => ({
+  id,
+  name: `Activity ${id}`,
+  city_id: 1,
+  city_name: 'Rome',
+  duration_hours: 2,
+  ...fields
+});
+
+const timesOf = (items) => items.map(item => [item.activityId, item.startTime, item.endTime]);
+
+test('activities fill each day in wish-list order, with shorter ones fitting the gaps before meals', () => {
+  const plan = planDays({
+    stays: [ROME],
+    activities: [
+      activity(1),
+      activity(2),
+      activity(3, { duration_hours: 3 }),
+      activity(4, { duration_hours: 1.5 }),
+      activity(5)
+    ]
+  });
+
+  assert.deepStrictEqual(plan.days.map(day => day.date), ['2026-06-01', '2026-06-02']);
+  assert.deepStrictEqual(timesOf(plan.days[0].items), [
+    [1, '2026-06-01T09:00', '2026-06-01T11:00'],
+    [4, '2026-06-01T11:00', '2026-06-01T12:30'],
+    [2, '2026-06-01T13:30', '2026-06-01T15:30'],
+    [3, '2026-06-01T15:30', '2026-06-01T18:30']
+  ]);
+  assert.deepStrictEqual(timesOf(plan.days[1].items), [[5, '2026-06-02T09:00', '2026-06-02T11:00']]);
+  assert.deepStrictEqual(plan.days[0].breaks, [
+    { label: 'Lunch', startTime: '2026-06-01T12:30', endTime: '2026-06-01T13:30' },
+    { label: 'Dinner', startTime: '2026-06-01T19:00', endTime: '2026-06-01T20:30' }
+  ]);
+  assert.strictEqual(plan.items.length, 5);
+  assert.deepStrictEqual(plan.unscheduled, []);
+});
+
+test('the next activity is the one that can start soonest from where the last ended', () => {
+  // The Forum is next to the Colosseum; Ostia is 20km away
+  const colosseum = activity(1, { duration_hours: 1, latitude: 41.8902, longitude: 12.4922 });
+  const ostia = activity(2, { duration_hours: 1, latitude: 41.7556, longitude: 12.2915 });
+  const forum = activity(3, { duration_hours: 1, latitude: 41.8925, longitude: 12.4853 });
+
+  const plan = planDays({
+    stays: [{ ...ROME, departure_date: ROME.arrival_date }],
+    activities: [colosseum, ostia, forum]
+  });
+
+  assert.deepStrictEqual(plan.items.map(item => [item.activityId, item.startTime, item.travelMinutes]), [
+    [1, '2026-06-01T09:00', 0],
+    [3, '2026-06-01T10:15', 15],
+    [2, '2026-06-01T13:30', 75]
+  ]);
+});
+
+test('activities start no earlier than they open and finish before they close', () => {
+  const plan = planDays({
+    stays: [{ ...ROME, departure_date: ROME.arrival_date }],
+    activities: [
+      activity(1, { opens_at: '14:00:00', closes_at: '18:00:00' }),
+      activity(2, { duration_hours: 1, closes_at: '10:00:00' })
+    ]
+  });
+
+  assert.deepStrictEqual(timesOf(plan.items), [
+    [2, '2026-06-01T09:00', '2026-06-01T10:00'],
+    [1, '2026-06-01T14:00', '2026-06-01T16:00']
+  ]);
+});
+
+test('existing items keep their time free, except hotel stays', () => {
+  const plan = planDays({
+    stays: [{ ...ROME, departure_date: ROME.arrival_date }],
+    activities: [activity(1), activity(2, { name: 'Vatican' })],
+    existingItems: [
+      { category: 'activity', start_time: '2026-06-01 09:30:00', end_time: '2026-06-01 10:40:00' },
+      { category: 'hotel', start_time: '2026-05-31 15:00:00', end_time: '2026-06-02 11:00:00' },
+      { category: 'activity', activity_id: 2, start_time: '2026-06-02 09:00:00', end_time: '2026-06-02 11:00:00' }
+    ]
+  });
+
+  // Pushed past the booked item, then past lunch
+  assert.deepStrictEqual(timesOf(plan.items), [[1, '2026-06-01T13:30', '2026-06-01T15:30']]);
+  assert.deepStrictEqual(plan.unscheduled, [{
+    activityId: 2,
+    title: 'Vatican',
+    reason: 'already_planned',
+    message: 'Already on the itinerary'
+  }]);
+});
+
+test('activities that cannot be placed say why', () => {
+  const plan = planDays({
+    stays: [
+      { ...ROME, departure_date: ROME.arrival_date },
+      { city_id: 2, name: 'Florence', arrival_date: null, departure_date: null }
+    ],
+    options: { dayStart: '09:00', dayEnd: '13:00', mealBreaks: [] },
+    activities: [
+      activity(1, { duration_hours: 3 }),
+      activity(2, { duration_hours: 5 }),
+      activity(3, { duration_hours: 2 }),
+      activity(4, { city_id: 2, city_name: 'Florence' }),
+      activity(5, { city_id: 3, city_name: 'Venice' })
+    ]
+  });
+
+  assert.deepStrictEqual(plan.unscheduled.map(entry => [entry.activityId, entry.reason, entry.message]), [
+    [2, 'does_not_fit', 'Takes 5h but only 4h of the day is available while it is open'],
+    [3, 'no_time', 'No free time left in Rome'],
+    [4, 'no_dates', 'Set arrival and departure dates for Florence first'],
+    [5, 'city_not_on_trip', "Venice isn't one of the trip's cities"]
+  ]);
+});
+
+test('unreadable options are rejected', () => {
+  const rejects = (options) => assert.throws(() => planDays({ options }), error => (
+    error.status === 400 && error.code === 'INVALID_SCHEDULE_OPTIONS'
+  ));
+
+  rejects({ dayStart: '18:00', dayEnd: '09:00' });
+  rejects({ dayStart: 'morning' });
+  rejects({ mealBreaks: [{ label: 'Lunch', start: '12:00', minutes: 300 }] });
+  rejects({ mealBreaks: [{ label: 'Lunch', minutes: 60 }] });
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { normalizeCurrency, roundAmount, convert, sumInCurrency } = require('../src/services/currency');
+
+// Units per 1 USD, as ExchangeRateModel.getRateMap returns them (DECIMAL columns come back as strings)
+const RATES = { USD: '1.000000', EUR: '0.900000', INR: '83.000000', JPY: '150.000000' };
+
+test('normalizeCurrency upper-cases three-letter codes and rejects anything else', () => {
+  assert.strictEqual(normalizeCurrency('eur'), 'EUR');
+  assert.strictEqual(normalizeCurrency(' Jpy '), 'JPY');
+  assert.strictEqual(normalizeCurrency('EURO'), null);
+  assert.strictEqual(normalizeCurrency('E1R'), null);
+  assert.strictEqual(normalizeCurrency(''), null);
+  assert.strictEqual(normalizeCurrency(978), null);
+  assert.strictEqual(normalizeCurrency(null), null);
+});
+
+test('roundAmount rounds to cents', () => {
+  assert.strictEqual(roundAmount(0.1 + 0.2), 0.3);
+  assert.strictEqual(roundAmount(16.924), 16.92);
+  assert.strictEqual(roundAmount(-3.336), -3.34);
+});
+
+test('convert goes through USD between any two currencies with rates', () => {
+  assert.strictEqual(convert(90, 'EUR', 'USD', RATES), 100);
+  assert.strictEqual(convert(100, 'USD', 'INR', RATES), 8300);
+  assert.strictEqual(roundAmount(convert(1500, 'JPY', 'EUR', RATES)), 9);
+});
+
+test('convert returns the amount unchanged within one currency, even without rates', () => {
+  assert.strictEqual(convert('42.50', 'CHF', 'CHF', {}), 42.5);
+});
+
+test('convert returns null when either rate is missing', () => {
+  assert.strictEqual(convert(10, 'CHF', 'USD', RATES), null);
+  assert.strictEqual(convert(10, 'USD', 'CHF', RATES), null);
+  assert.strictEqual(convert(10, 'USD', 'EUR', { ...RATES, EUR: '0' }), null);
+});
+
+test('sumInCurrency converts what it can and reports the currencies it left out', () => {
+  const result = sumInCurrency([
+    { currency: 'EUR', amount: '90.00', count: 2 },
+    { currency: 'INR', amount: 830 },
+    { amount: 5 },
+    { currency: 'CHF', amount: 40, count: 3 },
+    { currency: 'GBP', amount: 10 },
+    { currency: 'CHF', amount: 15 },
+    { currency: 'JPY', amount: 0, count: 4 }
+  ], 'USD', RATES);
+
+  assert.deepStrictEqual(result, { total: 115, count: 4, unconverted: ['CHF', 'GBP'] });
+});
+
+test('sumInCurrency rounds the total, not each amount', () => {
+  const result = sumInCurrency([
+    { currency: 'USD', amount: 0.333 },
+    { currency: 'USD', amount: 0.333 },
+    { currency: 'USD', amount: 0.333 }
+  ], 'USD', RATES);
+
+  assert.strictEqual(result.total, 1);
+});
+
+test('sumInCurrency of nothing is zero', () => {
+  assert.deepStrictEqual(sumInCurrency([], 'EUR', RATES), { total: 0, count: 0, unconverted: [] });
+});
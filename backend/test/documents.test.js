@@ -0,0 +1,106 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+
+const { setDriver } = require('../src/services/storage');
+const {
+  saveDocumentFile,
+  createThumbnail,
+  getDocumentFile,
+  removeDocumentFiles
+} = require('../src/services/documents');
+
+let files;
+
+beforeEach(() => {
+  files = new Map();
+  setDriver({
+    put: async (key, body, contentType) => {
+      files.set(key, { body, contentType });
+    },
+    get: async (key) => {
+      const file = files.get(key);
+      return file ? { body: file.body, size: file.body.length, contentType: file.contentType } : null;
+    },
+    remove: async (key) => {
+      files.delete(key);
+    }
+  });
+});
+
+afterEach(() => {
+  setDriver(null);
+  mock.restoreAll();
+});
+
+const uploadedFile = (originalname, mimetype, buffer) => ({ originalname, mimetype, buffer, size: buffer.length });
+
+const pngOf = (width, height) => sharp({
+  create: { width, height, channels: 3, background: '#336699' }
+}).png().toBuffer();
+
+test('saveDocumentFile stores the upload under documents/ with a lowercased extension', async () => {
+  const file = uploadedFile('Boarding Pass.PDF', 'application/pdf', Buffer.from('%PDF-1.4'));
+
+  const storedName = await saveDocumentFile(file);
+
+  assert.match(storedName, /^doc-\d+-\d+\.pdf$/);
+  assert.deepStrictEqual([...files.keys()], [`documents/${storedName}`]);
+
+  const stored = await getDocumentFile(storedName);
+  assert.strictEqual(stored.contentType, 'application/pdf');
+  assert.strictEqual(stored.body.toString(), '%PDF-1.4');
+});
+
+test('getDocumentFile never reads outside documents/', async () => {
+  files.set('documents/visa.pdf', { body: Buffer.from('visa'), contentType: 'application/pdf' });
+  files.set('secret.pdf', { body: Buffer.from('secret'), contentType: 'application/pdf' });
+
+  const stored = await getDocumentFile('../secret.pdf');
+
+  assert.strictEqual(stored, null);
+  assert.strictEqual((await getDocumentFile('../documents/visa.pdf')).body.toString(), 'visa');
+});
+
+test('createThumbnail shrinks images to a webp thumbnail', async () => {
+  const file = uploadedFile('passport.png', 'image/png', await pngOf(800, 400));
+
+  const thumbnailName = await createThumbnail(file, 'doc-1-2.png');
+
+  assert.strictEqual(thumbnailName, 'thumb-doc-1-2.webp');
+  const stored = files.get('documents/thumb-doc-1-2.webp');
+  assert.strictEqual(stored.contentType, 'image/webp');
+
+  const metadata = await sharp(stored.body).metadata();
+  assert.strictEqual(metadata.format, 'webp');
+  assert.strictEqual(metadata.width, 320);
+  assert.strictEqual(metadata.height, 160);
+});
+
+test('createThumbnail does not enlarge small images', async () => {
+  const file = uploadedFile('stamp.png', 'image/png', await pngOf(100, 50));
+
+  const thumbnailName = await createThumbnail(file, 'doc-3-4.png');
+
+  const metadata = await sharp(files.get(`documents/${thumbnailName}`).body).metadata();
+  assert.strictEqual(metadata.width, 100);
+});
+
+test('createThumbnail skips PDFs and unreadable images', async () => {
+  mock.method(console, 'error', () => {});
+
+  assert.strictEqual(await createThumbnail(uploadedFile('ticket.pdf', 'application/pdf', Buffer.from('%PDF-1.4')), 'doc-5-6.pdf'), null);
+  assert.strictEqual(await createThumbnail(uploadedFile('broken.jpg', 'image/jpeg', Buffer.from('not an image')), 'doc-7-8.jpg'), null);
+  assert.strictEqual(files.size, 0);
+});
+
+test('removeDocumentFiles deletes a document and its thumbnail, ignoring missing names', async () => {
+  files.set('documents/doc-1-2.png', { body: Buffer.from('a'), contentType: 'image/png' });
+  files.set('documents/thumb-doc-1-2.webp', { body: Buffer.from('b'), contentType: 'image/webp' });
+  files.set('documents/doc-9-9.pdf', { body: Buffer.from('c'), contentType: 'application/pdf' });
+
+  await removeDocumentFiles('doc-1-2.png', 'thumb-doc-1-2.webp');
+  await removeDocumentFiles('doc-9-9.pdf', null);
+
+  assert.strictEqual(files.size, 0);
+});
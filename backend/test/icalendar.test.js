@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { buildTripCalendar, parseCalendar } = require('../src/services/icalendar');
+
+const calendar = (...lines) => [
+  'BEGIN:VCALENDAR',
+  'BEGIN:VEVENT',
+  'UID:1@example.com',
+  'DTSTART:20250501T090000Z',
+  ...lines,
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+test('escaped text is unescaped', () => {
+  const [event] = parseCalendar(calendar(
+    'SUMMARY:Lunch\\, then museum\\; maybe',
+    'DESCRIPTION:Line one\\nLine two'
+  ));
+
+  assert.strictEqual(event.summary, 'Lunch, then museum; maybe');
+  assert.strictEqual(event.description, 'Line one\nLine two');
+});
+
+test('escaped backslashes are unescaped once', () => {
+  const [event] = parseCalendar(calendar(
+    'SUMMARY:Tickets in C:\\\\trips\\\\japan',
+    'DESCRIPTION:A literal \\\\n is not a newline'
+  ));
+
+  assert.strictEqual(event.summary, 'Tickets in C:\\trips\\japan');
+  assert.strictEqual(event.description, 'A literal \\n is not a newline');
+});
+
+const TRIP = { id: 7, title: 'Japan' };
+
+const exportedLines = (item) => buildTripCalendar({ trip: TRIP, items: [{ id: 1, title: 'Museum', version: 1, ...item }] })
+  .split('\r\n');
+
+test('floating items are exported at their local time', () => {
+  const lines = exportedLines({
+    start_time: '2025-05-02T10:30',
+    end_time: '2025-05-02T12:00',
+    start_time_utc: null,
+    end_time_utc: null,
+    time_zone: null
+  });
+
+  assert.ok(lines.includes('DTSTART:20250502T103000'));
+  assert.ok(lines.includes('DTEND:20250502T120000'));
+});
+
+test('items with a time zone are exported in UTC', () => {
+  const lines = exportedLines({
+    start_time: '2025-05-02T10:30',
+    end_time: null,
+    start_time_utc: '2025-05-02T01:30:00.000Z',
+    end_time_utc: null,
+    time_zone: 'Asia/Tokyo'
+  });
+
+  assert.ok(lines.includes('DTSTART:20250502T013000Z'));
+  assert.ok(lines.includes('DURATION:PT1H'));
+});
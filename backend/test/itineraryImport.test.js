@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { planNewCities } = require('../src/services/itineraryImport');
+
+const TRIP_CITIES = [{ city_id: 1, name: 'Tokyo', time_zone: 'Asia/Tokyo' }];
+
+test('new stops are dated in their own time zone', () => {
+  const items = [
+    { cityId: 2, cityName: 'Honolulu', startTime: '2025-05-02T08:00:00.000Z', endTime: '2025-05-02T09:00:00.000Z' },
+    { cityId: 3, cityName: 'Osaka', startTime: '2025-05-03T16:30:00.000Z', endTime: '2025-05-04T15:30:00.000Z' }
+  ];
+  const zones = new Map([[2, 'Pacific/Honolulu'], [3, 'Asia/Tokyo']]);
+
+  assert.deepStrictEqual(planNewCities(items, TRIP_CITIES, zones), [
+    { cityId: 2, name: 'Honolulu', arrivalDate: '2025-05-01', departureDate: '2025-05-01' },
+    { cityId: 3, name: 'Osaka', arrivalDate: '2025-05-04', departureDate: '2025-05-05' }
+  ]);
+});
+
+test('stops without a time zone are dated in UTC', () => {
+  const items = [{ cityId: 4, cityName: 'Nowhere', startTime: '2025-05-01T23:30:00.000Z', endTime: null }];
+
+  assert.deepStrictEqual(planNewCities(items, TRIP_CITIES), [
+    { cityId: 4, name: 'Nowhere', arrivalDate: '2025-05-01', departureDate: '2025-05-01' }
+  ]);
+});
+
+test('cities already on the trip are not added again', () => {
+  const items = [{ cityId: 1, cityName: 'Tokyo', startTime: '2025-05-01T00:00:00.000Z' }];
+
+  assert.deepStrictEqual(planNewCities(items, TRIP_CITIES, new Map([[1, 'Asia/Tokyo']])), []);
+});
@@ -0,0 +1,79 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const db = require('../src/config/db');
+const ItineraryModel = require('../src/models/itineraryModel');
+
+const CITY_ZONES = { 1: 'Asia/Tokyo', 2: null };
+
+let inserted;
+let connectionHeld;
+
+beforeEach(() => {
+  inserted = [];
+  connectionHeld = false;
+
+  mock.method(console, 'error', () => {});
+  mock.method(db, 'execute', async (query, params) => {
+    const sql = typeof query === 'string' ? query : query.sql;
+    if (sql.includes('FROM cities')) {
+      // Querying the pool while holding a connection can exhaust it
+      assert.ok(!connectionHeld, 'city zones are looked up outside the transaction');
+      return [[{ time_zone: CITY_ZONES[params[0]] }]];
+    }
+    const row = inserted.find(item => item.id === params[0]);
+    return [row ? [row] : []];
+  });
+  mock.method(db, 'getConnection', async () => {
+    connectionHeld = true;
+    return {
+      beginTransaction: async () => {},
+      commit: async () => {},
+      rollback: async () => {},
+      release: () => {
+        connectionHeld = false;
+      },
+      execute: async (sql, params) => {
+        const id = inserted.length + 1;
+        inserted.push({ id, city_id: params[1], start_time: params[6], end_time: params[7], time_zone: params[8] });
+        return [{ insertId: id }];
+      }
+    };
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('imported items take their city zone without using the pool mid-transaction', async () => {
+  const items = await ItineraryModel.importItems(7, [
+    { city_id: 1, title: 'Dinner', start_time: '2025-05-02T19:00', end_time: null },
+    { city_id: 2, title: 'Walk', start_time: '2025-05-03T10:00', end_time: null },
+    { city_id: 1, title: 'Flight', start_time: '2025-05-04T08:00', end_time: null, time_zone: 'Europe/London' }
+  ]);
+
+  assert.deepStrictEqual(inserted.map(item => [item.time_zone, item.start_time]), [
+    ['Asia/Tokyo', '2025-05-02 10:00:00'],
+    [null, '2025-05-03 10:00:00'],
+    ['Europe/London', '2025-05-04 07:00:00']
+  ]);
+  assert.deepStrictEqual(items.map(item => item.start_time), ['2025-05-02T19:00', '2025-05-03T10:00', '2025-05-04T08:00']);
+});
+
+test('item times are read as written, not as Dates in the server zone', async () => {
+  await ItineraryModel.findById(1);
+
+  const [query] = db.execute.mock.calls[0].arguments;
+  assert.deepStrictEqual(query.dateStrings, ['DATETIME']);
+});
+
+test('floating items have no UTC times', async () => {
+  inserted.push({ id: 9, start_time: '2025-05-02 10:30:00', end_time: null, time_zone: null });
+
+  const item = await ItineraryModel.findById(9);
+
+  assert.strictEqual(item.start_time, '2025-05-02T10:30');
+  assert.strictEqual(item.start_time_utc, null);
+  assert.strictEqual(item.end_time_utc, null);
+});
@@ -0,0 +1,122 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { Readable } = require('stream');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const UserModel = require('../src/models/userModel');
+const UserSessionModel = require('../src/models/userSessionModel');
+const MediaModel = require('../src/models/mediaModel');
+const TripModel = require('../src/models/tripModel');
+const TripMemberModel = require('../src/models/tripMemberModel');
+const { generateToken } = require('../src/middleware/auth');
+const { putFile, setDriver } = require('../src/services/storage');
+const { signMediaPath } = require('../src/services/media');
+const mediaRoutes = require('../src/routes/mediaRoutes');
+
+const OWNER = { id: 1, email: 'owner@example.com', role: 'user', password_changed_at: null };
+const MEMBER = { id: 2, email: 'member@example.com', role: 'user', password_changed_at: null };
+const STRANGER = { id: 3, email: 'stranger@example.com', role: 'user', password_changed_at: null };
+const USERS = { 1: OWNER, 2: MEMBER, 3: STRANGER };
+
+const TRIP = { id: 7, user_id: OWNER.id };
+
+// What uses each stored file (see MediaModel.getReferences)
+const REFERENCES = {
+  '/media/trip-cover-1.jpg': [{ kind: 'trip_cover', user_id: OWNER.id, trip_id: TRIP.id, is_public: true }],
+  '/media/receipt-1.jpg': [{ kind: 'receipt', user_id: OWNER.id, trip_id: TRIP.id, is_public: false }]
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  mock.method(UserModel, 'findById', async (id) => USERS[id] || null);
+  // One session per user, with the user's ID
+  mock.method(UserSessionModel, 'findActiveById', async (id) => ({ id, user_id: Number(id) }));
+  mock.method(MediaModel, 'getReferences', async (storedPath) => REFERENCES[storedPath] || []);
+  mock.method(TripModel, 'findById', async (id) => (String(id) === String(TRIP.id) ? TRIP : null));
+  mock.method(TripMemberModel, 'findMembership', async (tripId, userId) => (
+    userId === MEMBER.id ? { role: 'viewer' } : null
+  ));
+
+  // Files live in an in-memory store
+  const files = new Map();
+  setDriver({
+    put: async (key, body, contentType) => {
+      files.set(key, { body, contentType });
+    },
+    get: async (key) => {
+      const file = files.get(key);
+      if (!file) return null;
+      return { body: Readable.from([file.body]), size: file.body.length, contentType: file.contentType };
+    },
+    remove: async (key) => {
+      files.delete(key);
+    }
+  });
+  await putFile('trip-cover-1.jpg', Buffer.from('cover'), 'image/jpeg');
+  await putFile('receipt-1.jpg', Buffer.from('receipt'), 'image/jpeg');
+
+  const app = express();
+  app.use('/media', mediaRoutes);
+
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  setDriver(null);
+  mock.restoreAll();
+});
+
+const requestMedia = (pathWithQuery, user = null) => fetch(`${baseUrl}${pathWithQuery}`, {
+  headers: user ? { Authorization: `Bearer ${generateToken(user, user.id)}` } : {}
+});
+
+test('public trip covers are served without signing in', async () => {
+  const res = await requestMedia('/media/trip-cover-1.jpg');
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers.get('cache-control'), 'public, max-age=86400');
+  assert.strictEqual(await res.text(), 'cover');
+});
+
+test('private receipts look missing without a signature or trip access', async () => {
+  const anonymous = await requestMedia('/media/receipt-1.jpg');
+  assert.strictEqual(anonymous.status, 404);
+  assert.strictEqual((await anonymous.json()).error, 'MEDIA_NOT_FOUND');
+
+  const stranger = await requestMedia('/media/receipt-1.jpg', STRANGER);
+  assert.strictEqual(stranger.status, 404);
+});
+
+test('private receipts are served to trip members', async () => {
+  const res = await requestMedia('/media/receipt-1.jpg', MEMBER);
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers.get('cache-control'), 'private, max-age=3600');
+  assert.strictEqual(await res.text(), 'receipt');
+});
+
+test('private receipts are served with a signed URL', async () => {
+  const signed = await requestMedia(signMediaPath('/media/receipt-1.jpg'));
+  assert.strictEqual(signed.status, 200);
+  assert.strictEqual(await signed.text(), 'receipt');
+
+  // A signature for one file doesn't open another
+  const [, query] = signMediaPath('/media/trip-cover-1.jpg').split('?');
+  const reused = await requestMedia(`/media/receipt-1.jpg?${query}`);
+  assert.strictEqual(reused.status, 404);
+});
+
+test('unsafe file names are not looked up', async () => {
+  const res = await requestMedia('/media/..%2Fserver.js', OWNER);
+
+  assert.strictEqual(res.status, 404);
+  assert.strictEqual(MediaModel.getReferences.mock.calls.some(call => call.arguments[0].includes('..')), false);
+});
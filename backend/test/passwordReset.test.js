@@ -0,0 +1,74 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+process.env.MAIL_TRANSPORT = 'console';
+
+const UserModel = require('../src/models/userModel');
+const PasswordResetModel = require('../src/models/passwordResetModel');
+const AuthController = require('../src/controllers/authController');
+
+const USER = { id: 1, email: 'user@example.com', full_name: 'Test User' };
+
+let releaseReset;
+let resets;
+
+beforeEach(() => {
+  resets = [];
+  mock.method(console, 'log', () => {});
+  mock.method(UserModel, 'findByEmail', async (email) => (email === USER.email ? USER : null));
+  // Holds the reset work until the test lets it continue
+  mock.method(PasswordResetModel, 'invalidateForUser', () => new Promise(resolve => {
+    releaseReset = resolve;
+  }));
+  mock.method(PasswordResetModel, 'createReset', async (reset) => {
+    resets.push(reset);
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const forgotPassword = async (email) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+
+  await AuthController.forgotPassword({ body: { email }, ip: '127.0.0.1' }, res);
+  return res;
+};
+
+test('known and unknown emails get the same answer', async () => {
+  const known = await forgotPassword(USER.email);
+  const unknown = await forgotPassword('nobody@example.com');
+
+  assert.strictEqual(known.statusCode, 200);
+  assert.deepStrictEqual(known.body, unknown.body);
+});
+
+test('the answer is sent before the reset is created', async () => {
+  const res = await forgotPassword(USER.email);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(resets.length, 0);
+
+  releaseReset();
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.strictEqual(resets.length, 1);
+  assert.strictEqual(resets[0].user_id, USER.id);
+});
+
+test('no reset is created for unknown emails', async () => {
+  await forgotPassword('nobody@example.com');
+
+  assert.strictEqual(PasswordResetModel.invalidateForUser.mock.callCount(), 0);
+});
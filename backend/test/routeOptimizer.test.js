@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { shortestOrder, optimizeCities, optimizeDays } = require('../src/services/routeOptimizer');
+
+// Points along the equator, so distances are easy to reason about
+const at = (degrees) => ({ latitude: 0, longitude: degrees });
+
+const DEGREE_KM = (6371 * Math.PI) / 180;
+
+const assertKm = (km, degrees) => {
+  assert.ok(Math.abs(km - degrees * DEGREE_KM) < 0.1, `${km}km is not ${degrees} degrees`);
+};
+
+const city = (id, degrees, fields = {}) => ({
+  id,
+  city_id: id * 10,
+  name: `City ${id}`,
+  ...(degrees === null ? {} : { latitude: '0', longitude: String(degrees) }),
+  ...fields
+});
+
+test('optimizeCities finds the shortest order between a fixed first and last city', () => {
+  // Without the fixed end, 0-1-2-3 would be shortest; ending at 2 makes it 0-1-3-2
+  const cities = [city(1, 0), city(2, 3), city(3, 1), city(4, 2)];
+
+  const result = optimizeCities(cities);
+
+  assert.deepStrictEqual(result.stops.map(stop => stop.tripCityId), [1, 3, 2, 4]);
+  assert.deepStrictEqual(result.stops[1], { tripCityId: 3, cityId: 30, name: 'City 3' });
+  assert.strictEqual(result.changed, true);
+  assertKm(result.currentKm, 6);
+  assertKm(result.suggestedKm, 4);
+  assertKm(result.savedKm, 2);
+});
+
+test('optimizeCities leaves cities without coordinates where they are', () => {
+  const cities = [city(1, 0), city(2, 3), city(3, null), city(4, 1), city(5, 2), city(6, 4)];
+
+  const result = optimizeCities(cities);
+
+  assert.deepStrictEqual(result.stops.map(stop => stop.tripCityId), [1, 4, 3, 5, 2, 6]);
+  assert.deepStrictEqual(result.unlocated, ['City 3']);
+});
+
+test('optimizeCities suggests nothing when the order is already shortest', () => {
+  const cities = [city(1, 0), city(2, 1), city(3, 2), city(4, 3)];
+
+  const result = optimizeCities(cities);
+
+  assert.strictEqual(result.changed, false);
+  assert.strictEqual(result.savedKm, 0);
+  assert.deepStrictEqual(result.stops.map(stop => stop.tripCityId), [1, 2, 3, 4]);
+});
+
+test('shortestOrder keeps an open path in its original direction', () => {
+  const stops = [3, 1, 2, 0].map(degrees => ({ degrees, point: at(degrees) }));
+
+  const result = shortestOrder(stops);
+
+  assert.deepStrictEqual(result.stops.map(stop => stop.degrees), [3, 2, 1, 0]);
+});
+
+test('shortestOrder still finds the shortest path with more stops than it searches exhaustively', () => {
+  // Starting from the middle, nearest neighbour doubles back; 2-opt straightens it out
+  const degrees = [5, 4, 6, 3, 7, 2, 8, 1, 9, 0, 10, 11];
+  const stops = degrees.map(value => ({ degrees: value, point: at(value) }));
+
+  const result = shortestOrder(stops);
+  const order = result.stops.map(stop => stop.degrees);
+
+  assert.deepStrictEqual(order, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+  assertKm(result.suggestedKm, 11);
+});
+
+test('shortestOrder keeps the fixed ends above the exhaustive search limit', () => {
+  const degrees = [6, 11, 0, 9, 2, 7, 4, 10, 1, 8, 3, 5];
+  const stops = degrees.map(value => ({ degrees: value, point: at(value) }));
+
+  const result = shortestOrder(stops, { fixStart: true, fixEnd: true });
+  const order = result.stops.map(stop => stop.degrees);
+
+  assert.strictEqual(order[0], 6);
+  assert.strictEqual(order[order.length - 1], 5);
+  assert.deepStrictEqual([...order].sort((a, b) => a - b), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+  // Out to one end, across to the other and back to 5 is as short as it gets
+  assertKm(result.suggestedKm, 21);
+});
+
+test('optimizeDays reorders a day and gives the stops its time slots in their new order', () => {
+  const points = new Map([
+    ['1', at(0)],
+    ['2', at(0.02)],
+    ['3', at(0.01)],
+    ['4', at(5)]
+  ]);
+  const items = [
+    { id: 11, title: 'Start', activity_id: 1, start_time: '2026-06-02 09:00:00', end_time: '2026-06-02 10:00:00' },
+    { id: 12, title: 'Far', activity_id: 2, start_time: '2026-06-02 10:30:00', end_time: '2026-06-02 12:00:00' },
+    { id: 13, title: 'Middle', activity_id: 3, start_time: '2026-06-02 13:00:00', end_time: '2026-06-02 16:00:00' },
+    { id: 14, title: 'Flight', category: 'flight', activity_id: 4, start_time: '2026-06-02 11:00:00', end_time: '2026-06-02 12:00:00' },
+    { id: 15, title: 'Unmapped', activity_id: 5, start_time: '2026-06-02 12:00:00', end_time: '2026-06-02 12:30:00' },
+    { id: 16, title: 'Only stop', activity_id: 1, start_time: '2026-06-03 09:00:00', end_time: '2026-06-03 10:00:00' }
+  ];
+
+  const suggestions = optimizeDays(items, points);
+
+  assert.strictEqual(suggestions.length, 1);
+  assert.strictEqual(suggestions[0].date, '2026-06-02');
+  assert.ok(suggestions[0].savedKm > 0);
+  // Middle takes Far's 10:30 slot and keeps its three hours, pushing Far back from 13:00
+  assert.deepStrictEqual(suggestions[0].stops, [
+    { id: 11, title: 'Start', startTime: '2026-06-02T09:00', endTime: '2026-06-02T10:00' },
+    { id: 13, title: 'Middle', startTime: '2026-06-02T10:30', endTime: '2026-06-02T13:30' },
+    { id: 12, title: 'Far', startTime: '2026-06-02T13:30', endTime: '2026-06-02T15:00' }
+  ]);
+});
+
+test('optimizeDays keeps stops without an end time open-ended', () => {
+  const points = new Map([['1', at(0)], ['2', at(0.02)], ['3', at(0.01)]]);
+  const items = [
+    { id: 1, title: 'A', activity_id: 1, start_time: '2026-06-02 09:00:00', end_time: null },
+    { id: 2, title: 'B', activity_id: 2, start_time: '2026-06-02 10:00:00', end_time: '2026-06-02 11:00:00' },
+    { id: 3, title: 'C', activity_id: 3, start_time: '2026-06-02 12:00:00', end_time: null }
+  ];
+
+  const [suggestion] = optimizeDays(items, points);
+
+  assert.deepStrictEqual(suggestion.stops, [
+    { id: 1, title: 'A', startTime: '2026-06-02T09:00', endTime: null },
+    { id: 3, title: 'C', startTime: '2026-06-02T10:00', endTime: null },
+    { id: 2, title: 'B', startTime: '2026-06-02T12:00', endTime: '2026-06-02T13:00' }
+  ]);
+});
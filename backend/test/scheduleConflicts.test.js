@@ -0,0 +1,185 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { findConflicts, conflictsForItem, endsBeforeStart } = require('../src/services/scheduleConflicts');
+
+const TRIP = { start_date: '2026-06-01', end_date: '2026-06-05' };
+
+const PARIS = { city_id: 1, name: 'Paris', latitude: '48.8566', longitude: '2.3522', arrival_date: '2026-06-01', departure_date: '2026-06-03' };
+const LYON = { city_id: 2, name: 'Lyon', latitude: '45.7640', longitude: '4.8357', arrival_date: '2026-06-03', departure_date: '2026-06-05' };
+
+let nextId = 1;
+
+/**
+ * Itinerary item as ItineraryModel.getItemsForTrip returns it: local times,
+ * plus UTC instants when the item has a time zone
+ */
+const item = (fields) => {
+  const id = nextId++;
+  return {
+    id,
+    title: `Item ${id}`,
+    category: 'activity',
+    city_id: null,
+    time_zone: null,
+    start_time_utc: null,
+    end_time_utc: null,
+    end_time: null,
+    ...fields
+  };
+};
+
+const typesOf = (conflicts) => conflicts.map(entry => entry.type);
+
+test('items that end before they start are errors and are left out of the other checks', () => {
+  const backwards = item({ start_time: '2026-06-02 12:00:00', end_time: '2026-06-02 10:00:00' });
+  const during = item({ start_time: '2026-06-02 10:30:00', end_time: '2026-06-02 11:00:00' });
+
+  const conflicts = findConflicts({ trip: TRIP, items: [backwards, during] });
+
+  assert.deepStrictEqual(conflicts, [{
+    type: 'invalid_time',
+    severity: 'error',
+    item_ids: [backwards.id],
+    message: `"${backwards.title}" ends before it starts`
+  }]);
+});
+
+test('overlapping items are warnings, but touching items and hotel stays are not', () => {
+  const museum = item({ title: 'Museum', start_time: '2026-06-02 10:00:00', end_time: '2026-06-02 12:00:00' });
+  const lunch = item({ title: 'Lunch', start_time: '2026-06-02 11:30:00', end_time: '2026-06-02 13:00:00' });
+  const walk = item({ title: 'Walk', start_time: '2026-06-02 13:00:00', end_time: '2026-06-02 14:00:00' });
+  const hotel = item({ title: 'Hotel', category: 'hotel', start_time: '2026-06-01 15:00:00', end_time: '2026-06-03 11:00:00' });
+
+  const conflicts = findConflicts({ trip: TRIP, items: [walk, hotel, lunch, museum] });
+
+  assert.deepStrictEqual(conflicts.map(({ type, item_ids }) => ({ type, item_ids })), [
+    { type: 'overlap', item_ids: [museum.id, lunch.id] }
+  ]);
+  assert.strictEqual(conflicts[0].message, '"Museum" overlaps "Lunch"');
+});
+
+test('items starting at the same time overlap even without end times', () => {
+  const first = item({ start_time: '2026-06-02 09:00:00' });
+  const second = item({ start_time: '2026-06-02 09:00:00' });
+
+  assert.deepStrictEqual(typesOf(findConflicts({ trip: TRIP, items: [first, second] })), ['overlap']);
+});
+
+test('zoned items are compared by their instants, not their local times', () => {
+  // 09:00-11:00 in London is 08:00-10:00 UTC; 10:30-11:30 in Paris is 08:30-09:30 UTC
+  const london = item({
+    time_zone: 'Europe/London',
+    start_time: '2026-06-02 09:00:00', end_time: '2026-06-02 11:00:00',
+    start_time_utc: '2026-06-02T08:00:00.000Z', end_time_utc: '2026-06-02T10:00:00.000Z'
+  });
+  const paris = item({
+    time_zone: 'Europe/Paris',
+    start_time: '2026-06-02 10:30:00', end_time: '2026-06-02 11:30:00',
+    start_time_utc: '2026-06-02T08:30:00.000Z', end_time_utc: '2026-06-02T09:30:00.000Z'
+  });
+  // Same local times as the London item, but nine hours earlier
+  const tokyo = item({
+    time_zone: 'Asia/Tokyo',
+    start_time: '2026-06-02 09:00:00', end_time: '2026-06-02 11:00:00',
+    start_time_utc: '2026-06-02T00:00:00.000Z', end_time_utc: '2026-06-02T02:00:00.000Z'
+  });
+
+  const conflicts = findConflicts({ trip: TRIP, items: [paris, tokyo, london] });
+
+  assert.deepStrictEqual(conflicts.map(({ type, item_ids }) => ({ type, item_ids })), [
+    { type: 'overlap', item_ids: [london.id, paris.id] }
+  ]);
+});
+
+test('floating items are placed by their local time alongside zoned items', () => {
+  const tokyo = item({
+    title: 'Temple',
+    time_zone: 'Asia/Tokyo',
+    start_time: '2026-06-02 10:00:00', end_time: '2026-06-02 12:00:00',
+    start_time_utc: '2026-06-02T01:00:00.000Z', end_time_utc: '2026-06-02T03:00:00.000Z'
+  });
+  const during = item({ title: 'Call home', start_time: '2026-06-02 02:00:00', end_time: '2026-06-02 02:30:00' });
+  const later = item({ title: 'Tea', start_time: '2026-06-02 10:30:00', end_time: '2026-06-02 11:00:00' });
+
+  const conflicts = findConflicts({ trip: TRIP, items: [later, during, tokyo] });
+
+  assert.deepStrictEqual(conflicts.map(({ type, item_ids }) => ({ type, item_ids })), [
+    { type: 'overlap', item_ids: [tokyo.id, during.id] }
+  ]);
+});
+
+test('items before the trip starts or ending after it ends are outside the trip', () => {
+  const early = item({ start_time: '2026-05-31 18:00:00' });
+  const late = item({ start_time: '2026-06-05 22:00:00', end_time: '2026-06-06 01:00:00' });
+  const lastDay = item({ start_time: '2026-06-05 09:00:00', end_time: '2026-06-05 10:00:00' });
+
+  const conflicts = findConflicts({ trip: TRIP, items: [early, late, lastDay] });
+
+  assert.deepStrictEqual(conflicts.map(({ type, item_ids }) => ({ type, item_ids })), [
+    { type: 'outside_trip', item_ids: [early.id] },
+    { type: 'outside_trip', item_ids: [late.id] }
+  ]);
+  assert.strictEqual(conflicts[0].severity, 'error');
+  assert.match(conflicts[0].message, /\(2026-06-01 to 2026-06-05\)$/);
+});
+
+test('items in a city on a day the trip is elsewhere, or in another city, are mismatches', () => {
+  const inParis = item({ city_id: 1, city_name: 'Paris', start_time: '2026-06-02 10:00:00' });
+  const lyonTooEarly = item({ city_id: 2, city_name: 'Lyon', start_time: '2026-06-01 15:00:00' });
+  const nice = item({ city_id: 3, city_name: 'Nice', start_time: '2026-06-04 10:00:00' });
+
+  const conflicts = findConflicts({ trip: TRIP, cities: [PARIS, LYON], items: [inParis, lyonTooEarly, nice] });
+
+  assert.deepStrictEqual(conflicts.map(({ type, item_ids, message }) => ({ type, item_ids, message })), [
+    {
+      type: 'city_mismatch',
+      item_ids: [lyonTooEarly.id],
+      message: `"${lyonTooEarly.title}" is in Lyon on 2026-06-01, but the trip is there 2026-06-03 to 2026-06-05`
+    },
+    {
+      type: 'city_mismatch',
+      item_ids: [nice.id],
+      message: `"${nice.title}" is in Nice, which isn't one of the trip's cities`
+    }
+  ]);
+});
+
+test('back-to-back items in different cities need time to travel between them', () => {
+  // Paris to Lyon is about 390km: an hour and a half by high-speed rail
+  const louvre = item({ title: 'Louvre', city_id: 1, city_name: 'Paris', start_time: '2026-06-03 09:00:00', end_time: '2026-06-03 11:00:00' });
+  const lunch = item({ title: 'Bouchon', city_id: 2, city_name: 'Lyon', start_time: '2026-06-03 12:00:00', end_time: '2026-06-03 13:00:00' });
+  const dinner = item({ title: 'Dinner', city_id: 1, city_name: 'Paris', start_time: '2026-06-03 16:00:00', end_time: '2026-06-03 18:00:00' });
+
+  const conflicts = findConflicts({ trip: TRIP, cities: [PARIS, LYON], items: [louvre, lunch, dinner] });
+
+  assert.deepStrictEqual(conflicts.map(({ type, item_ids }) => ({ type, item_ids })), [
+    { type: 'travel_gap', item_ids: [louvre.id, lunch.id] }
+  ]);
+  assert.match(conflicts[0].message, /^Only 1h to get from Paris to Lyon between "Louvre" and "Bouchon" \(at least 1h 34min needed\)$/);
+});
+
+test('booked travel between cities covers the gap', () => {
+  const louvre = item({ city_id: 1, start_time: '2026-06-03 09:00:00', end_time: '2026-06-03 11:00:00' });
+  const train = item({ category: 'transport', city_id: 1, start_time: '2026-06-03 11:05:00', end_time: '2026-06-03 11:55:00' });
+  const lunch = item({ city_id: 2, start_time: '2026-06-03 12:00:00', end_time: '2026-06-03 13:00:00' });
+
+  assert.deepStrictEqual(findConflicts({ trip: TRIP, cities: [PARIS, LYON], items: [louvre, train, lunch] }), []);
+});
+
+test('conflictsForItem picks the conflicts naming an item, whatever the id type', () => {
+  const conflicts = [
+    { type: 'overlap', item_ids: [1, 2] },
+    { type: 'outside_trip', item_ids: [3] }
+  ];
+
+  assert.deepStrictEqual(conflictsForItem(conflicts, '2'), [conflicts[0]]);
+  assert.deepStrictEqual(conflictsForItem(conflicts, 4), []);
+});
+
+test('endsBeforeStart only flags end times before the start', () => {
+  assert.strictEqual(endsBeforeStart('2026-06-02 10:00:00', '2026-06-02 09:59:00'), true);
+  assert.strictEqual(endsBeforeStart('2026-06-02 10:00:00', '2026-06-02 10:00:00'), false);
+  assert.strictEqual(endsBeforeStart('2026-06-02 10:00:00', null), false);
+  assert.strictEqual(endsBeforeStart(null, '2026-06-02 09:00:00'), false);
+});
@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { splitExpense, computeBalances, settleUp } = require('../src/services/settlement');
+
+const RATES = { USD: 1, EUR: 0.9 };
+
+const amounts = (splits) => splits.map(split => split.amount);
+
+test('equal splits hand leftover cents to the first participants', () => {
+  const splits = splitExpense(100, 'equal', [{ user_id: 1 }, { user_id: 2 }, { user_id: 3 }]);
+
+  assert.deepStrictEqual(amounts(splits), [33.34, 33.33, 33.33]);
+});
+
+test('share splits round to the cent and still add up', () => {
+  const splits = splitExpense(10, 'shares', [{ user_id: 1, share: 1 }, { user_id: 2, share: 2 }]);
+
+  assert.deepStrictEqual(amounts(splits), [3.33, 6.67]);
+  assert.deepStrictEqual(splits.map(split => split.share), [1, 2]);
+});
+
+test('exact splits are taken as given', () => {
+  const splits = splitExpense(10, 'exact', [{ user_id: 1, share: 4.99 }, { user_id: 2, share: 5.01 }]);
+
+  assert.deepStrictEqual(amounts(splits), [4.99, 5.01]);
+});
+
+test('splits that do not add up are rejected', () => {
+  const rejects = (mode, participants) => assert.throws(
+    () => splitExpense(10, mode, participants),
+    error => error.status === 400 && error.code === 'INVALID_SPLIT'
+  );
+
+  rejects('exact', [{ user_id: 1, share: 5 }, { user_id: 2, share: 4.99 }]);
+  rejects('percent', [{ user_id: 1, share: 50 }, { user_id: 2, share: 49 }]);
+  rejects('shares', [{ user_id: 1, share: 0 }, { user_id: 2, share: 0 }]);
+  rejects('shares', [{ user_id: 1, share: -1 }, { user_id: 2, share: 2 }]);
+  rejects('equal', [{ user_id: 1 }, { user_id: 1 }]);
+  rejects('equal', []);
+  rejects('thirds', [{ user_id: 1 }]);
+});
+
+test('balances count what each person paid and owes', () => {
+  const { balances } = computeBalances([
+    { amount: 90, currency: 'USD', paid_by: 1, splits: [{ user_id: 1, amount: 30 }, { user_id: 2, amount: 30 }, { user_id: 3, amount: 30 }] },
+    { amount: 18, currency: 'EUR', paid_by: 2, splits: [{ user_id: 3, amount: 18 }] }
+  ], [{ user_id: 1, name: 'Ana' }, { user_id: 2, name: 'Ben' }, { user_id: 3, name: 'Cy' }], 'USD', RATES);
+
+  assert.deepStrictEqual(balances.map(person => [person.paid, person.owed, person.balance]), [
+    [90, 30, 60],
+    [20, 30, -10],
+    [0, 50, -50]
+  ]);
+});
+
+test('expenses in currencies without a rate are left out', () => {
+  const result = computeBalances([
+    { amount: 10, currency: 'JPY', paid_by: 1, splits: [{ user_id: 2, amount: 10 }] }
+  ], [{ user_id: 1, name: 'Ana' }, { user_id: 2, name: 'Ben' }], 'USD', RATES);
+
+  assert.deepStrictEqual(result.unconverted_currencies, ['JPY']);
+  assert.ok(result.balances.every(person => person.balance === 0));
+});
+
+const balancesOf = (values) => values.map((balance, index) => ({ user_id: index + 1, name: `P${index + 1}`, balance }));
+
+const settledBalances = (balances, transfers) => {
+  const net = new Map(balances.map(person => [person.user_id, Math.round(person.balance * 100)]));
+  transfers.forEach(({ from, to, amount }) => {
+    net.set(from.user_id, net.get(from.user_id) + Math.round(amount * 100));
+    net.set(to.user_id, net.get(to.user_id) - Math.round(amount * 100));
+  });
+  return [...net.values()];
+};
+
+test('settling up uses the fewest transfers', () => {
+  // Largest-to-largest pairing needs 4 here; {8, -4, -4} and {5, -5} need 3
+  const balances = balancesOf([8, 5, -5, -4, -4]);
+  const transfers = settleUp(balances);
+
+  assert.strictEqual(transfers.length, 3);
+  assert.ok(settledBalances(balances, transfers).every(cents => cents === 0));
+});
+
+test('settling up works in cents', () => {
+  const balances = balancesOf([33.34, -16.67, -16.67, 0]);
+  const transfers = settleUp(balances);
+
+  assert.strictEqual(transfers.length, 2);
+  assert.deepStrictEqual(transfers.map(transfer => transfer.amount), [16.67, 16.67]);
+  assert.ok(settledBalances(balances, transfers).every(cents => cents === 0));
+});
+
+test('large groups still settle with at most one transfer fewer than people', () => {
+  const values = Array.from({ length: 19 }, (_, index) => (index % 2 ? -(index + 1) : index + 2));
+  values.push(-values.reduce((sum, value) => sum + value, 0));
+  const balances = balancesOf(values);
+  const transfers = settleUp(balances);
+
+  assert.ok(transfers.length <= balances.length - 1);
+  assert.ok(settledBalances(balances, transfers).every(cents => cents === 0));
+});
+
+test('nothing to settle gives no transfers', () => {
+  assert.deepStrictEqual(settleUp(balancesOf([0, 0])), []);
+});
@@ -0,0 +1,181 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const TripModel = require('../src/models/tripModel');
+const CityModel = require('../src/models/cityModel');
+const ItineraryModel = require('../src/models/itineraryModel');
+const TravelLegModel = require('../src/models/travelLegModel');
+const ExchangeRateModel = require('../src/models/exchangeRateModel');
+const TripShareLinkModel = require('../src/models/tripShareLinkModel');
+const TripShareCommentModel = require('../src/models/tripShareCommentModel');
+const TripController = require('../src/controllers/tripController');
+const ShareLinkController = require('../src/controllers/shareLinkController');
+
+const TRIP = { id: 7, user_id: 1, title: 'Japan', currency: 'JPY', email: 'owner@example.com' };
+
+const LINKS = {
+  view: { id: 1, trip_id: TRIP.id, name: 'Family', permission: 'view', revoked_at: null },
+  comment: { id: 2, trip_id: TRIP.id, name: 'Friends', permission: 'comment', revoked_at: null },
+  expired: { id: 3, trip_id: TRIP.id, name: 'Old', permission: 'comment', revoked_at: null, expires_at: '2020-01-01T00:00:00Z' },
+  revoked: { id: 4, trip_id: TRIP.id, name: 'Gone', permission: 'comment', revoked_at: '2026-01-01 00:00:00' }
+};
+
+const STORED_COMMENT = {
+  id: 30,
+  trip_id: TRIP.id,
+  share_link_id: 2,
+  link_name: 'Friends',
+  author_name: 'Aiko',
+  body: 'Try the ramen near the station!',
+  created_at: '2026-06-01 10:00:00'
+};
+
+let created;
+
+beforeEach(() => {
+  created = null;
+  mock.method(TripShareLinkModel, 'findByToken', async (token) => LINKS[token] || null);
+  mock.method(TripShareLinkModel, 'recordAccess', async () => true);
+  mock.method(TripModel, 'findById', async (id) => (String(id) === String(TRIP.id) ? TRIP : null));
+  mock.method(TripShareCommentModel, 'createComment', async (commentData) => {
+    created = commentData;
+    return { ...STORED_COMMENT, ...commentData, id: 31 };
+  });
+  mock.method(TripShareCommentModel, 'getCommentsForTrip', async () => [STORED_COMMENT]);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const call = async (handler, { params, body = {}, user = null }) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+
+  await handler({ params, body, user, get: () => undefined }, res);
+
+  return res;
+};
+
+const comment = (token, body) => call(TripController.addSharedTripComment, { params: { publicUrl: token }, body });
+
+test('comment links can leave a comment on the shared trip', async () => {
+  const res = await comment('comment', { authorName: '  Aiko ', body: ' Try the ramen near the station! ' });
+
+  assert.strictEqual(res.statusCode, 201);
+  assert.deepStrictEqual(created, {
+    trip_id: TRIP.id,
+    share_link_id: 2,
+    author_name: 'Aiko',
+    body: 'Try the ramen near the station!'
+  });
+  assert.deepStrictEqual(res.body.comment, {
+    id: 31,
+    author_name: 'Aiko',
+    body: 'Try the ramen near the station!',
+    created_at: '2026-06-01 10:00:00'
+  });
+});
+
+test('view links cannot comment', async () => {
+  const res = await comment('view', { authorName: 'Aiko', body: 'Hello' });
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(res.body.error, 'COMMENTS_NOT_ALLOWED');
+  assert.strictEqual(created, null);
+});
+
+test('expired, revoked and unknown links cannot comment', async () => {
+  assert.strictEqual((await comment('expired', { authorName: 'Aiko', body: 'Hello' })).statusCode, 410);
+  assert.strictEqual((await comment('revoked', { authorName: 'Aiko', body: 'Hello' })).statusCode, 404);
+  assert.strictEqual((await comment('nope', { authorName: 'Aiko', body: 'Hello' })).statusCode, 404);
+  assert.strictEqual(created, null);
+});
+
+test('comments need a name and a body of sensible length', async () => {
+  const rejected = async (body, error) => {
+    const res = await comment('comment', body);
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.body.error, error);
+  };
+
+  await rejected({ body: 'Hello' }, 'INVALID_AUTHOR_NAME');
+  await rejected({ authorName: '   ', body: 'Hello' }, 'INVALID_AUTHOR_NAME');
+  await rejected({ authorName: 'A'.repeat(101), body: 'Hello' }, 'INVALID_AUTHOR_NAME');
+  await rejected({ authorName: 'Aiko', body: '' }, 'INVALID_COMMENT');
+  await rejected({ authorName: 'Aiko', body: { text: 'Hello' } }, 'INVALID_COMMENT');
+  await rejected({ authorName: 'Aiko', body: 'x'.repeat(2001) }, 'INVALID_COMMENT');
+  assert.strictEqual(created, null);
+});
+
+test('the shared trip includes comments for comment links only', async () => {
+  mock.method(CityModel, 'getCitiesForTrip', async () => []);
+  mock.method(ItineraryModel, 'getItemsForTrip', async () => ({}));
+  mock.method(ItineraryModel, 'getTripSummary', async () => ({}));
+  mock.method(ItineraryModel, 'getCostBreakdown', async () => []);
+  mock.method(TravelLegModel, 'getForTrip', async () => []);
+  mock.method(ExchangeRateModel, 'getRateMap', async () => ({}));
+
+  const viewRes = await call(TripController.getSharedTrip, { params: { publicUrl: 'view' } });
+  const commentRes = await call(TripController.getSharedTrip, { params: { publicUrl: 'comment' } });
+
+  assert.strictEqual(viewRes.statusCode, 200);
+  assert.strictEqual(viewRes.body.share.permission, 'view');
+  assert.strictEqual('comments' in viewRes.body, false);
+
+  assert.strictEqual(commentRes.statusCode, 200);
+  assert.strictEqual(commentRes.body.share.permission, 'comment');
+  assert.deepStrictEqual(commentRes.body.comments, [{
+    id: 30,
+    author_name: 'Aiko',
+    body: 'Try the ramen near the station!',
+    created_at: '2026-06-01 10:00:00'
+  }]);
+});
+
+test('owners can create comment links', async () => {
+  mock.method(TripShareLinkModel, 'createLink', async (linkData) => ({ id: 5, ...linkData }));
+
+  const res = await call(ShareLinkController.createShareLink, {
+    params: { tripId: TRIP.id },
+    body: { name: 'Friends', permission: 'comment' },
+    user: { id: TRIP.user_id }
+  });
+
+  assert.strictEqual(res.statusCode, 201);
+  assert.strictEqual(res.body.shareLink.permission, 'comment');
+});
+
+test('share links only grant view or comment access', async () => {
+  const res = await call(ShareLinkController.createShareLink, {
+    params: { tripId: TRIP.id },
+    body: { permission: 'edit' },
+    user: { id: TRIP.user_id }
+  });
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.error, 'INVALID_PERMISSION');
+});
+
+test('owners can only delete comments on their own trip', async () => {
+  mock.method(TripShareCommentModel, 'findById', async (id) => (String(id) === '30' ? STORED_COMMENT : null));
+  const deleteComment = mock.method(TripShareCommentModel, 'deleteComment', async () => true);
+
+  const otherTrip = await call(ShareLinkController.deleteShareComment, { params: { tripId: '8', commentId: '30' } });
+  const missing = await call(ShareLinkController.deleteShareComment, { params: { tripId: '7', commentId: '31' } });
+  const deleted = await call(ShareLinkController.deleteShareComment, { params: { tripId: '7', commentId: '30' } });
+
+  assert.strictEqual(otherTrip.statusCode, 404);
+  assert.strictEqual(missing.statusCode, 404);
+  assert.strictEqual(deleted.statusCode, 200);
+  assert.deepStrictEqual(deleteComment.mock.calls.map(call => call.arguments), [['30']]);
+});
@@ -0,0 +1,124 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const { putFile, getFile, readFile, removeFile, setDriver, localDriver, s3Driver } = require('../src/services/storage');
+const { signPath, verifySignedPath } = require('../src/services/signedUrls');
+
+/**
+ * In-memory stand-in for an S3 bucket, answering the commands the s3 driver sends
+ */
+const stubS3Client = () => {
+  const objects = new Map();
+
+  return {
+    objects,
+    send: async (command) => {
+      const { Bucket, Key, Body, ContentType } = command.input;
+      const id = `${Bucket}/${Key}`;
+
+      switch (command.constructor.name) {
+        case 'PutObjectCommand':
+          objects.set(id, { body: Buffer.from(Body), contentType: ContentType });
+          return {};
+        case 'GetObjectCommand': {
+          const object = objects.get(id);
+          if (!object) {
+            throw Object.assign(new Error('The specified key does not exist.'), { name: 'NoSuchKey' });
+          }
+          return { Body: Readable.from([object.body]), ContentLength: object.body.length, ContentType: object.contentType };
+        }
+        case 'DeleteObjectCommand':
+          objects.delete(id);
+          return {};
+        default:
+          throw new Error(`Unexpected command ${command.constructor.name}`);
+      }
+    }
+  };
+};
+
+let tempDir;
+
+before(async () => {
+  tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+});
+
+after(async () => {
+  await fs.promises.rm(tempDir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  setDriver(null);
+});
+
+const roundTrip = async () => {
+  const body = Buffer.from('boarding pass');
+
+  await putFile('documents/doc-1.pdf', body, 'application/pdf');
+  const file = await getFile('documents/doc-1.pdf');
+  assert.strictEqual(file.size, body.length);
+  assert.deepStrictEqual(await readFile('documents/doc-1.pdf'), body);
+
+  await removeFile('documents/doc-1.pdf');
+  assert.strictEqual(await getFile('documents/doc-1.pdf'), null);
+  assert.strictEqual(await readFile('documents/doc-1.pdf'), null);
+
+  // Removing a missing file is not an error
+  await removeFile('documents/doc-1.pdf');
+};
+
+test('files round-trip through an S3 bucket', async () => {
+  const client = stubS3Client();
+  setDriver(s3Driver(client, 'uploads'));
+
+  await putFile('avatar-1.jpg', Buffer.from('jpeg'), 'image/jpeg');
+  assert.strictEqual((await getFile('avatar-1.jpg')).contentType, 'image/jpeg');
+  assert.ok(client.objects.has('uploads/avatar-1.jpg'));
+
+  await roundTrip();
+});
+
+test('files round-trip through a local directory', async () => {
+  setDriver(localDriver(tempDir));
+
+  await roundTrip();
+});
+
+test('keys cannot escape the storage root', async () => {
+  setDriver(localDriver(tempDir));
+
+  await assert.rejects(putFile('../outside.txt', Buffer.from('x')), /Invalid storage key/);
+  await assert.rejects(putFile('/etc/outside.txt', Buffer.from('x')), /Invalid storage key/);
+  assert.ok(!fs.existsSync(path.join(tempDir, '..', 'outside.txt')));
+});
+
+test('signed paths are valid until they expire', () => {
+  const [pathname, query] = signPath('/media/receipt-1.jpg', 60).split('?');
+  const params = new URLSearchParams(query);
+
+  assert.ok(verifySignedPath(pathname, params.get('expires'), params.get('signature')));
+
+  const [expiredPath, expiredQuery] = signPath('/media/receipt-1.jpg', -1).split('?');
+  const expired = new URLSearchParams(expiredQuery);
+  assert.ok(!verifySignedPath(expiredPath, expired.get('expires'), expired.get('signature')));
+});
+
+test('tampered signed paths are rejected', () => {
+  const [pathname, query] = signPath('/media/receipt-1.jpg', 60).split('?');
+  const params = new URLSearchParams(query);
+  const expires = params.get('expires');
+  const signature = params.get('signature');
+  const flipped = `${signature.slice(0, -1)}${signature.endsWith('0') ? '1' : '0'}`;
+
+  assert.ok(!verifySignedPath('/media/receipt-2.jpg', expires, signature));
+  assert.ok(!verifySignedPath(pathname, String(Number(expires) + 3600), signature));
+  assert.ok(!verifySignedPath(pathname, expires, flipped));
+  assert.ok(!verifySignedPath(pathname, expires, signature.slice(0, 10)));
+  assert.ok(!verifySignedPath(pathname, expires, undefined));
+});
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { toInstant, timeSpan, toStoredTime, toLocal } = require('../src/services/timeZones');
+
+test('stored times round-trip through a zone', () => {
+  const stored = toStoredTime('2025-05-02T10:30', 'Asia/Tokyo');
+
+  assert.strictEqual(stored, '2025-05-02 01:30:00');
+  assert.strictEqual(toLocal(stored, 'Asia/Tokyo'), '2025-05-02T10:30');
+  assert.strictEqual(toInstant(stored, 'Asia/Tokyo'), '2025-05-02T01:30:00.000Z');
+});
+
+test('floating times have no instant', () => {
+  assert.strictEqual(toStoredTime('2025-05-02T10:30', null), '2025-05-02 10:30:00');
+  assert.strictEqual(toInstant('2025-05-02 10:30:00', null), null);
+});
+
+test('a span gives zoned ends as instants and floating ends as local times', () => {
+  assert.deepStrictEqual(timeSpan([
+    { start_time: '2025-05-02 01:30:00', end_time: '2025-05-02 03:00:00', time_zone: 'Asia/Tokyo' },
+    { start_time: '2025-05-03 09:00:00', end_time: '2025-05-03 18:00:00', time_zone: null },
+    { start_time: null, end_time: null, time_zone: null }
+  ]), {
+    first: '2025-05-02T01:30:00.000Z',
+    last: '2025-05-03T18:00'
+  });
+
+  assert.deepStrictEqual(timeSpan([]), { first: null, last: null });
+});
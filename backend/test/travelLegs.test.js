@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { TRAVEL_MODES, estimateLeg, buildLegs } = require('../src/services/travelLegs');
+
+const RATES = { USD: 1, EUR: 0.9 };
+
+const PARIS = { id: 1, city_id: 10, name: 'Paris', country: 'France', latitude: '48.8566', longitude: '2.3522' };
+const VERSAILLES = { id: 2, city_id: 20, name: 'Versailles', country: 'France', latitude: '48.8049', longitude: '2.1204' };
+const LYON = { id: 3, city_id: 30, name: 'Lyon', country: 'France', latitude: '45.7640', longitude: '4.8357' };
+const ROME = { id: 4, city_id: 40, name: 'Rome', country: 'Italy', latitude: '41.9028', longitude: '12.4964' };
+
+test('estimateLeg adds the overhead to the stretched route and prices it in the trip currency', () => {
+  // 100km by train is 115km of track: 46 minutes plus 30 to get to and through the stations
+  assert.deepStrictEqual(estimateLeg(100, 'train', 'USD', RATES), { minutes: 76, cost: 18.8 });
+  assert.deepStrictEqual(estimateLeg(100, 'train', 'EUR', RATES), { minutes: 76, cost: 16.92 });
+});
+
+test('estimateLeg leaves the cost out when there is no exchange rate', () => {
+  assert.deepStrictEqual(estimateLeg(100, 'car', 'JPY', RATES), { minutes: 98, cost: null });
+});
+
+test('buildLegs estimates each pair of consecutive stops and suggests the fastest mode', () => {
+  const { legs, otherLegs } = buildLegs([PARIS, VERSAILLES, LYON, ROME], [], { currency: 'EUR', rates: RATES });
+
+  assert.deepStrictEqual(legs.map(leg => [leg.from.name, leg.to.name, leg.distance_km, leg.suggested_mode]), [
+    ['Paris', 'Versailles', 18, 'car'],
+    ['Versailles', 'Lyon', 395, 'train'],
+    ['Lyon', 'Rome', 749, 'flight']
+  ]);
+  assert.deepStrictEqual(Object.keys(legs[0].estimates), TRAVEL_MODES);
+  assert.deepStrictEqual(legs[2].estimates.flight, { minutes: 243, cost: 101.63 });
+  assert.deepStrictEqual(legs[0].from, {
+    trip_city_id: 1,
+    city_id: 10,
+    name: 'Paris',
+    country: 'France',
+    latitude: '48.8566',
+    longitude: '2.3522'
+  });
+  assert.strictEqual(legs[0].leg, null);
+  assert.deepStrictEqual(otherLegs, []);
+});
+
+test('buildLegs never suggests a ferry, however fast', () => {
+  const { legs } = buildLegs([PARIS, VERSAILLES], [], { currency: 'USD', rates: RATES });
+
+  assert.notStrictEqual(legs[0].suggested_mode, 'ferry');
+  assert.ok(legs[0].estimates.ferry);
+});
+
+test('buildLegs has no estimates for stops without coordinates', () => {
+  const unmapped = { id: 5, city_id: 50, name: 'Somewhere', country: null, latitude: null, longitude: null };
+
+  const { legs } = buildLegs([PARIS, unmapped], [], { currency: 'USD', rates: RATES });
+
+  assert.deepStrictEqual(
+    { distance_km: legs[0].distance_km, estimates: legs[0].estimates, suggested_mode: legs[0].suggested_mode },
+    { distance_km: null, estimates: null, suggested_mode: null }
+  );
+});
+
+test('buildLegs attaches stored legs to their stops and lists the ones whose stops moved apart', () => {
+  const booked = { id: 100, from_trip_city_id: 2, to_trip_city_id: 3, mode: 'train' };
+  const stale = { id: 101, from_trip_city_id: 1, to_trip_city_id: 3, mode: 'car' };
+  const reversed = { id: 102, from_trip_city_id: 2, to_trip_city_id: 1, mode: 'bus' };
+
+  const { legs, otherLegs } = buildLegs([PARIS, VERSAILLES, LYON], [booked, stale, reversed], { currency: 'USD', rates: RATES });
+
+  assert.deepStrictEqual(legs.map(leg => leg.leg), [null, booked]);
+  assert.deepStrictEqual(otherLegs, [
+    { ...stale, from_name: 'Paris', to_name: 'Lyon' },
+    { ...reversed, from_name: 'Versailles', to_name: 'Paris' }
+  ]);
+});
+
+test('buildLegs names stops removed from the trip as null', () => {
+  const orphan = { id: 103, from_trip_city_id: 1, to_trip_city_id: 9, mode: 'flight' };
+
+  const { otherLegs } = buildLegs([PARIS], [orphan], { currency: 'USD', rates: RATES });
+
+  assert.deepStrictEqual(otherLegs, [{ ...orphan, from_name: 'Paris', to_name: null }]);
+});
@@ -0,0 +1,82 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const TripModel = require('../src/models/tripModel');
+const TripMemberModel = require('../src/models/tripMemberModel');
+const TripShareLinkModel = require('../src/models/tripShareLinkModel');
+const TripController = require('../src/controllers/tripController');
+
+const OWNER_ID = 1;
+const MEMBER_ID = 2;
+const STRANGER_ID = 3;
+
+const TRIP = { id: 7, user_id: OWNER_ID, title: 'Japan', start_date: '2025-05-01', featured: 1 };
+
+let cloneOptions;
+
+beforeEach(() => {
+  cloneOptions = null;
+  mock.method(TripModel, 'findById', async (id) => (String(id) === String(TRIP.id) ? TRIP : null));
+  mock.method(TripModel, 'cloneTrip', async (sourceTripId, userId, options) => {
+    cloneOptions = options;
+    return { id: 8, user_id: userId, title: options.title };
+  });
+  mock.method(TripMemberModel, 'findMembership', async (tripId, userId) => (
+    userId === MEMBER_ID ? { role: 'editor' } : null
+  ));
+  mock.method(TripShareLinkModel, 'findByToken', async () => ({ trip_id: TRIP.id, revoked_at: null }));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const call = async (handler, { userId, params }) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+
+  await handler({
+    params,
+    body: { resetBookings: false },
+    user: { id: userId },
+    get: () => undefined
+  }, res);
+
+  return res;
+};
+
+test('a copy through a share link never keeps booking references', async () => {
+  const res = await call(TripController.cloneSharedTrip, { userId: STRANGER_ID, params: { publicUrl: 'abc' } });
+
+  assert.strictEqual(res.statusCode, 201);
+  assert.strictEqual(cloneOptions.resetBookings, true);
+});
+
+test('a copy of a featured trip never keeps booking references', async () => {
+  const res = await call(TripController.cloneTrip, { userId: STRANGER_ID, params: { id: TRIP.id } });
+
+  assert.strictEqual(res.statusCode, 201);
+  assert.strictEqual(cloneOptions.resetBookings, true);
+});
+
+test('members can keep booking references', async () => {
+  const res = await call(TripController.cloneTrip, { userId: MEMBER_ID, params: { id: TRIP.id } });
+
+  assert.strictEqual(res.statusCode, 201);
+  assert.strictEqual(cloneOptions.resetBookings, false);
+});
+
+test('a member copying through a share link can keep booking references', async () => {
+  await call(TripController.cloneSharedTrip, { userId: OWNER_ID, params: { publicUrl: 'abc' } });
+
+  assert.strictEqual(cloneOptions.resetBookings, false);
+});
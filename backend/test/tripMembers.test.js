@@ -0,0 +1,67 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const db = require('../src/config/db');
+const TripMemberModel = require('../src/models/tripMemberModel');
+
+// Invitations keyed by "tripId:email", standing in for the UNIQUE (trip_id, email) key
+let invitations;
+let nextId;
+
+beforeEach(() => {
+  invitations = new Map();
+  nextId = 1;
+
+  mock.method(console, 'error', () => {});
+  mock.method(db, 'execute', async (sql, params) => {
+    if (sql.startsWith('DELETE')) {
+      const [tripId, email] = params;
+      const key = `${tripId}:${email}`;
+      const deleted = invitations.get(key)?.status === 'declined';
+      if (deleted) invitations.delete(key);
+      return [{ affectedRows: deleted ? 1 : 0 }];
+    }
+
+    if (sql.includes('INSERT INTO trip_members')) {
+      const [tripId, email, role] = params;
+      const key = `${tripId}:${email}`;
+      if (invitations.has(key)) {
+        throw Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' });
+      }
+      invitations.set(key, { id: nextId, trip_id: tripId, email, role, status: 'pending' });
+      return [{ insertId: nextId++ }];
+    }
+
+    const id = params[0];
+    return [[...invitations.values()].filter(invitation => invitation.id === id)];
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const invite = (email = 'Friend@Example.com') => TripMemberModel.inviteMember({
+  trip_id: 7,
+  email,
+  role: 'editor',
+  invited_by: 1
+});
+
+test('a declined invitation can be sent again', async () => {
+  const first = await invite();
+  invitations.get('7:friend@example.com').status = 'declined';
+
+  const second = await invite();
+
+  assert.strictEqual(second.status, 'pending');
+  assert.notStrictEqual(second.id, first.id);
+});
+
+test('pending and accepted invitations are not duplicated', async () => {
+  await invite();
+  await assert.rejects(invite(), /already invited/);
+
+  invitations.get('7:friend@example.com').status = 'accepted';
+  await assert.rejects(invite(), /already invited/);
+});
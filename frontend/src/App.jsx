@@ -13,6 +13,7 @@ import Flights from './pages/Flights.jsx';
 import Hotels from './pages/Hotels.jsx';
 import ItineraryBuilder from './pages/ItineraryBuilder.jsx';
 import AdminDashboard from './pages/AdminDashboard.jsx';
+import SharedTrip from './pages/SharedTrip.jsx';
 import ProtectedRoute from './components/ProtectedRoute.jsx';
 import { tokenUtils } from './api/client.js';
 
@@ -42,6 +43,9 @@ function App() {
           } 
         />
         <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password" element={<ForgotPassword />} />
+        <Route path="/shared/:publicUrl" element={<SharedTrip />} />
+        <Route path="/featured/:tripId" element={<SharedTrip />} />
         
         {/* Protected routes */}
         <Route
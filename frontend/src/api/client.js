@@ -24,21 +24,77 @@ api.interceptors.request.use(
   }
 );
 
+// Silent token refresh: concurrent 401s share one refresh request
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = (refreshToken
+      ? api.post('/auth/refresh', { refreshToken })
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .then((response) => {
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('refreshToken', response.data.refreshToken);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+// Requests that must never trigger a refresh-and-retry
+const isAuthEndpoint = (url = '') => {
+  return ['/auth/login', '/auth/signup', '/auth/refresh', '/auth/logout'].some(path => url.includes(path));
+};
+
+// Optimistic concurrency: send the version we last saw as an If-Match header
+const ifMatch = (version) => {
+  return version !== undefined && version !== null ? { 'If-Match': `"${version}"` } : {};
+};
+
 // Response interceptor to handle common errors
 api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config;
+
+    // Access token expired: refresh once and replay the request
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retried &&
+      !isAuthEndpoint(originalRequest.url) &&
+      localStorage.getItem('refreshToken')
+    ) {
+      originalRequest._retried = true;
+
+      try {
+        const token = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        // Fall through to the normal 401 handling below
+      }
+    }
+
     // Handle common HTTP errors
     if (error.response) {
       const { status, data } = error.response;
       
       // Handle authentication errors
-      if (status === 401) {
+      if (status === 401 && !isAuthEndpoint(error.config?.url)) {
         console.log('401 error on:', error.config?.url, 'Status:', status);
-        // Token expired or invalid
+        // Token expired or invalid and couldn't be refreshed
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
         localStorage.removeItem('user');
 
         // Redirect to login if not already there
@@ -54,11 +110,14 @@ api.interceptors.response.use(
         console.error('Server error:', data);
       }
       
-      // Return the error with a consistent structure
+      // Return the error with a consistent structure.
+      // Version conflicts (409) carry the current server state in `current`.
       return Promise.reject({
         message: data?.message || 'An error occurred',
         error: data?.error || 'UNKNOWN_ERROR',
         status,
+        conflict: status === 409 && data?.error === 'VERSION_CONFLICT',
+        current: data?.current,
         ...error.response
       });
     }
@@ -122,14 +181,36 @@ export const authAPI = {
     return api.post('/auth/forgot-password', { email });
   },
 
-  // Reset password
+  // Reset password with the token from the emailed link ({ token, newPassword })
   resetPassword: (resetData) => {
     return api.post('/auth/reset-password', resetData);
   },
 
-  // Logout
+  // Logout (revokes the current session on the server)
   logout: () => {
-    return api.post('/auth/logout');
+    return api.post('/auth/logout', {
+      refreshToken: localStorage.getItem('refreshToken'),
+    });
+  },
+
+  // Log out of every session
+  logoutAll: () => {
+    return api.post('/auth/logout-all');
+  },
+
+  // Get active sessions
+  getSessions: () => {
+    return api.get('/auth/sessions');
+  },
+
+  // Revoke a session
+  revokeSession: (id) => {
+    return api.delete(`/auth/sessions/${id}`);
+  },
+
+  // Update preferences ({ homeCurrency })
+  updatePreferences: (preferences) => {
+    return api.put('/auth/preferences', preferences);
   },
 };
 
@@ -147,6 +228,10 @@ export const tripAPI = {
       formData.append('budget', tripData.budget);
     }
 
+    if (tripData.currency) {
+      formData.append('currency', tripData.currency);
+    }
+
     if (tripData.coverPhoto) {
       formData.append('coverPhoto', tripData.coverPhoto);
     }
@@ -169,8 +254,8 @@ export const tripAPI = {
     return api.get(`/trips/${id}`);
   },
 
-  // Update trip
-  updateTrip: (id, tripData) => {
+  // Update trip (version defaults to tripData.version)
+  updateTrip: (id, tripData, version = tripData.version) => {
     const formData = new FormData();
 
     Object.keys(tripData).forEach(key => {
@@ -184,6 +269,7 @@ export const tripAPI = {
     return api.put(`/trips/${id}`, formData, {
       headers: {
         'Content-Type': 'multipart/form-data',
+        ...ifMatch(version),
       },
       timeout: 30000,
     });
@@ -194,14 +280,93 @@ export const tripAPI = {
     return api.delete(`/trips/${id}`);
   },
 
-  // Share trip
-  shareTrip: (id) => {
-    return api.post(`/trips/${id}/share`);
+  // Create a share link (name, permission, expiresAt, password are optional)
+  shareTrip: (id, linkData = {}) => {
+    return api.post(`/trips/${id}/share-links`, linkData);
+  },
+
+  // Get active share links for a trip
+  getShareLinks: (id) => {
+    return api.get(`/trips/${id}/share-links`);
+  },
+
+  // Revoke a share link
+  revokeShareLink: (id, linkId) => {
+    return api.delete(`/trips/${id}/share-links/${linkId}`);
+  },
+
+  // Get comments left through the trip's share links
+  getShareComments: (id) => {
+    return api.get(`/trips/${id}/share-comments`);
+  },
+
+  // Delete a comment left through a share link
+  deleteShareComment: (id, commentId) => {
+    return api.delete(`/trips/${id}/share-comments/${commentId}`);
+  },
+
+  // Download a trip as a JSON archive
+  exportArchive: (id) => {
+    return api.get(`/trips/${id}/export.json`, { responseType: 'blob' });
+  },
+
+  // Download all of the current user's trips as one JSON archive
+  exportAllArchives: () => {
+    return api.get('/trips/export.json', { responseType: 'blob', timeout: 120000 });
+  },
+
+  // Restore trips from a JSON archive file
+  importArchive: (file) => {
+    const formData = new FormData();
+    formData.append('archive', file);
+
+    return api.post('/trips/import', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+      timeout: 120000,
+    });
+  },
+
+  // Download a printable PDF booklet of the trip
+  exportPdf: (id) => {
+    return api.get(`/trips/${id}/export.pdf`, { responseType: 'blob', timeout: 60000 });
+  },
+
+  // Get shared trip (password only needed for protected links)
+  getSharedTrip: (publicUrl, password) => {
+    return api.get(`/trips/shared/${publicUrl}`, {
+      headers: password ? { 'X-Share-Password': password } : {},
+    });
+  },
+
+  // Comment on a shared trip through a comment link (authorName, body)
+  addSharedTripComment: (publicUrl, comment, password) => {
+    return api.post(`/trips/shared/${publicUrl}/comments`, comment, {
+      headers: password ? { 'X-Share-Password': password } : {},
+    });
+  },
+
+  // Copy a shared trip into the current user's account
+  cloneSharedTrip: (publicUrl, options = {}, password) => {
+    return api.post(`/trips/shared/${publicUrl}/clone`, options, {
+      headers: password ? { 'X-Share-Password': password } : {},
+    });
+  },
+
+  // Copy a trip (own, shared with the user, or featured) into the current user's account
+  cloneTrip: (id, options = {}) => {
+    return api.post(`/trips/${id}/clone`, options);
+  },
+
+  // Get featured trips
+  getFeaturedTrips: (limit = 12) => {
+    return api.get('/trips/featured', { params: { limit } });
   },
 
-  // Get shared trip
-  getSharedTrip: (publicUrl) => {
-    return api.get(`/trips/shared/${publicUrl}`);
+  // Get a featured trip
+  getFeaturedTrip: (id) => {
+    return api.get(`/trips/featured/${id}`);
   },
 
   // Get trip statistics
@@ -250,6 +415,128 @@ export const tripAPI = {
   },
 };
 
+// Utility functions for file downloads
+export const fileUtils = {
+  // Save a blob response (requested with responseType: 'blob') as a file
+  saveResponse: (response, fallbackName) => {
+    const disposition = response.headers?.['content-disposition'] || '';
+    const match = /filename="?([^";]+)"?/.exec(disposition);
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = match ? match[1] : fallbackName;
+    link.click();
+    URL.revokeObjectURL(url);
+  },
+
+  // Absolute URL for a server path such as a signed document link
+  serverUrl: (path) => `${import.meta.env.VITE_API_BASE_URL || 'http://localhost:5001'}${path}`,
+};
+
+// Schedule conflict helpers for results from itineraryAPI.getConflicts
+export const conflictUtils = {
+  // Map of item ID -> conflicts that item is part of
+  byItem: (conflicts = []) => {
+    const map = new Map();
+    conflicts.forEach(conflict => {
+      conflict.item_ids.forEach(id => {
+        map.set(id, [...(map.get(id) || []), conflict]);
+      });
+    });
+    return map;
+  },
+
+  // Worst severity in a list of conflicts, or null if there are none
+  severity: (conflicts = []) => {
+    if (conflicts.length === 0) return null;
+    return conflicts.some(conflict => conflict.severity === 'error') ? 'error' : 'warning';
+  },
+};
+
+// Currency helpers; rates are units per 1 USD, as returned by /exchange-rates
+export const currencyUtils = {
+  DEFAULT_CURRENCY: 'INR',
+
+  COMMON_CURRENCIES: ['INR', 'USD', 'EUR', 'GBP', 'AED', 'JPY', 'SGD', 'THB', 'AUD', 'CAD'],
+
+  // Format an amount, e.g. format(1200, 'EUR') → "€1,200"
+  format: (amount, currency = 'INR', options = {}) => {
+    try {
+      return new Intl.NumberFormat(currency === 'INR' ? 'en-IN' : undefined, {
+        style: 'currency',
+        currency,
+        maximumFractionDigits: 2,
+        ...options,
+      }).format(Number(amount) || 0);
+    } catch {
+      return `${currency} ${(Number(amount) || 0).toLocaleString()}`;
+    }
+  },
+
+  // Turn the /exchange-rates list into a { CODE: rate } map
+  toRateMap: (rates = []) => Object.fromEntries(rates.map(({ currency, rate }) => [currency, Number(rate)])),
+
+  // Convert between currencies; null when either rate is missing
+  convert: (amount, from, to, rateMap) => {
+    if (from === to) return Number(amount) || 0;
+    if (!rateMap[from] || !rateMap[to]) return null;
+    return ((Number(amount) || 0) / rateMap[from]) * rateMap[to];
+  },
+
+  // A trip's budget, or its cost so far when it has none, in the user's home
+  // currency when the trip list included home_* amounts
+  tripAmount: (trip) => Number(
+    trip.home_currency ? (trip.home_budget || trip.home_total_cost) : (trip.budget || trip.total_cost)
+  ) || 0,
+
+  // Get stored exchange rates
+  getRates: () => {
+    return api.get('/exchange-rates');
+  },
+};
+
+// Itinerary time helpers. Items carry start_time/end_time as local times at the
+// destination ("YYYY-MM-DDTHH:mm"), start_time_utc/end_time_utc as instants and
+// their time_zone; items without a zone only have the local time.
+export const timeUtils = {
+  browserTimeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+
+  TIME_ZONES: typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [],
+
+  // Format an item's start_time or end_time, in destination time or, with
+  // myTime, in the browser's zone
+  format: (item, key, options, { myTime = false } = {}) => {
+    const local = item?.[key];
+    if (!local) return '';
+
+    if (myTime && item.time_zone && item[`${key}_utc`]) {
+      return new Date(item[`${key}_utc`]).toLocaleString('en-US', options);
+    }
+    // Read the wall-clock time as UTC so the browser's zone can't shift it
+    return new Date(`${local.slice(0, 16)}Z`).toLocaleString('en-US', { ...options, timeZone: 'UTC' });
+  },
+
+  // Local date ("YYYY-MM-DD") an item starts on, or null if it has no time
+  dayOf: (item, { myTime = false } = {}) => {
+    if (!item?.start_time) return null;
+    if (myTime && item.time_zone && item.start_time_utc) {
+      return new Date(item.start_time_utc).toLocaleDateString('en-CA');
+    }
+    return item.start_time.slice(0, 10);
+  },
+
+  // Short name of a zone at a moment, e.g. "GMT+9" or "CEST"
+  zoneName: (timeZone, at = new Date()) => {
+    try {
+      return new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+        .formatToParts(new Date(at))
+        .find(part => part.type === 'timeZoneName')?.value || timeZone;
+    } catch {
+      return timeZone;
+    }
+  },
+};
+
 // Utility functions for token management
 export const tokenUtils = {
   // Get token from localStorage
@@ -265,9 +552,20 @@ export const tokenUtils = {
     localStorage.setItem('token', token);
   },
 
-  // Remove token from localStorage
+  // Get refresh token from localStorage
+  getRefreshToken: () => {
+    return localStorage.getItem('refreshToken');
+  },
+
+  // Set refresh token in localStorage
+  setRefreshToken: (refreshToken) => {
+    localStorage.setItem('refreshToken', refreshToken);
+  },
+
+  // Remove tokens from localStorage
   removeToken: () => {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
   },
 
@@ -416,9 +714,11 @@ export const itineraryAPI = {
     return api.get(`/itinerary/${id}`);
   },
 
-  // Update itinerary item
-  updateItem: (id, itemData) => {
-    return api.put(`/itinerary/${id}`, itemData);
+  // Update itinerary item (version defaults to itemData.version)
+  updateItem: (id, itemData, version = itemData.version) => {
+    return api.put(`/itinerary/${id}`, itemData, {
+      headers: ifMatch(version),
+    });
   },
 
   // Delete itinerary item
@@ -426,9 +726,22 @@ export const itineraryAPI = {
     return api.delete(`/itinerary/${id}`);
   },
 
-  // Reorder itinerary items
+  // Reorder itinerary items; each item's version guards against concurrent edits.
+  // Items carrying startTime (and endTime) are moved to those times as well.
   reorderItems: (tripId, items) => {
-    return api.put(`/trips/${tripId}/itinerary/reorder`, { items });
+    return api.put(`/trips/${tripId}/itinerary/reorder`, {
+      items: items.map(({ id, version, startTime, endTime }) => ({ id, version, startTime, endTime })),
+    });
+  },
+
+  // Check the itinerary for overlaps, out-of-range items, wrong-city days and impossible travel
+  getConflicts: (tripId) => {
+    return api.get(`/trips/${tripId}/itinerary/conflicts`);
+  },
+
+  // Suggest shorter visiting orders for the trip's cities and each day's stops
+  getRouteSuggestions: (tripId) => {
+    return api.get(`/trips/${tripId}/itinerary/route-suggestions`);
   },
 
   // Get trip summary
@@ -440,6 +753,249 @@ export const itineraryAPI = {
   getCostBreakdown: (tripId) => {
     return api.get(`/trips/${tripId}/cost-breakdown`);
   },
+
+  // Parse an .ics file into proposed itinerary items without saving anything
+  previewCalendarImport: (tripId, file) => {
+    const formData = new FormData();
+    formData.append('calendar', file);
+
+    return api.post(`/trips/${tripId}/itinerary/import/preview`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+      timeout: 30000,
+    });
+  },
+
+  // Save the items confirmed from an import preview
+  importCalendarItems: (tripId, items) => {
+    return api.post(`/trips/${tripId}/itinerary/import`, { items });
+  },
+
+  // Plan chosen activities into the trip's days without saving anything
+  // (options: dayStart, dayEnd, mealBreaks)
+  previewAutoSchedule: (tripId, activityIds, options = {}) => {
+    return api.post(`/trips/${tripId}/itinerary/auto-schedule/preview`, { activityIds, ...options });
+  },
+
+  // Save the items confirmed from an auto-schedule preview
+  applyAutoSchedule: (tripId, items) => {
+    return api.post(`/trips/${tripId}/itinerary/auto-schedule`, {
+      items: items.map(({ activityId, startTime, endTime }) => ({ activityId, startTime, endTime })),
+    });
+  },
+
+  // Download the itinerary as an .ics file
+  exportCalendar: (tripId) => {
+    return api.get(`/trips/${tripId}/itinerary.ics`, { responseType: 'blob' });
+  },
+
+  // Get the current user's calendar subscription URL (created on first request)
+  getCalendarFeed: (tripId) => {
+    return api.get(`/trips/${tripId}/calendar-feed`);
+  },
+
+  // Replace the calendar subscription URL; the old one stops working
+  resetCalendarFeed: (tripId) => {
+    return api.post(`/trips/${tripId}/calendar-feed/reset`);
+  },
+
+  // Turn off the calendar subscription
+  revokeCalendarFeed: (tripId) => {
+    return api.delete(`/trips/${tripId}/calendar-feed`);
+  },
+};
+
+// Trip member API methods
+export const memberAPI = {
+  // Get members of a trip
+  getMembers: (tripId) => {
+    return api.get(`/trips/${tripId}/members`);
+  },
+
+  // Invite a member by email
+  inviteMember: (tripId, inviteData) => {
+    return api.post(`/trips/${tripId}/members`, inviteData);
+  },
+
+  // Change a member's role
+  updateMemberRole: (tripId, memberId, role) => {
+    return api.put(`/trips/${tripId}/members/${memberId}`, { role });
+  },
+
+  // Remove a member or leave a trip
+  removeMember: (tripId, memberId) => {
+    return api.delete(`/trips/${tripId}/members/${memberId}`);
+  },
+
+  // Get pending invitations for the current user
+  getInvitations: () => {
+    return api.get('/invitations');
+  },
+
+  // Accept an invitation
+  acceptInvitation: (id) => {
+    return api.post(`/invitations/${id}/accept`);
+  },
+
+  // Decline an invitation
+  declineInvitation: (id) => {
+    return api.post(`/invitations/${id}/decline`);
+  },
+};
+
+// Trip budget envelope API methods
+export const budgetAPI = {
+  // Get envelopes and spending against them
+  getBudget: (tripId) => {
+    return api.get(`/trips/${tripId}/budget`);
+  },
+
+  // Add an envelope ({category, amount} or {date, amount})
+  createBudget: (tripId, budgetData) => {
+    return api.post(`/trips/${tripId}/budget`, budgetData);
+  },
+
+  // Change an envelope's amount
+  updateBudget: (tripId, budgetId, amount) => {
+    return api.put(`/trips/${tripId}/budget/${budgetId}`, { amount });
+  },
+
+  // Remove an envelope
+  deleteBudget: (tripId, budgetId) => {
+    return api.delete(`/trips/${tripId}/budget/${budgetId}`);
+  },
+};
+
+// Trip expense API methods
+const toExpenseFormData = (expenseData) => {
+  const formData = new FormData();
+
+  Object.entries(expenseData).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      formData.append(key, Array.isArray(value) ? JSON.stringify(value) : value);
+    }
+  });
+
+  return formData;
+};
+
+export const expenseAPI = {
+  // Get a trip's expenses and actual totals (category, date)
+  getExpenses: (tripId, params = {}) => {
+    return api.get(`/trips/${tripId}/expenses`, { params });
+  },
+
+  // Get per-person balances, suggested transfers and the shared expenses behind them
+  getBalances: (tripId) => {
+    return api.get(`/trips/${tripId}/balances`);
+  },
+
+  // Log an expense (amount, currency, category, date, description, itineraryItemId, receipt file,
+  // and for a shared expense paidBy, splitMode and participants [{userId, share}])
+  createExpense: (tripId, expenseData) => {
+    return api.post(`/trips/${tripId}/expenses`, toExpenseFormData(expenseData), {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+      timeout: 30000,
+    });
+  },
+
+  // Update an expense (same fields, plus removeReceipt)
+  updateExpense: (tripId, expenseId, expenseData) => {
+    return api.put(`/trips/${tripId}/expenses/${expenseId}`, toExpenseFormData(expenseData), {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+      timeout: 30000,
+    });
+  },
+
+  // Delete an expense
+  deleteExpense: (tripId, expenseId) => {
+    return api.delete(`/trips/${tripId}/expenses/${expenseId}`);
+  },
+};
+
+// Travel leg API methods
+export const travelLegAPI = {
+  // Get legs between consecutive stops, with distance, per-mode estimates and any saved leg
+  getTravelLegs: (tripId) => {
+    return api.get(`/trips/${tripId}/travel-legs`);
+  },
+
+  // Add the leg between two consecutive stops (fromTripCityId, toTripCityId, mode,
+  // departureTime, arrivalTime, cost, currency, bookingReference, notes)
+  createTravelLeg: (tripId, legData) => {
+    return api.post(`/trips/${tripId}/travel-legs`, legData);
+  },
+
+  // Update a travel leg (same fields, minus the stops)
+  updateTravelLeg: (tripId, legId, legData) => {
+    return api.put(`/trips/${tripId}/travel-legs/${legId}`, legData);
+  },
+
+  // Remove a travel leg
+  deleteTravelLeg: (tripId, legId) => {
+    return api.delete(`/trips/${tripId}/travel-legs/${legId}`);
+  },
+};
+
+// Trip document API methods
+export const documentAPI = {
+  // Get a trip's documents with signed download URLs (itineraryItemId, kind)
+  getDocuments: (tripId, params = {}) => {
+    return api.get(`/trips/${tripId}/documents`, { params });
+  },
+
+  // Upload files (kind, itineraryItemId)
+  uploadDocuments: (tripId, files, { kind, itineraryItemId } = {}) => {
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+    if (kind) formData.append('kind', kind);
+    if (itineraryItemId) formData.append('itineraryItemId', itineraryItemId);
+
+    return api.post(`/trips/${tripId}/documents`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+      timeout: 60000,
+    });
+  },
+
+  // Delete a document
+  deleteDocument: (tripId, documentId) => {
+    return api.delete(`/trips/${tripId}/documents/${documentId}`);
+  },
+};
+
+// Trip template API methods
+export const templateAPI = {
+  // Browse templates (country, cityId, minDays, maxDays, search)
+  getTemplates: (params = {}) => {
+    return api.get('/templates', { params });
+  },
+
+  // Get template details
+  getTemplate: (id) => {
+    return api.get(`/templates/${id}`);
+  },
+
+  // Save a trip as a template
+  createTemplate: (tripId, templateData = {}) => {
+    return api.post('/templates', { tripId, ...templateData });
+  },
+
+  // Delete a template
+  deleteTemplate: (id) => {
+    return api.delete(`/templates/${id}`);
+  },
+
+  // Create a trip from a template (startDate, title, budget, days)
+  instantiateTemplate: (id, options) => {
+    return api.post(`/templates/${id}/instantiate`, options);
+  },
 };
 
 // Admin API methods
@@ -508,6 +1064,23 @@ export const adminAPI = {
     return api.delete(`/admin/activities/${id}`);
   },
 
+  // Template management
+  getTemplates: (params = {}) => {
+    return api.get('/admin/templates', { params });
+  },
+
+  createTemplate: (templateData) => {
+    return api.post('/admin/templates', templateData);
+  },
+
+  updateTemplate: (id, templateData) => {
+    return api.put(`/admin/templates/${id}`, templateData);
+  },
+
+  deleteTemplate: (id) => {
+    return api.delete(`/admin/templates/${id}`);
+  },
+
   // System monitoring
   getSystemHealth: () => {
     return api.get('/admin/system/health');
@@ -525,6 +1098,26 @@ export const adminAPI = {
   getRevenueAnalytics: (period = '30d') => {
     return api.get('/admin/analytics/revenue', { params: { period } });
   },
+
+  // Exchange rates
+  getExchangeRates: () => {
+    return api.get('/admin/exchange-rates');
+  },
+
+  uploadExchangeRates: (file) => {
+    const formData = new FormData();
+    formData.append('rates', file);
+
+    return api.post('/admin/exchange-rates/upload', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+  },
+
+  refreshExchangeRates: () => {
+    return api.post('/admin/exchange-rates/refresh');
+  },
 };
 
 export default api;
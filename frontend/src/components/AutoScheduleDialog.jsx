@@ -0,0 +1,303 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Checkbox,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  ListSubheader,
+  Chip,
+  TextField,
+  Alert,
+  Typography,
+} from '@mui/material';
+import { AutoAwesome, Restaurant } from '@mui/icons-material';
+import { activityAPI, itineraryAPI, tripAPI, currencyUtils } from '../api/client.js';
+
+const DEFAULT_MEALS = [
+  { label: 'Lunch', start: '12:30', minutes: 60 },
+  { label: 'Dinner', start: '19:00', minutes: 90 },
+];
+
+// Plan times are wall-clock "YYYY-MM-DDTHH:mm" strings
+const clockTime = (value) => value.slice(11, 16);
+
+const formatDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString(undefined, {
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+});
+
+function AutoScheduleDialog({ open, onClose, tripId, currency, onApplied }) {
+  const [cities, setCities] = useState([]);
+  const [activitiesByCity, setActivitiesByCity] = useState({});
+  const [chosen, setChosen] = useState([]);
+  const [dayStart, setDayStart] = useState('09:00');
+  const [dayEnd, setDayEnd] = useState('21:00');
+  const [meals, setMeals] = useState(DEFAULT_MEALS);
+  const [plan, setPlan] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setChosen([]);
+      setPlan(null);
+      setMessage(null);
+      loadActivities();
+    }
+  }, [open, tripId]);
+
+  const loadActivities = async () => {
+    try {
+      const citiesResponse = await tripAPI.getTripCities(tripId);
+      const tripCities = citiesResponse.data.cities;
+      setCities(tripCities);
+
+      if (tripCities.length === 0) {
+        setActivitiesByCity({});
+        return;
+      }
+
+      const response = await activityAPI.getActivitiesForCities(
+        [...new Set(tripCities.map(city => city.city_id))],
+        { limit: 20 }
+      );
+      setActivitiesByCity(response.data.activitiesByCity);
+    } catch (error) {
+      console.error('Failed to load activities:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to load activities.' });
+    }
+  };
+
+  // Checking order is the wish-list order: earlier picks win ties
+  const toggleActivity = (activityId) => {
+    setPlan(null);
+    setChosen(prev => (prev.includes(activityId)
+      ? prev.filter(id => id !== activityId)
+      : [...prev, activityId]));
+  };
+
+  const updateMeal = (index, changes) => {
+    setPlan(null);
+    setMeals(prev => prev.map((meal, i) => (i === index ? { ...meal, ...changes } : meal)));
+  };
+
+  const handlePreview = async () => {
+    try {
+      setLoading(true);
+      setMessage(null);
+      const response = await itineraryAPI.previewAutoSchedule(tripId, chosen, {
+        dayStart,
+        dayEnd,
+        mealBreaks: meals
+          .filter(meal => meal.start && Number(meal.minutes) > 0)
+          .map(meal => ({ ...meal, minutes: Number(meal.minutes) })),
+      });
+      setPlan(response.data.plan);
+    } catch (error) {
+      console.error('Failed to plan activities:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to plan activities.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleApply = async () => {
+    try {
+      setLoading(true);
+      const response = await itineraryAPI.applyAutoSchedule(tripId, plan.items);
+      onApplied(response.data);
+    } catch (error) {
+      console.error('Failed to schedule activities:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to schedule activities.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // A city can be on the trip twice; list its activities once
+  const listedCities = cities.filter((city, index) => (
+    cities.findIndex(other => other.city_id === city.city_id) === index
+  ));
+  const plannedDays = plan ? plan.days.filter(day => day.items.length > 0) : [];
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Plan My Days</DialogTitle>
+      <DialogContent>
+        {message && (
+          <Alert severity={message.type} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message.text}
+          </Alert>
+        )}
+
+        {!plan ? (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Pick the activities you want to do, most important first. They are fitted into the days you
+              spend in each city around meals, opening hours and what is already planned.
+            </Typography>
+
+            <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mb: 2 }}>
+              <TextField
+                label="Day starts"
+                type="time"
+                size="small"
+                value={dayStart}
+                onChange={(e) => setDayStart(e.target.value)}
+                InputLabelProps={{ shrink: true }}
+              />
+              <TextField
+                label="Day ends"
+                type="time"
+                size="small"
+                value={dayEnd}
+                onChange={(e) => setDayEnd(e.target.value)}
+                InputLabelProps={{ shrink: true }}
+              />
+              {meals.map((meal, index) => (
+                <Box key={meal.label} sx={{ display: 'flex', gap: 1 }}>
+                  <TextField
+                    label={meal.label}
+                    type="time"
+                    size="small"
+                    value={meal.start}
+                    onChange={(e) => updateMeal(index, { start: e.target.value })}
+                    InputLabelProps={{ shrink: true }}
+                  />
+                  <TextField
+                    label="Minutes"
+                    type="number"
+                    size="small"
+                    value={meal.minutes}
+                    onChange={(e) => updateMeal(index, { minutes: e.target.value })}
+                    inputProps={{ min: 0, max: 240, step: 15 }}
+                    sx={{ width: 100 }}
+                  />
+                </Box>
+              ))}
+            </Box>
+
+            {cities.length === 0 ? (
+              <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+                Add cities to the trip first.
+              </Typography>
+            ) : (
+              <List dense>
+                {listedCities.map(city => (
+                  <React.Fragment key={city.city_id}>
+                    <ListSubheader disableSticky>{city.name}</ListSubheader>
+                    {(activitiesByCity[city.city_id] || []).length === 0 && (
+                      <ListItem>
+                        <ListItemText secondary="No activities found for this city." />
+                      </ListItem>
+                    )}
+                    {(activitiesByCity[city.city_id] || []).map(activity => (
+                      <ListItem key={activity.id} button onClick={() => toggleActivity(activity.id)}>
+                        <ListItemIcon sx={{ minWidth: 0 }}>
+                          <Checkbox edge="start" checked={chosen.includes(activity.id)} tabIndex={-1} disableRipple />
+                        </ListItemIcon>
+                        <ListItemText
+                          primary={activity.name}
+                          secondary={[
+                            activity.duration_hours && `${Number(activity.duration_hours)}h`,
+                            activity.opens_at && activity.closes_at &&
+                              `open ${activity.opens_at.slice(0, 5)}–${activity.closes_at.slice(0, 5)}`,
+                            activity.cost_min != null && currencyUtils.format(activity.cost_min, currency),
+                          ].filter(Boolean).join(' · ')}
+                        />
+                        {chosen.includes(activity.id) && (
+                          <Chip label={`#${chosen.indexOf(activity.id) + 1}`} size="small" color="primary" />
+                        )}
+                      </ListItem>
+                    ))}
+                  </React.Fragment>
+                ))}
+              </List>
+            )}
+          </>
+        ) : (
+          <>
+            {plan.unscheduled.length > 0 && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                {plan.unscheduled.length === 1 ? 'One activity' : `${plan.unscheduled.length} activities`} could
+                not be scheduled:
+                <Box component="ul" sx={{ m: 0, pl: 2 }}>
+                  {plan.unscheduled.map(entry => (
+                    <li key={entry.activityId}>{entry.title}: {entry.message}</li>
+                  ))}
+                </Box>
+              </Alert>
+            )}
+
+            {plannedDays.length === 0 ? (
+              <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+                Nothing could be fitted in. Try a longer day or fewer activities.
+              </Typography>
+            ) : (
+              <List dense>
+                {plannedDays.map(day => (
+                  <React.Fragment key={`${day.date}-${day.cityId}`}>
+                    <ListSubheader disableSticky>{formatDate(day.date)} · {day.cityName}</ListSubheader>
+                    {[
+                      ...day.items.map(item => ({ ...item, kind: 'activity' })),
+                      ...day.breaks.map(meal => ({ ...meal, kind: 'break' })),
+                    ]
+                      .sort((a, b) => a.startTime.localeCompare(b.startTime))
+                      .map(entry => (entry.kind === 'break' ? (
+                        <ListItem key={`break-${entry.label}`} sx={{ color: 'text.secondary' }}>
+                          <ListItemIcon sx={{ minWidth: 32 }}>
+                            <Restaurant fontSize="small" />
+                          </ListItemIcon>
+                          <ListItemText
+                            secondary={`${clockTime(entry.startTime)}–${clockTime(entry.endTime)} ${entry.label}`}
+                          />
+                        </ListItem>
+                      ) : (
+                        <ListItem key={entry.activityId}>
+                          <ListItemIcon sx={{ minWidth: 32 }}>
+                            <AutoAwesome fontSize="small" color="primary" />
+                          </ListItemIcon>
+                          <ListItemText
+                            primary={`${clockTime(entry.startTime)}–${clockTime(entry.endTime)} ${entry.title}`}
+                            secondary={[
+                              entry.travelMinutes > 0 && `${entry.travelMinutes} min to get there`,
+                              entry.cost != null && currencyUtils.format(entry.cost, currency),
+                            ].filter(Boolean).join(' · ')}
+                          />
+                        </ListItem>
+                      )))}
+                  </React.Fragment>
+                ))}
+              </List>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        {plan ? (
+          <>
+            <Button onClick={() => setPlan(null)} disabled={loading}>Back</Button>
+            <Button variant="contained" onClick={handleApply} disabled={plan.items.length === 0 || loading}>
+              {loading ? 'Adding...' : `Add ${plan.items.length} to itinerary`}
+            </Button>
+          </>
+        ) : (
+          <Button variant="contained" onClick={handlePreview} disabled={chosen.length === 0 || loading}>
+            {loading ? 'Planning...' : 'Plan days'}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default AutoScheduleDialog;
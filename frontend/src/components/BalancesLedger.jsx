@@ -0,0 +1,123 @@
+import React from 'react';
+import {
+  Alert,
+  Box,
+  Card,
+  CardContent,
+  Chip,
+  Grid,
+  List,
+  ListItem,
+  ListItemText,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Typography,
+} from '@mui/material';
+import { ArrowForward } from '@mui/icons-material';
+import ExpenseList from './ExpenseList.jsx';
+import { currencyUtils } from '../api/client.js';
+
+function BalancesLedger({ tripId, itineraryItems = [], ledger = null, onChanged }) {
+  if (!ledger) {
+    return null;
+  }
+
+  const { currency, participants, balances, transfers, expenses, unconverted_currencies: unconverted } = ledger;
+  const format = (amount) => currencyUtils.format(amount, currency);
+
+  return (
+    <Box>
+      {unconverted.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 3 }}>
+          Expenses in {unconverted.join(', ')} are left out of the balances because there is no exchange rate
+          to {currency}.
+        </Alert>
+      )}
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={7}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>Balances</Typography>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Person</TableCell>
+                    <TableCell align="right">Paid</TableCell>
+                    <TableCell align="right">Share</TableCell>
+                    <TableCell align="right">Balance</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {balances.map(person => (
+                    <TableRow key={person.user_id}>
+                      <TableCell>{person.name}</TableCell>
+                      <TableCell align="right">{format(person.paid)}</TableCell>
+                      <TableCell align="right">{format(person.owed)}</TableCell>
+                      <TableCell align="right">
+                        <Typography
+                          variant="body2"
+                          fontWeight="bold"
+                          color={person.balance > 0 ? 'success.main' : person.balance < 0 ? 'error.main' : 'text.secondary'}
+                        >
+                          {person.balance > 0 && '+'}{format(person.balance)}
+                        </Typography>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </CardContent>
+          </Card>
+        </Grid>
+
+        <Grid item xs={12} md={5}>
+          <Card sx={{ height: '100%' }}>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>Settle Up</Typography>
+              {transfers.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  Everyone is square.
+                </Typography>
+              ) : (
+                <List dense>
+                  {transfers.map(transfer => (
+                    <ListItem key={`${transfer.from.user_id}-${transfer.to.user_id}`} disableGutters>
+                      <ListItemText
+                        primary={
+                          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                            {transfer.from.name}
+                            <ArrowForward fontSize="small" color="action" />
+                            {transfer.to.name}
+                            <Chip label={format(transfer.amount)} size="small" color="primary" />
+                          </Box>
+                        }
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+
+      <ExpenseList
+        tripId={tripId}
+        currency={currency}
+        itineraryItems={itineraryItems}
+        participants={participants}
+        expenses={expenses}
+        title="Shared Expenses"
+        emptyText="No shared expenses yet. Log one and choose how to split it to see who owes whom."
+        defaultSplitMode="equal"
+        onChanged={onChanged}
+      />
+    </Box>
+  );
+}
+
+export default BalancesLedger;
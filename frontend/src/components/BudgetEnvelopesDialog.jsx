@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Alert,
+  Typography,
+  Divider,
+} from '@mui/material';
+import { Delete, Save } from '@mui/icons-material';
+import { budgetAPI } from '../api/client.js';
+
+const CATEGORY_OPTIONS = ['flight', 'hotel', 'transport', 'restaurant', 'activity', 'other'];
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const envelopeLabel = (budget) => (
+  budget.category
+    ? capitalize(budget.category)
+    : new Date(`${budget.budget_date}T00:00:00`).toLocaleDateString(undefined, { dateStyle: 'medium' })
+);
+
+function BudgetEnvelopesDialog({ open, onClose, tripId, currency, onChanged }) {
+  const [budgets, setBudgets] = useState([]);
+  const [amounts, setAmounts] = useState({});
+  const [newEnvelope, setNewEnvelope] = useState({ scope: 'category', category: 'hotel', date: '', amount: '' });
+  const [message, setMessage] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setMessage(null);
+      loadBudgets();
+    }
+  }, [open]);
+
+  const loadBudgets = async () => {
+    try {
+      const response = await budgetAPI.getBudget(tripId);
+      setBudgets(response.data.budgets);
+      setAmounts(Object.fromEntries(response.data.budgets.map(budget => [budget.id, String(budget.amount)])));
+    } catch (error) {
+      console.error('Failed to load budgets:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to load budgets.' });
+    }
+  };
+
+  const runChange = async (change, successText) => {
+    try {
+      setSaving(true);
+      setMessage(null);
+      await change();
+      await loadBudgets();
+      setMessage({ type: 'success', text: successText });
+      if (onChanged) onChanged();
+    } catch (error) {
+      console.error('Failed to save budget:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to save budget.' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdd = () => runChange(async () => {
+    const { scope, category, date, amount } = newEnvelope;
+    await budgetAPI.createBudget(tripId, scope === 'category' ? { category, amount } : { date, amount });
+    setNewEnvelope(prev => ({ ...prev, date: '', amount: '' }));
+  }, 'Budget added');
+
+  const handleUpdate = (budget) => runChange(
+    () => budgetAPI.updateBudget(tripId, budget.id, amounts[budget.id]),
+    `${envelopeLabel(budget)} budget updated`
+  );
+
+  const handleDelete = (budget) => runChange(
+    () => budgetAPI.deleteBudget(tripId, budget.id),
+    `${envelopeLabel(budget)} budget removed`
+  );
+
+  const renderEnvelopes = (title, envelopes) => envelopes.length > 0 && (
+    <>
+      <Typography variant="subtitle2" sx={{ mt: 1 }}>{title}</Typography>
+      <List dense>
+        {envelopes.map(budget => (
+          <ListItem key={budget.id} sx={{ gap: 1 }}>
+            <ListItemText primary={envelopeLabel(budget)} />
+            <TextField
+              size="small"
+              type="number"
+              label={currency}
+              value={amounts[budget.id] ?? ''}
+              onChange={(e) => setAmounts(prev => ({ ...prev, [budget.id]: e.target.value }))}
+              inputProps={{ min: 0, step: '0.01' }}
+              sx={{ width: 140 }}
+            />
+            <IconButton
+              onClick={() => handleUpdate(budget)}
+              disabled={saving || String(budget.amount) === amounts[budget.id]}
+            >
+              <Save />
+            </IconButton>
+            <IconButton onClick={() => handleDelete(budget)} disabled={saving}>
+              <Delete />
+            </IconButton>
+          </ListItem>
+        ))}
+      </List>
+    </>
+  );
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Budget Envelopes</DialogTitle>
+      <DialogContent>
+        {message && (
+          <Alert severity={message.type} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message.text}
+          </Alert>
+        )}
+
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          Set a limit for a category across the whole trip, or for everything on one day.
+          Amounts are in {currency}; you'll be warned when a new item goes over a limit.
+        </Typography>
+
+        {budgets.length === 0 && (
+          <Typography variant="body2" sx={{ my: 2 }}>No budgets yet.</Typography>
+        )}
+        {renderEnvelopes('By category', budgets.filter(budget => budget.category))}
+        {renderEnvelopes('By day', budgets.filter(budget => budget.budget_date))}
+
+        <Divider sx={{ my: 2 }} />
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center' }}>
+          <FormControl size="small" sx={{ minWidth: 120 }}>
+            <InputLabel>Limit</InputLabel>
+            <Select
+              value={newEnvelope.scope}
+              label="Limit"
+              onChange={(e) => setNewEnvelope(prev => ({ ...prev, scope: e.target.value }))}
+            >
+              <MenuItem value="category">Category</MenuItem>
+              <MenuItem value="day">Day</MenuItem>
+            </Select>
+          </FormControl>
+          {newEnvelope.scope === 'category' ? (
+            <FormControl size="small" sx={{ minWidth: 140 }}>
+              <InputLabel>Category</InputLabel>
+              <Select
+                value={newEnvelope.category}
+                label="Category"
+                onChange={(e) => setNewEnvelope(prev => ({ ...prev, category: e.target.value }))}
+              >
+                {CATEGORY_OPTIONS.map(category => (
+                  <MenuItem key={category} value={category}>{capitalize(category)}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          ) : (
+            <TextField
+              size="small"
+              type="date"
+              label="Day"
+              value={newEnvelope.date}
+              onChange={(e) => setNewEnvelope(prev => ({ ...prev, date: e.target.value }))}
+              InputLabelProps={{ shrink: true }}
+            />
+          )}
+          <TextField
+            size="small"
+            type="number"
+            label={`Amount (${currency})`}
+            value={newEnvelope.amount}
+            onChange={(e) => setNewEnvelope(prev => ({ ...prev, amount: e.target.value }))}
+            inputProps={{ min: 0, step: '0.01' }}
+            sx={{ width: 150 }}
+          />
+          <Button
+            variant="contained"
+            onClick={handleAdd}
+            disabled={saving || newEnvelope.amount === '' || (newEnvelope.scope === 'day' && !newEnvelope.date)}
+          >
+            Add
+          </Button>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export { envelopeLabel };
+export default BudgetEnvelopesDialog;
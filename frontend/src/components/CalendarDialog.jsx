@@ -0,0 +1,172 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  IconButton,
+  Tooltip,
+  InputAdornment,
+  Alert,
+  Divider,
+  Typography,
+} from '@mui/material';
+import {
+  Download,
+  ContentCopy,
+  Refresh,
+  LinkOff,
+  Event,
+} from '@mui/icons-material';
+import { itineraryAPI, fileUtils } from '../api/client.js';
+
+function CalendarDialog({ open, onClose, trip }) {
+  const [feed, setFeed] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (open && trip) {
+      setFeed(null);
+      setMessage(null);
+      loadFeed();
+    }
+  }, [open, trip?.id]);
+
+  const loadFeed = async () => {
+    try {
+      const response = await itineraryAPI.getCalendarFeed(trip.id);
+      setFeed(response.data.feed);
+    } catch (error) {
+      console.error('Failed to load calendar feed:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to load calendar feed.' });
+    }
+  };
+
+  const handleDownload = async () => {
+    try {
+      setBusy(true);
+      const response = await itineraryAPI.exportCalendar(trip.id);
+      fileUtils.saveResponse(response, 'trip.ics');
+    } catch (error) {
+      console.error('Failed to export calendar:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to export calendar.' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feed.feedUrl);
+      setMessage({ type: 'success', text: 'Copied subscription URL to clipboard' });
+    } catch (error) {
+      setMessage({ type: 'info', text: feed.feedUrl });
+    }
+  };
+
+  const handleReset = async () => {
+    try {
+      setBusy(true);
+      const response = await itineraryAPI.resetCalendarFeed(trip.id);
+      setFeed(response.data.feed);
+      setMessage({ type: 'success', text: 'New subscription URL created. The old one no longer works.' });
+    } catch (error) {
+      console.error('Failed to reset calendar feed:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to reset calendar feed.' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async () => {
+    try {
+      setBusy(true);
+      await itineraryAPI.revokeCalendarFeed(trip.id);
+      setFeed(null);
+      setMessage({ type: 'success', text: 'Calendar subscription turned off.' });
+    } catch (error) {
+      console.error('Failed to revoke calendar feed:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to revoke calendar feed.' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Add to Calendar</DialogTitle>
+      <DialogContent>
+        {message && (
+          <Alert severity={message.type} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message.text}
+          </Alert>
+        )}
+
+        <Typography variant="subtitle2" gutterBottom>
+          Download
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          A one-off .ics file with every scheduled item and each city stay.
+        </Typography>
+        <Button variant="outlined" startIcon={<Download />} onClick={handleDownload} disabled={busy}>
+          Download .ics
+        </Button>
+
+        <Divider sx={{ my: 2 }} />
+        <Typography variant="subtitle2" gutterBottom>
+          Subscribe
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          Calendar apps that subscribe to this URL pick up itinerary changes automatically.
+          Anyone with the URL can see the itinerary, so keep it private.
+        </Typography>
+
+        {feed ? (
+          <>
+            <TextField
+              fullWidth
+              size="small"
+              value={feed.feedUrl}
+              InputProps={{
+                readOnly: true,
+                endAdornment: (
+                  <InputAdornment position="end">
+                    <Tooltip title="Copy URL">
+                      <IconButton edge="end" onClick={handleCopy}>
+                        <ContentCopy />
+                      </IconButton>
+                    </Tooltip>
+                  </InputAdornment>
+                ),
+              }}
+            />
+            <Box sx={{ display: 'flex', gap: 1, mt: 1, flexWrap: 'wrap' }}>
+              <Button size="small" startIcon={<Event />} href={feed.webcalUrl}>
+                Open in calendar app
+              </Button>
+              <Button size="small" startIcon={<Refresh />} onClick={handleReset} disabled={busy}>
+                Reset URL
+              </Button>
+              <Button size="small" color="error" startIcon={<LinkOff />} onClick={handleRevoke} disabled={busy}>
+                Turn off
+              </Button>
+            </Box>
+          </>
+        ) : (
+          <Button variant="outlined" startIcon={<Event />} onClick={handleReset} disabled={busy || !trip}>
+            Create subscription URL
+          </Button>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default CalendarDialog;
@@ -0,0 +1,103 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControlLabel,
+  Checkbox,
+  Alert,
+  Typography,
+} from '@mui/material';
+
+const toDateInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+function CloneTripDialog({ open, onClose, trip, saving, error, onConfirm }) {
+  const [form, setForm] = useState({ title: '', startDate: '', resetBookings: true, resetCosts: false });
+
+  useEffect(() => {
+    if (open && trip) {
+      setForm({
+        title: trip.title || '',
+        startDate: toDateInput(trip.start_date),
+        resetBookings: true,
+        resetCosts: false,
+      });
+    }
+  }, [open, trip]);
+
+  const handleConfirm = () => {
+    onConfirm({
+      title: form.title,
+      startDate: form.startDate || undefined,
+      resetBookings: form.resetBookings,
+      resetCosts: form.resetCosts,
+    });
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Use this itinerary</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          A copy of the trip, its cities and its itinerary will be added to your trips.
+          All dates move with the start date you choose.
+        </Typography>
+        <TextField
+          fullWidth
+          margin="dense"
+          label="Trip title"
+          value={form.title}
+          onChange={(e) => setForm(prev => ({ ...prev, title: e.target.value }))}
+        />
+        <TextField
+          fullWidth
+          margin="dense"
+          type="date"
+          label="Start date"
+          InputLabelProps={{ shrink: true }}
+          value={form.startDate}
+          onChange={(e) => setForm(prev => ({ ...prev, startDate: e.target.value }))}
+        />
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={form.resetBookings}
+              onChange={(e) => setForm(prev => ({ ...prev, resetBookings: e.target.checked }))}
+            />
+          }
+          label="Clear booking references"
+        />
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={form.resetCosts}
+              onChange={(e) => setForm(prev => ({ ...prev, resetCosts: e.target.checked }))}
+            />
+          }
+          label="Clear costs"
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleConfirm} disabled={!form.title.trim() || saving}>
+          {saving ? 'Copying...' : 'Copy to my trips'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default CloneTripDialog;
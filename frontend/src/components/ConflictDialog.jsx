@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Radio,
+  Typography,
+} from '@mui/material';
+
+const displayValue = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return <Typography variant="body2" color="text.secondary" component="span">(empty)</Typography>;
+  }
+  return String(value);
+};
+
+/**
+ * Merge dialog shown when a save hits a version conflict (HTTP 409).
+ * Lists each field that differs between the user's edit and the latest
+ * server copy and lets the user pick a side per field.
+ */
+function ConflictDialog({
+  open,
+  title = 'Someone else changed this',
+  fields,
+  mine,
+  theirs,
+  saving = false,
+  onResolve,
+  onDiscard,
+  onClose,
+}) {
+  const [choices, setChoices] = useState({});
+
+  const changedFields = theirs
+    ? fields.filter(field => String(mine?.[field.key] ?? '') !== String(theirs[field.key] ?? ''))
+    : [];
+
+  useEffect(() => {
+    if (open) {
+      // Default to keeping the user's own edits
+      setChoices(Object.fromEntries(changedFields.map(field => [field.key, 'mine'])));
+    }
+  }, [open, theirs]);
+
+  const handleSave = () => {
+    const merged = { ...theirs };
+    fields.forEach(field => {
+      merged[field.key] = choices[field.key] === 'theirs' ? theirs[field.key] : mine[field.key];
+    });
+    onResolve(merged);
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>{title}</DialogTitle>
+      <DialogContent>
+        {!theirs ? (
+          <Alert severity="error">
+            This item was deleted by another planner, so your changes can't be saved.
+          </Alert>
+        ) : changedFields.length === 0 ? (
+          <Alert severity="info">
+            The latest version already matches your changes.
+          </Alert>
+        ) : (
+          <>
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              This was updated while you were editing. Choose which value to keep for each field.
+            </Alert>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Field</TableCell>
+                  <TableCell>Your version</TableCell>
+                  <TableCell>Latest version</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {changedFields.map(field => (
+                  <TableRow key={field.key}>
+                    <TableCell>{field.label}</TableCell>
+                    {['mine', 'theirs'].map(side => (
+                      <TableCell key={side}>
+                        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                          <Radio
+                            size="small"
+                            checked={choices[field.key] === side}
+                            onChange={() => setChoices(prev => ({ ...prev, [field.key]: side }))}
+                          />
+                          {displayValue(side === 'mine' ? mine[field.key] : theirs[field.key])}
+                        </Box>
+                      </TableCell>
+                    ))}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onDiscard}>
+          {theirs ? 'Discard my changes' : 'Close'}
+        </Button>
+        {theirs && (
+          <Button variant="contained" onClick={handleSave} disabled={saving}>
+            {saving ? 'Saving...' : 'Save merged version'}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ConflictDialog;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   DndContext,
   closestCenter,
@@ -41,12 +41,13 @@ import {
   Tooltip,
   Fab,
   Collapse,
+  Alert,
 } from '@mui/material';
 import {
   DragIndicator,
   Schedule,
   LocationOn,
-  CurrencyRupee,
+  Payments,
   Edit,
   Delete,
   Add,
@@ -57,10 +58,19 @@ import {
   Restaurant,
   LocalActivity,
   DirectionsCar,
+  WarningAmber,
 } from '@mui/icons-material';
+import { currencyUtils, conflictUtils, timeUtils } from '../api/client.js';
+
+const CONFLICT_COLORS = {
+  error: { border: '#d32f2f', background: '#fdecea' },
+  warning: { border: '#ed6c02', background: '#fff4e5' },
+};
 
 // Sortable Item Component
-function SortableItineraryItem({ item, onEdit, onDelete, onToggleExpand, expanded }) {
+function SortableItineraryItem({
+  item, currency, onEdit, onDelete, onToggleExpand, expanded, highlighted = false, conflicts = [], showMyTime = false,
+}) {
   const {
     attributes,
     listeners,
@@ -70,6 +80,8 @@ function SortableItineraryItem({ item, onEdit, onDelete, onToggleExpand, expande
     isDragging,
   } = useSortable({ id: item.id });
 
+  const conflictColors = CONFLICT_COLORS[conflictUtils.severity(conflicts)];
+
   const style = {
     transform: CSS.Transform.toString(transform),
     transition,
@@ -98,21 +110,20 @@ function SortableItineraryItem({ item, onEdit, onDelete, onToggleExpand, expande
     }
   };
 
-  const formatTime = (datetime) => {
-    if (!datetime) return '';
-    return new Date(datetime).toLocaleTimeString('en-US', {
-      hour: '2-digit',
-      minute: '2-digit',
-    });
-  };
+  // Destination time, or the viewer's own with showMyTime
+  const formatTime = (key) => timeUtils.format(item, key, {
+    hour: '2-digit',
+    minute: '2-digit',
+  }, { myTime: showMyTime });
 
-  const formatDate = (datetime) => {
-    if (!datetime) return '';
-    return new Date(datetime).toLocaleDateString('en-US', {
-      month: 'short',
-      day: 'numeric',
-    });
-  };
+  const formatDate = (key) => timeUtils.format(item, key, {
+    month: 'short',
+    day: 'numeric',
+  }, { myTime: showMyTime });
+
+  const zoneLabel = item.time_zone
+    ? timeUtils.zoneName(showMyTime ? timeUtils.browserTimeZone : item.time_zone, item.start_time_utc)
+    : null;
 
   return (
     <motion.div
@@ -127,8 +138,14 @@ function SortableItineraryItem({ item, onEdit, onDelete, onToggleExpand, expande
       <Card
         sx={{
           mb: 2,
-          border: isDragging ? '2px dashed #1976d2' : '1px solid #e0e0e0',
-          backgroundColor: isDragging ? '#f5f5f5' : 'white',
+          border: isDragging
+            ? '2px dashed #1976d2'
+            : highlighted ? '2px solid #ff9800'
+              : conflictColors ? `2px solid ${conflictColors.border}` : '1px solid #e0e0e0',
+          backgroundColor: isDragging ? '#f5f5f5'
+            : highlighted ? '#fff8e1'
+              : conflictColors ? conflictColors.background : 'white',
+          transition: 'border-color 0.3s, background-color 0.3s',
           cursor: isDragging ? 'grabbing' : 'grab',
           '&:hover': {
             boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
@@ -181,13 +198,26 @@ function SortableItineraryItem({ item, onEdit, onDelete, onToggleExpand, expande
                   <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
                     <Schedule fontSize="small" color="action" />
                     <Typography variant="body2" color="text.secondary">
-                      {formatDate(item.start_time)} at {formatTime(item.start_time)}
-                      {item.end_time && ` - ${formatTime(item.end_time)}`}
+                      {formatDate('start_time')} at {formatTime('start_time')}
+                      {item.end_time && ` - ${formatTime('end_time')}`}
+                      {zoneLabel && ` (${zoneLabel})`}
                     </Typography>
                   </Box>
                 )}
               </Box>
 
+              {conflicts.map(conflict => (
+                <Box
+                  key={`${conflict.type}-${conflict.item_ids.join('-')}`}
+                  sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mb: 1 }}
+                >
+                  <WarningAmber fontSize="small" color={conflict.severity} />
+                  <Typography variant="body2" color={`${conflict.severity}.main`}>
+                    {conflict.message}
+                  </Typography>
+                </Box>
+              ))}
+
               {item.location && (
                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mb: 1 }}>
                   <LocationOn fontSize="small" color="action" />
@@ -199,9 +229,9 @@ function SortableItineraryItem({ item, onEdit, onDelete, onToggleExpand, expande
 
               {item.cost && (
                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mb: 1 }}>
-                  <CurrencyRupee fontSize="small" color="action" />
+                  <Payments fontSize="small" color="action" />
                   <Typography variant="body2" color="text.secondary">
-                    ₹{parseFloat(item.cost).toLocaleString('en-IN')}
+                    {currencyUtils.format(item.cost, item.currency || currency)}
                   </Typography>
                 </Box>
               )}
@@ -253,13 +283,30 @@ function SortableItineraryItem({ item, onEdit, onDelete, onToggleExpand, expande
 }
 
 // Main Drag and Drop Itinerary Component
-function DragDropItinerary({ tripId, items = [], onItemsReorder, onItemEdit, onItemDelete, onItemAdd }) {
+function DragDropItinerary({
+  tripId,
+  items = [],
+  currency = currencyUtils.DEFAULT_CURRENCY,
+  onItemsReorder,
+  onItemEdit,
+  onItemDelete,
+  onItemAdd,
+  onItemsRefresh,
+  recentlyChangedIds = [],
+  conflicts = [],
+  showMyTime = false,
+}) {
   const [itineraryItems, setItineraryItems] = useState(items);
   const [activeId, setActiveId] = useState(null);
+  // Items received from the parent (e.g. remote edits) while a drag is in progress
+  const pendingItemsRef = useRef(null);
+  const isDraggingRef = useRef(false);
   const [expandedItems, setExpandedItems] = useState(new Set());
   const [editDialogOpen, setEditDialogOpen] = useState(false);
   const [editingItem, setEditingItem] = useState(null);
   const [addDialogOpen, setAddDialogOpen] = useState(false);
+  // { mine: items in our order, current: latest items from the server }
+  const [reorderConflict, setReorderConflict] = useState(null);
 
   const sensors = useSensors(
     useSensor(PointerSensor, {
@@ -273,30 +320,88 @@ function DragDropItinerary({ tripId, items = [], onItemsReorder, onItemEdit, onI
   );
 
   useEffect(() => {
-    setItineraryItems(items);
+    // Don't reshuffle the list under the user's cursor; apply once the drag ends
+    if (isDraggingRef.current) {
+      pendingItemsRef.current = items;
+    } else {
+      setItineraryItems(items);
+    }
   }, [items]);
 
   const handleDragStart = (event) => {
+    isDraggingRef.current = true;
     setActiveId(event.active.id);
   };
 
+  const finishDrag = () => {
+    isDraggingRef.current = false;
+    setActiveId(null);
+
+    const pendingItems = pendingItemsRef.current;
+    pendingItemsRef.current = null;
+    return pendingItems;
+  };
+
   const handleDragEnd = (event) => {
     const { active, over } = event;
+    const baseItems = finishDrag() || itineraryItems;
+
+    if (over && active.id !== over.id) {
+      const oldIndex = baseItems.findIndex(item => item.id === active.id);
+      const newIndex = baseItems.findIndex(item => item.id === over.id);
+
+      // The dragged item or its target was removed by someone else meanwhile
+      if (oldIndex === -1 || newIndex === -1) {
+        setItineraryItems(baseItems);
+        return;
+      }
 
-    if (active.id !== over?.id) {
-      const oldIndex = itineraryItems.findIndex(item => item.id === active.id);
-      const newIndex = itineraryItems.findIndex(item => item.id === over.id);
+      const newItems = arrayMove(baseItems, oldIndex, newIndex);
+      saveOrder(newItems);
+    } else {
+      setItineraryItems(baseItems);
+    }
+  };
 
-      const newItems = arrayMove(itineraryItems, oldIndex, newIndex);
-      setItineraryItems(newItems);
+  const saveOrder = async (newItems) => {
+    setItineraryItems(newItems);
 
-      // Call parent callback to save the new order
-      if (onItemsReorder) {
-        onItemsReorder(newItems);
+    // Call parent callback to save the new order
+    if (!onItemsReorder) return;
+
+    try {
+      await onItemsReorder(newItems);
+    } catch (error) {
+      // Someone changed the itinerary since we loaded it
+      if (error.conflict) {
+        setReorderConflict({ mine: newItems, current: error.current || [] });
       }
     }
+  };
 
-    setActiveId(null);
+  const handleUseLatestOrder = () => {
+    const { current } = reorderConflict;
+    setReorderConflict(null);
+    setItineraryItems(current);
+    if (onItemsRefresh) {
+      onItemsRefresh(current);
+    }
+  };
+
+  // Apply our order on top of the latest items: items we moved keep our
+  // relative order, items added by others go to the end, deleted ones drop out
+  const handleRetryMyOrder = () => {
+    const { mine, current } = reorderConflict;
+    const latest = new Map(current.map(item => [item.id, item]));
+    const ordered = mine.filter(item => latest.has(item.id)).map(item => latest.get(item.id));
+    const added = current.filter(item => !mine.some(own => own.id === item.id));
+
+    setReorderConflict(null);
+    saveOrder([...ordered, ...added]);
+  };
+
+  const handleDragCancel = () => {
+    setItineraryItems(finishDrag() || itineraryItems);
   };
 
   const handleToggleExpand = (itemId) => {
@@ -312,6 +417,10 @@ function DragDropItinerary({ tripId, items = [], onItemsReorder, onItemEdit, onI
   };
 
   const handleEdit = (item) => {
+    if (onItemEdit) {
+      onItemEdit(item);
+      return;
+    }
     setEditingItem(item);
     setEditDialogOpen(true);
   };
@@ -323,10 +432,15 @@ function DragDropItinerary({ tripId, items = [], onItemsReorder, onItemEdit, onI
   };
 
   const handleAddNew = () => {
+    if (onItemAdd) {
+      onItemAdd();
+      return;
+    }
     setAddDialogOpen(true);
   };
 
   const activeItem = itineraryItems.find(item => item.id === activeId);
+  const conflictsByItem = conflictUtils.byItem(conflicts);
 
   return (
     <Box>
@@ -344,11 +458,19 @@ function DragDropItinerary({ tripId, items = [], onItemsReorder, onItemEdit, onI
         </Button>
       </Box>
 
+      {conflicts.length > 0 && (
+        <Alert severity={conflictUtils.severity(conflicts)} sx={{ mb: 3 }}>
+          {conflicts.length === 1 ? '1 schedule conflict' : `${conflicts.length} schedule conflicts`} in this
+          itinerary. The items involved are marked below.
+        </Alert>
+      )}
+
       <DndContext
         sensors={sensors}
         collisionDetection={closestCenter}
         onDragStart={handleDragStart}
         onDragEnd={handleDragEnd}
+        onDragCancel={handleDragCancel}
       >
         <SortableContext items={itineraryItems.map(item => item.id)} strategy={verticalListSortingStrategy}>
           <AnimatePresence>
@@ -356,10 +478,14 @@ function DragDropItinerary({ tripId, items = [], onItemsReorder, onItemEdit, onI
               <SortableItineraryItem
                 key={item.id}
                 item={item}
+                currency={currency}
                 onEdit={handleEdit}
                 onDelete={handleDelete}
                 onToggleExpand={handleToggleExpand}
                 expanded={expandedItems.has(item.id)}
+                highlighted={recentlyChangedIds.includes(item.id)}
+                conflicts={conflictsByItem.get(item.id)}
+                showMyTime={showMyTime}
               />
             ))}
           </AnimatePresence>
@@ -404,6 +530,23 @@ function DragDropItinerary({ tripId, items = [], onItemsReorder, onItemEdit, onI
         </motion.div>
       )}
 
+      {/* Reorder Conflict Dialog */}
+      <Dialog open={!!reorderConflict} onClose={handleUseLatestOrder} maxWidth="xs" fullWidth>
+        <DialogTitle>Itinerary changed</DialogTitle>
+        <DialogContent>
+          <Alert severity="warning">
+            Someone else changed this itinerary while you were reordering it, so your new order
+            wasn't saved.
+          </Alert>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleUseLatestOrder}>Use latest</Button>
+          <Button variant="contained" onClick={handleRetryMyOrder}>
+            Reapply my order
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Floating Add Button */}
       <Fab
         color="primary"
@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Alert,
+  Typography,
+} from '@mui/material';
+import { UploadFile, Refresh } from '@mui/icons-material';
+import { adminAPI } from '../api/client.js';
+
+function ExchangeRatesPanel() {
+  const [rates, setRates] = useState([]);
+  const [base, setBase] = useState('USD');
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    loadRates();
+  }, []);
+
+  const showRates = (response) => {
+    setBase(response.data.base);
+    setRates(response.data.rates);
+  };
+
+  const loadRates = async () => {
+    try {
+      showRates(await adminAPI.getExchangeRates());
+    } catch (error) {
+      console.error('Failed to load exchange rates:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to load exchange rates.' });
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setLoading(true);
+      const response = await adminAPI.uploadExchangeRates(file);
+      showRates(response);
+      setMessage({ type: 'success', text: response.data.message });
+    } catch (error) {
+      console.error('Failed to upload exchange rates:', error);
+      setMessage({
+        type: 'error',
+        text: error.message || 'Failed to upload exchange rates.',
+        details: error.data?.details,
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRefresh = async () => {
+    try {
+      setLoading(true);
+      const response = await adminAPI.refreshExchangeRates();
+      showRates(response);
+      setMessage({ type: 'success', text: response.data.message });
+    } catch (error) {
+      console.error('Failed to refresh exchange rates:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to refresh exchange rates.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+          <Typography variant="h6" sx={{ flexGrow: 1 }}>
+            Exchange Rates (per 1 {base})
+          </Typography>
+          <Button variant="outlined" component="label" startIcon={<UploadFile />} disabled={loading}>
+            Upload CSV
+            <input hidden type="file" accept=".csv,text/csv" onChange={handleFile} />
+          </Button>
+          <Button variant="contained" startIcon={<Refresh />} onClick={handleRefresh} disabled={loading}>
+            Refresh from provider
+          </Button>
+        </Box>
+
+        {message && (
+          <Alert severity={message.type} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message.text}
+            {message.details?.map(detail => (
+              <Typography key={detail} variant="body2">{detail}</Typography>
+            ))}
+          </Alert>
+        )}
+
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          The CSV needs one "currency,rate" line per currency, e.g. "EUR,0.92". Currencies not in the
+          file keep their current rate.
+        </Typography>
+
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Currency</TableCell>
+                <TableCell align="right">Rate</TableCell>
+                <TableCell>Source</TableCell>
+                <TableCell>Updated</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rates.map(rate => (
+                <TableRow key={rate.currency}>
+                  <TableCell>{rate.currency}</TableCell>
+                  <TableCell align="right">{rate.rate}</TableCell>
+                  <TableCell>{rate.source}</TableCell>
+                  <TableCell>{new Date(rate.updated_at).toLocaleString()}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default ExchangeRatesPanel;
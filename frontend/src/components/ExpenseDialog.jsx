@@ -0,0 +1,328 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControl,
+  FormControlLabel,
+  Checkbox,
+  InputLabel,
+  Select,
+  MenuItem,
+  Grid,
+  Alert,
+  Divider,
+  Typography,
+} from '@mui/material';
+import { UploadFile } from '@mui/icons-material';
+import { expenseAPI, currencyUtils, tokenUtils } from '../api/client.js';
+
+const CATEGORY_OPTIONS = ['flight', 'hotel', 'transport', 'restaurant', 'activity', 'other'];
+
+const SPLIT_OPTIONS = [
+  { value: '', label: 'Not shared' },
+  { value: 'equal', label: 'Equally' },
+  { value: 'shares', label: 'By shares' },
+  { value: 'exact', label: 'Exact amounts' },
+  { value: 'percent', label: 'By percentage' },
+];
+
+const SHARE_LABELS = { shares: 'Shares', exact: 'Amount', percent: '%' };
+
+// splitWith maps each included participant's user ID to their share
+const emptyForm = (currency, participants, splitMode) => ({
+  amount: '',
+  currency,
+  category: 'other',
+  date: new Date().toISOString().slice(0, 10),
+  description: '',
+  itineraryItemId: '',
+  paidBy: tokenUtils.getUser()?.id || '',
+  splitMode,
+  splitWith: Object.fromEntries(participants.map(participant => [participant.user_id, ''])),
+});
+
+function ExpenseDialog({
+  open,
+  onClose,
+  tripId,
+  currency,
+  itineraryItems = [],
+  participants = [],
+  defaultSplitMode = '',
+  expense = null,
+  onSaved,
+}) {
+  const [form, setForm] = useState(emptyForm(currency, participants, defaultSplitMode));
+  const [receipt, setReceipt] = useState(null);
+  const [removeReceipt, setRemoveReceipt] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setForm(expense ? {
+        amount: String(expense.amount),
+        currency: expense.currency,
+        category: expense.category,
+        date: expense.expense_date,
+        description: expense.description || '',
+        itineraryItemId: expense.itinerary_item_id || '',
+        paidBy: expense.paid_by || '',
+        splitMode: expense.split_mode || '',
+        splitWith: expense.split_mode
+          ? Object.fromEntries(expense.splits.map(split => [split.user_id, split.share ?? '']))
+          : Object.fromEntries(participants.map(participant => [participant.user_id, ''])),
+      } : emptyForm(currency, participants, defaultSplitMode));
+      setReceipt(null);
+      setRemoveReceipt(false);
+      setMessage(null);
+    }
+  }, [open]);
+
+  const currencies = currencyUtils.COMMON_CURRENCIES.includes(form.currency)
+    ? currencyUtils.COMMON_CURRENCIES
+    : [form.currency, ...currencyUtils.COMMON_CURRENCIES];
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Linking an item picks up its category until the user chooses one
+  const handleItemChange = (e) => {
+    const item = itineraryItems.find(candidate => candidate.id === e.target.value);
+    setForm(prev => ({
+      ...prev,
+      itineraryItemId: e.target.value,
+      ...(item && prev.category === 'other' && { category: item.category || 'other' }),
+    }));
+  };
+
+  const toggleParticipant = (userId) => {
+    setForm(prev => {
+      const { [userId]: removed, ...rest } = prev.splitWith;
+      return { ...prev, splitWith: removed === undefined ? { ...prev.splitWith, [userId]: '' } : rest };
+    });
+  };
+
+  const handleShareChange = (userId, value) => {
+    setForm(prev => ({ ...prev, splitWith: { ...prev.splitWith, [userId]: value } }));
+  };
+
+  // Only send split fields when the expense is (or was) shared
+  const splitData = () => {
+    const { paidBy, splitMode, splitWith, ...fields } = form;
+
+    if (splitMode) {
+      return {
+        ...fields,
+        paidBy,
+        splitMode,
+        participants: Object.entries(splitWith).map(([userId, share]) => ({
+          userId: Number(userId),
+          ...(splitMode !== 'equal' && { share }),
+        })),
+      };
+    }
+
+    return expense?.split_mode ? { ...fields, splitMode: '' } : fields;
+  };
+
+  // Former members stay listed on expenses they were part of
+  const splitPeople = [
+    ...participants,
+    ...(expense?.splits || [])
+      .filter(split => !participants.some(participant => participant.user_id === split.user_id))
+      .map(split => ({ user_id: split.user_id, name: split.user_name })),
+  ];
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const data = { ...splitData(), receipt, ...(removeReceipt && { removeReceipt: true }) };
+      const response = expense
+        ? await expenseAPI.updateExpense(tripId, expense.id, data)
+        : await expenseAPI.createExpense(tripId, data);
+      onSaved(response.data.expense);
+    } catch (error) {
+      console.error('Failed to save expense:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to save expense.' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{expense ? 'Edit Expense' : 'Log Expense'}</DialogTitle>
+      <DialogContent>
+        {message && (
+          <Alert severity={message.type} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message.text}
+          </Alert>
+        )}
+
+        <Grid container spacing={2} sx={{ mt: 0 }}>
+          <Grid item xs={8}>
+            <TextField
+              fullWidth
+              required
+              type="number"
+              label="Amount"
+              name="amount"
+              value={form.amount}
+              onChange={handleChange}
+              inputProps={{ min: 0, step: '0.01' }}
+            />
+          </Grid>
+          <Grid item xs={4}>
+            <FormControl fullWidth>
+              <InputLabel>Currency</InputLabel>
+              <Select name="currency" value={form.currency} label="Currency" onChange={handleChange}>
+                {currencies.map(code => (
+                  <MenuItem key={code} value={code}>{code}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <FormControl fullWidth>
+              <InputLabel>Category</InputLabel>
+              <Select name="category" value={form.category} label="Category" onChange={handleChange}>
+                {CATEGORY_OPTIONS.map(category => (
+                  <MenuItem key={category} value={category}>
+                    {category.charAt(0).toUpperCase() + category.slice(1)}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              fullWidth
+              required
+              type="date"
+              label="Date"
+              name="date"
+              value={form.date}
+              onChange={handleChange}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              label="Description"
+              name="description"
+              value={form.description}
+              onChange={handleChange}
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <FormControl fullWidth>
+              <InputLabel>Itinerary item</InputLabel>
+              <Select value={form.itineraryItemId} label="Itinerary item" onChange={handleItemChange}>
+                <MenuItem value="">None</MenuItem>
+                {itineraryItems.map(item => (
+                  <MenuItem key={item.id} value={item.id}>{item.title}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          {participants.length > 0 && (
+            <>
+              <Grid item xs={12}>
+                <Divider textAlign="left">
+                  <Typography variant="body2" color="text.secondary">Split with the group</Typography>
+                </Divider>
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                <FormControl fullWidth>
+                  <InputLabel>Split</InputLabel>
+                  <Select name="splitMode" value={form.splitMode} label="Split" onChange={handleChange}>
+                    {SPLIT_OPTIONS.map(option => (
+                      <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              {form.splitMode && (
+                <>
+                  <Grid item xs={12} sm={6}>
+                    <FormControl fullWidth>
+                      <InputLabel>Paid by</InputLabel>
+                      <Select name="paidBy" value={form.paidBy} label="Paid by" onChange={handleChange}>
+                        {participants.map(participant => (
+                          <MenuItem key={participant.user_id} value={participant.user_id}>{participant.name}</MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  </Grid>
+                  {splitPeople.map(person => {
+                    const included = form.splitWith[person.user_id] !== undefined;
+                    return (
+                      <Grid item xs={12} key={person.user_id} sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                        <FormControlLabel
+                          sx={{ flex: 1 }}
+                          control={<Checkbox checked={included} onChange={() => toggleParticipant(person.user_id)} />}
+                          label={person.name}
+                        />
+                        {included && form.splitMode !== 'equal' && (
+                          <TextField
+                            size="small"
+                            type="number"
+                            label={SHARE_LABELS[form.splitMode]}
+                            value={form.splitWith[person.user_id]}
+                            onChange={(e) => handleShareChange(person.user_id, e.target.value)}
+                            inputProps={{ min: 0, step: form.splitMode === 'shares' ? '1' : '0.01' }}
+                            sx={{ width: 140 }}
+                          />
+                        )}
+                      </Grid>
+                    );
+                  })}
+                </>
+              )}
+            </>
+          )}
+          <Grid item xs={12}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+              <Button variant="outlined" component="label" startIcon={<UploadFile />}>
+                {receipt ? 'Change receipt' : 'Attach receipt'}
+                <input
+                  hidden
+                  type="file"
+                  accept="image/*"
+                  onChange={(e) => {
+                    setReceipt(e.target.files[0] || null);
+                    setRemoveReceipt(false);
+                  }}
+                />
+              </Button>
+              {receipt && <Typography variant="body2">{receipt.name}</Typography>}
+              {!receipt && expense?.receipt_path && (
+                <FormControlLabel
+                  control={<Checkbox checked={removeReceipt} onChange={(e) => setRemoveReceipt(e.target.checked)} />}
+                  label="Remove current receipt"
+                />
+              )}
+            </Box>
+          </Grid>
+        </Grid>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving || !form.amount || !form.date || (form.splitMode && Object.keys(form.splitWith).length === 0)}>
+          {saving ? 'Saving...' : 'Save'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ExpenseDialog;
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Chip,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import { Add, Edit, Delete, Receipt } from '@mui/icons-material';
+import ExpenseDialog from './ExpenseDialog.jsx';
+import { expenseAPI, currencyUtils } from '../api/client.js';
+
+function ExpenseList({
+  tripId,
+  currency,
+  itineraryItems = [],
+  participants = [],
+  expenses = [],
+  totals = null,
+  title = 'Expenses',
+  emptyText = 'Nothing logged yet. Record what you actually spend to compare it with the plan.',
+  defaultSplitMode = '',
+  onChanged,
+}) {
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingExpense, setEditingExpense] = useState(null);
+
+  const openDialog = (expense = null) => {
+    setEditingExpense(expense);
+    setDialogOpen(true);
+  };
+
+  const handleDelete = async (expense) => {
+    try {
+      await expenseAPI.deleteExpense(tripId, expense.id);
+      onChanged();
+    } catch (error) {
+      console.error('Failed to delete expense:', error);
+    }
+  };
+
+  return (
+    <Card sx={{ mt: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+          <Box>
+            <Typography variant="h6">{title}</Typography>
+            {totals && (
+              <Typography variant="body2" color="text.secondary">
+                {currencyUtils.format(totals.total_cost, currency)} spent across {totals.expense_count}{' '}
+                {totals.expense_count === 1 ? 'expense' : 'expenses'}
+                {totals.unconverted_currencies?.length > 0 &&
+                  ` (not counting ${totals.unconverted_currencies.join(', ')}: no exchange rate)`}
+              </Typography>
+            )}
+          </Box>
+          <Button variant="contained" startIcon={<Add />} onClick={() => openDialog()}>
+            Log Expense
+          </Button>
+        </Box>
+
+        {expenses.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+            {emptyText}
+          </Typography>
+        ) : (
+          <List dense>
+            {expenses.map(expense => (
+              <ListItem
+                key={expense.id}
+                secondaryAction={
+                  <Box>
+                    {expense.receipt_path && (
+                      <Tooltip title="View receipt">
+                        <IconButton
+                          component="a"
+                          href={`${import.meta.env.VITE_API_BASE_URL}${expense.receipt_path}`}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                        >
+                          <Receipt />
+                        </IconButton>
+                      </Tooltip>
+                    )}
+                    <IconButton onClick={() => openDialog(expense)}>
+                      <Edit />
+                    </IconButton>
+                    <IconButton onClick={() => handleDelete(expense)}>
+                      <Delete />
+                    </IconButton>
+                  </Box>
+                }
+              >
+                <ListItemText
+                  primary={
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                      {currencyUtils.format(expense.amount, expense.currency)}
+                      {' · '}
+                      {expense.description || expense.itinerary_item_title || 'Expense'}
+                      <Chip label={expense.category} size="small" variant="outlined" />
+                    </Box>
+                  }
+                  secondary={[
+                    new Date(`${expense.expense_date}T00:00:00`).toLocaleDateString(undefined, { dateStyle: 'medium' }),
+                    expense.itinerary_item_title && `for ${expense.itinerary_item_title}`,
+                    expense.created_by_name && `logged by ${expense.created_by_name}`,
+                    expense.split_mode && `paid by ${expense.paid_by_name || 'a former member'}, split ${expense.splits.length} ways`,
+                  ].filter(Boolean).join(' · ')}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </CardContent>
+
+      <ExpenseDialog
+        open={dialogOpen}
+        onClose={() => setDialogOpen(false)}
+        tripId={tripId}
+        currency={currency}
+        itineraryItems={itineraryItems}
+        participants={participants}
+        defaultSplitMode={defaultSplitMode}
+        expense={editingExpense}
+        onSaved={() => {
+          setDialogOpen(false);
+          onChanged();
+        }}
+      />
+    </Card>
+  );
+}
+
+export default ExpenseList;
@@ -0,0 +1,78 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Alert,
+  Typography,
+} from '@mui/material';
+import { authAPI, currencyUtils } from '../api/client.js';
+
+function HomeCurrencyDialog({ open, onClose, user, onSaved }) {
+  const [currency, setCurrency] = useState(currencyUtils.DEFAULT_CURRENCY);
+  const [message, setMessage] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setCurrency(user?.homeCurrency || currencyUtils.DEFAULT_CURRENCY);
+      setMessage(null);
+    }
+  }, [open]);
+
+  const options = currencyUtils.COMMON_CURRENCIES.includes(currency)
+    ? currencyUtils.COMMON_CURRENCIES
+    : [currency, ...currencyUtils.COMMON_CURRENCIES];
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = await authAPI.updatePreferences({ homeCurrency: currency });
+      onSaved(response.data.user);
+    } catch (error) {
+      console.error('Failed to update home currency:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to update home currency.' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Home Currency</DialogTitle>
+      <DialogContent>
+        {message && (
+          <Alert severity={message.type} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message.text}
+          </Alert>
+        )}
+
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Dashboard totals are converted to this currency. New trips start in it too.
+        </Typography>
+        <FormControl fullWidth>
+          <InputLabel>Currency</InputLabel>
+          <Select value={currency} label="Currency" onChange={(e) => setCurrency(e.target.value)}>
+            {options.map(code => (
+              <MenuItem key={code} value={code}>{code}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default HomeCurrencyDialog;
@@ -0,0 +1,186 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Checkbox,
+  Select,
+  MenuItem,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Chip,
+  Alert,
+  Typography,
+} from '@mui/material';
+import { UploadFile } from '@mui/icons-material';
+import { itineraryAPI } from '../api/client.js';
+
+const CATEGORY_OPTIONS = ['flight', 'hotel', 'transport', 'restaurant', 'activity', 'other'];
+
+const formatWhen = (item) => {
+  const start = new Date(item.startTime);
+  if (item.allDay) {
+    const end = item.endTime ? new Date(new Date(item.endTime).getTime() - 1) : start;
+    const startText = start.toLocaleDateString(undefined, { dateStyle: 'medium' });
+    const endText = end.toLocaleDateString(undefined, { dateStyle: 'medium' });
+    return startText === endText ? startText : `${startText} – ${endText}`;
+  }
+
+  return [
+    start.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }),
+    item.endTime && new Date(item.endTime).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }),
+  ].filter(Boolean).join(' – ');
+};
+
+function ImportCalendarDialog({ open, onClose, tripId, onImported }) {
+  const [preview, setPreview] = useState(null);
+  const [selected, setSelected] = useState({});
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setPreview(null);
+      setSelected({});
+      setMessage(null);
+    }
+  }, [open]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setLoading(true);
+      setMessage(null);
+      const response = await itineraryAPI.previewCalendarImport(tripId, file);
+      const { items } = response.data.preview;
+      setPreview(response.data.preview);
+      // Items that look like they're already on the trip start unchecked
+      setSelected(Object.fromEntries(items.map((item, index) => [index, !item.duplicate])));
+    } catch (error) {
+      console.error('Failed to read calendar file:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to read calendar file.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateItem = (index, changes) => {
+    setPreview(prev => ({
+      ...prev,
+      items: prev.items.map((item, i) => (i === index ? { ...item, ...changes } : item)),
+    }));
+  };
+
+  const handleImport = async () => {
+    try {
+      setLoading(true);
+      const items = preview.items.filter((item, index) => selected[index]);
+      const response = await itineraryAPI.importCalendarItems(tripId, items);
+      onImported(response.data);
+    } catch (error) {
+      console.error('Failed to import items:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to import items.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const selectedCount = Object.values(selected).filter(Boolean).length;
+  const newCityIds = new Set((preview?.cities || []).map(city => city.cityId));
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Import from Calendar</DialogTitle>
+      <DialogContent>
+        {message && (
+          <Alert severity={message.type} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message.text}
+          </Alert>
+        )}
+
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Upload the .ics file from a flight, hotel or restaurant confirmation. You can review
+          every item before anything is added to the trip.
+        </Typography>
+        <Button variant="outlined" component="label" startIcon={<UploadFile />} disabled={loading}>
+          {preview ? 'Choose another file' : 'Choose .ics file'}
+          <input hidden type="file" accept=".ics,text/calendar" onChange={handleFile} />
+        </Button>
+
+        {preview && (
+          <>
+            {preview.cities.length > 0 && (
+              <Alert severity="info" sx={{ mt: 2 }}>
+                {preview.cities.map(city => city.name).join(', ')}{' '}
+                {preview.cities.length === 1 ? 'will be added as a new stop' : 'will be added as new stops'}.
+              </Alert>
+            )}
+            <List>
+              {preview.items.map((item, index) => (
+                <ListItem key={item.uid || index} alignItems="flex-start" sx={{ gap: 1 }}>
+                  <ListItemIcon sx={{ minWidth: 0 }}>
+                    <Checkbox
+                      edge="start"
+                      checked={!!selected[index]}
+                      onChange={(e) => setSelected(prev => ({ ...prev, [index]: e.target.checked }))}
+                    />
+                  </ListItemIcon>
+                  <ListItemText
+                    primary={
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                        {item.title}
+                        {item.cityName && (
+                          <Chip
+                            label={newCityIds.has(item.cityId) ? `${item.cityName} (new stop)` : item.cityName}
+                            size="small"
+                            variant="outlined"
+                          />
+                        )}
+                        {item.duplicate && <Chip label="Already on trip" size="small" color="warning" />}
+                      </Box>
+                    }
+                    secondary={[
+                      formatWhen(item),
+                      item.location,
+                      item.bookingReference && `Ref ${item.bookingReference}`,
+                    ].filter(Boolean).join(' · ')}
+                  />
+                  <Select
+                    size="small"
+                    value={item.category}
+                    onChange={(e) => updateItem(index, { category: e.target.value })}
+                    sx={{ minWidth: 130 }}
+                  >
+                    {CATEGORY_OPTIONS.map(category => (
+                      <MenuItem key={category} value={category}>
+                        {category.charAt(0).toUpperCase() + category.slice(1)}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </ListItem>
+              ))}
+            </List>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        {preview && (
+          <Button variant="contained" onClick={handleImport} disabled={selectedCount === 0 || loading}>
+            {loading ? 'Importing...' : `Import ${selectedCount} ${selectedCount === 1 ? 'item' : 'items'}`}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ImportCalendarDialog;
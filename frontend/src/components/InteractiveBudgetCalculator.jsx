@@ -26,7 +26,6 @@ import {
   Divider,
 } from '@mui/material';
 import {
-  CurrencyRupee,
   TrendingUp,
   TrendingDown,
   Warning,
@@ -50,6 +49,8 @@ import {
   Tooltip as RechartsTooltip,
   Legend,
 } from 'recharts';
+import { currencyUtils } from '../api/client.js';
+import BudgetEnvelopesDialog, { envelopeLabel } from './BudgetEnvelopesDialog.jsx';
 
 const CATEGORY_COLORS = {
   flight: '#1976d2',
@@ -64,6 +65,11 @@ function InteractiveBudgetCalculator({
   tripId, 
   itineraryItems = [], 
   totalBudget = 0, 
+  currency = currencyUtils.DEFAULT_CURRENCY,
+  rateMap = {},
+  variance = null,
+  planVsActual = null,
+  onEnvelopesChange,
   onBudgetUpdate,
   onItemCostUpdate 
 }) {
@@ -83,12 +89,15 @@ function InteractiveBudgetCalculator({
   useEffect(() => {
     setBudget(totalBudget);
     calculateCategoryBudgets();
-  }, [totalBudget, itineraryItems]);
+  }, [totalBudget, itineraryItems, currency, rateMap]);
 
+  const formatAmount = (value) => currencyUtils.format(value, currency);
+
+  // Category totals in the budget's currency; costs without a rate are left out
   const calculateCategoryBudgets = () => {
     const categoryTotals = itineraryItems.reduce((acc, item) => {
       const category = item.category || 'other';
-      const cost = parseFloat(item.cost) || 0;
+      const cost = currencyUtils.convert(item.cost, item.currency || currency, currency, rateMap) || 0;
       acc[category] = (acc[category] || 0) + cost;
       return acc;
     }, {});
@@ -125,14 +134,34 @@ function InteractiveBudgetCalculator({
       }));
   };
 
+  // Spending against the trip's category envelopes, as worked out by the server
   const getBarChartData = () => {
-    return Object.entries(categoryBudgets).map(([category, amount]) => ({
-      category: category.charAt(0).toUpperCase() + category.slice(1),
-      spent: amount,
-      budget: budget * 0.2, // Assume 20% per category as default
+    return (variance?.categories || []).map(entry => ({
+      category: entry.category.charAt(0).toUpperCase() + entry.category.slice(1),
+      spent: entry.spent,
+      budget: entry.budget || 0,
+    }));
+  };
+
+  // Planned itinerary costs against logged expenses, from the trip stats
+  const getPlanVsActualData = (key) => {
+    return (planVsActual?.[key] || []).map(entry => ({
+      label: key === 'categories'
+        ? entry.category.charAt(0).toUpperCase() + entry.category.slice(1)
+        : new Date(`${entry.date}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }),
+      planned: entry.planned,
+      actual: entry.actual,
     }));
   };
 
+  const getOverspentEnvelopes = () => {
+    if (!variance) return [];
+    return [
+      ...variance.categories.filter(entry => entry.over_budget),
+      ...variance.days.filter(entry => entry.over_budget),
+    ];
+  };
+
   const handleBudgetChange = (newBudget) => {
     setBudget(newBudget);
     if (onBudgetUpdate) {
@@ -175,7 +204,7 @@ function InteractiveBudgetCalculator({
               <Grid item xs={12} md={4}>
                 <Box sx={{ textAlign: 'center' }}>
                   <Typography variant="h3" component="div" sx={{ fontWeight: 'bold' }}>
-                    ₹{Number(budget || 0).toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',')}
+                    {formatAmount(budget)}
                   </Typography>
                   <Typography variant="body2" sx={{ opacity: 0.8 }}>
                     Total Budget
@@ -186,7 +215,7 @@ function InteractiveBudgetCalculator({
               <Grid item xs={12} md={4}>
                 <Box sx={{ textAlign: 'center' }}>
                   <Typography variant="h4" component="div" sx={{ fontWeight: 'bold' }}>
-                    ₹{Number(getTotalSpent() || 0).toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',')}
+                    {formatAmount(getTotalSpent())}
                   </Typography>
                   <Typography variant="body2" sx={{ opacity: 0.8 }}>
                     Total Spent
@@ -204,7 +233,7 @@ function InteractiveBudgetCalculator({
                       color: getRemainingBudget() < 0 ? '#ffcdd2' : 'inherit'
                     }}
                   >
-                    ₹{Number(getRemainingBudget() || 0).toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',')}
+                    {formatAmount(getRemainingBudget())}
                   </Typography>
                   <Typography variant="body2" sx={{ opacity: 0.8 }}>
                     Remaining
@@ -259,14 +288,26 @@ function InteractiveBudgetCalculator({
               }
             >
               {budgetStatus.status === 'over'
-                ? `You're over budget by ₹${Number(Math.abs(getRemainingBudget()) || 0).toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',')}!`
-                : `You're close to your budget limit. ₹${Number(getRemainingBudget() || 0).toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',')} remaining.`
+                ? `You're over budget by ${formatAmount(Math.abs(getRemainingBudget()))}!`
+                : `You're close to your budget limit. ${formatAmount(getRemainingBudget())} remaining.`
               }
             </Alert>
           </motion.div>
         )}
       </AnimatePresence>
 
+      {/* Envelope Overspend Alerts */}
+      {getOverspentEnvelopes().length > 0 && (
+        <Alert severity="error" icon={<Warning />} sx={{ mb: 3 }}>
+          {getOverspentEnvelopes().map(entry => (
+            <Typography key={entry.budget_id} variant="body2">
+              {envelopeLabel({ category: entry.category, budget_date: entry.date })} is over budget by{' '}
+              {formatAmount(Math.abs(entry.remaining))} ({formatAmount(entry.spent)} of {formatAmount(entry.budget)})
+            </Typography>
+          ))}
+        </Alert>
+      )}
+
       {/* Charts Section */}
       <Grid container spacing={3}>
         <Grid item xs={12}>
@@ -306,13 +347,13 @@ function InteractiveBudgetCalculator({
                         outerRadius={80}
                         fill="#8884d8"
                         dataKey="value"
-                        label={({ name, value }) => `${name}: $${value.toFixed(0)}`}
+                        label={({ name, value }) => `${name}: ${formatAmount(value)}`}
                       >
                         {getPieChartData().map((entry, index) => (
                           <Cell key={`cell-${index}`} fill={entry.color} />
                         ))}
                       </Pie>
-                      <RechartsTooltip formatter={(value) => [`₹${value.toLocaleString('en-IN')}`, 'Amount']} />
+                      <RechartsTooltip formatter={(value) => [formatAmount(value), 'Amount']} />
                     </RechartsPieChart>
                   </ResponsiveContainer>
                 ) : (
@@ -321,10 +362,10 @@ function InteractiveBudgetCalculator({
                       <CartesianGrid strokeDasharray="3 3" />
                       <XAxis dataKey="category" />
                       <YAxis />
-                      <RechartsTooltip formatter={(value) => [`₹${value.toLocaleString('en-IN')}`, 'Amount']} />
+                      <RechartsTooltip formatter={(value) => [formatAmount(value), 'Amount']} />
                       <Legend />
                       <Bar dataKey="spent" fill="#1976d2" name="Spent" />
-                      <Bar dataKey="budget" fill="#e0e0e0" name="Suggested Budget" />
+                      <Bar dataKey="budget" fill="#e0e0e0" name="Budget" />
                     </RechartsBarChart>
                   </ResponsiveContainer>
                 )}
@@ -332,7 +373,55 @@ function InteractiveBudgetCalculator({
             </CardContent>
           </Card>
         </Grid>
+
+        {planVsActual && (
+          <Grid item xs={12}>
+            <Card>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>
+                  Planned vs. Actual
+                </Typography>
+                <Grid container spacing={3}>
+                  {[['categories', 'By category'], ['days', 'By day']].map(([key, title]) => (
+                    <Grid item xs={12} md={6} key={key}>
+                      <Typography variant="subtitle2" color="text.secondary">
+                        {title}
+                      </Typography>
+                      {getPlanVsActualData(key).length === 0 ? (
+                        <Typography variant="body2" sx={{ py: 2 }}>
+                          No costs yet.
+                        </Typography>
+                      ) : (
+                        <Box sx={{ height: 260 }}>
+                          <ResponsiveContainer width="100%" height="100%">
+                            <RechartsBarChart data={getPlanVsActualData(key)}>
+                              <CartesianGrid strokeDasharray="3 3" />
+                              <XAxis dataKey="label" />
+                              <YAxis />
+                              <RechartsTooltip formatter={(value, name) => [formatAmount(value), name]} />
+                              <Legend />
+                              <Bar dataKey="planned" fill="#90caf9" name="Planned" />
+                              <Bar dataKey="actual" fill="#1976d2" name="Actual" />
+                            </RechartsBarChart>
+                          </ResponsiveContainer>
+                        </Box>
+                      )}
+                    </Grid>
+                  ))}
+                </Grid>
+              </CardContent>
+            </Card>
+          </Grid>
+        )}
       </Grid>
+
+      <BudgetEnvelopesDialog
+        open={budgetDialogOpen}
+        onClose={() => setBudgetDialogOpen(false)}
+        tripId={tripId}
+        currency={currency}
+        onChanged={onEnvelopesChange}
+      />
     </Box>
   );
 }
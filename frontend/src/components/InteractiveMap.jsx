@@ -86,6 +86,15 @@ const getCategorySymbol = (category) => {
   }
 };
 
+// Layer toggle each itinerary category belongs to (cities are always shown)
+const CATEGORY_LAYERS = {
+  flight: 'flights',
+  hotel: 'hotels',
+  restaurant: 'restaurants',
+  activity: 'activities',
+  transport: 'transport',
+};
+
 const getCategoryColor = (category) => {
   switch (category) {
     case 'flight': return '#1976d2';
@@ -97,6 +106,16 @@ const getCategoryColor = (category) => {
   }
 };
 
+// Line style for each travel mode; legs with nothing booked yet are drawn faintly
+const TRAVEL_LEG_STYLES = {
+  flight: { color: '#1976d2', weight: 2, dashArray: '2, 8' },
+  train: { color: '#6a1b9a', weight: 4 },
+  bus: { color: '#ef6c00', weight: 3, dashArray: '12, 6' },
+  car: { color: '#2e7d32', weight: 3 },
+  ferry: { color: '#0097a7', weight: 3, dashArray: '6, 6' },
+  planned: { color: '#9e9e9e', weight: 2, dashArray: '4, 8' },
+};
+
 // Map Controls Component
 function MapControls({ onZoomIn, onZoomOut, onFitBounds, onToggleRoute, showRoute }) {
   return (
@@ -139,6 +158,50 @@ function MapControls({ onZoomIn, onZoomOut, onFitBounds, onToggleRoute, showRout
   );
 }
 
+// Travel Leg Component
+function TravelLegLine({ entry, formatTime }) {
+  const { from, to, leg } = entry;
+  if (!from.latitude || !from.longitude || !to.latitude || !to.longitude) return null;
+
+  const style = TRAVEL_LEG_STYLES[leg ? leg.mode : 'planned'];
+
+  return (
+    <Polyline
+      positions={[[from.latitude, from.longitude], [to.latitude, to.longitude]]}
+      color={style.color}
+      weight={style.weight}
+      opacity={leg ? 0.8 : 0.6}
+      dashArray={style.dashArray}
+    >
+      <Popup>
+        <Box sx={{ minWidth: 180 }}>
+          <Typography variant="subtitle1" gutterBottom>
+            {from.name} → {to.name}
+          </Typography>
+          {leg ? (
+            <Chip label={leg.mode} size="small" color="primary" sx={{ mb: 1 }} />
+          ) : (
+            <Typography variant="body2" color="text.secondary">
+              No travel booked yet
+            </Typography>
+          )}
+          {entry.distance_km !== null && (
+            <Typography variant="body2" color="text.secondary">
+              {entry.distance_km.toLocaleString()} km
+            </Typography>
+          )}
+          {leg?.departure_time && (
+            <Typography variant="body2" color="text.secondary">
+              {formatTime(leg.departure_time)}
+              {leg.arrival_time && ` – ${formatTime(leg.arrival_time)}`}
+            </Typography>
+          )}
+        </Box>
+      </Popup>
+    </Polyline>
+  );
+}
+
 // Map Event Handler Component
 function MapEventHandler({ onMapReady, markers, showRoute }) {
   const map = useMap();
@@ -189,6 +252,7 @@ function MapEventHandler({ onMapReady, markers, showRoute }) {
 function InteractiveMap({ 
   itineraryItems = [], 
   cities = [], 
+  travelLegs = [],
   onMarkerClick, 
   height = 400,
   showControls = true,
@@ -235,7 +299,7 @@ function InteractiveMap({
       type: 'city',
       data: city,
     }))
-  ].filter(marker => marker.lat && marker.lng && layersVisible[marker.category]);
+  ].filter(marker => marker.lat && marker.lng && layersVisible[CATEGORY_LAYERS[marker.category]] !== false);
 
   const handleMarkerClick = (marker) => {
     setSelectedItem(marker);
@@ -291,9 +355,18 @@ function InteractiveMap({
         <MapEventHandler 
           onMapReady={setMap} 
           markers={markers} 
-          showRoute={routeVisible}
+          showRoute={routeVisible && travelLegs.length === 0}
         />
 
+        {/* Travel legs replace the straight route between stops */}
+        {routeVisible && travelLegs.map(entry => (
+          <TravelLegLine
+            key={`${entry.from.trip_city_id}-${entry.to.trip_city_id}`}
+            entry={entry}
+            formatTime={formatTime}
+          />
+        ))}
+
         {markers.map((marker) => (
           <Marker
             key={marker.id}
@@ -35,9 +35,12 @@ import {
   ViewDay,
   ViewWeek,
   CalendarMonth,
+  AttachMoney,
+  WarningAmber,
 } from '@mui/icons-material';
+import { conflictUtils, timeUtils } from '../api/client.js';
 
-function InteractiveTimeline({ itineraryItems = [], onItemClick, onTimeChange }) {
+function InteractiveTimeline({ itineraryItems = [], conflicts = [], onItemClick, onTimeChange, showMyTime = false }) {
   const [zoomLevel, setZoomLevel] = useState(1);
   const [viewMode, setViewMode] = useState('day'); // 'hour', 'day', 'week'
   const [showAllDetails, setShowAllDetails] = useState(false);
@@ -65,28 +68,25 @@ function InteractiveTimeline({ itineraryItems = [], onItemClick, onTimeChange })
     }
   };
 
-  const formatTime = (datetime) => {
-    if (!datetime) return '';
-    return new Date(datetime).toLocaleTimeString('en-US', {
-      hour: '2-digit',
-      minute: '2-digit',
-    });
-  };
+  // Destination time, or the viewer's own with showMyTime
+  const formatTime = (item, key) => timeUtils.format(item, key, {
+    hour: '2-digit',
+    minute: '2-digit',
+  }, { myTime: showMyTime });
 
-  const formatDate = (datetime) => {
-    if (!datetime) return '';
-    return new Date(datetime).toLocaleDateString('en-US', {
-      month: 'short',
-      day: 'numeric',
-      year: 'numeric',
-    });
-  };
+  const formatDate = (day) => new Date(`${day}T00:00:00Z`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
 
+  // Days are the local dates items start on ("YYYY-MM-DD")
   const groupItemsByDay = () => {
     const grouped = {};
     itineraryItems.forEach(item => {
-      if (item.start_time) {
-        const day = new Date(item.start_time).toDateString();
+      const day = timeUtils.dayOf(item, { myTime: showMyTime });
+      if (day) {
         if (!grouped[day]) {
           grouped[day] = [];
         }
@@ -94,16 +94,19 @@ function InteractiveTimeline({ itineraryItems = [], onItemClick, onTimeChange })
       }
     });
 
-    // Sort items within each day by start time
+    // Sort items within each day by start time; floating items have no instant,
+    // so they go by their local time, as the server orders them
+    const startOf = (item) => new Date(item.start_time_utc || `${item.start_time.slice(0, 16)}Z`);
     Object.keys(grouped).forEach(day => {
-      grouped[day].sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+      grouped[day].sort((a, b) => startOf(a) - startOf(b));
     });
 
     return grouped;
   };
 
   const itemsByDay = groupItemsByDay();
-  const sortedDays = Object.keys(itemsByDay).sort((a, b) => new Date(a) - new Date(b));
+  const conflictsByItem = conflictUtils.byItem(conflicts);
+  const sortedDays = Object.keys(itemsByDay).sort();
 
   return (
     <Box>
@@ -206,7 +209,7 @@ function InteractiveTimeline({ itineraryItems = [], onItemClick, onTimeChange })
                   {/* Day Header */}
                   <TimelineItem>
                     <TimelineOppositeContent sx={{ m: 'auto 0' }} variant="body2" color="text.secondary">
-                      {formatDate(itemsByDay[day][0].start_time)}
+                      {formatDate(day)}
                     </TimelineOppositeContent>
                     <TimelineSeparator>
                       <TimelineDot color="primary" variant="outlined">
@@ -225,72 +228,90 @@ function InteractiveTimeline({ itineraryItems = [], onItemClick, onTimeChange })
                   </TimelineItem>
 
                   {/* Day Items */}
-                  {itemsByDay[day].map((item, itemIndex) => (
-                    <TimelineItem key={item.id}>
-                      <TimelineOppositeContent sx={{ m: 'auto 0' }} variant="body2" color="text.secondary">
-                        {formatTime(item.start_time)}
-                        {item.end_time && ` - ${formatTime(item.end_time)}`}
-                      </TimelineOppositeContent>
-                      <TimelineSeparator>
-                        <TimelineDot color={getCategoryColor(item.category)}>
-                          {getCategoryIcon(item.category)}
-                        </TimelineDot>
-                        {itemIndex < itemsByDay[day].length - 1 && <TimelineConnector />}
-                      </TimelineSeparator>
-                      <TimelineContent sx={{ py: '12px', px: 2 }}>
-                        <motion.div
-                          whileHover={{ scale: 1.02 }}
-                          whileTap={{ scale: 0.98 }}
-                        >
-                          <Card
-                            sx={{
-                              cursor: 'pointer',
-                              '&:hover': { boxShadow: '0 4px 12px rgba(0,0,0,0.15)' },
-                            }}
-                            onClick={() => onItemClick && onItemClick(item)}
+                  {itemsByDay[day].map((item, itemIndex) => {
+                    const itemConflicts = conflictsByItem.get(item.id) || [];
+                    const conflictSeverity = conflictUtils.severity(itemConflicts);
+
+                    return (
+                      <TimelineItem key={item.id}>
+                        <TimelineOppositeContent sx={{ m: 'auto 0' }} variant="body2" color="text.secondary">
+                          {formatTime(item, 'start_time')}
+                          {item.end_time && ` - ${formatTime(item, 'end_time')}`}
+                        </TimelineOppositeContent>
+                        <TimelineSeparator>
+                          <TimelineDot color={conflictSeverity || getCategoryColor(item.category)}>
+                            {conflictSeverity ? <WarningAmber /> : getCategoryIcon(item.category)}
+                          </TimelineDot>
+                          {itemIndex < itemsByDay[day].length - 1 && <TimelineConnector />}
+                        </TimelineSeparator>
+                        <TimelineContent sx={{ py: '12px', px: 2 }}>
+                          <motion.div
+                            whileHover={{ scale: 1.02 }}
+                            whileTap={{ scale: 0.98 }}
                           >
-                            <CardContent sx={{ p: 2, '&:last-child': { pb: 2 } }}>
-                              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 1 }}>
-                                <Typography variant="h6" component="h3">
-                                  {item.title}
-                                </Typography>
-                                <Chip
-                                  label={item.category}
-                                  size="small"
-                                  color={getCategoryColor(item.category)}
-                                  variant="outlined"
-                                />
-                              </Box>
+                            <Card
+                              sx={{
+                                cursor: 'pointer',
+                                border: conflictSeverity ? 2 : 0,
+                                borderColor: conflictSeverity ? `${conflictSeverity}.main` : 'transparent',
+                                '&:hover': { boxShadow: '0 4px 12px rgba(0,0,0,0.15)' },
+                              }}
+                              onClick={() => onItemClick && onItemClick(item)}
+                            >
+                              <CardContent sx={{ p: 2, '&:last-child': { pb: 2 } }}>
+                                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 1 }}>
+                                  <Typography variant="h6" component="h3">
+                                    {item.title}
+                                  </Typography>
+                                  <Chip
+                                    label={item.category}
+                                    size="small"
+                                    color={getCategoryColor(item.category)}
+                                    variant="outlined"
+                                  />
+                                </Box>
 
-                              {item.location && (
-                                <Typography variant="body2" color="text.secondary" gutterBottom>
-                                  📍 {item.location}
-                                </Typography>
-                              )}
+                                {item.location && (
+                                  <Typography variant="body2" color="text.secondary" gutterBottom>
+                                    📍 {item.location}
+                                  </Typography>
+                                )}
 
-                              {showAllDetails && (
-                                <Box sx={{ mt: 1 }}>
-                                  {item.description && (
-                                    <Typography variant="body2" color="text.secondary" gutterBottom>
-                                      {item.description}
-                                    </Typography>
-                                  )}
-                                  {item.cost && (
-                                    <Chip
-                                      label={`$${item.cost}`}
-                                      size="small"
-                                      color="primary"
-                                      icon={<AttachMoney />}
-                                    />
-                                  )}
-                                </Box>
-                              )}
-                            </CardContent>
-                          </Card>
-                        </motion.div>
-                      </TimelineContent>
-                    </TimelineItem>
-                  ))}
+                                {itemConflicts.map(conflict => (
+                                  <Typography
+                                    key={`${conflict.type}-${conflict.item_ids.join('-')}`}
+                                    variant="body2"
+                                    color={`${conflict.severity}.main`}
+                                    gutterBottom
+                                  >
+                                    {conflict.message}
+                                  </Typography>
+                                ))}
+
+                                {showAllDetails && (
+                                  <Box sx={{ mt: 1 }}>
+                                    {item.description && (
+                                      <Typography variant="body2" color="text.secondary" gutterBottom>
+                                        {item.description}
+                                      </Typography>
+                                    )}
+                                    {item.cost && (
+                                      <Chip
+                                        label={`$${item.cost}`}
+                                        size="small"
+                                        color="primary"
+                                        icon={<AttachMoney />}
+                                      />
+                                    )}
+                                  </Box>
+                                )}
+                              </CardContent>
+                            </Card>
+                          </motion.div>
+                        </TimelineContent>
+                      </TimelineItem>
+                    );
+                  })}
                 </motion.div>
               ))}
             </AnimatePresence>
@@ -0,0 +1,201 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Chip,
+  List,
+  ListItem,
+  ListItemText,
+  Alert,
+  Typography,
+} from '@mui/material';
+import { ArrowForward } from '@mui/icons-material';
+import { itineraryAPI, tripAPI } from '../api/client.js';
+
+// Suggested times are wall-clock "YYYY-MM-DDTHH:mm" strings
+const clockTime = (value) => (value ? value.slice(11, 16) : '');
+
+const formatDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString(undefined, {
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+});
+
+const formatKm = (km) => `${km.toLocaleString(undefined, { maximumFractionDigits: 1 })} km`;
+
+function RouteOptimizerDialog({ open, onClose, tripId, itineraryItems = [], onApplied }) {
+  const [suggestions, setSuggestions] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [applying, setApplying] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setSuggestions(null);
+      setMessage(null);
+      loadSuggestions();
+    }
+  }, [open, tripId]);
+
+  const loadSuggestions = async () => {
+    try {
+      const response = await itineraryAPI.getRouteSuggestions(tripId);
+      setSuggestions(response.data);
+    } catch (error) {
+      console.error('Failed to load route suggestions:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to load route suggestions.' });
+    }
+  };
+
+  const applyCityOrder = async () => {
+    try {
+      setApplying(true);
+      for (const [index, stop] of suggestions.cities.stops.entries()) {
+        await tripAPI.updateTripCity(tripId, stop.cityId, { order_index: index });
+      }
+      onApplied(`City order updated, saving ${formatKm(suggestions.cities.savedKm)}`);
+      loadSuggestions();
+    } catch (error) {
+      console.error('Failed to reorder cities:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to reorder cities.' });
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  // The day's stops swap places in the itinerary and take the suggested times
+  const applyDayOrder = async (day) => {
+    try {
+      setApplying(true);
+      const stopIds = new Set(day.stops.map(stop => stop.id));
+      const queue = [...day.stops];
+      const reordered = itineraryItems.map(item => {
+        if (!stopIds.has(item.id)) return item;
+        const stop = queue.shift();
+        const current = itineraryItems.find(candidate => candidate.id === stop.id);
+        return { ...current, startTime: stop.startTime, endTime: stop.endTime };
+      });
+
+      await itineraryAPI.reorderItems(tripId, reordered);
+      onApplied(`${formatDate(day.date)} reordered, saving ${formatKm(day.savedKm)}`);
+      loadSuggestions();
+    } catch (error) {
+      console.error('Failed to reorder day:', error);
+      setMessage({
+        type: 'error',
+        text: error.conflict
+          ? 'Someone changed the itinerary in the meantime. Check the suggestions again.'
+          : error.message || 'Failed to reorder day.',
+      });
+      loadSuggestions();
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const cityRoute = suggestions?.cities;
+  const nothingToSuggest = suggestions && !cityRoute.changed && suggestions.days.length === 0;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Optimize Route</DialogTitle>
+      <DialogContent>
+        {message && (
+          <Alert severity={message.type} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message.text}
+          </Alert>
+        )}
+
+        {!suggestions ? (
+          <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+            Working out the shortest route...
+          </Typography>
+        ) : (
+          <>
+            {nothingToSuggest && (
+              <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+                Your route is already as short as it gets. Distances are measured in a straight line between
+                cities and between activities with a known location.
+              </Typography>
+            )}
+
+            {cityRoute.unlocated.length > 0 && (
+              <Alert severity="info" sx={{ mb: 2 }}>
+                {cityRoute.unlocated.join(', ')} {cityRoute.unlocated.length === 1 ? 'has' : 'have'} no
+                coordinates and {cityRoute.unlocated.length === 1 ? 'keeps its' : 'keep their'} place.
+              </Alert>
+            )}
+
+            {cityRoute.changed && (
+              <Card variant="outlined" sx={{ mb: 2 }}>
+                <CardContent>
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                    <Typography variant="h6">Cities</Typography>
+                    <Chip label={`Saves ${formatKm(cityRoute.savedKm)}`} color="success" size="small" />
+                  </Box>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, flexWrap: 'wrap', mb: 1 }}>
+                    {cityRoute.stops.map((stop, index) => (
+                      <React.Fragment key={stop.tripCityId}>
+                        {index > 0 && <ArrowForward fontSize="small" color="action" />}
+                        <Chip label={stop.name} size="small" variant="outlined" />
+                      </React.Fragment>
+                    ))}
+                  </Box>
+                  <Typography variant="body2" color="text.secondary">
+                    {formatKm(cityRoute.currentKm)} now, {formatKm(cityRoute.suggestedKm)} in this order. The first
+                    and last city stay put; arrival and departure dates are not changed.
+                  </Typography>
+                </CardContent>
+                <Box sx={{ px: 2, pb: 2 }}>
+                  <Button variant="contained" size="small" onClick={applyCityOrder} disabled={applying}>
+                    Use this order
+                  </Button>
+                </Box>
+              </Card>
+            )}
+
+            {suggestions.days.map(day => (
+              <Card key={day.date} variant="outlined" sx={{ mb: 2 }}>
+                <CardContent>
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <Typography variant="h6">{formatDate(day.date)}</Typography>
+                    <Chip label={`Saves ${formatKm(day.savedKm)}`} color="success" size="small" />
+                  </Box>
+                  <List dense>
+                    {day.stops.map((stop, index) => (
+                      <ListItem key={stop.id} disableGutters>
+                        <ListItemText
+                          primary={`${index + 1}. ${stop.title}`}
+                          secondary={[clockTime(stop.startTime), clockTime(stop.endTime)].filter(Boolean).join('–')}
+                        />
+                      </ListItem>
+                    ))}
+                  </List>
+                  <Typography variant="body2" color="text.secondary">
+                    {formatKm(day.currentKm)} now, {formatKm(day.suggestedKm)} in this order. Stops take over the
+                    day's time slots in their new order.
+                  </Typography>
+                </CardContent>
+                <Box sx={{ px: 2, pb: 2 }}>
+                  <Button variant="contained" size="small" onClick={() => applyDayOrder(day)} disabled={applying}>
+                    Use this order
+                  </Button>
+                </Box>
+              </Card>
+            ))}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default RouteOptimizerDialog;
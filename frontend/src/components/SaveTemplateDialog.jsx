@@ -0,0 +1,79 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Alert,
+  Typography,
+} from '@mui/material';
+import { templateAPI } from '../api/client.js';
+
+function SaveTemplateDialog({ open, onClose, trip, onSaved }) {
+  const [form, setForm] = useState({ title: '', description: '' });
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open && trip) {
+      setForm({ title: trip.title || '', description: trip.description || '' });
+      setError(null);
+    }
+  }, [open, trip]);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = await templateAPI.createTemplate(trip.id, form);
+      onSaved(response.data.template);
+    } catch (error) {
+      console.error('Failed to save template:', error);
+      setError(error.message || 'Failed to save template.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Save as template</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          Dates are stored as trip days so the template can be reused for any start date.
+          Booking references are not saved.
+        </Typography>
+        <TextField
+          fullWidth
+          margin="dense"
+          label="Template title"
+          value={form.title}
+          onChange={(e) => setForm(prev => ({ ...prev, title: e.target.value }))}
+        />
+        <TextField
+          fullWidth
+          multiline
+          rows={3}
+          margin="dense"
+          label="Description"
+          value={form.description}
+          onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave} disabled={!form.title.trim() || saving}>
+          {saving ? 'Saving...' : 'Save template'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default SaveTemplateDialog;
@@ -0,0 +1,140 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  ListItemSecondaryAction,
+  IconButton,
+  Chip,
+  Tooltip,
+  Alert,
+  Typography,
+} from '@mui/material';
+import {
+  Computer,
+  PhoneIphone,
+  Delete,
+} from '@mui/icons-material';
+import { authAPI } from '../api/client.js';
+
+// Rough, human-readable description of a user agent string
+const describeDevice = (userAgent = '') => {
+  const browser = ['Edg', 'Chrome', 'Firefox', 'Safari'].find(name => userAgent.includes(name));
+  const os = ['Windows', 'Android', 'iPhone', 'iPad', 'Mac OS', 'Linux'].find(name => userAgent.includes(name));
+
+  if (!browser && !os) {
+    return 'Unknown device';
+  }
+
+  return [browser === 'Edg' ? 'Edge' : browser, os && `on ${os === 'Mac OS' ? 'macOS' : os}`]
+    .filter(Boolean)
+    .join(' ');
+};
+
+const isMobile = (userAgent = '') => /Android|iPhone|iPad|Mobile/.test(userAgent);
+
+function SessionsDialog({ open, onClose, onSignedOut }) {
+  const [sessions, setSessions] = useState([]);
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      loadSessions();
+    }
+  }, [open]);
+
+  const loadSessions = async () => {
+    try {
+      setLoading(true);
+      const response = await authAPI.getSessions();
+      setSessions(response.data.sessions || []);
+    } catch (error) {
+      console.error('Failed to load sessions:', error);
+      setMessage({ type: 'error', text: 'Failed to load sessions.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (session) => {
+    try {
+      await authAPI.revokeSession(session.id);
+
+      if (session.current) {
+        onSignedOut();
+        return;
+      }
+
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+    } catch (error) {
+      console.error('Failed to revoke session:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to revoke session.' });
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    try {
+      await authAPI.logoutAll();
+      onSignedOut();
+    } catch (error) {
+      console.error('Failed to log out everywhere:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to log out everywhere.' });
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Active Sessions</DialogTitle>
+      <DialogContent>
+        {message && (
+          <Alert severity={message.type} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message.text}
+          </Alert>
+        )}
+
+        <List>
+          {sessions.map(session => (
+            <ListItem key={session.id}>
+              <ListItemIcon>
+                {isMobile(session.userAgent) ? <PhoneIphone /> : <Computer />}
+              </ListItemIcon>
+              <ListItemText
+                primary={describeDevice(session.userAgent)}
+                secondary={`${session.ipAddress || 'Unknown IP'} · Last active ${new Date(session.lastSeenAt).toLocaleString()}`}
+              />
+              <ListItemSecondaryAction sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                {session.current && <Chip label="This device" size="small" color="primary" />}
+                <Tooltip title={session.current ? 'Log out' : 'Revoke'}>
+                  <IconButton edge="end" color="error" onClick={() => handleRevoke(session)}>
+                    <Delete />
+                  </IconButton>
+                </Tooltip>
+              </ListItemSecondaryAction>
+            </ListItem>
+          ))}
+        </List>
+
+        {!loading && sessions.length === 0 && (
+          <Typography variant="body2" color="text.secondary">
+            No active sessions.
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button color="error" onClick={handleLogoutAll}>
+          Log out everywhere
+        </Button>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default SessionsDialog;
@@ -0,0 +1,270 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  List,
+  ListItem,
+  ListItemText,
+  ListItemSecondaryAction,
+  Chip,
+  IconButton,
+  Tooltip,
+  Alert,
+  Divider,
+  Typography,
+} from '@mui/material';
+import {
+  AddLink,
+  ContentCopy,
+  Delete,
+  Lock,
+} from '@mui/icons-material';
+import { tripAPI } from '../api/client.js';
+
+const PERMISSION_OPTIONS = [
+  { value: 'view', label: 'View only' },
+  { value: 'comment', label: 'Can comment' },
+];
+
+const EMPTY_FORM = { name: '', permission: 'view', expiresAt: '', password: '' };
+
+function ShareLinksDialog({ open, onClose, tripId }) {
+  const [links, setLinks] = useState([]);
+  const [comments, setComments] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [message, setMessage] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      loadLinks();
+      loadComments();
+    }
+  }, [open, tripId]);
+
+  const loadLinks = async () => {
+    try {
+      const response = await tripAPI.getShareLinks(tripId);
+      setLinks(response.data.shareLinks || []);
+    } catch (error) {
+      console.error('Failed to load share links:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to load share links.' });
+    }
+  };
+
+  const loadComments = async () => {
+    try {
+      const response = await tripAPI.getShareComments(tripId);
+      setComments(response.data.comments || []);
+    } catch (error) {
+      console.error('Failed to load comments:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to load comments.' });
+    }
+  };
+
+  const handleCopy = async (link) => {
+    try {
+      await navigator.clipboard.writeText(link.share_url);
+      setMessage({ type: 'success', text: `Copied "${link.name}" to clipboard` });
+    } catch (error) {
+      setMessage({ type: 'info', text: link.share_url });
+    }
+  };
+
+  const handleCreate = async () => {
+    try {
+      setSaving(true);
+      const response = await tripAPI.shareTrip(tripId, {
+        name: form.name || undefined,
+        permission: form.permission,
+        expiresAt: form.expiresAt ? new Date(form.expiresAt).toISOString() : undefined,
+        password: form.password || undefined,
+      });
+      setLinks(prev => [response.data.shareLink, ...prev]);
+      setForm(EMPTY_FORM);
+      handleCopy(response.data.shareLink);
+    } catch (error) {
+      console.error('Failed to create share link:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to create share link.' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (linkId) => {
+    try {
+      await tripAPI.revokeShareLink(tripId, linkId);
+      setLinks(prev => prev.filter(link => link.id !== linkId));
+    } catch (error) {
+      console.error('Failed to revoke share link:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to revoke share link.' });
+    }
+  };
+
+  const handleDeleteComment = async (commentId) => {
+    try {
+      await tripAPI.deleteShareComment(tripId, commentId);
+      setComments(prev => prev.filter(comment => comment.id !== commentId));
+    } catch (error) {
+      console.error('Failed to delete comment:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to delete comment.' });
+    }
+  };
+
+  const describeLink = (link) => {
+    const parts = [`${link.access_count} ${link.access_count === 1 ? 'view' : 'views'}`];
+
+    if (link.expires_at) {
+      parts.push(`${link.is_expired ? 'Expired' : 'Expires'} ${new Date(link.expires_at).toLocaleString()}`);
+    } else {
+      parts.push('Never expires');
+    }
+
+    return parts.join(' · ');
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Share Links</DialogTitle>
+      <DialogContent>
+        {message && (
+          <Alert severity={message.type} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message.text}
+          </Alert>
+        )}
+
+        <List>
+          {links.map(link => (
+            <ListItem key={link.id} sx={{ pr: 12 }}>
+              <ListItemText
+                primary={
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    {link.name}
+                    {link.has_password && <Lock fontSize="small" color="action" />}
+                    <Chip
+                      label={link.permission === 'comment' ? 'Can comment' : 'View only'}
+                      size="small"
+                      variant="outlined"
+                    />
+                    {link.is_expired && <Chip label="Expired" size="small" color="warning" />}
+                  </Box>
+                }
+                secondary={describeLink(link)}
+              />
+              <ListItemSecondaryAction>
+                <Tooltip title="Copy link">
+                  <IconButton onClick={() => handleCopy(link)} disabled={link.is_expired}>
+                    <ContentCopy />
+                  </IconButton>
+                </Tooltip>
+                <Tooltip title="Revoke">
+                  <IconButton edge="end" color="error" onClick={() => handleRevoke(link.id)}>
+                    <Delete />
+                  </IconButton>
+                </Tooltip>
+              </ListItemSecondaryAction>
+            </ListItem>
+          ))}
+        </List>
+
+        {links.length === 0 && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            This trip isn't shared yet.
+          </Typography>
+        )}
+
+        <Divider sx={{ my: 2 }} />
+        <Typography variant="subtitle2" gutterBottom>
+          Create a share link
+        </Typography>
+        <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 1 }}>
+          <TextField
+            size="small"
+            label="Name"
+            placeholder="e.g. Family"
+            value={form.name}
+            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+          />
+          <FormControl size="small">
+            <InputLabel>Permission</InputLabel>
+            <Select
+              value={form.permission}
+              label="Permission"
+              onChange={(e) => setForm(prev => ({ ...prev, permission: e.target.value }))}
+            >
+              {PERMISSION_OPTIONS.map(option => (
+                <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            size="small"
+            type="datetime-local"
+            label="Expires (optional)"
+            InputLabelProps={{ shrink: true }}
+            value={form.expiresAt}
+            onChange={(e) => setForm(prev => ({ ...prev, expiresAt: e.target.value }))}
+          />
+          <TextField
+            size="small"
+            type="password"
+            label="Password (optional)"
+            autoComplete="new-password"
+            value={form.password}
+            onChange={(e) => setForm(prev => ({ ...prev, password: e.target.value }))}
+          />
+        </Box>
+        <Button
+          variant="contained"
+          startIcon={<AddLink />}
+          onClick={handleCreate}
+          disabled={saving}
+          sx={{ mt: 1 }}
+        >
+          Create link
+        </Button>
+
+        {comments.length > 0 && (
+          <>
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="subtitle2" gutterBottom>
+              Comments
+            </Typography>
+            <List dense>
+              {comments.map(comment => (
+                <ListItem key={comment.id} alignItems="flex-start" sx={{ pr: 6 }}>
+                  <ListItemText
+                    primary={comment.body}
+                    primaryTypographyProps={{ sx: { whiteSpace: 'pre-wrap' } }}
+                    secondary={`${comment.author_name} via ${comment.link_name} · ${new Date(comment.created_at).toLocaleString()}`}
+                  />
+                  <ListItemSecondaryAction>
+                    <Tooltip title="Delete comment">
+                      <IconButton edge="end" color="error" onClick={() => handleDeleteComment(comment.id)}>
+                        <Delete />
+                      </IconButton>
+                    </Tooltip>
+                  </ListItemSecondaryAction>
+                </ListItem>
+              ))}
+            </List>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ShareLinksDialog;
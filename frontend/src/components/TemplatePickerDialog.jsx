@@ -0,0 +1,279 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  List,
+  ListItemButton,
+  ListItemText,
+  Chip,
+  IconButton,
+  Tooltip,
+  Alert,
+  Typography,
+  InputAdornment,
+} from '@mui/material';
+import {
+  Search,
+  Delete,
+  ArrowBack,
+} from '@mui/icons-material';
+import { templateAPI, cityAPI, tokenUtils, currencyUtils } from '../api/client.js';
+
+const LENGTH_OPTIONS = [
+  { value: '', label: 'Any length' },
+  { value: '1-3', label: 'Up to 3 days' },
+  { value: '4-7', label: '4–7 days' },
+  { value: '8-14', label: '8–14 days' },
+  { value: '15-', label: '15+ days' },
+];
+
+const formatCost = (value, currency) => currencyUtils.format(value, currency || currencyUtils.DEFAULT_CURRENCY);
+
+function TemplatePickerDialog({ open, onClose, initialValues = {}, onCreated }) {
+  const [templates, setTemplates] = useState([]);
+  const [countries, setCountries] = useState([]);
+  const [filters, setFilters] = useState({ search: '', country: '', length: '' });
+  const [selected, setSelected] = useState(null);
+  const [form, setForm] = useState({ title: '', startDate: '', budget: '', days: '' });
+  const [message, setMessage] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const user = tokenUtils.getUser();
+
+  useEffect(() => {
+    if (open) {
+      setSelected(null);
+      cityAPI.getCountries()
+        .then(response => setCountries(response.data.countries || []))
+        .catch(error => console.error('Failed to load countries:', error));
+    }
+  }, [open]);
+
+  useEffect(() => {
+    if (open) {
+      loadTemplates();
+    }
+  }, [open, filters.country, filters.length]);
+
+  const loadTemplates = async () => {
+    try {
+      const [minDays, maxDays] = filters.length.split('-');
+      const response = await templateAPI.getTemplates({
+        search: filters.search || undefined,
+        country: filters.country || undefined,
+        minDays: minDays || undefined,
+        maxDays: maxDays || undefined,
+      });
+      setTemplates(response.data.templates || []);
+    } catch (error) {
+      console.error('Failed to load templates:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to load templates.' });
+    }
+  };
+
+  const handleSelect = (template) => {
+    setSelected(template);
+    setForm({
+      title: initialValues.title || template.title,
+      startDate: initialValues.startDate || '',
+      budget: initialValues.budget || template.base_budget || '',
+      days: template.duration_days,
+    });
+  };
+
+  const handleDelete = async (e, template) => {
+    e.stopPropagation();
+    try {
+      await templateAPI.deleteTemplate(template.id);
+      setTemplates(prev => prev.filter(t => t.id !== template.id));
+    } catch (error) {
+      console.error('Failed to delete template:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to delete template.' });
+    }
+  };
+
+  const handleCreate = async () => {
+    try {
+      setSaving(true);
+      const response = await templateAPI.instantiateTemplate(selected.id, {
+        title: form.title,
+        startDate: form.startDate,
+        budget: form.budget === '' ? undefined : form.budget,
+        days: form.days,
+      });
+      onCreated(response.data.trip);
+    } catch (error) {
+      console.error('Failed to create trip from template:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to create trip from template.' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        {selected ? (
+          <Box sx={{ display: 'flex', alignItems: 'center' }}>
+            <IconButton size="small" onClick={() => setSelected(null)} sx={{ mr: 1 }}>
+              <ArrowBack />
+            </IconButton>
+            {selected.title}
+          </Box>
+        ) : 'Start from a template'}
+      </DialogTitle>
+      <DialogContent>
+        {message && (
+          <Alert severity={message.type} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message.text}
+          </Alert>
+        )}
+
+        {!selected ? (
+          <>
+            <Box sx={{ display: 'flex', gap: 1, mb: 1, pt: 1 }}>
+              <TextField
+                fullWidth
+                size="small"
+                placeholder="Search templates"
+                value={filters.search}
+                onChange={(e) => setFilters(prev => ({ ...prev, search: e.target.value }))}
+                onKeyDown={(e) => e.key === 'Enter' && loadTemplates()}
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <Search />
+                    </InputAdornment>
+                  ),
+                }}
+              />
+              <FormControl size="small" sx={{ minWidth: 140 }}>
+                <InputLabel>Country</InputLabel>
+                <Select
+                  value={filters.country}
+                  label="Country"
+                  onChange={(e) => setFilters(prev => ({ ...prev, country: e.target.value }))}
+                >
+                  <MenuItem value="">Any country</MenuItem>
+                  {countries.map(country => (
+                    <MenuItem key={country.country} value={country.country}>{country.country}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <FormControl size="small" sx={{ minWidth: 140 }}>
+                <InputLabel>Length</InputLabel>
+                <Select
+                  value={filters.length}
+                  label="Length"
+                  onChange={(e) => setFilters(prev => ({ ...prev, length: e.target.value }))}
+                >
+                  {LENGTH_OPTIONS.map(option => (
+                    <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Box>
+
+            <List>
+              {templates.map(template => (
+                <ListItemButton key={template.id} onClick={() => handleSelect(template)}>
+                  <ListItemText
+                    primary={template.title}
+                    secondary={[
+                      `${template.duration_days} ${template.duration_days === 1 ? 'day' : 'days'}`,
+                      template.country,
+                      `${template.city_count} ${Number(template.city_count) === 1 ? 'city' : 'cities'}`,
+                      template.base_budget && formatCost(template.base_budget, template.currency),
+                    ].filter(Boolean).join(' · ')}
+                  />
+                  {!template.is_public && <Chip label="Mine" size="small" variant="outlined" sx={{ mr: 1 }} />}
+                  {template.created_by === user?.id && (
+                    <Tooltip title="Delete template">
+                      <IconButton edge="end" color="error" onClick={(e) => handleDelete(e, template)}>
+                        <Delete />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                </ListItemButton>
+              ))}
+            </List>
+
+            {templates.length === 0 && (
+              <Typography variant="body2" color="text.secondary">
+                No templates match these filters.
+              </Typography>
+            )}
+          </>
+        ) : (
+          <Box sx={{ pt: 1 }}>
+            {selected.description && (
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                {selected.description}
+              </Typography>
+            )}
+            <TextField
+              fullWidth
+              margin="dense"
+              label="Trip title"
+              value={form.title}
+              onChange={(e) => setForm(prev => ({ ...prev, title: e.target.value }))}
+            />
+            <TextField
+              fullWidth
+              margin="dense"
+              type="date"
+              label="Start date"
+              InputLabelProps={{ shrink: true }}
+              value={form.startDate}
+              onChange={(e) => setForm(prev => ({ ...prev, startDate: e.target.value }))}
+            />
+            <TextField
+              fullWidth
+              margin="dense"
+              type="number"
+              label="Days"
+              value={form.days}
+              inputProps={{ min: 1, max: selected.duration_days }}
+              helperText={`Up to ${selected.duration_days} days; later days are left out`}
+              onChange={(e) => setForm(prev => ({ ...prev, days: e.target.value }))}
+            />
+            <TextField
+              fullWidth
+              margin="dense"
+              type="number"
+              label={`Budget (${selected.currency || currencyUtils.DEFAULT_CURRENCY})`}
+              value={form.budget}
+              helperText={selected.base_budget
+                ? `Item costs are scaled from the template's ${formatCost(selected.base_budget, selected.currency)}`
+                : 'This template has no costs to scale'}
+              onChange={(e) => setForm(prev => ({ ...prev, budget: e.target.value }))}
+            />
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        {selected && (
+          <Button
+            variant="contained"
+            onClick={handleCreate}
+            disabled={!form.startDate || !form.title.trim() || saving}
+          >
+            {saving ? 'Creating...' : 'Create trip'}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default TemplatePickerDialog;
@@ -0,0 +1,397 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Chip,
+  FormControl,
+  Grid,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Select,
+  TextField,
+  Tooltip,
+  Alert,
+  Typography,
+} from '@mui/material';
+import { ArrowForward, Delete, Edit } from '@mui/icons-material';
+import socketService from '../services/socket.js';
+import { travelLegAPI, currencyUtils } from '../api/client.js';
+
+const TRAVEL_MODES = ['flight', 'train', 'bus', 'car', 'ferry'];
+
+export const travelModeLabel = (mode) => mode.charAt(0).toUpperCase() + mode.slice(1);
+
+const formatMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest}m`;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+};
+
+const formatWhen = (datetime) => new Date(datetime).toLocaleString(undefined, {
+  day: 'numeric',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+const emptyForm = {
+  mode: 'train',
+  departureTime: '',
+  arrivalTime: '',
+  cost: '',
+  currency: '',
+  bookingReference: '',
+  notes: '',
+};
+
+function TravelLegsDialog({ open, onClose, tripId, currency, onChanged }) {
+  const [data, setData] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [message, setMessage] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    setData(null);
+    setEditing(null);
+    setMessage(null);
+    loadLegs();
+
+    const handleTravelLegUpdate = (update) => {
+      if (String(update.tripId) === String(tripId)) {
+        loadLegs();
+      }
+    };
+
+    socketService.on('travelLegUpdate', handleTravelLegUpdate);
+    return () => socketService.off('travelLegUpdate', handleTravelLegUpdate);
+  }, [open, tripId]);
+
+  const loadLegs = async () => {
+    try {
+      const response = await travelLegAPI.getTravelLegs(tripId);
+      setData(response.data);
+    } catch (error) {
+      console.error('Failed to load travel legs:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to load travel legs.' });
+    }
+  };
+
+  // A new leg starts from the suggested mode with its estimated cost filled in
+  const startAdding = (entry) => {
+    const mode = entry.suggested_mode || emptyForm.mode;
+    setEditing(entry);
+    setForm({ ...emptyForm, mode, cost: entry.estimates?.[mode].cost ?? '' });
+  };
+
+  const startEditing = (entry) => {
+    const { leg } = entry;
+    setEditing(entry);
+    setForm({
+      mode: leg.mode,
+      departureTime: leg.departure_time ? leg.departure_time.slice(0, 16) : '',
+      arrivalTime: leg.arrival_time ? leg.arrival_time.slice(0, 16) : '',
+      cost: leg.cost ?? '',
+      currency: leg.currency || '',
+      bookingReference: leg.booking_reference || '',
+      notes: leg.notes || '',
+    });
+  };
+
+  // Keep the cost in step with the estimate until the user types their own
+  const handleModeChange = (mode) => {
+    setForm(prev => {
+      const estimates = editing.estimates;
+      const estimated = estimates && String(prev.cost) === String(estimates[prev.mode].cost ?? '');
+      return { ...prev, mode, cost: estimated && !prev.currency ? estimates[mode].cost ?? '' : prev.cost };
+    });
+  };
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = editing.leg
+        ? await travelLegAPI.updateTravelLeg(tripId, editing.leg.id, form)
+        : await travelLegAPI.createTravelLeg(tripId, {
+          ...form,
+          fromTripCityId: editing.from.trip_city_id,
+          toTripCityId: editing.to.trip_city_id,
+        });
+      setEditing(null);
+      setMessage({ type: 'success', text: response.data.message });
+      onChanged(response.data);
+      loadLegs();
+    } catch (error) {
+      console.error('Failed to save travel leg:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to save travel leg.' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (leg) => {
+    try {
+      const response = await travelLegAPI.deleteTravelLeg(tripId, leg.id);
+      setMessage({ type: 'success', text: response.data.message });
+      onChanged(response.data);
+      loadLegs();
+    } catch (error) {
+      console.error('Failed to delete travel leg:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to delete travel leg.' });
+    }
+  };
+
+  const formatCost = (value, legCurrency) => currencyUtils.format(value, legCurrency || currency);
+
+  const renderForm = () => (
+    <Grid container spacing={2} sx={{ mt: 0.5 }}>
+      <Grid item xs={12} sm={4}>
+        <FormControl fullWidth size="small">
+          <InputLabel>Mode</InputLabel>
+          <Select value={form.mode} label="Mode" onChange={(e) => handleModeChange(e.target.value)}>
+            {TRAVEL_MODES.map(mode => (
+              <MenuItem key={mode} value={mode}>{travelModeLabel(mode)}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Grid>
+      <Grid item xs={12} sm={4}>
+        <TextField
+          fullWidth
+          size="small"
+          type="datetime-local"
+          label="Departure"
+          name="departureTime"
+          value={form.departureTime}
+          onChange={handleFormChange}
+          InputLabelProps={{ shrink: true }}
+        />
+      </Grid>
+      <Grid item xs={12} sm={4}>
+        <TextField
+          fullWidth
+          size="small"
+          type="datetime-local"
+          label="Arrival"
+          name="arrivalTime"
+          value={form.arrivalTime}
+          onChange={handleFormChange}
+          InputLabelProps={{ shrink: true }}
+        />
+      </Grid>
+      <Grid item xs={8} sm={4}>
+        <TextField
+          fullWidth
+          size="small"
+          type="number"
+          label="Cost"
+          name="cost"
+          value={form.cost}
+          onChange={handleFormChange}
+          inputProps={{ min: 0, step: 0.01 }}
+        />
+      </Grid>
+      <Grid item xs={4} sm={2}>
+        <FormControl fullWidth size="small">
+          <InputLabel shrink>Currency</InputLabel>
+          <Select
+            name="currency"
+            value={form.currency}
+            onChange={handleFormChange}
+            label="Currency"
+            notched
+            displayEmpty
+            renderValue={(value) => value || currency}
+          >
+            <MenuItem value="">{currency} (trip)</MenuItem>
+            {currencyUtils.COMMON_CURRENCIES.filter(code => code !== currency).map(code => (
+              <MenuItem key={code} value={code}>{code}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Grid>
+      <Grid item xs={12} sm={6}>
+        <TextField
+          fullWidth
+          size="small"
+          label="Booking Reference"
+          name="bookingReference"
+          value={form.bookingReference}
+          onChange={handleFormChange}
+        />
+      </Grid>
+      <Grid item xs={12}>
+        <TextField
+          fullWidth
+          size="small"
+          multiline
+          rows={2}
+          label="Notes"
+          name="notes"
+          value={form.notes}
+          onChange={handleFormChange}
+        />
+      </Grid>
+      <Grid item xs={12} sx={{ display: 'flex', gap: 1 }}>
+        <Button variant="contained" size="small" onClick={handleSave} disabled={saving}>
+          {editing.leg ? 'Save' : 'Add leg'}
+        </Button>
+        <Button size="small" onClick={() => setEditing(null)}>Cancel</Button>
+      </Grid>
+    </Grid>
+  );
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Travel Between Stops</DialogTitle>
+      <DialogContent>
+        {message && (
+          <Alert severity={message.type} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message.text}
+          </Alert>
+        )}
+
+        {!data ? (
+          <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+            Loading travel legs...
+          </Typography>
+        ) : (
+          <>
+            {data.legs.length === 0 && (
+              <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+                Add at least two cities to the trip to plan how you get between them.
+              </Typography>
+            )}
+
+            {data.legs.map(entry => {
+              const { leg } = entry;
+              const isEditing = editing?.from.trip_city_id === entry.from.trip_city_id
+                && editing?.to.trip_city_id === entry.to.trip_city_id;
+
+              return (
+                <Card key={`${entry.from.trip_city_id}-${entry.to.trip_city_id}`} variant="outlined" sx={{ mb: 2 }}>
+                  <CardContent>
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 1 }}>
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                        <Typography variant="h6">{entry.from.name}</Typography>
+                        <ArrowForward fontSize="small" color="action" />
+                        <Typography variant="h6">{entry.to.name}</Typography>
+                      </Box>
+                      {entry.distance_km !== null && (
+                        <Chip label={`${entry.distance_km.toLocaleString()} km`} size="small" variant="outlined" />
+                      )}
+                    </Box>
+
+                    {leg ? (
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap', mt: 1 }}>
+                        <Chip label={travelModeLabel(leg.mode)} color="primary" size="small" />
+                        {leg.departure_time && (
+                          <Typography variant="body2">
+                            {formatWhen(leg.departure_time)}
+                            {leg.arrival_time && ` – ${formatWhen(leg.arrival_time)}`}
+                          </Typography>
+                        )}
+                        {leg.cost !== null && (
+                          <Typography variant="body2">{formatCost(leg.cost, leg.currency)}</Typography>
+                        )}
+                        {leg.booking_reference && (
+                          <Typography variant="body2" color="text.secondary">Ref {leg.booking_reference}</Typography>
+                        )}
+                        <Box sx={{ flexGrow: 1 }} />
+                        <Tooltip title="Edit">
+                          <IconButton size="small" onClick={() => startEditing(entry)}>
+                            <Edit fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Remove">
+                          <IconButton size="small" onClick={() => handleDelete(leg)}>
+                            <Delete fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      </Box>
+                    ) : !isEditing && (
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}>
+                        <Typography variant="body2" color="text.secondary" sx={{ flexGrow: 1 }}>
+                          No travel planned yet
+                          {entry.suggested_mode && `; ${travelModeLabel(entry.suggested_mode)} looks quickest`}.
+                        </Typography>
+                        <Button size="small" onClick={() => startAdding(entry)}>Add leg</Button>
+                      </Box>
+                    )}
+
+                    {entry.estimates && (
+                      <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mt: 1 }}>
+                        {TRAVEL_MODES.map(mode => (
+                          <Chip
+                            key={mode}
+                            size="small"
+                            variant={mode === (leg?.mode || entry.suggested_mode) ? 'filled' : 'outlined'}
+                            label={[
+                              travelModeLabel(mode),
+                              formatMinutes(entry.estimates[mode].minutes),
+                              entry.estimates[mode].cost !== null && formatCost(entry.estimates[mode].cost),
+                            ].filter(Boolean).join(' · ')}
+                          />
+                        ))}
+                      </Box>
+                    )}
+
+                    {isEditing && renderForm()}
+                  </CardContent>
+                </Card>
+              );
+            })}
+
+            {data.legs.some(entry => entry.estimates) && (
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Estimates are rough: straight-line distance adjusted for each mode, with time to get to and
+                through stations or airports. Saved leg costs count towards the trip budget.
+              </Typography>
+            )}
+
+            {data.otherLegs.length > 0 && (
+              <Alert severity="warning">
+                <Typography variant="body2" gutterBottom>
+                  These legs no longer join consecutive stops and are still counted in the budget:
+                </Typography>
+                {data.otherLegs.map(leg => (
+                  <Box key={leg.id} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <Typography variant="body2">
+                      {leg.from_name} → {leg.to_name} by {leg.mode}
+                      {leg.cost !== null && ` (${formatCost(leg.cost, leg.currency)})`}
+                    </Typography>
+                    <Tooltip title="Remove">
+                      <IconButton size="small" onClick={() => handleDelete(leg)}>
+                        <Delete fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </Box>
+                ))}
+              </Alert>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default TravelLegsDialog;
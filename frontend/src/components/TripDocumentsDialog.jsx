@@ -0,0 +1,215 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Avatar,
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControl,
+  IconButton,
+  InputLabel,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+  MenuItem,
+  Select,
+  Tooltip,
+  Alert,
+  Typography,
+} from '@mui/material';
+import { Delete, Description, Download, UploadFile } from '@mui/icons-material';
+import socketService from '../services/socket.js';
+import { documentAPI, fileUtils } from '../api/client.js';
+
+const KIND_OPTIONS = ['ticket', 'visa', 'insurance', 'receipt', 'other'];
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+  ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  : `${Math.max(1, Math.round(bytes / 1024))} KB`);
+
+function TripDocumentsDialog({ open, onClose, tripId, itineraryItems = [] }) {
+  const [documents, setDocuments] = useState([]);
+  const [files, setFiles] = useState([]);
+  const [kind, setKind] = useState('ticket');
+  const [itemId, setItemId] = useState('');
+  const [filterItemId, setFilterItemId] = useState('');
+  const [message, setMessage] = useState(null);
+  const [uploading, setUploading] = useState(false);
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    setFiles([]);
+    setMessage(null);
+    loadDocuments();
+
+    const handleDocumentUpdate = (data) => {
+      if (String(data.tripId) === String(tripId)) {
+        loadDocuments();
+      }
+    };
+
+    socketService.on('documentUpdate', handleDocumentUpdate);
+    return () => socketService.off('documentUpdate', handleDocumentUpdate);
+  }, [open, tripId]);
+
+  // Signed links expire, so always fetch a fresh list
+  const loadDocuments = async () => {
+    try {
+      const response = await documentAPI.getDocuments(tripId);
+      setDocuments(response.data.documents);
+    } catch (error) {
+      console.error('Failed to load documents:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to load documents.' });
+    }
+  };
+
+  const handleUpload = async () => {
+    try {
+      setUploading(true);
+      const response = await documentAPI.uploadDocuments(tripId, files, { kind, itineraryItemId: itemId });
+      setFiles([]);
+      setMessage({ type: 'success', text: response.data.message });
+      loadDocuments();
+    } catch (error) {
+      console.error('Failed to upload documents:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to upload documents.' });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (document) => {
+    try {
+      await documentAPI.deleteDocument(tripId, document.id);
+      setDocuments(prev => prev.filter(candidate => candidate.id !== document.id));
+    } catch (error) {
+      console.error('Failed to delete document:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to delete document.' });
+    }
+  };
+
+  const shownDocuments = filterItemId
+    ? documents.filter(document => String(document.itinerary_item_id) === String(filterItemId))
+    : documents;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Trip Documents</DialogTitle>
+      <DialogContent>
+        {message && (
+          <Alert severity={message.type} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message.text}
+          </Alert>
+        )}
+
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap', mb: 2, mt: 1 }}>
+          <FormControl size="small" sx={{ minWidth: 140 }}>
+            <InputLabel>Kind</InputLabel>
+            <Select value={kind} label="Kind" onChange={(e) => setKind(e.target.value)}>
+              {KIND_OPTIONS.map(option => (
+                <MenuItem key={option} value={option}>
+                  {option.charAt(0).toUpperCase() + option.slice(1)}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl size="small" sx={{ minWidth: 200 }}>
+            <InputLabel>Itinerary item</InputLabel>
+            <Select value={itemId} label="Itinerary item" onChange={(e) => setItemId(e.target.value)}>
+              <MenuItem value="">Whole trip</MenuItem>
+              {itineraryItems.map(item => (
+                <MenuItem key={item.id} value={item.id}>{item.title}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Button variant="outlined" component="label" startIcon={<UploadFile />}>
+            Choose files
+            <input
+              hidden
+              multiple
+              type="file"
+              accept="application/pdf,image/jpeg,image/png,image/gif,image/webp"
+              onChange={(e) => setFiles(Array.from(e.target.files))}
+            />
+          </Button>
+          <Button variant="contained" onClick={handleUpload} disabled={uploading || files.length === 0}>
+            {uploading ? 'Uploading...' : `Upload${files.length > 0 ? ` ${files.length}` : ''}`}
+          </Button>
+          <Typography variant="caption" color="text.secondary" sx={{ width: '100%' }}>
+            PDFs and images up to 10MB each, up to 10 files at a time.
+          </Typography>
+        </Box>
+
+        {itineraryItems.length > 0 && (
+          <FormControl size="small" sx={{ minWidth: 200, mb: 1 }}>
+            <InputLabel>Show</InputLabel>
+            <Select value={filterItemId} label="Show" onChange={(e) => setFilterItemId(e.target.value)}>
+              <MenuItem value="">All documents</MenuItem>
+              {itineraryItems.map(item => (
+                <MenuItem key={item.id} value={item.id}>{item.title}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        )}
+
+        {shownDocuments.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+            No documents yet. Keep tickets, visas and insurance papers here so everyone on the trip can find them.
+          </Typography>
+        ) : (
+          <List dense>
+            {shownDocuments.map(document => (
+              <ListItem
+                key={document.id}
+                secondaryAction={
+                  <Box>
+                    <Tooltip title="Download">
+                      <IconButton component="a" href={fileUtils.serverUrl(document.download_url)}>
+                        <Download />
+                      </IconButton>
+                    </Tooltip>
+                    <IconButton onClick={() => handleDelete(document)}>
+                      <Delete />
+                    </IconButton>
+                  </Box>
+                }
+              >
+                <ListItemAvatar>
+                  <Avatar
+                    variant="rounded"
+                    src={document.thumbnail_url ? fileUtils.serverUrl(document.thumbnail_url) : undefined}
+                  >
+                    <Description />
+                  </Avatar>
+                </ListItemAvatar>
+                <ListItemText
+                  primary={
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                      {document.original_name}
+                      <Chip label={document.kind} size="small" variant="outlined" />
+                    </Box>
+                  }
+                  secondary={[
+                    formatSize(document.size_bytes),
+                    document.itinerary_item_title && `for ${document.itinerary_item_title}`,
+                    document.uploaded_by_name && `uploaded by ${document.uploaded_by_name}`,
+                  ].filter(Boolean).join(' · ')}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default TripDocumentsDialog;
@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Alert,
+  Typography,
+} from '@mui/material';
+import {
+  UploadFile,
+  CheckCircle,
+  Warning,
+  Error as ErrorIcon,
+} from '@mui/icons-material';
+import { tripAPI } from '../api/client.js';
+
+const describeUnmatched = (entry) => {
+  if (entry.type === 'activity') {
+    return `Activity "${entry.name}" (on "${entry.item}")`;
+  }
+  return `City "${[entry.name, entry.country].filter(Boolean).join(', ')}"`;
+};
+
+function TripImportDialog({ open, onClose, onImported }) {
+  const [results, setResults] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setResults(null);
+      setMessage(null);
+    }
+  }, [open]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setImporting(true);
+      setMessage(null);
+      const response = await tripAPI.importArchive(file);
+      setResults(response.data.results);
+      setMessage({ type: 'success', text: response.data.message });
+      onImported();
+    } catch (error) {
+      console.error('Failed to import trips:', error);
+      setResults(error.data?.results || null);
+      setMessage({
+        type: 'error',
+        text: [error.message || 'Failed to import trips.', ...(error.data?.details || [])].join(' · '),
+      });
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Import Trips</DialogTitle>
+      <DialogContent>
+        {message && (
+          <Alert severity={message.type} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message.text}
+          </Alert>
+        )}
+
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Choose a GlobeTrotter trip export (.json). Each trip in it is added to your trips.
+          Cities and activities that don't exist here are listed below and left out.
+        </Typography>
+        <Button variant="outlined" component="label" startIcon={<UploadFile />} disabled={importing}>
+          {importing ? 'Importing...' : 'Choose archive'}
+          <input hidden type="file" accept=".json,application/json" onChange={handleFile} />
+        </Button>
+
+        {results && (
+          <List dense sx={{ mt: 2 }}>
+            {results.map((result, index) => (
+              <ListItem key={index} alignItems="flex-start">
+                <ListItemIcon sx={{ mt: 0.5 }}>
+                  {!result.trip && <ErrorIcon color="error" />}
+                  {result.trip && result.unmatched.length > 0 && <Warning color="warning" />}
+                  {result.trip && result.unmatched.length === 0 && <CheckCircle color="success" />}
+                </ListItemIcon>
+                <ListItemText
+                  primary={result.title}
+                  secondary={result.trip ? (
+                    <Box component="span">
+                      {`${result.imported.cities} cities, ${result.imported.items} itinerary items`}
+                      {result.unmatched.map((entry, i) => (
+                        <Box component="span" key={i} sx={{ display: 'block' }}>
+                          Not found: {describeUnmatched(entry)}
+                        </Box>
+                      ))}
+                    </Box>
+                  ) : result.error}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default TripImportDialog;
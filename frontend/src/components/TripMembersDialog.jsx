@@ -0,0 +1,216 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+  ListItemSecondaryAction,
+  Avatar,
+  Chip,
+  IconButton,
+  Tooltip,
+  Alert,
+  Divider,
+  Typography,
+} from '@mui/material';
+import {
+  PersonAdd,
+  Delete,
+  Star,
+} from '@mui/icons-material';
+import { memberAPI, tokenUtils } from '../api/client.js';
+
+const ROLE_OPTIONS = [
+  { value: 'viewer', label: 'Viewer' },
+  { value: 'editor', label: 'Editor' },
+  { value: 'owner', label: 'Owner' },
+];
+
+function TripMembersDialog({ open, onClose, tripId }) {
+  const [owner, setOwner] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [myRole, setMyRole] = useState(null);
+  const [inviteForm, setInviteForm] = useState({ email: '', role: 'editor' });
+  const [message, setMessage] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const user = tokenUtils.getUser();
+  const isOwner = myRole === 'owner';
+
+  useEffect(() => {
+    if (open) {
+      loadMembers();
+    }
+  }, [open, tripId]);
+
+  const loadMembers = async () => {
+    try {
+      const response = await memberAPI.getMembers(tripId);
+      setOwner(response.data.owner);
+      setMembers(response.data.members || []);
+      setMyRole(response.data.role);
+    } catch (error) {
+      console.error('Failed to load trip members:', error);
+      setMessage({ type: 'error', text: 'Failed to load trip members.' });
+    }
+  };
+
+  const handleInvite = async () => {
+    try {
+      setSaving(true);
+      await memberAPI.inviteMember(tripId, inviteForm);
+      setInviteForm({ email: '', role: inviteForm.role });
+      setMessage({ type: 'success', text: `Invitation sent to ${inviteForm.email}` });
+      loadMembers();
+    } catch (error) {
+      console.error('Failed to invite member:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to send invitation.' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRoleChange = async (memberId, role) => {
+    try {
+      await memberAPI.updateMemberRole(tripId, memberId, role);
+      setMembers(prev => prev.map(member => member.id === memberId ? { ...member, role } : member));
+    } catch (error) {
+      console.error('Failed to update member role:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to update role.' });
+    }
+  };
+
+  const handleRemove = async (memberId) => {
+    try {
+      await memberAPI.removeMember(tripId, memberId);
+      setMembers(prev => prev.filter(member => member.id !== memberId));
+    } catch (error) {
+      console.error('Failed to remove member:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to remove member.' });
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Trip Members</DialogTitle>
+      <DialogContent>
+        {message && (
+          <Alert severity={message.type} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message.text}
+          </Alert>
+        )}
+
+        <List>
+          {owner && (
+            <ListItem>
+              <ListItemAvatar>
+                <Avatar><Star /></Avatar>
+              </ListItemAvatar>
+              <ListItemText primary={owner.user_name} secondary={owner.email} />
+              <Chip label="Creator" size="small" color="primary" />
+            </ListItem>
+          )}
+
+          {members.map((member) => {
+            const isSelf = member.user_id === user?.id;
+
+            return (
+              <ListItem key={member.id}>
+                <ListItemAvatar>
+                  <Avatar>{(member.user_name || member.email).charAt(0).toUpperCase()}</Avatar>
+                </ListItemAvatar>
+                <ListItemText
+                  primary={member.user_name || member.email}
+                  secondary={member.status === 'pending' ? 'Invitation pending' : member.email}
+                />
+                <ListItemSecondaryAction sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  {isOwner ? (
+                    <Select
+                      size="small"
+                      value={member.role}
+                      onChange={(e) => handleRoleChange(member.id, e.target.value)}
+                    >
+                      {ROLE_OPTIONS.map(option => (
+                        <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                      ))}
+                    </Select>
+                  ) : (
+                    <Chip label={member.role} size="small" variant="outlined" />
+                  )}
+                  {(isOwner || isSelf) && (
+                    <Tooltip title={isSelf ? 'Leave trip' : 'Remove'}>
+                      <IconButton edge="end" color="error" onClick={() => handleRemove(member.id)}>
+                        <Delete />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                </ListItemSecondaryAction>
+              </ListItem>
+            );
+          })}
+        </List>
+
+        {members.length === 0 && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            No co-planners yet.
+          </Typography>
+        )}
+
+        {isOwner && (
+          <>
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="subtitle2" gutterBottom>
+              Invite a co-planner
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <TextField
+                fullWidth
+                size="small"
+                type="email"
+                label="Email"
+                value={inviteForm.email}
+                onChange={(e) => setInviteForm(prev => ({ ...prev, email: e.target.value }))}
+              />
+              <FormControl size="small" sx={{ minWidth: 120 }}>
+                <InputLabel>Role</InputLabel>
+                <Select
+                  value={inviteForm.role}
+                  label="Role"
+                  onChange={(e) => setInviteForm(prev => ({ ...prev, role: e.target.value }))}
+                >
+                  {ROLE_OPTIONS.map(option => (
+                    <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <Button
+                variant="contained"
+                startIcon={<PersonAdd />}
+                onClick={handleInvite}
+                disabled={!inviteForm.email || saving}
+              >
+                Invite
+              </Button>
+            </Box>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default TripMembersDialog;
@@ -66,6 +66,7 @@ import {
   Block,
   Star,
   Public,
+  CurrencyExchange,
 } from '@mui/icons-material';
 import {
   LineChart,
@@ -86,6 +87,7 @@ import {
 } from 'recharts';
 import { useNavigate } from 'react-router-dom';
 import { adminAPI, tokenUtils } from '../api/client.js';
+import ExchangeRatesPanel from '../components/ExchangeRatesPanel.jsx';
 
 const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8'];
 
@@ -258,6 +260,7 @@ function AdminDashboard() {
             <Tab icon={<LocationCity />} label="Cities" />
             <Tab icon={<LocalActivity />} label="Activities" />
             <Tab icon={<MonitorHeart />} label="System" />
+            <Tab icon={<CurrencyExchange />} label="Exchange Rates" />
           </Tabs>
         </Paper>
 
@@ -371,6 +374,18 @@ function AdminDashboard() {
               </Grid>
             </motion.div>
           )}
+
+          {currentTab === 6 && (
+            <motion.div
+              key="exchange-rates"
+              initial={{ opacity: 0, x: 20 }}
+              animate={{ opacity: 1, x: 0 }}
+              exit={{ opacity: 0, x: -20 }}
+              transition={{ duration: 0.3 }}
+            >
+              <ExchangeRatesPanel />
+            </motion.div>
+          )}
         </AnimatePresence>
       </Container>
 
@@ -396,7 +396,12 @@ function AdvancedDashboard() {
     setAnchorEl(null);
   };
 
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    try {
+      await authAPI.logout();
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
     tokenUtils.removeToken();
     socketService.disconnect();
     navigate('/login');
@@ -73,8 +73,10 @@ import {
   CheckCircle,
   Warning,
   Info,
+  ContentCopy,
 } from '@mui/icons-material';
-import { tripAPI, tokenUtils } from '../api/client.js';
+import TemplatePickerDialog from '../components/TemplatePickerDialog.jsx';
+import { tripAPI, tokenUtils, currencyUtils } from '../api/client.js';
 import socketService from '../services/socket.js';
 
 function CreateTrip() {
@@ -82,6 +84,7 @@ function CreateTrip() {
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState(null);
   const [activeStep, setActiveStep] = useState(0);
+  const [templateDialogOpen, setTemplateDialogOpen] = useState(false);
 
   // Enhanced form data
   const [formData, setFormData] = useState({
@@ -97,7 +100,7 @@ function CreateTrip() {
     privacy: 'public',
     tags: [],
     estimatedCost: 0,
-    currency: 'INR'
+    currency: tokenUtils.getUser()?.homeCurrency || currencyUtils.DEFAULT_CURRENCY
   });
 
   // Advanced features
@@ -418,6 +421,14 @@ function CreateTrip() {
           <Typography variant="body1" color="text.secondary" sx={{ mb: 4 }}>
             Tell us about your trip and we'll help you create the perfect itinerary
           </Typography>
+          <Button
+            variant="outlined"
+            startIcon={<ContentCopy />}
+            onClick={() => setTemplateDialogOpen(true)}
+            sx={{ mt: -2, mb: 4 }}
+          >
+            Start from a template
+          </Button>
 
           {message && (
             <Alert 
@@ -670,11 +681,9 @@ function CreateTrip() {
                         onChange={handleInputChange}
                         label="Currency"
                       >
-                        <MenuItem value="INR">INR (₹)</MenuItem>
-                        <MenuItem value="USD">USD ($)</MenuItem>
-                        <MenuItem value="EUR">EUR (€)</MenuItem>
-                        <MenuItem value="GBP">GBP (£)</MenuItem>
-                        <MenuItem value="AED">AED (د.إ)</MenuItem>
+                        {currencyUtils.COMMON_CURRENCIES.map(code => (
+                          <MenuItem key={code} value={code}>{code}</MenuItem>
+                        ))}
                       </Select>
                     </FormControl>
                   </Grid>
@@ -833,10 +842,7 @@ function CreateTrip() {
                     <Grid item xs={12} sm={6}>
                       <Typography variant="subtitle2" color="textSecondary">Budget</Typography>
                       <Typography variant="h6">
-                        {formData.currency === 'INR' ? '₹' :
-                         formData.currency === 'EUR' ? '€' :
-                         formData.currency === 'GBP' ? '£' :
-                         formData.currency === 'AED' ? 'د.إ' : '$'}{formData.budget} {formData.currency}
+                        {currencyUtils.format(formData.budget, formData.currency)} {formData.currency}
                       </Typography>
                     </Grid>
                     <Grid item xs={12} sm={6}>
@@ -942,6 +948,13 @@ function CreateTrip() {
           )}
         </Paper>
       </Container>
+
+      <TemplatePickerDialog
+        open={templateDialogOpen}
+        onClose={() => setTemplateDialogOpen(false)}
+        initialValues={{ title: formData.title, startDate: formData.startDate, budget: formData.budget }}
+        onCreated={(trip) => navigate(`/trips/${trip.id}/itinerary`)}
+      />
     </Box>
   );
 }
@@ -31,15 +31,19 @@ import {
   Dashboard as DashboardIconMui,
   Analytics,
   LocationOn,
-  CurrencyRupee,
+  Payments,
+  CurrencyExchange,
   CalendarToday,
   Notifications,
   Recommend,
   Speed,
   TrendingUp,
+  Devices,
 } from '@mui/icons-material';
-import { tokenUtils, authAPI, tripAPI, cityAPI } from '../api/client.js';
+import { tokenUtils, authAPI, tripAPI, cityAPI, currencyUtils } from '../api/client.js';
 import socketService from '../services/socket.js';
+import SessionsDialog from '../components/SessionsDialog.jsx';
+import HomeCurrencyDialog from '../components/HomeCurrencyDialog.jsx';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   ResponsiveContainer,
@@ -60,6 +64,8 @@ function Dashboard() {
   const navigate = useNavigate();
   const [user, setUser] = useState(null);
   const [anchorEl, setAnchorEl] = useState(null);
+  const [sessionsDialogOpen, setSessionsDialogOpen] = useState(false);
+  const [currencyDialogOpen, setCurrencyDialogOpen] = useState(false);
 
   // Basic dashboard data (removing duplicates)
 
@@ -151,7 +157,7 @@ function Dashboard() {
       const citiesVisited = new Set(
         userTrips.flatMap(trip => trip.cities || [])
       ).size || 15;
-      const totalCost = userTrips.reduce((sum, trip) => sum + (trip.total_cost || 0), 0) || 1111111;
+      const totalCost = userTrips.reduce((sum, trip) => sum + Number(trip.home_total_cost ?? trip.total_cost ?? 0), 0) || 1111111;
 
       setStats({
         totalTrips,
@@ -171,7 +177,7 @@ function Dashboard() {
   // Advanced analytics calculation functions
   const calculateAdvancedAnalytics = async (tripData) => {
     // Calculate travel statistics with correct data structure
-    const totalCost = tripData.reduce((sum, trip) => sum + (trip.budget || trip.total_cost || 0), 0);
+    const totalCost = tripData.reduce((sum, trip) => sum + currencyUtils.tripAmount(trip), 0);
     const countries = [...new Set(tripData.flatMap(trip => trip.countries || []))];
     const cities = [...new Set(tripData.flatMap(trip => trip.cities || []))];
 
@@ -260,9 +266,9 @@ function Dashboard() {
 
     // Process real trip data
     trips.forEach(trip => {
-      if (trip.start_date && (trip.budget || trip.total_cost)) {
+      if (trip.start_date && currencyUtils.tripAmount(trip)) {
         const month = new Date(trip.start_date).toLocaleDateString('en-US', { year: 'numeric', month: 'short' });
-        monthlyData[month] = (monthlyData[month] || 0) + (trip.budget || trip.total_cost || 0);
+        monthlyData[month] = (monthlyData[month] || 0) + currencyUtils.tripAmount(trip);
       }
     });
 
@@ -287,7 +293,7 @@ function Dashboard() {
       'Activities': 0.15,
       'Shopping': 0.05
     };
-    const totalBudget = trips.reduce((sum, trip) => sum + (trip.budget || trip.total_cost || 0), 0);
+    const totalBudget = trips.reduce((sum, trip) => sum + currencyUtils.tripAmount(trip), 0);
 
     // If no real budget data, use sample data for visualization
     const displayBudget = totalBudget || 1111111; // Sample total budget
@@ -302,8 +308,8 @@ function Dashboard() {
   const generateBudgetTrends = (trips) => {
     return trips.slice(-6).map((trip, index) => ({
       trip: trip.title?.substring(0, 10) + '...' || `Trip ${index + 1}`,
-      planned: trip.budget || 0,
-      actual: trip.total_cost || trip.budget || 0
+      planned: Number(trip.home_currency ? trip.home_budget : trip.budget) || 0,
+      actual: Number(trip.home_currency ? trip.home_total_cost : trip.total_cost) || currencyUtils.tripAmount(trip)
     }));
   };
 
@@ -335,7 +341,7 @@ function Dashboard() {
         return tripDate.getMonth() === date.getMonth() && tripDate.getFullYear() === date.getFullYear();
       });
 
-      const monthlyBudget = monthTrips.reduce((sum, trip) => sum + (trip.budget || trip.total_cost || 0), 0);
+      const monthlyBudget = monthTrips.reduce((sum, trip) => sum + currencyUtils.tripAmount(trip), 0);
 
       // Generate sample budget if no real data
       let displayBudget = monthlyBudget;
@@ -394,7 +400,7 @@ function Dashboard() {
     }
 
     // Analyze travel patterns for recommendations
-    const totalBudget = trips.reduce((sum, trip) => sum + (trip.budget || trip.total_cost || 0), 0);
+    const totalBudget = trips.reduce((sum, trip) => sum + currencyUtils.tripAmount(trip), 0);
     const avgBudget = totalBudget / trips.length;
 
     if (avgBudget > 3000) {
@@ -501,11 +507,10 @@ function Dashboard() {
     navigate('/trips');
   };
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-IN', {
-      style: 'currency',
-      currency: 'INR'
-    }).format(amount);
+  const homeCurrency = user?.homeCurrency || tokenUtils.getUser()?.homeCurrency || currencyUtils.DEFAULT_CURRENCY;
+
+  const formatCurrency = (amount, currency = homeCurrency) => {
+    return currencyUtils.format(amount, currency);
   };
 
   const formatNumber = (amount) => {
@@ -581,6 +586,14 @@ function Dashboard() {
                 Admin Panel
               </MenuItem>
             )}
+            <MenuItem onClick={() => { handleMenuClose(); setCurrencyDialogOpen(true); }}>
+              <CurrencyExchange sx={{ mr: 1 }} />
+              Home Currency ({homeCurrency})
+            </MenuItem>
+            <MenuItem onClick={() => { handleMenuClose(); setSessionsDialogOpen(true); }}>
+              <Devices sx={{ mr: 1 }} />
+              Active Sessions
+            </MenuItem>
             <MenuItem onClick={handleLogout}>
               <Logout sx={{ mr: 1 }} />
               Logout
@@ -692,9 +705,9 @@ function Dashboard() {
                 </Grid>
                 <Grid item xs={12} sm={6} md={2}>
                   <Card sx={{ textAlign: 'center', p: 2 }}>
-                    <CurrencyRupee sx={{ fontSize: 40, color: 'warning.main', mb: 1 }} />
+                    <Payments sx={{ fontSize: 40, color: 'warning.main', mb: 1 }} />
                     <Typography variant="h4" component="div" sx={{ fontWeight: 'bold' }}>
-                      ₹{travelStats.totalBudget || 1111111}
+                      {formatCurrency(travelStats.totalBudget || 1111111)}
                     </Typography>
                     <Typography color="textSecondary">Total Budget</Typography>
                   </Card>
@@ -869,7 +882,7 @@ function Dashboard() {
                               }
                             }}>
                               <Typography variant="h4" sx={{ color: '#a55eea', fontWeight: 'bold' }}>
-                                ₹{travelStats.totalBudget || 1111111}
+                                {formatCurrency(travelStats.totalBudget || 1111111)}
                               </Typography>
                               <Typography variant="body2" sx={{ color: 'white', fontWeight: 500 }}>
                                 💰 Total Investment
@@ -2009,7 +2022,7 @@ function Dashboard() {
                       </Typography>
                       {trip.total_cost > 0 && (
                         <Typography variant="body2" fontWeight="bold">
-                          {formatCurrency(trip.total_cost)}
+                          {formatCurrency(trip.total_cost, trip.currency)}
                         </Typography>
                       )}
                     </Box>
@@ -2162,6 +2175,27 @@ function Dashboard() {
           </Grid>
         )}
       </Container>
+
+      <HomeCurrencyDialog
+        open={currencyDialogOpen}
+        onClose={() => setCurrencyDialogOpen(false)}
+        user={user}
+        onSaved={(userData) => {
+          setUser(userData);
+          tokenUtils.setUser(userData);
+          setCurrencyDialogOpen(false);
+          loadDashboardData();
+        }}
+      />
+
+      <SessionsDialog
+        open={sessionsDialogOpen}
+        onClose={() => setSessionsDialogOpen(false)}
+        onSignedOut={() => {
+          tokenUtils.removeToken();
+          navigate('/login');
+        }}
+      />
     </Box>
   );
 }
@@ -64,7 +64,7 @@ import {
   AccountCircle,
   Logout,
 } from '@mui/icons-material';
-import { tokenUtils, tripAPI } from '../api/client.js';
+import { tokenUtils, authAPI, tripAPI } from '../api/client.js';
 
 function EnhancedTrips() {
   const navigate = useNavigate();
@@ -257,9 +257,15 @@ function EnhancedTrips() {
     }
   };
 
-  const handleLogout = () => {
-    tokenUtils.removeToken();
-    navigate('/login');
+  const handleLogout = async () => {
+    try {
+      await authAPI.logout();
+    } catch (error) {
+      console.error('Logout error:', error);
+    } finally {
+      tokenUtils.removeToken();
+      navigate('/login');
+    }
   };
 
   const getAvatarUrl = (avatarPath) => {
@@ -30,13 +30,15 @@ import {
   Star,
   AttachMoney,
   Add,
+  Map,
 } from '@mui/icons-material';
-import { cityAPI, tokenUtils } from '../api/client.js';
+import { cityAPI, tripAPI, tokenUtils } from '../api/client.js';
 
 function Explore() {
   const navigate = useNavigate();
   const [cities, setCities] = useState([]);
   const [countries, setCountries] = useState([]);
+  const [featuredTrips, setFeaturedTrips] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedCountry, setSelectedCountry] = useState('');
@@ -58,6 +60,11 @@ function Explore() {
 
       setCities(popularCitiesResponse.data.cities || []);
       setCountries(countriesResponse.data.countries || []);
+
+      // Featured trips are a bonus; don't fail the page if they can't be loaded
+      tripAPI.getFeaturedTrips(6)
+        .then(response => setFeaturedTrips(response.data.trips || []))
+        .catch(error => console.error('Failed to load featured trips:', error));
     } catch (error) {
       console.error('Failed to load explore data:', error);
       setMessage({
@@ -163,6 +170,43 @@ function Explore() {
           </Typography>
         </Box>
 
+        {/* Featured Trips */}
+        {featuredTrips.length > 0 && (
+          <Box sx={{ mb: 4 }}>
+            <Typography variant="h5" component="h2" gutterBottom>
+              Featured Itineraries
+            </Typography>
+            <Grid container spacing={2}>
+              {featuredTrips.map((trip) => (
+                <Grid item xs={12} sm={6} md={4} key={trip.id}>
+                  <Card
+                    sx={{ height: '100%', cursor: 'pointer' }}
+                    onClick={() => navigate(`/featured/${trip.id}`)}
+                  >
+                    {trip.cover_photo_path && (
+                      <CardMedia
+                        component="img"
+                        height="140"
+                        image={`${import.meta.env.VITE_API_BASE_URL}${trip.cover_photo_path}`}
+                        alt={trip.title}
+                      />
+                    )}
+                    <CardContent>
+                      <Typography variant="h6" component="h3" gutterBottom>
+                        {trip.title}
+                      </Typography>
+                      <Typography variant="body2" color="text.secondary">
+                        <Map sx={{ fontSize: 16, mr: 0.5, verticalAlign: 'middle' }} />
+                        {trip.city_count} {Number(trip.city_count) === 1 ? 'city' : 'cities'} · by {trip.user_name}
+                      </Typography>
+                    </CardContent>
+                  </Card>
+                </Grid>
+              ))}
+            </Grid>
+          </Box>
+        )}
+
         {/* Search and Filter */}
         <Grid container spacing={2} sx={{ mb: 4 }}>
           <Grid item xs={12} md={6}>
@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import {
   Box,
   Card,
@@ -26,6 +26,10 @@ import { authAPI } from '../api/client.js';
 
 function ForgotPassword() {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  // Arriving from the emailed link means we're choosing a new password
+  const token = searchParams.get('token');
+  const [requestSent, setRequestSent] = useState(false);
   const [formData, setFormData] = useState({
     email: '',
     newPassword: '',
@@ -54,10 +58,13 @@ function ForgotPassword() {
   const validateForm = () => {
     const errors = [];
 
-    if (!formData.email) {
-      errors.push('Email address is required');
-    } else if (!validateEmail(formData.email)) {
-      errors.push('Please enter a valid email address');
+    if (!token) {
+      if (!formData.email) {
+        errors.push('Email address is required');
+      } else if (!validateEmail(formData.email)) {
+        errors.push('Please enter a valid email address');
+      }
+      return errors;
     }
 
     if (!formData.newPassword) {
@@ -92,10 +99,15 @@ function ForgotPassword() {
     setLoading(true);
     setMessage(null);
 
+    if (!token) {
+      await requestResetLink();
+      return;
+    }
+
     try {
       // Call the reset password API
-      const response = await authAPI.resetPassword({
-        email: formData.email,
+      await authAPI.resetPassword({
+        token,
         newPassword: formData.newPassword
       });
 
@@ -113,7 +125,28 @@ function ForgotPassword() {
       console.error('Reset password error:', error);
       setMessage({
         type: 'error',
-        text: error.message || 'Failed to reset password. Please check if the email exists and try again.'
+        text: error.message || 'Failed to reset password. Please request a new reset link.'
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Request a reset link by email
+  const requestResetLink = async () => {
+    try {
+      const response = await authAPI.forgotPassword(formData.email);
+
+      setRequestSent(true);
+      setMessage({
+        type: 'success',
+        text: response.data.message
+      });
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      setMessage({
+        type: 'error',
+        text: error.message || 'Failed to send reset instructions. Please try again.'
       });
     } finally {
       setLoading(false);
@@ -142,7 +175,9 @@ function ForgotPassword() {
                 Reset Password
               </Typography>
               <Typography variant="body1" color="text.secondary" sx={{ mt: 1, textAlign: 'center' }}>
-                Enter your email address and new password to reset your password
+                {token
+                  ? 'Choose a new password for your account'
+                  : 'Enter your email address and we\'ll send you a link to reset your password'}
               </Typography>
             </Box>
 
@@ -160,102 +195,110 @@ function ForgotPassword() {
             {/* Reset Form */}
             <Box component="form" onSubmit={handleSubmit} noValidate>
               {/* Email Field */}
-              <TextField
-                margin="normal"
-                required
-                fullWidth
-                id="email"
-                label="Email Address"
-                name="email"
-                autoComplete="email"
-                autoFocus
-                value={formData.email}
-                onChange={handleChange}
-                disabled={loading}
-                InputProps={{
-                  startAdornment: (
-                    <InputAdornment position="start">
-                      <Email color="action" />
-                    </InputAdornment>
-                  ),
-                }}
-              />
+              {!token && (
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  id="email"
+                  label="Email Address"
+                  name="email"
+                  autoComplete="email"
+                  autoFocus
+                  value={formData.email}
+                  onChange={handleChange}
+                  disabled={loading}
+                  InputProps={{
+                    startAdornment: (
+                      <InputAdornment position="start">
+                        <Email color="action" />
+                      </InputAdornment>
+                    ),
+                  }}
+                />
+              )}
 
-              {/* New Password Field */}
-              <TextField
-                margin="normal"
-                required
-                fullWidth
-                id="newPassword"
-                label="New Password"
-                name="newPassword"
-                type={showPassword ? 'text' : 'password'}
-                autoComplete="new-password"
-                value={formData.newPassword}
-                onChange={handleChange}
-                disabled={loading}
-                InputProps={{
-                  startAdornment: (
-                    <InputAdornment position="start">
-                      <Lock color="action" />
-                    </InputAdornment>
-                  ),
-                  endAdornment: (
-                    <InputAdornment position="end">
-                      <IconButton
-                        aria-label="toggle password visibility"
-                        onClick={() => setShowPassword(!showPassword)}
-                        edge="end"
-                      >
-                        {showPassword ? <VisibilityOff /> : <Visibility />}
-                      </IconButton>
-                    </InputAdornment>
-                  ),
-                }}
-              />
+              {token && (
+                <>
+                  {/* New Password Field */}
+                  <TextField
+                    margin="normal"
+                    required
+                    fullWidth
+                    id="newPassword"
+                    label="New Password"
+                    name="newPassword"
+                    type={showPassword ? 'text' : 'password'}
+                    autoComplete="new-password"
+                    value={formData.newPassword}
+                    onChange={handleChange}
+                    disabled={loading}
+                    InputProps={{
+                      startAdornment: (
+                        <InputAdornment position="start">
+                          <Lock color="action" />
+                        </InputAdornment>
+                      ),
+                      endAdornment: (
+                        <InputAdornment position="end">
+                          <IconButton
+                            aria-label="toggle password visibility"
+                            onClick={() => setShowPassword(!showPassword)}
+                            edge="end"
+                          >
+                            {showPassword ? <VisibilityOff /> : <Visibility />}
+                          </IconButton>
+                        </InputAdornment>
+                      ),
+                    }}
+                  />
 
-              {/* Confirm Password Field */}
-              <TextField
-                margin="normal"
-                required
-                fullWidth
-                id="confirmPassword"
-                label="Confirm New Password"
-                name="confirmPassword"
-                type={showConfirmPassword ? 'text' : 'password'}
-                autoComplete="new-password"
-                value={formData.confirmPassword}
-                onChange={handleChange}
-                disabled={loading}
-                InputProps={{
-                  startAdornment: (
-                    <InputAdornment position="start">
-                      <Lock color="action" />
-                    </InputAdornment>
-                  ),
-                  endAdornment: (
-                    <InputAdornment position="end">
-                      <IconButton
-                        aria-label="toggle confirm password visibility"
-                        onClick={() => setShowConfirmPassword(!showConfirmPassword)}
-                        edge="end"
-                      >
-                        {showConfirmPassword ? <VisibilityOff /> : <Visibility />}
-                      </IconButton>
-                    </InputAdornment>
-                  ),
-                }}
-              />
+                  {/* Confirm Password Field */}
+                  <TextField
+                    margin="normal"
+                    required
+                    fullWidth
+                    id="confirmPassword"
+                    label="Confirm New Password"
+                    name="confirmPassword"
+                    type={showConfirmPassword ? 'text' : 'password'}
+                    autoComplete="new-password"
+                    value={formData.confirmPassword}
+                    onChange={handleChange}
+                    disabled={loading}
+                    InputProps={{
+                      startAdornment: (
+                        <InputAdornment position="start">
+                          <Lock color="action" />
+                        </InputAdornment>
+                      ),
+                      endAdornment: (
+                        <InputAdornment position="end">
+                          <IconButton
+                            aria-label="toggle confirm password visibility"
+                            onClick={() => setShowConfirmPassword(!showConfirmPassword)}
+                            edge="end"
+                          >
+                            {showConfirmPassword ? <VisibilityOff /> : <Visibility />}
+                          </IconButton>
+                        </InputAdornment>
+                      ),
+                    }}
+                  />
+                </>
+              )}
 
               <Button
                 type="submit"
                 fullWidth
                 variant="contained"
                 size="large"
-                disabled={loading}
+                disabled={loading || requestSent}
                 sx={{ mt: 3, mb: 2, py: 1.5 }}
               >
-                {loading ? 'Resetting Password...' : 'Reset Password'}
+                {token
+                  ? (loading ? 'Resetting Password...' : 'Reset Password')
+                  : (loading ? 'Sending...' : 'Send Reset Link')}
               </Button>
 
               {/* Back to Login Link */}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import {
   Box,
@@ -24,6 +24,12 @@ import {
   Tab,
   Paper,
   Chip,
+  Avatar,
+  AvatarGroup,
+  Tooltip,
+  Autocomplete,
+  FormControlLabel,
+  Switch,
 } from '@mui/material';
 import {
   ArrowBack,
@@ -34,12 +40,87 @@ import {
   Schedule,
   Map,
   AttachMoney,
+  AccountBalanceWallet,
+  Group,
+  BookmarkAdd,
+  Event,
+  UploadFile,
+  AutoAwesome,
+  Route,
+  PictureAsPdf,
+  FolderShared,
+  Commute,
 } from '@mui/icons-material';
 import { motion, AnimatePresence } from 'framer-motion';
 import { DragDropItinerary } from '../components/DragDropItinerary.jsx';
-import { tripAPI, itineraryAPI, tokenUtils } from '../api/client.js';
+import InteractiveTimeline from '../components/InteractiveTimeline.jsx';
+import TripMembersDialog from '../components/TripMembersDialog.jsx';
+import ShareLinksDialog from '../components/ShareLinksDialog.jsx';
+import CalendarDialog from '../components/CalendarDialog.jsx';
+import ImportCalendarDialog from '../components/ImportCalendarDialog.jsx';
+import AutoScheduleDialog from '../components/AutoScheduleDialog.jsx';
+import RouteOptimizerDialog from '../components/RouteOptimizerDialog.jsx';
+import TravelLegsDialog from '../components/TravelLegsDialog.jsx';
+import TripDocumentsDialog from '../components/TripDocumentsDialog.jsx';
+import SaveTemplateDialog from '../components/SaveTemplateDialog.jsx';
+import ConflictDialog from '../components/ConflictDialog.jsx';
+import InteractiveBudgetCalculator from '../components/InteractiveBudgetCalculator.jsx';
+import ExpenseList from '../components/ExpenseList.jsx';
+import BalancesLedger from '../components/BalancesLedger.jsx';
+import { envelopeLabel } from '../components/BudgetEnvelopesDialog.jsx';
+import { tripAPI, itineraryAPI, budgetAPI, expenseAPI, tokenUtils, fileUtils, currencyUtils, timeUtils } from '../api/client.js';
 import socketService from '../services/socket.js';
 
+// Editable itinerary fields, in the order they appear in the edit form
+const ITEM_FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'category', label: 'Category' },
+  { key: 'description', label: 'Description' },
+  { key: 'location', label: 'Location' },
+  { key: 'start_time', label: 'Start Time' },
+  { key: 'end_time', label: 'End Time' },
+  { key: 'time_zone', label: 'Time Zone' },
+  { key: 'cost', label: 'Cost' },
+  { key: 'currency', label: 'Currency' },
+  { key: 'booking_reference', label: 'Booking Reference' },
+  { key: 'notes', label: 'Notes' },
+];
+
+// Map an itinerary item to the shape used by the add/edit form
+const toItemForm = (item) => ({
+  title: item.title || '',
+  description: item.description || '',
+  category: item.category || 'activity',
+  location: item.location || '',
+  start_time: item.start_time ? item.start_time.slice(0, 16) : '',
+  end_time: item.end_time ? item.end_time.slice(0, 16) : '',
+  time_zone: item.time_zone || '',
+  cost: item.cost || '',
+  currency: item.currency || '',
+  notes: item.notes || '',
+  booking_reference: item.booking_reference || '',
+});
+
+// Time zone the form's start and end times are local to; blank uses the city's
+function TimeZoneField({ value, onChange }) {
+  return (
+    <Autocomplete
+      options={timeUtils.TIME_ZONES}
+      value={value || null}
+      onChange={(e, zone) => onChange({ target: { name: 'time_zone', value: zone || '' } })}
+      renderInput={(params) => (
+        <TextField
+          {...params}
+          label="Time Zone"
+          placeholder="City's time zone"
+          helperText="Start and end times are local to this zone"
+          InputLabelProps={{ ...params.InputLabelProps, shrink: true }}
+        />
+      )}
+    />
+  );
+}
+
 function ItineraryBuilder() {
   const { tripId } = useParams();
   const navigate = useNavigate();
@@ -54,6 +135,33 @@ function ItineraryBuilder() {
   const [currentTab, setCurrentTab] = useState(0);
   const [snackbarOpen, setSnackbarOpen] = useState(false);
   const [snackbarMessage, setSnackbarMessage] = useState('');
+  const [membersDialogOpen, setMembersDialogOpen] = useState(false);
+  const [shareDialogOpen, setShareDialogOpen] = useState(false);
+  const [templateDialogOpen, setTemplateDialogOpen] = useState(false);
+  const [calendarDialogOpen, setCalendarDialogOpen] = useState(false);
+  const [importDialogOpen, setImportDialogOpen] = useState(false);
+  const [autoScheduleDialogOpen, setAutoScheduleDialogOpen] = useState(false);
+  const [routeDialogOpen, setRouteDialogOpen] = useState(false);
+  const [travelDialogOpen, setTravelDialogOpen] = useState(false);
+  const [documentsDialogOpen, setDocumentsDialogOpen] = useState(false);
+  const [exportingPdf, setExportingPdf] = useState(false);
+  const [viewers, setViewers] = useState([]);
+  const [recentlyChangedIds, setRecentlyChangedIds] = useState([]);
+  const [remoteEditNotice, setRemoteEditNotice] = useState(null);
+  const [editConflict, setEditConflict] = useState(null);
+  const [rateMap, setRateMap] = useState({});
+  const [budgetVariance, setBudgetVariance] = useState(null);
+  const [budgetAlerts, setBudgetAlerts] = useState([]);
+  const [expenses, setExpenses] = useState([]);
+  const [expenseTotals, setExpenseTotals] = useState(null);
+  const [planVsActual, setPlanVsActual] = useState(null);
+  const [ledger, setLedger] = useState(null);
+  const [scheduleConflicts, setScheduleConflicts] = useState([]);
+  const [showMyTime, setShowMyTime] = useState(false);
+  const currentTabRef = useRef(0);
+  const editingItemRef = useRef(null);
+
+  const currentUser = tokenUtils.getUser();
 
   // Form state for adding/editing items
   const [itemForm, setItemForm] = useState({
@@ -63,7 +171,9 @@ function ItineraryBuilder() {
     location: '',
     start_time: '',
     end_time: '',
+    time_zone: '',
     cost: '',
+    currency: '',
     notes: '',
     booking_reference: '',
   });
@@ -71,34 +181,151 @@ function ItineraryBuilder() {
   useEffect(() => {
     loadTripData();
     
-    // Connect to Socket.IO for real-time updates
+    // Connect to Socket.IO and join the trip room for real-time updates
     socketService.connect();
-    
-    // Listen for itinerary updates
-    const handleItineraryUpdate = (data) => {
-      if (data.tripId === tripId) {
+    socketService.joinTrip(tripId);
+
+    const handlePresence = (data) => {
+      if (String(data.tripId) === String(tripId)) {
+        setViewers(data.viewers || []);
+      }
+    };
+
+    const handleRejoin = (data) => {
+      if (String(data.tripId) === String(tripId)) {
         loadItineraryItems();
-        showSnackbar('Itinerary updated in real-time!');
+      }
+    };
+
+    // Our own changes report their alerts in the API response
+    const handleExpenseUpdate = (data) => {
+      if (String(data.tripId) === String(tripId) && currentTabRef.current >= 2) {
+        loadExpenses();
+      }
+    };
+
+    const handleBudgetExceeded = (data) => {
+      if (String(data.tripId) === String(tripId) && data.updatedBy?.id !== currentUser?.id) {
+        showBudgetAlerts(data.alerts, data.updatedBy?.fullName);
+      }
+    };
+
+    // Trip details edited by anyone on the trip
+    const handleTripUpdate = (data) => {
+      if (data.type === 'updated' && String(data.trip?.id) === String(tripId)) {
+        setTrip(prev => ({ ...prev, ...data.trip }));
       }
     };
 
     socketService.on('itineraryUpdate', handleItineraryUpdate);
+    socketService.on('tripUpdate', handleTripUpdate);
+    socketService.on('tripPresence', handlePresence);
+    socketService.on('tripRejoined', handleRejoin);
+    socketService.on('budgetExceeded', handleBudgetExceeded);
+    socketService.on('expenseUpdate', handleExpenseUpdate);
 
     return () => {
       socketService.off('itineraryUpdate', handleItineraryUpdate);
+      socketService.off('tripUpdate', handleTripUpdate);
+      socketService.off('tripPresence', handlePresence);
+      socketService.off('budgetExceeded', handleBudgetExceeded);
+      socketService.off('expenseUpdate', handleExpenseUpdate);
+      socketService.off('tripRejoined', handleRejoin);
+      socketService.leaveTrip(tripId);
     };
   }, [tripId]);
 
+  useEffect(() => {
+    editingItemRef.current = editDialogOpen ? editingItem : null;
+  }, [editDialogOpen, editingItem]);
+
+  // Conflicts depend on the whole itinerary, so recheck whenever any item changes
+  useEffect(() => {
+    loadScheduleConflicts();
+  }, [itineraryItems]);
+
+  // Envelope spending is worked out by the server, so refresh it as items change
+  useEffect(() => {
+    currentTabRef.current = currentTab;
+    if (currentTab === 2) {
+      loadBudgetVariance();
+    }
+    if (currentTab >= 2) {
+      loadExpenses();
+    }
+  }, [currentTab, itineraryItems]);
+
+  // Apply a change made by another planner (or another tab) to the local list.
+  // Every branch is idempotent, so our own echoed events are harmless.
+  const handleItineraryUpdate = (data) => {
+    if (String(data.tripId) !== String(tripId)) return;
+
+    const changedIds = [];
+
+    switch (data.type) {
+      case 'item-created':
+        changedIds.push(data.item.id);
+        setItineraryItems(prev =>
+          prev.some(item => item.id === data.item.id) ? prev : [...prev, data.item]
+        );
+        break;
+      case 'item-updated':
+        changedIds.push(data.item.id);
+        setItineraryItems(prev =>
+          prev.map(item => item.id === data.item.id ? data.item : item)
+        );
+        break;
+      case 'item-deleted':
+        setItineraryItems(prev => prev.filter(item => item.id !== data.itemId));
+        break;
+      case 'items-reordered': {
+        const changes = new Map(data.items.map(item => [item.id, item]));
+        setItineraryItems(prev =>
+          prev
+            .map(item => changes.has(item.id) ? { ...item, ...changes.get(item.id) } : item)
+            .sort((a, b) => (a.order_index ?? 0) - (b.order_index ?? 0))
+        );
+        break;
+      }
+      default:
+        return;
+    }
+
+    const byOtherUser = data.updatedBy && data.updatedBy.id !== currentUser?.id;
+    if (!byOtherUser) return;
+
+    const who = data.updatedBy.fullName || 'A co-planner';
+    const editing = editingItemRef.current;
+
+    if (editing && data.type === 'item-updated' && data.item.id === editing.id) {
+      setRemoteEditNotice(`${who} just changed this item. You'll be asked to review their changes when you save.`);
+    } else if (editing && data.type === 'item-deleted' && data.itemId === editing.id) {
+      setRemoteEditNotice(`${who} deleted this item.`);
+    }
+
+    if (changedIds.length > 0) {
+      setRecentlyChangedIds(prev => [...prev, ...changedIds]);
+      setTimeout(() => {
+        setRecentlyChangedIds(prev => prev.filter(id => !changedIds.includes(id)));
+      }, 3000);
+    }
+
+    showSnackbar(`${who} updated the itinerary`);
+  };
+
   const loadTripData = async () => {
     try {
       setLoading(true);
-      const [tripResponse, itemsResponse] = await Promise.all([
+      const [tripResponse, itemsResponse, ratesResponse] = await Promise.all([
         tripAPI.getTripById(tripId),
-        itineraryAPI.getItineraryItems(tripId)
+        itineraryAPI.getItineraryItems(tripId),
+        // Totals still work for single-currency trips without rates
+        currencyUtils.getRates().catch(() => null)
       ]);
 
       setTrip(tripResponse.data.trip);
       setItineraryItems(itemsResponse.data.itinerary || []);
+      setRateMap(currencyUtils.toRateMap(ratesResponse?.data.rates));
     } catch (error) {
       console.error('Failed to load trip data:', error);
       setMessage({
@@ -110,6 +337,51 @@ function ItineraryBuilder() {
     }
   };
 
+  const loadBudgetVariance = async () => {
+    try {
+      const response = await budgetAPI.getBudget(tripId);
+      setBudgetVariance(response.data.variance);
+    } catch (error) {
+      console.error('Failed to load budget:', error);
+    }
+  };
+
+  // Logged expenses, planned vs. actual from the trip stats, and who owes whom
+  const loadExpenses = async () => {
+    try {
+      const [expensesResponse, statsResponse, balancesResponse] = await Promise.all([
+        expenseAPI.getExpenses(tripId),
+        tripAPI.getTripStats(tripId),
+        expenseAPI.getBalances(tripId),
+      ]);
+      setExpenses(expensesResponse.data.expenses);
+      setExpenseTotals(expensesResponse.data.totals);
+      setPlanVsActual(statsResponse.data.planVsActual);
+      setLedger(balancesResponse.data);
+    } catch (error) {
+      console.error('Failed to load expenses:', error);
+    }
+  };
+
+  const loadScheduleConflicts = async () => {
+    try {
+      const response = await itineraryAPI.getConflicts(tripId);
+      setScheduleConflicts(response.data.conflicts);
+    } catch (error) {
+      console.error('Failed to check schedule conflicts:', error);
+    }
+  };
+
+  // Saving never fails on a conflict, but say so rather than just "saved"
+  const savedMessage = (action, conflicts = []) => (
+    conflicts.length > 0 ? `${action}, but ${conflicts[0].message}` : `${action} successfully!`
+  );
+
+  const showBudgetAlerts = (alerts = [], who) => {
+    if (alerts.length === 0) return;
+    setBudgetAlerts(alerts.map(alert => ({ ...alert, who })));
+  };
+
   const loadItineraryItems = async () => {
     try {
       const response = await itineraryAPI.getItineraryItems(tripId);
@@ -129,18 +401,21 @@ function ItineraryBuilder() {
         order_index: index
       }));
 
-      await itineraryAPI.reorderItems(tripId, updatedItems);
-      setItineraryItems(updatedItems);
-      
-      // Emit Socket.IO event for real-time updates
-      socketService.emitItineraryUpdate({
-        tripId,
-        type: 'reorder',
-        items: updatedItems
-      });
+      const response = await itineraryAPI.reorderItems(tripId, updatedItems);
+
+      // Keep our order but pick up the new versions from the server
+      const versions = new Map((response.data.items || []).map(item => [item.id, item.version]));
+      setItineraryItems(updatedItems.map(item => ({
+        ...item,
+        version: versions.get(item.id) ?? item.version
+      })));
 
       showSnackbar('Itinerary reordered successfully!');
     } catch (error) {
+      // Let DragDropItinerary offer the merge/retry dialog
+      if (error.conflict) {
+        throw error;
+      }
       console.error('Failed to reorder items:', error);
       showSnackbar('Failed to save new order. Please try again.');
     } finally {
@@ -157,66 +432,78 @@ function ItineraryBuilder() {
       });
       
       const newItem = response.data.itineraryItem || response.data.item;
-      setItineraryItems(prev => [...prev, newItem]);
-      
-      // Emit Socket.IO event
-      socketService.emitItineraryUpdate({
-        tripId,
-        type: 'add',
-        item: newItem
-      });
+      // The trip room event may already have added it
+      setItineraryItems(prev =>
+        prev.some(item => item.id === newItem.id) ? prev : [...prev, newItem]
+      );
 
       setAddDialogOpen(false);
       resetItemForm();
-      showSnackbar('Item added successfully!');
+      showSnackbar(savedMessage('Item added', response.data.conflicts));
+      showBudgetAlerts(response.data.budgetAlerts);
     } catch (error) {
       console.error('Failed to add item:', error);
-      showSnackbar('Failed to add item. Please try again.');
+      showSnackbar(error.status === 400 ? error.message : 'Failed to add item. Please try again.');
     } finally {
       setSaving(false);
     }
   };
 
-  const handleItemEdit = async () => {
+  const handleItemEdit = async (formData = itemForm, version = editingItem.version) => {
     try {
       setSaving(true);
-      const response = await itineraryAPI.updateItem(editingItem.id, itemForm);
+      const response = await itineraryAPI.updateItem(editingItem.id, formData, version);
       
       const updatedItem = response.data.item;
       setItineraryItems(prev => 
         prev.map(item => item.id === updatedItem.id ? updatedItem : item)
       );
-      
-      // Emit Socket.IO event
-      socketService.emitItineraryUpdate({
-        tripId,
-        type: 'update',
-        item: updatedItem
-      });
 
+      setEditConflict(null);
       setEditDialogOpen(false);
       setEditingItem(null);
       resetItemForm();
-      showSnackbar('Item updated successfully!');
+      showSnackbar(savedMessage('Item updated', response.data.conflicts));
+      showBudgetAlerts(response.data.budgetAlerts);
     } catch (error) {
+      if (error.conflict) {
+        setEditConflict({
+          mine: formData,
+          current: error.current,
+          theirs: error.current ? toItemForm(error.current) : null
+        });
+        return;
+      }
       console.error('Failed to update item:', error);
-      showSnackbar('Failed to update item. Please try again.');
+      showSnackbar(error.status === 400 ? error.message : 'Failed to update item. Please try again.');
     } finally {
       setSaving(false);
     }
   };
 
+  const handleConflictResolve = (merged) => {
+    handleItemEdit(merged, editConflict.current.version);
+  };
+
+  const handleConflictDiscard = () => {
+    const { current } = editConflict;
+
+    setItineraryItems(prev =>
+      current
+        ? prev.map(item => item.id === current.id ? current : item)
+        : prev.filter(item => item.id !== editingItem.id)
+    );
+
+    setEditConflict(null);
+    setEditDialogOpen(false);
+    setEditingItem(null);
+    resetItemForm();
+  };
+
   const handleItemDelete = async (itemId) => {
     try {
       await itineraryAPI.deleteItem(itemId);
       setItineraryItems(prev => prev.filter(item => item.id !== itemId));
-      
-      // Emit Socket.IO event
-      socketService.emitItineraryUpdate({
-        tripId,
-        type: 'delete',
-        itemId
-      });
 
       showSnackbar('Item deleted successfully!');
     } catch (error) {
@@ -226,18 +513,9 @@ function ItineraryBuilder() {
   };
 
   const openEditDialog = (item) => {
+    setRemoteEditNotice(null);
     setEditingItem(item);
-    setItemForm({
-      title: item.title || '',
-      description: item.description || '',
-      category: item.category || 'activity',
-      location: item.location || '',
-      start_time: item.start_time ? item.start_time.slice(0, 16) : '',
-      end_time: item.end_time ? item.end_time.slice(0, 16) : '',
-      cost: item.cost || '',
-      notes: item.notes || '',
-      booking_reference: item.booking_reference || '',
-    });
+    setItemForm(toItemForm(item));
     setEditDialogOpen(true);
   };
 
@@ -249,12 +527,27 @@ function ItineraryBuilder() {
       location: '',
       start_time: '',
       end_time: '',
+      time_zone: '',
       cost: '',
+      currency: '',
       notes: '',
       booking_reference: '',
     });
   };
 
+  const handleExportPdf = async () => {
+    try {
+      setExportingPdf(true);
+      const response = await tripAPI.exportPdf(tripId);
+      fileUtils.saveResponse(response, 'trip.pdf');
+    } catch (error) {
+      console.error('Failed to export PDF:', error);
+      showSnackbar('Failed to export PDF. Please try again.');
+    } finally {
+      setExportingPdf(false);
+    }
+  };
+
   const showSnackbar = (message) => {
     setSnackbarMessage(message);
     setSnackbarOpen(true);
@@ -268,15 +561,22 @@ function ItineraryBuilder() {
     }));
   };
 
+  const tripCurrency = trip?.currency || currencyUtils.DEFAULT_CURRENCY;
+
+  // Total in the trip's currency; items in currencies without a rate are left out
   const calculateTotalCost = () => {
-    return itineraryItems.reduce((total, item) => total + (parseFloat(item.cost) || 0), 0);
+    return itineraryItems.reduce((total, item) => {
+      const cost = currencyUtils.convert(item.cost, item.currency || tripCurrency, tripCurrency, rateMap);
+      return total + (cost || 0);
+    }, 0);
   };
 
+  // Items by the local date they start on ("YYYY-MM-DD")
   const getItemsByDay = () => {
     const itemsByDay = {};
     itineraryItems.forEach(item => {
-      if (item.start_time) {
-        const day = new Date(item.start_time).toDateString();
+      const day = timeUtils.dayOf(item, { myTime: showMyTime });
+      if (day) {
         if (!itemsByDay[day]) {
           itemsByDay[day] = [];
         }
@@ -315,6 +615,20 @@ function ItineraryBuilder() {
           <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
             {trip?.title} - Itinerary Builder
           </Typography>
+          {viewers.length > 1 && (
+            <AvatarGroup max={4} sx={{ mr: 2, '& .MuiAvatar-root': { width: 32, height: 32, fontSize: '0.9rem' } }}>
+              {viewers.map(viewer => (
+                <Tooltip key={viewer.id} title={viewer.id === currentUser?.id ? 'You' : viewer.fullName}>
+                  <Avatar
+                    alt={viewer.fullName}
+                    src={viewer.avatarPath ? `${import.meta.env.VITE_API_BASE_URL}${viewer.avatarPath}` : undefined}
+                  >
+                    {viewer.fullName?.charAt(0).toUpperCase()}
+                  </Avatar>
+                </Tooltip>
+              ))}
+            </AvatarGroup>
+          )}
           <Button
             color="inherit"
             startIcon={<Save />}
@@ -323,10 +637,83 @@ function ItineraryBuilder() {
           >
             {saving ? 'Saving...' : 'Auto-saved'}
           </Button>
+          <Button
+            color="inherit"
+            startIcon={<Group />}
+            onClick={() => setMembersDialogOpen(true)}
+            sx={{ mr: 1 }}
+          >
+            Members
+          </Button>
+          <Button
+            color="inherit"
+            startIcon={<BookmarkAdd />}
+            onClick={() => setTemplateDialogOpen(true)}
+            sx={{ mr: 1 }}
+          >
+            Save as Template
+          </Button>
+          <Button
+            color="inherit"
+            startIcon={<Event />}
+            onClick={() => setCalendarDialogOpen(true)}
+            sx={{ mr: 1 }}
+          >
+            Calendar
+          </Button>
+          <Button
+            color="inherit"
+            startIcon={<AutoAwesome />}
+            onClick={() => setAutoScheduleDialogOpen(true)}
+            sx={{ mr: 1 }}
+          >
+            Plan my days
+          </Button>
+          <Button
+            color="inherit"
+            startIcon={<Route />}
+            onClick={() => setRouteDialogOpen(true)}
+            sx={{ mr: 1 }}
+          >
+            Optimize route
+          </Button>
+          <Button
+            color="inherit"
+            startIcon={<Commute />}
+            onClick={() => setTravelDialogOpen(true)}
+            sx={{ mr: 1 }}
+          >
+            Travel
+          </Button>
+          <Button
+            color="inherit"
+            startIcon={<UploadFile />}
+            onClick={() => setImportDialogOpen(true)}
+            sx={{ mr: 1 }}
+          >
+            Import
+          </Button>
+          <Button
+            color="inherit"
+            startIcon={<FolderShared />}
+            onClick={() => setDocumentsDialogOpen(true)}
+            sx={{ mr: 1 }}
+          >
+            Documents
+          </Button>
+          <Button
+            color="inherit"
+            startIcon={<PictureAsPdf />}
+            onClick={handleExportPdf}
+            disabled={exportingPdf}
+            sx={{ mr: 1 }}
+          >
+            {exportingPdf ? 'Preparing...' : 'PDF'}
+          </Button>
           <Button
             color="inherit"
             startIcon={<Share />}
-            onClick={() => navigate(`/trips/${tripId}/share`)}
+            onClick={() => setShareDialogOpen(true)}
           >
             Share
           </Button>
@@ -340,6 +727,28 @@ function ItineraryBuilder() {
           </Alert>
         )}
 
+        {budgetAlerts.length > 0 && (
+          <Alert
+            severity="warning"
+            sx={{ mb: 3 }}
+            onClose={() => setBudgetAlerts([])}
+            action={
+              <Button color="inherit" size="small" onClick={() => { setCurrentTab(2); setBudgetAlerts([]); }}>
+                View Budget
+              </Button>
+            }
+          >
+            {budgetAlerts.map(alert => (
+              <Box key={alert.key}>
+                {alert.who ? `${alert.who}'s change put ` : ''}
+                {envelopeLabel({ category: alert.category, budget_date: alert.date })}
+                {alert.who ? ' over budget: ' : ' is over budget: '}
+                {currencyUtils.format(alert.spent, tripCurrency)} of {currencyUtils.format(alert.budget, tripCurrency)}
+              </Box>
+            ))}
+          </Alert>
+        )}
+
         {/* Trip Summary */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -362,7 +771,7 @@ function ItineraryBuilder() {
                     Total Budget
                   </Typography>
                   <Chip
-                    label={`₹${Number(calculateTotalCost() || 0).toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`}
+                    label={currencyUtils.format(calculateTotalCost(), tripCurrency)}
                     sx={{ 
                       backgroundColor: 'rgba(255,255,255,0.2)', 
                       color: 'white',
@@ -386,9 +795,20 @@ function ItineraryBuilder() {
             <Tab icon={<Schedule />} label="Timeline View" />
             <Tab icon={<Map />} label="Day by Day" />
             <Tab icon={<AttachMoney />} label="Budget View" />
+            <Tab icon={<AccountBalanceWallet />} label="Balances" />
           </Tabs>
         </Paper>
 
+        {/* Itinerary times are shown at the destination unless the viewer asks for their own */}
+        {currentTab <= 1 && (
+          <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 1 }}>
+            <FormControlLabel
+              control={<Switch checked={showMyTime} onChange={(e) => setShowMyTime(e.target.checked)} />}
+              label={`My time (${timeUtils.zoneName(timeUtils.browserTimeZone)})`}
+            />
+          </Box>
+        )}
+
         {/* Content based on selected tab */}
         <AnimatePresence mode="wait">
           {currentTab === 0 && (
@@ -402,10 +822,79 @@ function ItineraryBuilder() {
               <DragDropItinerary
                 tripId={tripId}
                 items={itineraryItems}
+                currency={tripCurrency}
                 onItemsReorder={handleItemsReorder}
                 onItemEdit={openEditDialog}
                 onItemDelete={handleItemDelete}
                 onItemAdd={() => setAddDialogOpen(true)}
+                recentlyChangedIds={recentlyChangedIds}
+                onItemsRefresh={setItineraryItems}
+                conflicts={scheduleConflicts}
+                showMyTime={showMyTime}
+              />
+            </motion.div>
+          )}
+
+          {currentTab === 1 && (
+            <motion.div
+              key="day-by-day"
+              initial={{ opacity: 0, x: 20 }}
+              animate={{ opacity: 1, x: 0 }}
+              exit={{ opacity: 0, x: -20 }}
+              transition={{ duration: 0.3 }}
+            >
+              <InteractiveTimeline
+                itineraryItems={itineraryItems}
+                conflicts={scheduleConflicts}
+                onItemClick={openEditDialog}
+                showMyTime={showMyTime}
+              />
+            </motion.div>
+          )}
+
+          {currentTab === 2 && (
+            <motion.div
+              key="budget"
+              initial={{ opacity: 0, x: 20 }}
+              animate={{ opacity: 1, x: 0 }}
+              exit={{ opacity: 0, x: -20 }}
+              transition={{ duration: 0.3 }}
+            >
+              <InteractiveBudgetCalculator
+                tripId={tripId}
+                itineraryItems={itineraryItems}
+                totalBudget={Number(trip?.budget) || 0}
+                currency={tripCurrency}
+                rateMap={rateMap}
+                variance={budgetVariance}
+                planVsActual={planVsActual}
+                onEnvelopesChange={loadBudgetVariance}
+              />
+              <ExpenseList
+                tripId={tripId}
+                currency={tripCurrency}
+                itineraryItems={itineraryItems}
+                participants={ledger?.participants}
+                expenses={expenses}
+                totals={expenseTotals}
+                onChanged={loadExpenses}
+              />
+            </motion.div>
+          )}
+
+          {currentTab === 3 && (
+            <motion.div
+              key="balances"
+              initial={{ opacity: 0, x: 20 }}
+              animate={{ opacity: 1, x: 0 }}
+              exit={{ opacity: 0, x: -20 }}
+              transition={{ duration: 0.3 }}
+            >
+              <BalancesLedger
+                tripId={tripId}
+                itineraryItems={itineraryItems}
+                ledger={ledger}
+                onChanged={loadExpenses}
               />
             </motion.div>
           )}
@@ -487,17 +976,39 @@ function ItineraryBuilder() {
                 InputLabelProps={{ shrink: true }}
               />
             </Grid>
-            <Grid item xs={12} sm={6}>
+            <Grid item xs={12}>
+              <TimeZoneField value={itemForm.time_zone} onChange={handleFormChange} />
+            </Grid>
+            <Grid item xs={8} sm={4}>
               <TextField
                 fullWidth
                 type="number"
-                label="Cost ($)"
+                label="Cost"
                 name="cost"
                 value={itemForm.cost}
                 onChange={handleFormChange}
                 inputProps={{ min: 0, step: 0.01 }}
               />
             </Grid>
+            <Grid item xs={4} sm={2}>
+              <FormControl fullWidth>
+                <InputLabel shrink>Currency</InputLabel>
+                <Select
+                  name="currency"
+                  value={itemForm.currency}
+                  onChange={handleFormChange}
+                  label="Currency"
+                  notched
+                  displayEmpty
+                  renderValue={(value) => value || tripCurrency}
+                >
+                  <MenuItem value="">{tripCurrency} (trip)</MenuItem>
+                  {currencyUtils.COMMON_CURRENCIES.filter(code => code !== tripCurrency).map(code => (
+                    <MenuItem key={code} value={code}>{code}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
             <Grid item xs={12} sm={6}>
               <TextField
                 fullWidth
@@ -536,6 +1047,11 @@ function ItineraryBuilder() {
       <Dialog open={editDialogOpen} onClose={() => setEditDialogOpen(false)} maxWidth="md" fullWidth>
         <DialogTitle>Edit Itinerary Item</DialogTitle>
         <DialogContent>
+          {remoteEditNotice && (
+            <Alert severity="warning" sx={{ mt: 1 }}>
+              {remoteEditNotice}
+            </Alert>
+          )}
           <Grid container spacing={2} sx={{ mt: 1 }}>
             <Grid item xs={12} sm={6}>
               <TextField
@@ -607,17 +1123,39 @@ function ItineraryBuilder() {
                 InputLabelProps={{ shrink: true }}
               />
             </Grid>
-            <Grid item xs={12} sm={6}>
+            <Grid item xs={12}>
+              <TimeZoneField value={itemForm.time_zone} onChange={handleFormChange} />
+            </Grid>
+            <Grid item xs={8} sm={4}>
               <TextField
                 fullWidth
                 type="number"
-                label="Cost ($)"
+                label="Cost"
                 name="cost"
                 value={itemForm.cost}
                 onChange={handleFormChange}
                 inputProps={{ min: 0, step: 0.01 }}
               />
             </Grid>
+            <Grid item xs={4} sm={2}>
+              <FormControl fullWidth>
+                <InputLabel shrink>Currency</InputLabel>
+                <Select
+                  name="currency"
+                  value={itemForm.currency}
+                  onChange={handleFormChange}
+                  label="Currency"
+                  notched
+                  displayEmpty
+                  renderValue={(value) => value || tripCurrency}
+                >
+                  <MenuItem value="">{tripCurrency} (trip)</MenuItem>
+                  {currencyUtils.COMMON_CURRENCIES.filter(code => code !== tripCurrency).map(code => (
+                    <MenuItem key={code} value={code}>{code}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
             <Grid item xs={12} sm={6}>
               <TextField
                 fullWidth
@@ -643,7 +1181,7 @@ function ItineraryBuilder() {
         <DialogActions>
           <Button onClick={() => setEditDialogOpen(false)}>Cancel</Button>
           <Button
-            onClick={handleItemEdit}
+            onClick={() => handleItemEdit()}
             variant="contained"
             disabled={!itemForm.title || saving}
           >
@@ -652,6 +1190,115 @@ function ItineraryBuilder() {
         </DialogActions>
       </Dialog>
 
+      {/* Version Conflict Dialog */}
+      <ConflictDialog
+        open={!!editConflict}
+        fields={ITEM_FIELDS}
+        mine={editConflict?.mine}
+        theirs={editConflict?.theirs}
+        saving={saving}
+        onResolve={handleConflictResolve}
+        onDiscard={handleConflictDiscard}
+        onClose={() => setEditConflict(null)}
+      />
+
+      {/* Trip Members Dialog */}
+      <TripMembersDialog
+        open={membersDialogOpen}
+        onClose={() => setMembersDialogOpen(false)}
+        tripId={tripId}
+      />
+
+      {/* Save as Template Dialog */}
+      <SaveTemplateDialog
+        open={templateDialogOpen}
+        onClose={() => setTemplateDialogOpen(false)}
+        trip={trip}
+        onSaved={(template) => {
+          setTemplateDialogOpen(false);
+          showSnackbar(`Saved "${template.title}" as a template`);
+        }}
+      />
+
+      {/* Share Links Dialog */}
+      <ShareLinksDialog
+        open={shareDialogOpen}
+        onClose={() => setShareDialogOpen(false)}
+        tripId={tripId}
+      />
+
+      {/* Calendar Export Dialog */}
+      <CalendarDialog
+        open={calendarDialogOpen}
+        onClose={() => setCalendarDialogOpen(false)}
+        trip={trip}
+      />
+
+      {/* Trip Documents Dialog */}
+      <TripDocumentsDialog
+        open={documentsDialogOpen}
+        onClose={() => setDocumentsDialogOpen(false)}
+        tripId={tripId}
+        itineraryItems={itineraryItems}
+      />
+
+      {/* Calendar Import Dialog */}
+      <ImportCalendarDialog
+        open={importDialogOpen}
+        onClose={() => setImportDialogOpen(false)}
+        tripId={tripId}
+        onImported={(result) => {
+          setImportDialogOpen(false);
+          loadItineraryItems();
+          showSnackbar(result.message);
+          showBudgetAlerts(result.budgetAlerts);
+        }}
+      />
+
+      {/* Auto-Schedule Dialog */}
+      <AutoScheduleDialog
+        open={autoScheduleDialogOpen}
+        onClose={() => setAutoScheduleDialogOpen(false)}
+        tripId={tripId}
+        currency={tripCurrency}
+        onApplied={(result) => {
+          setAutoScheduleDialogOpen(false);
+          loadItineraryItems();
+          showSnackbar(result.message);
+          showBudgetAlerts(result.budgetAlerts);
+        }}
+      />
+
+      {/* Route Optimizer Dialog */}
+      <RouteOptimizerDialog
+        open={routeDialogOpen}
+        onClose={() => setRouteDialogOpen(false)}
+        tripId={tripId}
+        itineraryItems={itineraryItems}
+        onApplied={(text) => {
+          loadItineraryItems();
+          showSnackbar(text);
+        }}
+      />
+
+      {/* Travel Legs Dialog */}
+      <TravelLegsDialog
+        open={travelDialogOpen}
+        onClose={() => setTravelDialogOpen(false)}
+        tripId={tripId}
+        currency={tripCurrency}
+        onChanged={(result) => {
+          showBudgetAlerts(result.budgetAlerts);
+          // Leg costs count towards the plan, so refresh the budget figures
+          if (currentTab === 2) {
+            loadBudgetVariance();
+          }
+          if (currentTab >= 2) {
+            loadExpenses();
+          }
+        }}
+      />
+
       {/* Snackbar for notifications */}
       <Snackbar
         open={snackbarOpen}
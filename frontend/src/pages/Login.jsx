@@ -83,11 +83,12 @@ function Login() {
 
     try {
       const response = await authAPI.login(formData);
-      const { token, user } = response.data;
+      const { token, refreshToken, user } = response.data;
 
       // Store token and user data
       console.log('🔐 Storing token and user data:', { token: token ? 'exists' : 'missing', user });
       tokenUtils.setToken(token);
+      tokenUtils.setRefreshToken(refreshToken);
       tokenUtils.setUser(user);
 
       // Verify token was stored
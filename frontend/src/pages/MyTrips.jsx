@@ -41,7 +41,7 @@ import {
   Search,
   FilterList,
   CalendarToday,
-  CurrencyRupee,
+  Payments,
   LocationOn,
   Group,
   Public,
@@ -63,8 +63,11 @@ import {
   AccessTime,
   Favorite,
   FavoriteBorder,
+  Download,
+  UploadFile,
 } from '@mui/icons-material';
-import { tripAPI, tokenUtils } from '../api/client.js';
+import { tripAPI, memberAPI, tokenUtils, fileUtils, currencyUtils } from '../api/client.js';
+import TripImportDialog from '../components/TripImportDialog.jsx';
 
 function MyTrips() {
   const navigate = useNavigate();
@@ -76,6 +79,8 @@ function MyTrips() {
   const [selectedTrip, setSelectedTrip] = useState(null);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [message, setMessage] = useState(null);
+  const [invitations, setInvitations] = useState([]);
+  const [importDialogOpen, setImportDialogOpen] = useState(false);
 
   // Advanced features
   const [viewMode, setViewMode] = useState('grid'); // grid, list, timeline
@@ -98,8 +103,40 @@ function MyTrips() {
 
   useEffect(() => {
     loadTrips();
+    loadInvitations();
   }, []);
 
+  const loadInvitations = async () => {
+    try {
+      const response = await memberAPI.getInvitations();
+      setInvitations(response.data.invitations || []);
+    } catch (error) {
+      console.error('Failed to load invitations:', error);
+    }
+  };
+
+  const handleInvitationResponse = async (invitation, accept) => {
+    try {
+      if (accept) {
+        await memberAPI.acceptInvitation(invitation.id);
+        loadTrips();
+      } else {
+        await memberAPI.declineInvitation(invitation.id);
+      }
+      setInvitations(prev => prev.filter(inv => inv.id !== invitation.id));
+      setMessage({
+        type: 'success',
+        text: accept ? `You joined "${invitation.trip_title}"` : 'Invitation declined'
+      });
+    } catch (error) {
+      console.error('Failed to respond to invitation:', error);
+      setMessage({
+        type: 'error',
+        text: 'Failed to respond to invitation. Please try again.'
+      });
+    }
+  };
+
   const loadTrips = async () => {
     try {
       setLoading(true);
@@ -134,7 +171,7 @@ function MyTrips() {
       new Date(trip.start_date) <= now && new Date(trip.end_date) >= now
     );
 
-    const totalBudget = tripsData.reduce((sum, trip) => sum + (trip.budget || trip.total_cost || 0), 0);
+    const totalBudget = tripsData.reduce((sum, trip) => sum + currencyUtils.tripAmount(trip), 0);
 
     // Calculate average duration
     const tripsWithDates = tripsData.filter(trip => trip.start_date && trip.end_date);
@@ -206,6 +243,33 @@ function MyTrips() {
     handleMenuClose();
   };
 
+  const handleExportTrip = async (tripId) => {
+    handleMenuClose();
+    try {
+      const response = await tripAPI.exportArchive(tripId);
+      fileUtils.saveResponse(response, 'trip.json');
+    } catch (error) {
+      console.error('Failed to export trip:', error);
+      setMessage({
+        type: 'error',
+        text: 'Failed to export trip. Please try again.'
+      });
+    }
+  };
+
+  const handleExportAllTrips = async () => {
+    try {
+      const response = await tripAPI.exportAllArchives();
+      fileUtils.saveResponse(response, 'globetrotter-trips.json');
+    } catch (error) {
+      console.error('Failed to export trips:', error);
+      setMessage({
+        type: 'error',
+        text: 'Failed to export trips. Please try again.'
+      });
+    }
+  };
+
   const handleDeleteTrip = async () => {
     if (!selectedTrip) return;
 
@@ -294,11 +358,10 @@ function MyTrips() {
     });
   };
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-IN', {
-      style: 'currency',
-      currency: 'INR'
-    }).format(amount);
+  const homeCurrency = tokenUtils.getUser()?.homeCurrency || currencyUtils.DEFAULT_CURRENCY;
+
+  const formatCurrency = (amount, currency = homeCurrency) => {
+    return currencyUtils.format(amount, currency);
   };
 
 
@@ -327,6 +390,12 @@ function MyTrips() {
           <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
             My Trips
           </Typography>
+          <Button color="inherit" startIcon={<Download />} onClick={handleExportAllTrips} sx={{ mr: 1 }}>
+            Export All
+          </Button>
+          <Button color="inherit" startIcon={<UploadFile />} onClick={() => setImportDialogOpen(true)} sx={{ mr: 2 }}>
+            Import
+          </Button>
           <Avatar
             src={user?.avatarPath ? `${import.meta.env.VITE_API_BASE_URL}${user.avatarPath}` : undefined}
             sx={{ width: 32, height: 32 }}
@@ -348,6 +417,28 @@ function MyTrips() {
           </Alert>
         )}
 
+        {/* Pending Trip Invitations */}
+        {invitations.map((invitation) => (
+          <Alert
+            key={invitation.id}
+            severity="info"
+            icon={<Group />}
+            sx={{ mb: 2 }}
+            action={
+              <>
+                <Button color="inherit" size="small" onClick={() => handleInvitationResponse(invitation, true)}>
+                  Accept
+                </Button>
+                <Button color="inherit" size="small" onClick={() => handleInvitationResponse(invitation, false)}>
+                  Decline
+                </Button>
+              </>
+            }
+          >
+            {invitation.invited_by_name} invited you to plan "{invitation.trip_title}" as {invitation.role}
+          </Alert>
+        ))}
+
         {/* Advanced Trip Statistics */}
         <Paper sx={{ p: 3, mb: 4, background: 'linear-gradient(45deg, #1976d2 30%, #42a5f5 90%)', color: 'white' }}>
           <Typography variant="h5" gutterBottom>
@@ -394,7 +485,7 @@ function MyTrips() {
               <Box sx={{ textAlign: 'center' }}>
                 <AttachMoney sx={{ fontSize: 30, mb: 1 }} />
                 <Typography variant="h4" sx={{ fontWeight: 'bold' }}>
-                  ₹{tripStats.totalBudget || 1111111}
+                  {formatCurrency(tripStats.totalBudget || 1111111)}
                 </Typography>
                 <Typography variant="body2">Total Budget</Typography>
               </Box>
@@ -664,9 +755,9 @@ function MyTrips() {
                         {trip.budget && (
                           <Grid item xs={6}>
                             <Box sx={{ display: 'flex', alignItems: 'center' }}>
-                              <CurrencyRupee sx={{ fontSize: 14, mr: 1, color: 'success.main' }} />
+                              <Payments sx={{ fontSize: 14, mr: 1, color: 'success.main' }} />
                               <Typography variant="caption" color="success.main" sx={{ fontWeight: 'medium' }}>
-                                ₹{Number(trip.budget || 0).toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',')}
+                                {formatCurrency(trip.budget, trip.currency)}
                               </Typography>
                             </Box>
                           </Grid>
@@ -722,7 +813,7 @@ function MyTrips() {
                         <Box sx={{ display: 'flex', alignItems: 'center' }}>
                           {trip.total_cost > 0 && (
                             <Typography variant="body2" fontWeight="bold" color="success.main">
-                              ${trip.total_cost.toLocaleString()}
+                              {formatCurrency(trip.total_cost, trip.currency)}
                             </Typography>
                           )}
                         </Box>
@@ -767,12 +858,23 @@ function MyTrips() {
             <Share sx={{ mr: 1 }} />
             Share Trip
           </MenuItem>
+          <MenuItem onClick={() => handleExportTrip(selectedTrip?.id)}>
+            <Download sx={{ mr: 1 }} />
+            Export as JSON
+          </MenuItem>
           <MenuItem onClick={openDeleteDialog} sx={{ color: 'error.main' }}>
             <Delete sx={{ mr: 1 }} />
             Delete Trip
           </MenuItem>
         </Menu>
 
+        {/* Import Trips Dialog */}
+        <TripImportDialog
+          open={importDialogOpen}
+          onClose={() => setImportDialogOpen(false)}
+          onImported={loadTrips}
+        />
+
         {/* Delete Confirmation Dialog */}
         <Dialog
           open={deleteDialogOpen}
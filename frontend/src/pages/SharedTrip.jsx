@@ -0,0 +1,459 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  AppBar,
+  Toolbar,
+  Button,
+  TextField,
+  Grid,
+  Card,
+  CardContent,
+  CardMedia,
+  Paper,
+  Chip,
+  Alert,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Divider,
+} from '@mui/material';
+import {
+  Schedule,
+  Lock,
+  LocationOn,
+  Flight,
+  Hotel,
+  Restaurant,
+  LocalActivity,
+  DirectionsCar,
+  Place,
+  ContentCopy,
+  Send,
+} from '@mui/icons-material';
+import { motion } from 'framer-motion';
+import InteractiveMap from '../components/InteractiveMap.jsx';
+import CloneTripDialog from '../components/CloneTripDialog.jsx';
+import { tripAPI, tokenUtils, currencyUtils, timeUtils } from '../api/client.js';
+
+const CATEGORY_ICONS = {
+  flight: <Flight />,
+  hotel: <Hotel />,
+  restaurant: <Restaurant />,
+  activity: <LocalActivity />,
+  transport: <DirectionsCar />,
+};
+
+const EMPTY_COMMENT = { authorName: '', body: '' };
+
+const formatDate = (value, options = { weekday: 'long', month: 'long', day: 'numeric' }) => {
+  return value ? new Date(value).toLocaleDateString(undefined, options) : '';
+};
+
+// Item times are shown as they are at the destination
+const formatTime = (item, key) => {
+  return timeUtils.format(item, key, { hour: '2-digit', minute: '2-digit' });
+};
+
+function SharedTrip() {
+  // Reached either through a share link (/shared/:publicUrl) or as a featured trip (/featured/:tripId)
+  const { publicUrl, tripId } = useParams();
+  const navigate = useNavigate();
+  const [trip, setTrip] = useState(null);
+  const [share, setShare] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [needsPassword, setNeedsPassword] = useState(false);
+  const [password, setPassword] = useState('');
+  const [cloneOpen, setCloneOpen] = useState(false);
+  const [cloning, setCloning] = useState(false);
+  const [cloneError, setCloneError] = useState(null);
+  const [comments, setComments] = useState([]);
+  const [commentForm, setCommentForm] = useState(EMPTY_COMMENT);
+  const [commentError, setCommentError] = useState(null);
+  const [posting, setPosting] = useState(false);
+
+  useEffect(() => {
+    loadSharedTrip();
+  }, [publicUrl, tripId]);
+
+  const loadSharedTrip = async (sharePassword) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = tripId
+        ? await tripAPI.getFeaturedTrip(tripId)
+        : await tripAPI.getSharedTrip(publicUrl, sharePassword);
+      setTrip(response.data.trip);
+      setShare(response.data.share || null);
+      setComments(response.data.comments || []);
+      setNeedsPassword(false);
+    } catch (error) {
+      console.error('Failed to load shared trip:', error);
+
+      if (error.error === 'SHARE_PASSWORD_REQUIRED' || error.error === 'INVALID_SHARE_PASSWORD') {
+        setNeedsPassword(true);
+        setError(error.error === 'INVALID_SHARE_PASSWORD' ? error.message : null);
+      } else {
+        setError(error.message || 'Failed to load shared trip.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePasswordSubmit = (e) => {
+    e.preventDefault();
+    loadSharedTrip(password);
+  };
+
+  const handleCommentSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setPosting(true);
+      setCommentError(null);
+      const response = await tripAPI.addSharedTripComment(publicUrl, commentForm, password);
+      setComments(prev => [...prev, response.data.comment]);
+      setCommentForm(prev => ({ ...prev, body: '' }));
+    } catch (error) {
+      console.error('Failed to add comment:', error);
+      setCommentError(error.message || 'Failed to add comment.');
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  const handleUseItinerary = () => {
+    if (!tokenUtils.isAuthenticated()) {
+      navigate('/login');
+      return;
+    }
+
+    setCloneError(null);
+    setCloneOpen(true);
+  };
+
+  const handleClone = async (options) => {
+    try {
+      setCloning(true);
+      const response = tripId
+        ? await tripAPI.cloneTrip(tripId, options)
+        : await tripAPI.cloneSharedTrip(publicUrl, options, password);
+      navigate(`/trips/${response.data.trip.id}/itinerary`);
+    } catch (error) {
+      console.error('Failed to copy trip:', error);
+      setCloneError(error.message || 'Failed to copy trip.');
+    } finally {
+      setCloning(false);
+    }
+  };
+
+  const itinerary = trip?.itinerary || {};
+  const days = Object.keys(itinerary).sort((a, b) => {
+    if (a === 'unscheduled') return 1;
+    if (b === 'unscheduled') return -1;
+    return a.localeCompare(b);
+  });
+  const allItems = days.flatMap(day => itinerary[day]);
+
+  // InteractiveMap matches items to cities by city ID
+  const mapCities = (trip?.cities || []).map(city => ({ ...city, id: city.city_id }));
+
+  // Category totals come from the server, already converted to the trip's currency
+  const costByCategory = Object.fromEntries(
+    (trip?.costBreakdown || []).map(row => [row.category, Number(row.total_cost || 0)])
+  );
+
+  const currency = trip?.currency || currencyUtils.DEFAULT_CURRENCY;
+  const formatCost = (value, itemCurrency = currency) => currencyUtils.format(value, itemCurrency);
+  const totalCost = Number(trip?.summary?.total_cost || 0);
+  const budget = Number(trip?.budget || 0);
+  const canComment = share?.permission === 'comment';
+
+  if (loading && !trip) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '100vh' }}>
+        <motion.div
+          animate={{ rotate: 360 }}
+          transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
+        >
+          <Schedule sx={{ fontSize: 48, color: 'primary.main' }} />
+        </motion.div>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ flexGrow: 1 }}>
+      <AppBar position="static" elevation={1}>
+        <Toolbar>
+          <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
+            GlobeTrotter
+          </Typography>
+          {share && (
+            <Chip
+              label={canComment ? 'Shared · can comment' : 'Shared · view only'}
+              size="small"
+              sx={{ color: 'inherit', borderColor: 'currentColor' }}
+              variant="outlined"
+            />
+          )}
+          {!share && trip && (
+            <Chip
+              label="Featured trip"
+              size="small"
+              sx={{ color: 'inherit', borderColor: 'currentColor' }}
+              variant="outlined"
+            />
+          )}
+          {trip && (
+            <Button
+              color="inherit"
+              startIcon={<ContentCopy />}
+              onClick={handleUseItinerary}
+              sx={{ ml: 2 }}
+            >
+              Use this itinerary
+            </Button>
+          )}
+        </Toolbar>
+      </AppBar>
+
+      <Container maxWidth="lg" sx={{ py: 4 }}>
+        {needsPassword && !trip && (
+          <Paper sx={{ p: 4, maxWidth: 420, mx: 'auto', textAlign: 'center' }}>
+            <Lock sx={{ fontSize: 48, color: 'primary.main', mb: 1 }} />
+            <Typography variant="h6" gutterBottom>
+              This trip is password protected
+            </Typography>
+            {error && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {error}
+              </Alert>
+            )}
+            <Box component="form" onSubmit={handlePasswordSubmit} sx={{ display: 'flex', gap: 1 }}>
+              <TextField
+                fullWidth
+                size="small"
+                type="password"
+                label="Password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoFocus
+              />
+              <Button type="submit" variant="contained" disabled={!password || loading}>
+                View
+              </Button>
+            </Box>
+          </Paper>
+        )}
+
+        {!needsPassword && error && (
+          <Alert severity="error">{error}</Alert>
+        )}
+
+        {trip && (
+          <>
+            <Card sx={{ mb: 3 }}>
+              {trip.cover_photo_path && (
+                <CardMedia
+                  component="img"
+                  height="240"
+                  image={`${import.meta.env.VITE_API_BASE_URL}${trip.cover_photo_path}`}
+                  alt={trip.title}
+                />
+              )}
+              <CardContent>
+                <Typography variant="h4" gutterBottom>
+                  {trip.title}
+                </Typography>
+                <Typography variant="subtitle1" color="text.secondary" gutterBottom>
+                  {formatDate(trip.start_date, { dateStyle: 'medium' })} – {formatDate(trip.end_date, { dateStyle: 'medium' })}
+                  {trip.user_name && ` · Planned by ${trip.user_name}`}
+                </Typography>
+                {trip.description && (
+                  <Typography variant="body1" sx={{ mt: 1 }}>
+                    {trip.description}
+                  </Typography>
+                )}
+                {trip.cities?.length > 0 && (
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 2 }}>
+                    {trip.cities.map(city => (
+                      <Chip
+                        key={city.id}
+                        icon={<LocationOn />}
+                        label={`${city.name}, ${city.country}`}
+                        variant="outlined"
+                      />
+                    ))}
+                  </Box>
+                )}
+              </CardContent>
+            </Card>
+
+            <Grid container spacing={3}>
+              <Grid item xs={12} md={8}>
+                <Paper sx={{ p: 2, mb: 3 }}>
+                  <InteractiveMap
+                    itineraryItems={allItems}
+                    cities={mapCities}
+                    travelLegs={trip.travelLegs}
+                    height={360}
+                  />
+                </Paper>
+
+                {days.length === 0 && (
+                  <Typography color="text.secondary">
+                    No itinerary items yet.
+                  </Typography>
+                )}
+
+                {days.map(day => (
+                  <Paper key={day} sx={{ p: 2, mb: 2 }}>
+                    <Typography variant="h6">
+                      {day === 'unscheduled' ? 'Unscheduled' : formatDate(day)}
+                    </Typography>
+                    <List dense>
+                      {itinerary[day].map(item => (
+                        <ListItem key={item.id} alignItems="flex-start">
+                          <ListItemIcon sx={{ mt: 0.5 }}>
+                            {CATEGORY_ICONS[item.category] || <Place />}
+                          </ListItemIcon>
+                          <ListItemText
+                            primary={
+                              <Box sx={{ display: 'flex', justifyContent: 'space-between', gap: 2 }}>
+                                <span>{item.title}</span>
+                                {Number(item.cost) > 0 && (
+                                  <Typography variant="body2" color="text.secondary">
+                                    {formatCost(item.cost, item.currency || currency)}
+                                  </Typography>
+                                )}
+                              </Box>
+                            }
+                            secondary={[
+                              item.start_time && `${formatTime(item, 'start_time')}${item.end_time ? ` – ${formatTime(item, 'end_time')}` : ''}`,
+                              item.location || item.city_name,
+                              item.description,
+                            ].filter(Boolean).join(' · ')}
+                          />
+                        </ListItem>
+                      ))}
+                    </List>
+                  </Paper>
+                ))}
+
+                {canComment && (
+                  <Paper sx={{ p: 2 }}>
+                    <Typography variant="h6" gutterBottom>
+                      Comments
+                    </Typography>
+                    {comments.length === 0 && (
+                      <Typography variant="body2" color="text.secondary">
+                        No comments yet. Be the first to leave one.
+                      </Typography>
+                    )}
+                    <List dense>
+                      {comments.map(comment => (
+                        <ListItem key={comment.id} disableGutters alignItems="flex-start">
+                          <ListItemText
+                            primary={comment.body}
+                            primaryTypographyProps={{ sx: { whiteSpace: 'pre-wrap' } }}
+                            secondary={`${comment.author_name} · ${new Date(comment.created_at).toLocaleString()}`}
+                          />
+                        </ListItem>
+                      ))}
+                    </List>
+                    {commentError && (
+                      <Alert severity="error" sx={{ mb: 2 }} onClose={() => setCommentError(null)}>
+                        {commentError}
+                      </Alert>
+                    )}
+                    <Box component="form" onSubmit={handleCommentSubmit} sx={{ display: 'grid', gap: 1 }}>
+                      <TextField
+                        size="small"
+                        label="Your name"
+                        value={commentForm.authorName}
+                        onChange={(e) => setCommentForm(prev => ({ ...prev, authorName: e.target.value }))}
+                        inputProps={{ maxLength: 100 }}
+                      />
+                      <TextField
+                        size="small"
+                        label="Comment"
+                        multiline
+                        minRows={2}
+                        value={commentForm.body}
+                        onChange={(e) => setCommentForm(prev => ({ ...prev, body: e.target.value }))}
+                        inputProps={{ maxLength: 2000 }}
+                      />
+                      <Box>
+                        <Button
+                          type="submit"
+                          variant="contained"
+                          startIcon={<Send />}
+                          disabled={posting || !commentForm.authorName.trim() || !commentForm.body.trim()}
+                        >
+                          Post comment
+                        </Button>
+                      </Box>
+                    </Box>
+                  </Paper>
+                )}
+              </Grid>
+
+              <Grid item xs={12} md={4}>
+                <Paper sx={{ p: 2, position: { md: 'sticky' }, top: { md: 16 } }}>
+                  <Typography variant="h6" gutterBottom>
+                    Cost Summary
+                  </Typography>
+                  <List dense>
+                    {Object.entries(costByCategory).map(([category, cost]) => (
+                      <ListItem key={category} disableGutters>
+                        <ListItemIcon>{CATEGORY_ICONS[category] || <Place />}</ListItemIcon>
+                        <ListItemText
+                          primary={category.charAt(0).toUpperCase() + category.slice(1)}
+                        />
+                        <Typography variant="body2">{formatCost(cost)}</Typography>
+                      </ListItem>
+                    ))}
+                  </List>
+                  <Divider sx={{ my: 1 }} />
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                    <Typography variant="subtitle1">Total</Typography>
+                    <Typography variant="subtitle1">{formatCost(totalCost)}</Typography>
+                  </Box>
+                  {budget > 0 && (
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 1 }}>
+                      <Typography variant="body2" color="text.secondary">Budget</Typography>
+                      <Typography variant="body2" color={totalCost > budget ? 'error' : 'text.secondary'}>
+                        {formatCost(budget)}
+                      </Typography>
+                    </Box>
+                  )}
+                  <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+                    {trip.summary?.total_items || 0} items across {trip.summary?.days_count || 0} days
+                    {trip.summary?.cities_count ? ` in ${trip.summary.cities_count} cities` : ''}
+                  </Typography>
+                </Paper>
+              </Grid>
+            </Grid>
+          </>
+        )}
+      </Container>
+
+      <CloneTripDialog
+        open={cloneOpen}
+        onClose={() => setCloneOpen(false)}
+        trip={trip}
+        saving={cloning}
+        error={cloneError}
+        onConfirm={handleClone}
+      />
+    </Box>
+  );
+}
+
+export default SharedTrip;
@@ -6,10 +6,11 @@ class SocketService {
     this.socket = null;
     this.isConnected = false;
     this.listeners = new Map();
+    this.tripRooms = new Set();
   }
 
   connect() {
-    if (this.socket && this.isConnected) {
+    if (this.socket) {
       return this.socket;
     }
 
@@ -22,9 +23,8 @@ class SocketService {
     }
 
     this.socket = io(import.meta.env.VITE_API_BASE_URL, {
-      auth: {
-        token
-      },
+      // Read the token on every (re)connect so silently refreshed tokens are used
+      auth: (cb) => cb({ token: tokenUtils.getToken() }),
       transports: ['websocket', 'polling']
     });
 
@@ -34,6 +34,10 @@ class SocketService {
       
       // Join user's personal room
       this.socket.emit('join-user-room', user.id);
+
+      // Rejoin trip rooms after a reconnect; listeners should resync
+      // because events sent while offline were missed
+      this.tripRooms.forEach(tripId => this.requestTripJoin(tripId, true));
     });
 
     this.socket.on('disconnect', () => {
@@ -44,6 +48,11 @@ class SocketService {
     this.socket.on('connect_error', (error) => {
       console.error('🔌 Connection error:', error);
       this.isConnected = false;
+
+      // The access token expired; retry once the API client has refreshed it
+      if (error.message === 'INVALID_TOKEN' && tokenUtils.getRefreshToken()) {
+        setTimeout(() => this.socket?.connect(), 5000);
+      }
     });
 
     // Handle trip updates
@@ -52,6 +61,59 @@ class SocketService {
       this.emit('tripUpdate', data);
     });
 
+    // Handle collaborative itinerary changes made by anyone on the trip
+    const itineraryEvents = {
+      'itinerary-item-created': 'item-created',
+      'itinerary-item-updated': 'item-updated',
+      'itinerary-item-deleted': 'item-deleted',
+      'itinerary-item-reordered': 'items-reordered',
+    };
+
+    Object.entries(itineraryEvents).forEach(([serverEvent, type]) => {
+      this.socket.on(serverEvent, (data) => {
+        this.emit('itineraryUpdate', { type, ...data });
+      });
+    });
+
+    // Handle expenses logged by anyone on the trip
+    ['expense-created', 'expense-updated', 'expense-deleted'].forEach(type => {
+      this.socket.on(type, (data) => {
+        this.emit('expenseUpdate', { type, ...data });
+      });
+    });
+
+    // Handle travel legs added, changed or removed by anyone on the trip
+    ['travel-leg-created', 'travel-leg-updated', 'travel-leg-deleted'].forEach(type => {
+      this.socket.on(type, (data) => {
+        this.emit('travelLegUpdate', { type, ...data });
+      });
+    });
+
+    // Handle documents uploaded or deleted by anyone on the trip
+    ['documents-uploaded', 'document-deleted'].forEach(type => {
+      this.socket.on(type, (data) => {
+        this.emit('documentUpdate', { type, ...data });
+      });
+    });
+
+    // Handle itinerary changes that pushed a budget envelope over its limit
+    this.socket.on('budget-exceeded', (data) => {
+      this.emit('budgetExceeded', data);
+    });
+
+    // Handle who is currently viewing a trip
+    this.socket.on('trip-presence', (data) => {
+      this.emit('tripPresence', data);
+    });
+
+    // Our role on a trip changed or we were removed: the server took us out of
+    // the trip room, so join again (which fails if we no longer have access)
+    this.socket.on('trip-access-changed', (data) => {
+      if (this.tripRooms.has(String(data.tripId))) {
+        this.requestTripJoin(String(data.tripId), true);
+      }
+    });
+
     return this.socket;
   }
 
@@ -61,6 +123,7 @@ class SocketService {
       this.socket = null;
       this.isConnected = false;
       this.listeners.clear();
+      this.tripRooms.clear();
     }
   }
 
@@ -127,13 +190,38 @@ class SocketService {
     }
   }
 
-  // Itinerary-specific methods
-  emitItineraryUpdate(data) {
+  // Trip room methods
+  joinTrip(tripId) {
+    const key = String(tripId);
+    this.tripRooms.add(key);
+
     if (this.socket && this.isConnected) {
-      this.socket.emit('itinerary-updated', data);
+      this.requestTripJoin(key);
     }
   }
 
+  leaveTrip(tripId) {
+    const key = String(tripId);
+    this.tripRooms.delete(key);
+
+    if (this.socket && this.isConnected) {
+      this.socket.emit('leave-trip', key);
+    }
+  }
+
+  requestTripJoin(tripId, rejoin = false) {
+    this.socket.emit('join-trip', tripId, (response) => {
+      if (response?.ok) {
+        this.emit('tripPresence', { tripId, viewers: response.viewers });
+        if (rejoin) {
+          this.emit('tripRejoined', { tripId });
+        }
+      } else {
+        console.warn(`Could not join trip ${tripId}:`, response?.error);
+      }
+    });
+  }
+
   // Utility methods
   isSocketConnected() {
     return this.isConnected && this.socket?.connected;